@@ -0,0 +1,4 @@
+// Lets Jest run the ES module backend (src/backend) and the test files
+module.exports = {
+  presets: [['@babel/preset-env', { targets: { node: 'current' } }]]
+};
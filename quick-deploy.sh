@@ -40,12 +40,13 @@ if ! wrangler whoami &> /dev/null; then
     wrangler login
 fi
 
-# 部署数据库schema
+# 应用数据库迁移（src/backend/migrations）
 echo "📊 设置数据库..."
-if wrangler d1 execute band-sync-calendar-db --file=./src/backend/schema.sql --env production; then
+if node src/backend/migrate.js --env production --remote; then
     echo -e "${GREEN}✅ 数据库设置完成${NC}"
 else
-    echo -e "${YELLOW}⚠️  数据库可能已存在，继续部署...${NC}"
+    echo -e "${RED}❌ 数据库迁移失败，已停止部署${NC}"
+    exit 1
 fi
 
 # 部署Worker
@@ -0,0 +1,153 @@
+/**
+ * Authentication helpers for Band Sync Calendar
+ *
+ * - PIN hashing with PBKDF2 (Web Crypto, available in Workers)
+ * - HMAC-SHA256 signed session tokens: base64url(payload).base64url(signature)
+ * - Random band invite codes and calendar feed tokens
+ */
+
+const PIN_HASH_ITERATIONS = 100000;
+export const SESSION_TTL_SECONDS = 30 * 24 * 60 * 60; // 30 days
+
+// Invite codes are read aloud and typed on phones, so skip look-alike characters
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 8;
+
+const encoder = new TextEncoder();
+
+/**
+ * Encode bytes or a string as base64url without padding
+ */
+function base64UrlEncode(input) {
+  const bytes = typeof input === 'string' ? encoder.encode(input) : new Uint8Array(input);
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode a base64url string to bytes
+ */
+function base64UrlDecode(input) {
+  const base64 = input.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+  const binary = atob(padded);
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Compare two strings without short-circuiting on the first difference
+ */
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+  
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * Hash a PIN with PBKDF2-SHA256
+ * @returns {Promise<{hash: string, salt: string}>} base64url-encoded hash and salt
+ */
+export async function hashPin(pin, salt = null) {
+  const saltBytes = salt ? base64UrlDecode(salt) : crypto.getRandomValues(new Uint8Array(16));
+  
+  const key = await crypto.subtle.importKey('raw', encoder.encode(pin), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: saltBytes, iterations: PIN_HASH_ITERATIONS },
+    key,
+    256
+  );
+  
+  return {
+    hash: base64UrlEncode(bits),
+    salt: base64UrlEncode(saltBytes)
+  };
+}
+
+/**
+ * Check a PIN against a stored hash and salt
+ */
+export async function verifyPin(pin, hash, salt) {
+  const { hash: candidate } = await hashPin(pin, salt);
+  return timingSafeEqual(candidate, hash);
+}
+
+async function hmacSign(data, secret) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(data));
+  return base64UrlEncode(signature);
+}
+
+/**
+ * Issue a signed session token for a member
+ * @returns {Promise<{token: string, expiresAt: string}>}
+ */
+export async function signSessionToken(memberId, secret, ttlSeconds = SESSION_TTL_SECONDS) {
+  const exp = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const payload = base64UrlEncode(JSON.stringify({ sub: memberId, exp }));
+  const signature = await hmacSign(payload, secret);
+  
+  return {
+    token: `${payload}.${signature}`,
+    expiresAt: new Date(exp * 1000).toISOString()
+  };
+}
+
+/**
+ * Verify a session token's signature and expiry
+ * @returns {Promise<{sub: string, exp: number}|null>} the payload, or null if invalid
+ */
+export async function verifySessionToken(token, secret) {
+  if (typeof token !== 'string') {
+    return null;
+  }
+  
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) {
+    return null;
+  }
+  
+  const expected = await hmacSign(payload, secret);
+  if (!timingSafeEqual(signature, expected)) {
+    return null;
+  }
+  
+  try {
+    const claims = JSON.parse(new TextDecoder().decode(base64UrlDecode(payload)));
+    if (!claims.sub || !claims.exp || claims.exp < Math.floor(Date.now() / 1000)) {
+      return null;
+    }
+    return claims;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Generate a random invite code such as "K7QX2MPA"
+ */
+export function generateInviteCode() {
+  const bytes = crypto.getRandomValues(new Uint8Array(INVITE_CODE_LENGTH));
+  return Array.from(bytes, byte => INVITE_CODE_ALPHABET[byte % INVITE_CODE_ALPHABET.length]).join('');
+}
+
+/**
+ * Generate a secret token for a member's calendar feed URL
+ */
+export function generateFeedToken() {
+  return base64UrlEncode(crypto.getRandomValues(new Uint8Array(24)));
+}
@@ -0,0 +1,74 @@
+/**
+ * Band Channel - Durable Object for real-time change notifications
+ *
+ * One instance per band (named by band id). Browsers connect with a
+ * WebSocket via GET /bands/:id/live; the worker posts to /broadcast after
+ * every write and the channel forwards `{type: 'changes', cursor}` to all
+ * connected members, who then pull the delta from GET /bands/:id/changes.
+ *
+ * Uses the WebSocket Hibernation API so idle connections do not keep the
+ * object in memory.
+ */
+
+export class BandChannel {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+  
+  async fetch(request) {
+    const url = new URL(request.url);
+    
+    if (url.pathname === '/broadcast' && request.method === 'POST') {
+      const message = await request.text();
+      this.broadcast(message);
+      return new Response(null, { status: 204 });
+    }
+    
+    if (request.headers.get('Upgrade') !== 'websocket') {
+      return new Response('Expected WebSocket upgrade', { status: 426 });
+    }
+    
+    const pair = new WebSocketPair();
+    const [client, server] = Object.values(pair);
+    
+    // Tag the socket with the member so it survives hibernation
+    const memberId = url.searchParams.get('member') || 'unknown';
+    this.state.acceptWebSocket(server, [memberId]);
+    
+    return new Response(null, { status: 101, webSocket: client });
+  }
+  
+  /**
+   * Send a message to every connected socket, dropping ones that fail
+   */
+  broadcast(message) {
+    for (const socket of this.state.getWebSockets()) {
+      try {
+        socket.send(message);
+      } catch (error) {
+        socket.close(1011, 'Send failed');
+      }
+    }
+  }
+  
+  async webSocketMessage(socket, message) {
+    // Clients send "ping" to keep the connection open through proxies
+    if (message === 'ping') {
+      socket.send('pong');
+    }
+  }
+  
+  async webSocketClose(socket) {
+    // Complete the closing handshake
+    try {
+      socket.close(1000, 'Closing');
+    } catch (error) {
+      // Already closed
+    }
+  }
+  
+  async webSocketError(socket) {
+    socket.close(1011, 'WebSocket error');
+  }
+}
@@ -0,0 +1,29 @@
+/**
+ * Error classes for Band Sync Calendar
+ *
+ * Thrown anywhere below a handler and turned into error responses by the
+ * error middleware of worker.js. Any other error is a bug and answers a
+ * generic 500.
+ */
+
+/**
+ * An error with an HTTP status
+ */
+export class HttpError extends Error {
+  constructor(status, message, headers = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+/**
+ * Invalid input from the client: a 400 with the message
+ */
+export class ValidationError extends HttpError {
+  constructor(message) {
+    super(400, message);
+    this.name = 'ValidationError';
+  }
+}
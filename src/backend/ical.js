@@ -0,0 +1,284 @@
+/**
+ * iCalendar output for Band Sync Calendar
+ *
+ * Builds the RFC 5545 feed served at GET /calendar.ics. Event times are
+ * stored in UTC and written as UTC DATE-TIMEs. Recurring events repeat on the
+ * wall clock of the band's time zone, so their DTSTART, DTEND and EXDATEs are
+ * written as local times with the zone's TZID, and they keep their RRULE. A
+ * VTIMEZONE built from the zone's offset changes defines that TZID.
+ */
+
+import { toWallClock, fromWallClock, findOffsetChanges } from './timezone.js';
+
+const PRODUCT_ID = '-//KONKUJIRA//Band Sync Calendar//JA';
+const UID_DOMAIN = 'band-sync-calendar';
+
+// Labels shown in calendar apps (same as CONFIG in the frontend)
+const EVENT_TYPE_LABELS = {
+  live: 'LIVE',
+  rehearsal: 'リハーサル',
+  other: 'その他'
+};
+
+// Labels for the call/open/show times of lives, written into DESCRIPTION
+const TIME_LABELS = {
+  call_time: '入り',
+  open_time: '開場',
+  show_time: '開演'
+};
+
+const STATUS_LABELS = {
+  good: '○ 空いている',
+  ok: '△ 調整可能',
+  bad: '× 忙しい'
+};
+
+const encoder = new TextEncoder();
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma and newlines)
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Quote a parameter value such as CN, escaping what a quoted value cannot
+ * hold as RFC 6868 caret sequences (^^, ^' and ^n)
+ */
+function quoteParam(value) {
+  const escaped = String(value)
+    .replace(/\^/g, '^^')
+    .replace(/"/g, "^'")
+    .replace(/\r?\n/g, '^n');
+  return `"${escaped}"`;
+}
+
+/**
+ * Organizer address of a band's events
+ *
+ * Members have no e-mail address, so this is a mailto: URI under the
+ * reserved .invalid domain, which never reaches anyone; the creator's name
+ * is in CN.
+ */
+function organizerAddress(bandId) {
+  return `mailto:${encodeURIComponent(bandId)}@${UID_DOMAIN}.invalid`;
+}
+
+/**
+ * Fold a content line at 75 octets without splitting UTF-8 characters
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    // Continuation lines start with a space, which counts toward the limit
+    if (octets + size > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  
+  return parts.join('\r\n ');
+}
+
+/**
+ * Format a time as an iCalendar DATE-TIME
+ *
+ * Stored UTC times become UTC DATE-TIMEs ("2025-08-02T05:00:00Z" is
+ * 20250802T050000Z); wall-clock times without a zone are written as they
+ * are (20250802T140000) and need a TZID.
+ */
+export function formatDateTime(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?(Z|[+-]\d{2}:?\d{2})?$/.exec(String(value));
+  if (!match) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  
+  const [, year, month, day, hour, minute, second = '00', zone] = match;
+  if (!zone) {
+    return `${year}${month}${day}T${hour}${minute}${second}`;
+  }
+  
+  return new Date(value).toISOString().slice(0, 19).replace(/[-:]/g, '') + 'Z';
+}
+
+/**
+ * Format a stored UTC time as a DATE-TIME value with a TZID parameter,
+ * e.g. ";TZID=Asia/Tokyo:20250802T140000"
+ */
+function formatZonedDateTime(value, timeZone) {
+  return `;TZID=${timeZone}:${formatDateTime(toWallClock(value, timeZone))}`;
+}
+
+/**
+ * A stored rule for the feed: UNTIL is kept on the band's wall clock but
+ * must be UTC next to a DTSTART with a TZID
+ */
+function formatZonedRRule(rrule, timeZone) {
+  return rrule.replace(/UNTIL=(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(?!Z)/, (match, year, month, day, hour, minute, second) =>
+    `UNTIL=${formatDateTime(fromWallClock(`${year}-${month}-${day}T${hour}:${minute}:${second}`, timeZone))}`
+  );
+}
+
+/**
+ * Format a SQLite UTC timestamp ("YYYY-MM-DD HH:MM:SS") as a UTC DATE-TIME
+ */
+function formatTimestamp(value) {
+  return `${String(value).replace(' ', 'T').slice(0, 19).replace(/[-:]/g, '')}Z`;
+}
+
+/**
+ * Format an offset in minutes as a UTC-OFFSET ("+0900")
+ */
+function formatOffset(minutes) {
+  const size = Math.abs(minutes);
+  const hours = String(Math.floor(size / 60)).padStart(2, '0');
+  return `${minutes < 0 ? '-' : '+'}${hours}${String(size % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Lines of a VTIMEZONE with one observance per offset change between two
+ * stored UTC times; the higher offsets of the zone count as daylight time
+ */
+function timezoneLines(timeZone, start, end) {
+  const changes = findOffsetChanges(timeZone, start, end);
+  const standard = Math.min(...changes.map(change => change.offsetTo));
+  
+  return [
+    'BEGIN:VTIMEZONE',
+    `TZID:${timeZone}`,
+    ...changes.flatMap(change => {
+      const kind = change.offsetTo > standard ? 'DAYLIGHT' : 'STANDARD';
+      return [
+        `BEGIN:${kind}`,
+        `DTSTART:${formatDateTime(change.onset)}`,
+        `TZOFFSETFROM:${formatOffset(change.offsetFrom)}`,
+        `TZOFFSETTO:${formatOffset(change.offsetTo)}`,
+        `END:${kind}`
+      ];
+    }),
+    'END:VTIMEZONE'
+  ];
+}
+
+/**
+ * Lines of one band event (or recurring series)
+ */
+function eventLines(event, bandId, timeZone, stamp) {
+  const time = value => event.rrule ? formatZonedDateTime(value, timeZone) : `:${formatDateTime(value)}`;
+  
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART${time(event.start_time)}`,
+    `DTEND${time(event.end_time)}`,
+    `SUMMARY:${escapeText(event.title)}`,
+    `CATEGORIES:${escapeText(EVENT_TYPE_LABELS[event.type] || event.type)}`
+  ];
+  
+  if (event.created_by) {
+    lines.push(`ORGANIZER;CN=${quoteParam(event.created_by)}:${organizerAddress(bandId)}`);
+  }
+  
+  if (event.created_at) {
+    lines.push(`CREATED:${formatTimestamp(event.created_at)}`);
+  }
+  
+  if (event.location) {
+    lines.push(`LOCATION:${escapeText(event.location)}`);
+  }
+  
+  const times = Object.entries(TIME_LABELS)
+    .filter(([field]) => event[field])
+    .map(([field, label]) => `${label} ${event[field].slice(0, 5)}`);
+  const description = [times.join(' / '), event.notes].filter(Boolean).join('\n\n');
+  if (description) {
+    lines.push(`DESCRIPTION:${escapeText(description)}`);
+  }
+  
+  if (event.url) {
+    lines.push(`URL:${event.url}`);
+  }
+  
+  if (event.rrule) {
+    lines.push(`RRULE:${formatZonedRRule(event.rrule, timeZone)}`);
+    if (event.exdates && event.exdates.length > 0) {
+      lines.push(`EXDATE;TZID=${timeZone}:${event.exdates.map(exdate => formatDateTime(toWallClock(exdate, timeZone))).join(',')}`);
+    }
+  }
+  
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Lines of one availability entry, marked transparent so it never shows as busy
+ */
+function availabilityLines(avail, stamp) {
+  return [
+    'BEGIN:VEVENT',
+    `UID:availability-${avail.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${formatDateTime(avail.start_time)}`,
+    `DTEND:${formatDateTime(avail.end_time)}`,
+    `SUMMARY:${escapeText(STATUS_LABELS[avail.status] || avail.status)}`,
+    `CATEGORIES:${escapeText('空き状況')}`,
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT'
+  ];
+}
+
+/**
+ * Build a VCALENDAR document
+ * @param {Object} options
+ * @param {string} options.name - Calendar name shown by subscribing apps
+ * @param {string} options.bandId - Band id, used in ORGANIZER addresses
+ * @param {string} options.timeZone - Band time zone, for recurring events
+ * @param {string} options.until - UTC time up to which the VTIMEZONE of
+ *   recurring events defines the zone's offsets
+ * @param {Array} options.events - event rows with exdates parsed to an array
+ * @param {Array} [options.availability] - availability rows to include
+ * @returns {string} CRLF-separated, folded iCalendar text
+ */
+export function buildCalendar({ name, bandId, timeZone, until, events, availability = [] }) {
+  const stamp = formatTimestamp(new Date().toISOString());
+  
+  // Only recurring events are written with the TZID; the zone is described
+  // from the first of them on
+  const seriesStart = events
+    .filter(event => event.rrule)
+    .reduce((min, event) => !min || event.start_time < min ? event.start_time : min, null);
+  const timezone = seriesStart ? timezoneLines(timeZone, seriesStart, seriesStart > until ? seriesStart : until) : [];
+  
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${timeZone}`,
+    // Ask subscribing apps to refresh hourly
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+    ...timezone,
+    ...events.flatMap(event => eventLines(event, bandId, timeZone, stamp)),
+    ...availability.flatMap(avail => availabilityLines(avail, stamp)),
+    'END:VCALENDAR'
+  ];
+  
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
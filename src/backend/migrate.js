@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+
+/**
+ * Database Migration Runner for Band Sync Calendar
+ *
+ * Applies the numbered files in src/backend/migrations (0001_initial.sql,
+ * 0002_<name>.sql, ...) to the D1 database through `wrangler d1 execute`,
+ * in order, and records each one with the SHA-256 checksum of its file in
+ * the schema_migrations table. It refuses to run when an applied migration
+ * was edited or removed, or when a migration would be applied out of order.
+ *
+ * Usage:
+ *   node src/backend/migrate.js [--env production] [--remote|--local] [--status]
+ *
+ *   --env <name>       wrangler environment (as in wrangler.toml)
+ *   --remote/--local   the deployed database or the local development copy
+ *   --database <name>  D1 database name (default band-sync-calendar-db)
+ *   --status           only list applied and pending migrations
+ */
+
+const { execFileSync } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d{4})_([a-z0-9_]+)\.sql$/;
+const DEFAULT_DATABASE = 'band-sync-calendar-db';
+
+const CREATE_MIGRATIONS_TABLE = `CREATE TABLE IF NOT EXISTS schema_migrations (
+  version INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  checksum TEXT NOT NULL,
+  applied_at TEXT NOT NULL DEFAULT (datetime('now', 'utc'))
+)`;
+
+/**
+ * Parse command line flags
+ */
+function parseArgs(argv) {
+  const options = { env: null, target: null, database: DEFAULT_DATABASE, status: false };
+  
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--env' || arg === '--database') {
+      if (!argv[i + 1]) {
+        throw new Error(`${arg} needs a value`);
+      }
+      options[arg.slice(2)] = argv[++i];
+    } else if (arg === '--remote' || arg === '--local') {
+      options.target = arg;
+    } else if (arg === '--status') {
+      options.status = true;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+  
+  return options;
+}
+
+/**
+ * Checksum of a migration; line endings are normalized so a checkout with
+ * CRLF endings does not count as an edit
+ */
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+/**
+ * Migration files in order
+ * @returns {Array<{version: number, name: string, file: string, sql: string, checksum: string}>}
+ */
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => file.endsWith('.sql'))
+    .map(file => {
+      const match = MIGRATION_FILE.exec(file);
+      if (!match) {
+        throw new Error(`Migration file names must look like 0002_add_column.sql: ${file}`);
+      }
+      
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+      return { version: Number(match[1]), name: match[2], file, sql, checksum: checksum(sql) };
+    })
+    .sort((a, b) => a.version - b.version);
+  
+  migrations.forEach((migration, index) => {
+    if (migration.version !== index + 1) {
+      throw new Error(`Migrations must be numbered 0001, 0002, ... without gaps or duplicates: ${migration.file}`);
+    }
+  });
+  
+  return migrations;
+}
+
+/**
+ * Run `wrangler d1 execute` with the target flags
+ */
+function wrangler(options, args) {
+  const flags = [
+    'd1', 'execute', options.database,
+    ...(options.env ? ['--env', options.env] : []),
+    ...(options.target ? [options.target] : []),
+    ...args
+  ];
+  
+  return execFileSync('wrangler', flags, {
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'inherit'],
+    maxBuffer: 16 * 1024 * 1024
+  });
+}
+
+/**
+ * Create the bookkeeping table if needed and read the applied migrations
+ */
+function loadApplied(options) {
+  const output = wrangler(options, [
+    '--json',
+    '--command', `${CREATE_MIGRATIONS_TABLE}; SELECT version, name, checksum FROM schema_migrations ORDER BY version`
+  ]);
+  
+  // One result per statement; the SELECT comes last
+  const results = JSON.parse(output);
+  return results[results.length - 1].results;
+}
+
+/**
+ * Compare the database with the files
+ * @returns {Array} the migrations still to apply
+ */
+function planMigrations(migrations, applied) {
+  const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+  
+  for (const row of applied) {
+    const migration = byVersion.get(row.version);
+    if (!migration) {
+      throw new Error(`Migration ${row.version} (${row.name}) is applied but its file is missing`);
+    }
+    if (migration.checksum !== row.checksum) {
+      throw new Error(
+        `Checksum mismatch for ${migration.file}: applied ${row.checksum}, file ${migration.checksum}. ` +
+        'Applied migrations must not be edited; add a new migration instead.'
+      );
+    }
+  }
+  
+  const pending = migrations.filter(migration => !applied.some(row => row.version === migration.version));
+  const latest = applied.length > 0 ? applied[applied.length - 1].version : 0;
+  
+  if (pending.length > 0 && pending[0].version < latest) {
+    throw new Error(`${pending[0].file} is older than the applied migration ${latest}; renumber it after ${latest}`);
+  }
+  
+  return pending;
+}
+
+/**
+ * Apply one migration; the schema_migrations row is written by the same
+ * execution, after the migration's statements
+ */
+function applyMigration(options, migration) {
+  const record = `INSERT INTO schema_migrations (version, name, checksum) VALUES (${migration.version}, '${migration.name}', '${migration.checksum}');`;
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'band-sync-migrate-')), migration.file);
+  
+  fs.writeFileSync(file, `${migration.sql.trimEnd()}\n\n${record}\n`);
+  
+  try {
+    wrangler(options, ['--file', file]);
+  } finally {
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  }
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const migrations = loadMigrations();
+  const applied = loadApplied(options);
+  const pending = planMigrations(migrations, applied);
+  
+  applied.forEach(row => console.log(`applied  ${String(row.version).padStart(4, '0')}_${row.name}`));
+  pending.forEach(migration => console.log(`pending  ${migration.file}`));
+  
+  if (options.status || pending.length === 0) {
+    if (pending.length === 0) {
+      console.log('Database is up to date');
+    }
+    return;
+  }
+  
+  for (const migration of pending) {
+    console.log(`Applying ${migration.file}...`);
+    applyMigration(options, migration);
+  }
+  
+  console.log(`Applied ${pending.length} migration(s)`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`Migration failed: ${error.message}`);
+  process.exit(1);
+}
@@ -1,5 +1,12 @@
 -- Band Sync Calendar Database Schema
 -- Cloudflare D1 (SQLite) Database
+--
+-- Migration 0001: the schema as it stood before the roster, bands and the
+-- other later features, i.e. the one production databases were created
+-- with. It only uses IF NOT EXISTS, so it is recorded on those databases
+-- without changes; every later schema change is its own migration. Applied
+-- migrations must never be edited (see migrate.js); add a new numbered file
+-- instead.
 
 -- Events table for shared band events (performances, rehearsals, etc.)
 CREATE TABLE IF NOT EXISTS events (
@@ -30,4 +37,4 @@ CREATE INDEX IF NOT EXISTS idx_events_created_by ON events(created_by);
 
 CREATE INDEX IF NOT EXISTS idx_availability_member ON availability(member_name);
 CREATE INDEX IF NOT EXISTS idx_availability_time_range ON availability(start_time, end_time);
-CREATE INDEX IF NOT EXISTS idx_availability_status ON availability(status);
\ No newline at end of file
+CREATE INDEX IF NOT EXISTS idx_availability_status ON availability(status);
@@ -0,0 +1,25 @@
+-- Migration 0002: band roster
+-- The members table replaces the member lists hardcoded in the frontend,
+-- seeded with the same names.
+
+-- Members table for the band roster (display name, part/instrument, color)
+CREATE TABLE members (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+    display_name TEXT NOT NULL UNIQUE,
+    part TEXT,
+    color TEXT,
+    active INTEGER NOT NULL DEFAULT 1 CHECK (active IN (0, 1)),
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL DEFAULT (datetime('now', 'utc')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now', 'utc'))
+);
+
+INSERT INTO members (display_name, sort_order) VALUES
+    ('COKAI', 1),
+    ('YUSUKE', 2),
+    ('ZEN', 3),
+    ('YAMCHI', 4),
+    ('テスト', 5),
+    ('USER', 6);
+
+CREATE INDEX idx_members_active ON members(active, sort_order);
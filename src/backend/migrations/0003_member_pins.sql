@@ -0,0 +1,8 @@
+-- Migration 0003: PIN login
+-- Salted PIN hashes and the failed-login lockout of each member. Members
+-- without a PIN get one set up on their first login.
+
+ALTER TABLE members ADD COLUMN pin_hash TEXT;
+ALTER TABLE members ADD COLUMN pin_salt TEXT;
+ALTER TABLE members ADD COLUMN failed_logins INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE members ADD COLUMN locked_until TEXT;
@@ -0,0 +1,98 @@
+-- Migration 0004: bands
+-- Events, availability and members get a band_id; existing rows move to the
+-- seeded `default` band, whose leader is COKAI. SQLite can neither add a
+-- referencing NOT NULL column with a default nor change a UNIQUE
+-- constraint, so the three tables are rebuilt: create the new table, copy
+-- the rows, drop the old one and rename.
+
+-- Bands table; every event, availability entry and member belongs to one band
+CREATE TABLE bands (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+    name TEXT NOT NULL,
+    created_at TEXT NOT NULL DEFAULT (datetime('now', 'utc')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now', 'utc'))
+);
+
+-- Invite codes a band leader hands out so new members can join
+CREATE TABLE band_invites (
+    code TEXT PRIMARY KEY,
+    band_id TEXT NOT NULL REFERENCES bands(id),
+    created_by TEXT NOT NULL,
+    expires_at TEXT NOT NULL,
+    created_at TEXT NOT NULL DEFAULT (datetime('now', 'utc'))
+);
+
+INSERT INTO bands (id, name) VALUES ('default', 'KONKUJIRA');
+
+CREATE TABLE events_new (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+    band_id TEXT NOT NULL REFERENCES bands(id),
+    title TEXT NOT NULL,
+    type TEXT NOT NULL CHECK (type IN ('live', 'rehearsal', 'other')),
+    start_time TEXT NOT NULL,
+    end_time TEXT NOT NULL,
+    created_by TEXT NOT NULL,
+    created_at TEXT NOT NULL DEFAULT (datetime('now', 'utc'))
+);
+
+INSERT INTO events_new (id, band_id, title, type, start_time, end_time, created_by, created_at)
+    SELECT id, 'default', title, type, start_time, end_time, created_by, created_at FROM events;
+
+DROP TABLE events;
+ALTER TABLE events_new RENAME TO events;
+
+CREATE TABLE availability_new (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+    band_id TEXT NOT NULL REFERENCES bands(id),
+    member_name TEXT NOT NULL,
+    start_time TEXT NOT NULL,
+    end_time TEXT NOT NULL,
+    status TEXT NOT NULL CHECK (status IN ('good', 'ok', 'bad')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now', 'utc')),
+    UNIQUE(band_id, member_name, start_time, end_time)
+);
+
+INSERT INTO availability_new (id, band_id, member_name, start_time, end_time, status, updated_at)
+    SELECT id, 'default', member_name, start_time, end_time, status, updated_at FROM availability;
+
+DROP TABLE availability;
+ALTER TABLE availability_new RENAME TO availability;
+
+CREATE TABLE members_new (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+    band_id TEXT NOT NULL REFERENCES bands(id),
+    display_name TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'member' CHECK (role IN ('leader', 'member')),
+    part TEXT,
+    color TEXT,
+    active INTEGER NOT NULL DEFAULT 1 CHECK (active IN (0, 1)),
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    pin_hash TEXT,
+    pin_salt TEXT,
+    failed_logins INTEGER NOT NULL DEFAULT 0,
+    locked_until TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now', 'utc')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now', 'utc')),
+    UNIQUE(band_id, display_name)
+);
+
+INSERT INTO members_new (id, band_id, display_name, role, part, color, active, sort_order, pin_hash, pin_salt, failed_logins, locked_until, created_at, updated_at)
+    SELECT id, 'default', display_name, CASE WHEN display_name = 'COKAI' THEN 'leader' ELSE 'member' END,
+        part, color, active, sort_order, pin_hash, pin_salt, failed_logins, locked_until, created_at, updated_at
+    FROM members;
+
+DROP TABLE members;
+ALTER TABLE members_new RENAME TO members;
+
+-- Dropping the old tables dropped their indexes
+CREATE INDEX idx_events_time_range ON events(band_id, start_time, end_time);
+CREATE INDEX idx_events_type ON events(type);
+CREATE INDEX idx_events_created_by ON events(created_by);
+
+CREATE INDEX idx_availability_member ON availability(member_name);
+CREATE INDEX idx_availability_time_range ON availability(band_id, start_time, end_time);
+CREATE INDEX idx_availability_status ON availability(status);
+
+CREATE INDEX idx_members_active ON members(band_id, active, sort_order);
+
+CREATE INDEX idx_band_invites_band ON band_invites(band_id);
@@ -0,0 +1,13 @@
+-- Migration 0005: change log for delta sync (GET /changes)
+
+-- seq is the cursor clients pass as ?since=
+CREATE TABLE changes (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    band_id TEXT NOT NULL REFERENCES bands(id),
+    entity TEXT NOT NULL CHECK (entity IN ('event', 'availability')),
+    entity_id TEXT NOT NULL,
+    op TEXT NOT NULL CHECK (op IN ('upsert', 'delete')),
+    changed_at TEXT NOT NULL DEFAULT (datetime('now', 'utc'))
+);
+
+CREATE INDEX idx_changes_band_seq ON changes(band_id, seq);
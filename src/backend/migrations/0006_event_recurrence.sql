@@ -0,0 +1,6 @@
+-- Migration 0006: recurring events
+
+-- RFC 5545 recurrence rule (FREQ, INTERVAL, BYDAY, UNTIL, COUNT); NULL for single events
+ALTER TABLE events ADD COLUMN rrule TEXT;
+-- JSON array of excluded occurrence start times
+ALTER TABLE events ADD COLUMN exdates TEXT;
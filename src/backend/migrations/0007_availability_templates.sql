@@ -0,0 +1,35 @@
+-- Migration 0007: weekly availability templates
+-- The changes table is rebuilt to allow the `template` entity (its
+-- entity_id is a member name); copying the rows keeps the cursor sequence.
+
+-- A member's default ○/△/× per weekday, filled into every day of the sync
+-- period that has no explicit entry
+CREATE TABLE availability_templates (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+    band_id TEXT NOT NULL REFERENCES bands(id),
+    member_name TEXT NOT NULL,
+    weekday INTEGER NOT NULL CHECK (weekday BETWEEN 0 AND 6), -- 0 = Sunday
+    start_time TEXT NOT NULL, -- HH:MM:SS
+    end_time TEXT NOT NULL, -- HH:MM:SS
+    status TEXT NOT NULL CHECK (status IN ('good', 'ok', 'bad')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now', 'utc'))
+);
+
+CREATE INDEX idx_availability_templates_member ON availability_templates(band_id, member_name);
+
+CREATE TABLE changes_new (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    band_id TEXT NOT NULL REFERENCES bands(id),
+    entity TEXT NOT NULL CHECK (entity IN ('event', 'availability', 'template')),
+    entity_id TEXT NOT NULL,
+    op TEXT NOT NULL CHECK (op IN ('upsert', 'delete')),
+    changed_at TEXT NOT NULL DEFAULT (datetime('now', 'utc'))
+);
+
+INSERT INTO changes_new (seq, band_id, entity, entity_id, op, changed_at)
+    SELECT seq, band_id, entity, entity_id, op, changed_at FROM changes;
+
+DROP TABLE changes;
+ALTER TABLE changes_new RENAME TO changes;
+
+CREATE INDEX idx_changes_band_seq ON changes(band_id, seq);
@@ -0,0 +1,6 @@
+-- Migration 0008: calendar feeds
+
+-- Secret for GET /calendar.ics; NULL until the member asks for a feed URL
+ALTER TABLE members ADD COLUMN feed_token TEXT;
+
+CREATE UNIQUE INDEX idx_members_feed_token ON members(feed_token);
@@ -0,0 +1,15 @@
+-- Migration 0009: attendance tracking
+
+-- Attendance answers per member; occurrences of a recurring event are
+-- answered separately (occurrence_start is '' for single events)
+CREATE TABLE event_responses (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+    band_id TEXT NOT NULL REFERENCES bands(id),
+    event_id TEXT NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    occurrence_start TEXT NOT NULL DEFAULT '',
+    member_name TEXT NOT NULL,
+    response TEXT NOT NULL CHECK (response IN ('going', 'maybe', 'no')),
+    comment TEXT,
+    updated_at TEXT NOT NULL DEFAULT (datetime('now', 'utc')),
+    UNIQUE(event_id, occurrence_start, member_name)
+);
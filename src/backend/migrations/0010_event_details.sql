@@ -0,0 +1,9 @@
+-- Migration 0010: event details
+
+ALTER TABLE events ADD COLUMN location TEXT;
+ALTER TABLE events ADD COLUMN notes TEXT; -- markdown
+ALTER TABLE events ADD COLUMN url TEXT;
+-- HH:MM:SS; call (入り), doors (開場) and show (開演) times of lives
+ALTER TABLE events ADD COLUMN call_time TEXT;
+ALTER TABLE events ADD COLUMN open_time TEXT;
+ALTER TABLE events ADD COLUMN show_time TEXT;
@@ -0,0 +1,30 @@
+-- Migration 0011: song library and setlists
+
+-- Song library for setlists
+CREATE TABLE songs (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+    band_id TEXT NOT NULL REFERENCES bands(id),
+    title TEXT NOT NULL,
+    artist TEXT,
+    duration_seconds INTEGER NOT NULL CHECK (duration_seconds BETWEEN 1 AND 3600),
+    created_by TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now', 'utc')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now', 'utc')),
+    UNIQUE(band_id, title)
+);
+
+-- Setlists of live events; song_id is NULL for MC breaks, duration_seconds
+-- overrides the song's length (required for MC breaks)
+CREATE TABLE setlist_items (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+    band_id TEXT NOT NULL REFERENCES bands(id),
+    event_id TEXT NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    kind TEXT NOT NULL CHECK (kind IN ('song', 'mc')),
+    song_id TEXT REFERENCES songs(id),
+    duration_seconds INTEGER,
+    note TEXT,
+    UNIQUE(event_id, position)
+);
+
+CREATE INDEX idx_setlist_items_song ON setlist_items(song_id);
@@ -0,0 +1,17 @@
+-- Migration 0012: repertoire tracking
+-- Key, tempo and band-wide status of songs, and each member's own readiness.
+
+ALTER TABLE songs ADD COLUMN song_key TEXT;
+ALTER TABLE songs ADD COLUMN bpm INTEGER CHECK (bpm BETWEEN 20 AND 300);
+ALTER TABLE songs ADD COLUMN status TEXT NOT NULL DEFAULT 'new' CHECK (status IN ('new', 'practicing', 'ready'));
+
+-- Each member's own readiness per song, by the member names used in availability
+CREATE TABLE song_readiness (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+    band_id TEXT NOT NULL REFERENCES bands(id),
+    song_id TEXT NOT NULL REFERENCES songs(id) ON DELETE CASCADE,
+    member_name TEXT NOT NULL,
+    readiness TEXT NOT NULL CHECK (readiness IN ('new', 'practicing', 'ready')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now', 'utc')),
+    UNIQUE(song_id, member_name)
+);
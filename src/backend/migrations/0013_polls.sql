@@ -0,0 +1,38 @@
+-- Migration 0013: date polls
+
+-- Date polls (調整さん-style); closing one creates the chosen candidate as an event
+CREATE TABLE polls (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+    band_id TEXT NOT NULL REFERENCES bands(id),
+    title TEXT NOT NULL,
+    type TEXT NOT NULL CHECK (type IN ('live', 'rehearsal', 'other')),
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed')),
+    created_by TEXT NOT NULL,
+    chosen_candidate_id TEXT,
+    event_id TEXT REFERENCES events(id) ON DELETE SET NULL,
+    created_at TEXT NOT NULL DEFAULT (datetime('now', 'utc')),
+    closed_at TEXT
+);
+
+-- Candidate slots of a poll
+CREATE TABLE poll_candidates (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+    poll_id TEXT NOT NULL REFERENCES polls(id) ON DELETE CASCADE,
+    start_time TEXT NOT NULL,
+    end_time TEXT NOT NULL
+);
+
+-- Each member's ○/△/× per candidate, by the member names used in availability
+CREATE TABLE poll_votes (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+    poll_id TEXT NOT NULL REFERENCES polls(id) ON DELETE CASCADE,
+    candidate_id TEXT NOT NULL REFERENCES poll_candidates(id) ON DELETE CASCADE,
+    member_name TEXT NOT NULL,
+    vote TEXT NOT NULL CHECK (vote IN ('good', 'ok', 'bad')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now', 'utc')),
+    UNIQUE(candidate_id, member_name)
+);
+
+CREATE INDEX idx_polls_band ON polls(band_id, status);
+CREATE INDEX idx_poll_candidates_poll ON poll_candidates(poll_id);
+CREATE INDEX idx_poll_votes_poll ON poll_votes(poll_id);
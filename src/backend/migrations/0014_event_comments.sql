@@ -0,0 +1,15 @@
+-- Migration 0014: event comments
+
+-- Discussion threads of events; like answers, occurrences of a recurring
+-- event have their own thread
+CREATE TABLE event_comments (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+    band_id TEXT NOT NULL REFERENCES bands(id),
+    event_id TEXT NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    occurrence_start TEXT NOT NULL DEFAULT '',
+    member_name TEXT NOT NULL,
+    body TEXT NOT NULL,
+    created_at TEXT NOT NULL DEFAULT (datetime('now', 'utc'))
+);
+
+CREATE INDEX idx_event_comments_event ON event_comments(event_id, occurrence_start);
@@ -0,0 +1,9 @@
+-- Migration 0015: write rate limiting
+
+-- Token buckets (see rate-limit.js)
+CREATE TABLE rate_limits (
+    bucket TEXT PRIMARY KEY, -- "ip:<address>" or "member:<member id>"
+    tokens REAL NOT NULL,
+    allowed INTEGER NOT NULL DEFAULT 1, -- whether the last request got a token
+    updated_at INTEGER NOT NULL -- milliseconds since the epoch
+);
@@ -0,0 +1,9 @@
+-- Migration 0016: per-band sync window
+-- sync_months_ahead: how many months ahead events and availability can be entered
+-- history_months: how many months back the calendar can be browsed (read-only)
+
+ALTER TABLE bands ADD COLUMN sync_months_ahead INTEGER NOT NULL DEFAULT 2
+    CHECK (sync_months_ahead BETWEEN 1 AND 12);
+
+ALTER TABLE bands ADD COLUMN history_months INTEGER NOT NULL DEFAULT 12
+    CHECK (history_months BETWEEN 0 AND 36);
@@ -0,0 +1,33 @@
+-- Migration 0017: band time zones and UTC times
+-- Bands get an IANA time zone (default Asia/Tokyo). Stored times become UTC
+-- ("2025-08-02T09:00:00Z"): times without an offset were entered in Japan
+-- and are converted from +09:00, times that carry an offset are normalized.
+-- Clock times of weekly templates and live call/open/show times stay local.
+
+ALTER TABLE bands ADD COLUMN timezone TEXT NOT NULL DEFAULT 'Asia/Tokyo';
+
+UPDATE events SET
+    start_time = strftime('%Y-%m-%dT%H:%M:%SZ', start_time, CASE WHEN substr(start_time, 11) GLOB '*[Z+-]*' THEN '+0 hours' ELSE '-9 hours' END),
+    end_time = strftime('%Y-%m-%dT%H:%M:%SZ', end_time, CASE WHEN substr(end_time, 11) GLOB '*[Z+-]*' THEN '+0 hours' ELSE '-9 hours' END);
+
+UPDATE events SET exdates = (
+    SELECT json_group_array(strftime('%Y-%m-%dT%H:%M:%SZ', value, CASE WHEN substr(value, 11) GLOB '*[Z+-]*' THEN '+0 hours' ELSE '-9 hours' END))
+    FROM json_each(events.exdates)
+)
+WHERE exdates IS NOT NULL;
+
+UPDATE availability SET
+    start_time = strftime('%Y-%m-%dT%H:%M:%SZ', start_time, CASE WHEN substr(start_time, 11) GLOB '*[Z+-]*' THEN '+0 hours' ELSE '-9 hours' END),
+    end_time = strftime('%Y-%m-%dT%H:%M:%SZ', end_time, CASE WHEN substr(end_time, 11) GLOB '*[Z+-]*' THEN '+0 hours' ELSE '-9 hours' END);
+
+UPDATE poll_candidates SET
+    start_time = strftime('%Y-%m-%dT%H:%M:%SZ', start_time, CASE WHEN substr(start_time, 11) GLOB '*[Z+-]*' THEN '+0 hours' ELSE '-9 hours' END),
+    end_time = strftime('%Y-%m-%dT%H:%M:%SZ', end_time, CASE WHEN substr(end_time, 11) GLOB '*[Z+-]*' THEN '+0 hours' ELSE '-9 hours' END);
+
+UPDATE event_responses
+SET occurrence_start = strftime('%Y-%m-%dT%H:%M:%SZ', occurrence_start, CASE WHEN substr(occurrence_start, 11) GLOB '*[Z+-]*' THEN '+0 hours' ELSE '-9 hours' END)
+WHERE occurrence_start != '';
+
+UPDATE event_comments
+SET occurrence_start = strftime('%Y-%m-%dT%H:%M:%SZ', occurrence_start, CASE WHEN substr(occurrence_start, 11) GLOB '*[Z+-]*' THEN '+0 hours' ELSE '-9 hours' END)
+WHERE occurrence_start != '';
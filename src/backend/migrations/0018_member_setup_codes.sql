@@ -0,0 +1,19 @@
+-- Migration 0018: PIN setup codes
+-- One-time codes a band leader issues so a member can set their first PIN
+-- (or reset a forgotten one). Without a code, POST /auth/pin only changes a
+-- PIN when given the current one.
+--
+-- This replaces the first-login setup described in 0003: members without a
+-- PIN can no longer choose one by logging in, they need a code from a leader.
+-- (0003 is left as applied; the runner checksums migration files.)
+
+CREATE TABLE member_setup_codes (
+    code TEXT PRIMARY KEY,
+    band_id TEXT NOT NULL REFERENCES bands(id),
+    member_id TEXT NOT NULL REFERENCES members(id) ON DELETE CASCADE,
+    created_by TEXT NOT NULL,
+    expires_at TEXT NOT NULL,
+    created_at TEXT NOT NULL DEFAULT (datetime('now', 'utc'))
+);
+
+CREATE INDEX idx_member_setup_codes_member ON member_setup_codes(member_id);
@@ -0,0 +1,58 @@
+/**
+ * Token-bucket rate limiting for Band Sync Calendar
+ *
+ * Buckets live in the rate_limits table, keyed like "ip:203.0.113.7" or
+ * "member:<member id>". A bucket holds up to `perMinute` tokens and refills
+ * continuously at `perMinute` tokens a minute; every write request takes one.
+ * Taking a token is a single UPSERT, so concurrent requests cannot both take
+ * the last one.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+// Buckets idle this long are full again and can be dropped
+const IDLE_BUCKET_MS = 60 * MINUTE_MS;
+
+/**
+ * Take a token from a bucket
+ * @param {D1Database} db
+ * @param {string} bucket - bucket key
+ * @param {number} perMinute - bucket size and refill rate
+ * @param {number} [now] - current time in milliseconds
+ * @returns {Promise<{allowed: boolean, retryAfter: number}>} retryAfter is
+ *   the seconds until a token is available (0 when allowed)
+ */
+export async function takeToken(db, bucket, perMinute, now = Date.now()) {
+  const refillPerMs = perMinute / MINUTE_MS;
+  
+  // ?2 is the bucket size, ?3 the current time, ?4 the refill per millisecond;
+  // a full bucket is assumed for new keys
+  const refilled = 'MIN(?2, tokens + MAX(?3 - updated_at, 0) * ?4)';
+  const row = await db.prepare(`
+    INSERT INTO rate_limits (bucket, tokens, allowed, updated_at)
+    VALUES (?1, ?2 - 1, 1, ?3)
+    ON CONFLICT(bucket) DO UPDATE SET
+      tokens = ${refilled} - (${refilled} >= 1),
+      allowed = ${refilled} >= 1,
+      updated_at = ?3
+    RETURNING tokens, allowed
+  `).bind(bucket, perMinute, now, refillPerMs).first();
+  
+  if (row.allowed) {
+    return { allowed: true, retryAfter: 0 };
+  }
+  
+  return {
+    allowed: false,
+    retryAfter: Math.max(1, Math.ceil((1 - row.tokens) / refillPerMs / 1000))
+  };
+}
+
+/**
+ * Delete buckets that have been idle long enough to be full again
+ */
+export async function pruneRateLimits(db, now = Date.now()) {
+  await db.prepare('DELETE FROM rate_limits WHERE updated_at < ?')
+    .bind(now - IDLE_BUCKET_MS)
+    .run();
+}
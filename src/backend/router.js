@@ -0,0 +1,113 @@
+/**
+ * Request routing for Band Sync Calendar
+ *
+ * Routes are a table of paths, each with a handler per method:
+ *
+ *   {
+ *     path: '/bands/:bandId/events',
+ *     auth: 'member',
+ *     methods: {
+ *       GET: getEvents,
+ *       POST: { handler: createEvent, body: 32 * 1024 }
+ *     }
+ *   }
+ *
+ * `:name` segments match an id ([A-Za-z0-9-]+) and reach the handler as
+ * context.params.name. The other keys of a route, overridden by those of a
+ * method entry, become context.route; middleware reads its settings (auth,
+ * body, ...) from there. A request runs through the middleware in order,
+ * each `async (context, next)` calling next() to go on, and then through the
+ * handler. Unknown paths end in a 404, known paths with another method in a
+ * 405 with an Allow header.
+ */
+
+import { HttpError } from './errors.js';
+
+/**
+ * Regular expression and parameter names of a path like /bands/:bandId
+ */
+function compilePath(path) {
+  const names = [];
+  const source = path.split('/').map(segment => {
+    if (segment.startsWith(':')) {
+      names.push(segment.slice(1));
+      return '([A-Za-z0-9-]+)';
+    }
+    return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }).join('/');
+  
+  return { pattern: new RegExp(`^${source}$`), names };
+}
+
+/**
+ * Settings of a route for one method, or null if it has no such method
+ */
+function resolveMethod(route, method) {
+  const entry = route.methods[method];
+  if (!entry) {
+    return null;
+  }
+  
+  const { path, methods, pattern, names, ...settings } = route;
+  return typeof entry === 'function'
+    ? { ...settings, handler: entry }
+    : { ...settings, ...entry };
+}
+
+/**
+ * Build a router from a route table and a middleware chain
+ * @param {Array<Object>} routes - first match wins
+ * @param {Array<Function>} middleware - `async (context, next) => Response`
+ * @returns {{handle: Function}} handle(request, env, ctx) answers a request
+ */
+export function createRouter(routes, middleware = []) {
+  const compiled = routes.map(route => ({ ...route, ...compilePath(route.path) }));
+  
+  function match(pathname) {
+    for (const route of compiled) {
+      const found = route.pattern.exec(pathname);
+      if (found) {
+        const params = Object.fromEntries(route.names.map((name, index) => [name, found[index + 1]]));
+        return { route, params };
+      }
+    }
+    return null;
+  }
+  
+  // Last step of the chain
+  function dispatch(context) {
+    if (!context.route) {
+      if (context.allow) {
+        throw new HttpError(405, 'Method Not Allowed', { Allow: context.allow });
+      }
+      throw new HttpError(404, 'Not Found');
+    }
+    return context.route.handler(context);
+  }
+  
+  function run(index, context) {
+    if (index === middleware.length) {
+      return dispatch(context);
+    }
+    return middleware[index](context, () => run(index + 1, context));
+  }
+  
+  async function handle(request, env, ctx) {
+    const url = new URL(request.url);
+    const found = match(url.pathname);
+    
+    const context = {
+      request,
+      env,
+      ctx,
+      url,
+      params: found ? found.params : {},
+      route: found ? resolveMethod(found.route, request.method) : null,
+      allow: found ? Object.keys(found.route.methods).join(', ') : null
+    };
+    
+    return run(0, context);
+  }
+  
+  return { handle };
+}
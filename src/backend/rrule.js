@@ -0,0 +1,261 @@
+/**
+ * Recurrence rules for Band Sync Calendar
+ *
+ * Supports the RFC 5545 subset the app offers: FREQ (DAILY, WEEKLY, MONTHLY,
+ * YEARLY), INTERVAL, BYDAY (plain weekdays, for DAILY and WEEKLY), UNTIL and
+ * COUNT. Times here are wall-clock strings such as "2025-08-02T14:00:00",
+ * and all arithmetic (including UNTIL) is done on the wall clock, so a
+ * weekly 18:00 rehearsal stays at 18:00 across daylight-saving changes.
+ * Stored events are UTC; timezone.js converts them to and from the band's
+ * wall clock around these functions.
+ */
+
+import { ValidationError } from './errors.js';
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Safety limit on candidates looked at while expanding one series
+const MAX_ITERATIONS = 5000;
+
+/**
+ * Parse a wall-clock time ("YYYY-MM-DD[THH:MM[:SS]]...") to milliseconds
+ * @returns {{ms: number, suffix: string}} suffix is whatever followed the seconds (zone, fraction)
+ */
+export function parseWallClock(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?(.*)$/.exec(String(value));
+  if (!match) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  
+  const [, year, month, day, hour = '0', minute = '0', second = '0', suffix] = match;
+  return {
+    ms: Date.UTC(+year, +month - 1, +day, +hour, +minute, +second),
+    suffix
+  };
+}
+
+/**
+ * Format milliseconds as "YYYY-MM-DDTHH:MM:SS" plus a suffix
+ */
+export function formatWallClock(ms, suffix = '') {
+  return new Date(ms).toISOString().slice(0, 19) + suffix;
+}
+
+/**
+ * Parse an UNTIL value (YYYYMMDD or YYYYMMDDTHHMMSS[Z]); a date alone means the whole day
+ */
+function parseUntil(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  if (!match) {
+    throw new ValidationError('UNTIL must be YYYYMMDD or YYYYMMDDTHHMMSS');
+  }
+  
+  const [, year, month, day, hour, minute, second] = match;
+  return hour === undefined
+    ? Date.UTC(+year, +month - 1, +day, 23, 59, 59)
+    : Date.UTC(+year, +month - 1, +day, +hour, +minute, +second);
+}
+
+function formatUntil(ms) {
+  return new Date(ms).toISOString().slice(0, 19).replace(/[-:]/g, '');
+}
+
+/**
+ * Parse and validate a rule such as "FREQ=WEEKLY;BYDAY=SA;UNTIL=20251231"
+ * @returns {{freq: string, interval: number, byDay: number[]|null, until: number|null, count: number|null}}
+ */
+export function parseRRule(value) {
+  if (typeof value !== 'string' || value.length > 200) {
+    throw new ValidationError('rrule must be a string of at most 200 characters');
+  }
+  
+  const rule = { freq: null, interval: 1, byDay: null, until: null, count: null };
+  
+  for (const part of value.replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [key, raw] = part.split('=');
+    const val = (raw || '').toUpperCase();
+    
+    switch (key.toUpperCase()) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(val)) {
+          throw new ValidationError(`FREQ must be one of: ${FREQUENCIES.join(', ')}`);
+        }
+        rule.freq = val;
+        break;
+      case 'INTERVAL':
+        rule.interval = Number(val);
+        if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 99) {
+          throw new ValidationError('INTERVAL must be an integer from 1 to 99');
+        }
+        break;
+      case 'BYDAY':
+        rule.byDay = val.split(',').map(day => {
+          const index = WEEKDAYS.indexOf(day);
+          if (index === -1) {
+            throw new ValidationError('BYDAY must list weekdays (MO, TU, WE, TH, FR, SA, SU)');
+          }
+          return index;
+        });
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(val);
+        break;
+      case 'COUNT':
+        rule.count = Number(val);
+        if (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > 500) {
+          throw new ValidationError('COUNT must be an integer from 1 to 500');
+        }
+        break;
+      default:
+        throw new ValidationError(`Unsupported rrule part: ${key}`);
+    }
+  }
+  
+  if (!rule.freq) {
+    throw new ValidationError('rrule must include FREQ');
+  }
+  
+  if (rule.byDay && !['DAILY', 'WEEKLY'].includes(rule.freq)) {
+    throw new ValidationError('BYDAY is only supported with FREQ=DAILY or FREQ=WEEKLY');
+  }
+  
+  if (rule.until !== null && rule.count !== null) {
+    throw new ValidationError('rrule cannot have both UNTIL and COUNT');
+  }
+  
+  return rule;
+}
+
+/**
+ * Format a parsed rule back to its canonical string
+ */
+export function formatRRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval !== 1) {
+    parts.push(`INTERVAL=${rule.interval}`);
+  }
+  if (rule.byDay) {
+    parts.push(`BYDAY=${rule.byDay.map(day => WEEKDAYS[day]).join(',')}`);
+  }
+  if (rule.until !== null) {
+    parts.push(`UNTIL=${formatUntil(rule.until)}`);
+  }
+  if (rule.count !== null) {
+    parts.push(`COUNT=${rule.count}`);
+  }
+  return parts.join(';');
+}
+
+/**
+ * Yield occurrence start times (ms) of a series in order, honouring COUNT and UNTIL
+ */
+function* iterateOccurrences(startMs, rule) {
+  const start = new Date(startMs);
+  const timeOfDay = startMs % DAY_MS;
+  let produced = 0;
+  
+  const accept = (candidate) => {
+    if (rule.until !== null && candidate > rule.until) {
+      return false;
+    }
+    return rule.count === null || produced < rule.count;
+  };
+  
+  for (let step = 0; step < MAX_ITERATIONS; step++) {
+    let candidates;
+    
+    if (rule.freq === 'DAILY') {
+      const day = startMs + step * rule.interval * DAY_MS;
+      candidates = !rule.byDay || rule.byDay.includes(new Date(day).getUTCDay()) ? [day] : [];
+    } else if (rule.freq === 'WEEKLY') {
+      // Weeks start on Monday (WKST=MO)
+      const weekStart = startMs - ((start.getUTCDay() + 6) % 7) * DAY_MS + step * rule.interval * 7 * DAY_MS;
+      const days = rule.byDay || [start.getUTCDay()];
+      candidates = days
+        .map(day => weekStart + ((day + 6) % 7) * DAY_MS)
+        .sort((a, b) => a - b)
+        .filter(candidate => candidate >= startMs);
+    } else {
+      // Months or years without the start's day (e.g. the 31st) are skipped
+      const months = rule.freq === 'MONTHLY' ? step * rule.interval : step * rule.interval * 12;
+      const candidate = Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + months, start.getUTCDate()) + timeOfDay;
+      candidates = new Date(candidate).getUTCDate() === start.getUTCDate() ? [candidate] : [];
+    }
+    
+    for (const candidate of candidates) {
+      if (!accept(candidate)) {
+        return;
+      }
+      produced++;
+      yield candidate;
+    }
+  }
+}
+
+/**
+ * Expand a series into the occurrences that overlap a range
+ * @param {Object} event - row with start_time, end_time, rrule and exdates (array of occurrence starts)
+ * @returns {Array<{start_time: string, end_time: string}>}
+ */
+export function expandOccurrences(event, rangeStart, rangeEnd) {
+  const rule = parseRRule(event.rrule);
+  const { ms: startMs, suffix } = parseWallClock(event.start_time);
+  const duration = parseWallClock(event.end_time).ms - startMs;
+  const from = parseWallClock(rangeStart).ms;
+  const to = parseWallClock(rangeEnd).ms;
+  const excluded = new Set((event.exdates || []).map(exdate => parseWallClock(exdate).ms));
+  
+  const occurrences = [];
+  for (const occurrence of iterateOccurrences(startMs, rule)) {
+    if (occurrence > to) {
+      break;
+    }
+    if (occurrence + duration >= from && !excluded.has(occurrence)) {
+      occurrences.push({
+        start_time: formatWallClock(occurrence, suffix),
+        end_time: formatWallClock(occurrence + duration, suffix)
+      });
+    }
+  }
+  return occurrences;
+}
+
+/**
+ * Check whether a time is an occurrence of a series (exdates not considered)
+ */
+export function isOccurrence(event, occurrenceStart) {
+  const target = parseWallClock(occurrenceStart).ms;
+  for (const occurrence of iterateOccurrences(parseWallClock(event.start_time).ms, parseRRule(event.rrule))) {
+    if (occurrence >= target) {
+      return occurrence === target;
+    }
+  }
+  return false;
+}
+
+/**
+ * Split a series at an occurrence for "this and all future" edits
+ * @returns {{before: string, after: string, earlier: number}} rule ending just
+ *   before the occurrence, rule for a new series starting at it (COUNT
+ *   reduced), and how many occurrences came before it
+ */
+export function splitRRule(event, occurrenceStart) {
+  const rule = parseRRule(event.rrule);
+  const target = parseWallClock(occurrenceStart).ms;
+  
+  let earlier = 0;
+  for (const occurrence of iterateOccurrences(parseWallClock(event.start_time).ms, rule)) {
+    if (occurrence >= target) {
+      break;
+    }
+    earlier++;
+  }
+  
+  return {
+    before: formatRRule({ ...rule, count: null, until: target - 1000 }),
+    after: formatRRule({ ...rule, count: rule.count === null ? null : rule.count - earlier }),
+    earlier
+  };
+}
@@ -0,0 +1,182 @@
+/**
+ * Slot recommendations for Band Sync Calendar
+ *
+ * Finds time windows of a given length in which as many members as possible
+ * are ○ or △, without clashing with existing events. Like rrule.js this
+ * works on wall-clock strings ("2025-08-02T18:00:00"), compared as
+ * milliseconds on a UTC clock.
+ */
+
+import { ValidationError } from './errors.js';
+import { parseWallClock, formatWallClock } from './rrule.js';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Windows are only suggested within these hours of a day
+export const DEFAULT_DAY_START = '09:00';
+export const DEFAULT_DAY_END = '23:00';
+
+const STATUS_RANK = { good: 2, ok: 1 };
+
+/**
+ * Parse "HH:MM" to minutes after midnight
+ */
+function parseClock(value, fieldName) {
+  const match = /^([01]\d|2[0-4]):([0-5]\d)$/.exec(String(value));
+  if (!match || (match[1] === '24' && match[2] !== '00')) {
+    throw new ValidationError(`${fieldName} must be a time like 18:00`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Status of one member over a window
+ *
+ * "good" or "ok" when ○/△ entries cover the whole window (the worst of them
+ * counts), "bad" when any part is ×, otherwise "unanswered".
+ */
+function windowStatus(intervals, from, to) {
+  let covered = from;
+  let status = 'good';
+  let hasBad = false;
+  
+  for (const interval of intervals) {
+    if (interval.end <= from || interval.start >= to) {
+      continue;
+    }
+    if (interval.status === 'bad') {
+      hasBad = true;
+      continue;
+    }
+    if (interval.start > covered) {
+      continue;
+    }
+    covered = Math.max(covered, interval.end);
+    if (STATUS_RANK[interval.status] < STATUS_RANK[status]) {
+      status = interval.status;
+    }
+  }
+  
+  if (hasBad) {
+    return 'bad';
+  }
+  return covered >= to ? status : 'unanswered';
+}
+
+/**
+ * Rank candidate windows
+ * @param {Object} options
+ * @param {string[]} options.members - names of the members to consider
+ * @param {Array} options.availability - rows {member_name, start_time, end_time, status}; non-overlapping per member
+ * @param {Array} options.busy - {start_time, end_time} of existing events
+ * @param {string} options.start - range start (wall clock)
+ * @param {string} options.end - range end (wall clock)
+ * @param {number} options.duration - window length in minutes
+ * @param {number} [options.minMembers=1] - members that must be ○ or △
+ * @param {string[]} [options.required=[]] - members that must be ○ or △
+ * @param {string} [options.dayStart] / [options.dayEnd] - "HH:MM" bounds of a day
+ * @param {number} [options.limit=10]
+ * @returns {Array<{start_time, end_time, available, good, ok, members: Array<{name, status}>}>}
+ *   best first; overlapping windows are left out in favour of better ones
+ */
+export function suggestSlots({
+  members,
+  availability,
+  busy,
+  start,
+  end,
+  duration,
+  minMembers = 1,
+  required = [],
+  dayStart = DEFAULT_DAY_START,
+  dayEnd = DEFAULT_DAY_END,
+  limit = 10
+}) {
+  const rangeStart = parseWallClock(start).ms;
+  const rangeEnd = parseWallClock(end).ms;
+  const length = duration * MINUTE_MS;
+  const dayFrom = parseClock(dayStart, 'dayStart') * MINUTE_MS;
+  const dayTo = parseClock(dayEnd, 'dayEnd') * MINUTE_MS;
+  
+  const toInterval = row => ({
+    start: parseWallClock(row.start_time).ms,
+    end: parseWallClock(row.end_time).ms,
+    status: row.status
+  });
+  
+  const byMember = new Map(members.map(name => [name, []]));
+  availability.forEach(row => {
+    if (byMember.has(row.member_name)) {
+      byMember.get(row.member_name).push(toInterval(row));
+    }
+  });
+  byMember.forEach(intervals => intervals.sort((a, b) => a.start - b.start));
+  
+  const busyIntervals = busy.map(toInterval);
+  
+  // Windows start where someone becomes free, where an event ends, at the
+  // start of a day, or end exactly where someone stops being free
+  const starts = new Set();
+  for (let day = rangeStart - (rangeStart % DAY_MS); day <= rangeEnd; day += DAY_MS) {
+    starts.add(day + dayFrom);
+  }
+  byMember.forEach(intervals => intervals
+    .filter(interval => interval.status !== 'bad')
+    .forEach(interval => {
+      starts.add(interval.start);
+      starts.add(interval.end - length);
+    }));
+  busyIntervals.forEach(interval => starts.add(interval.end));
+  
+  const candidates = [];
+  for (const from of starts) {
+    const to = from + length;
+    const day = from - (from % DAY_MS);
+    
+    if (from < rangeStart || to > rangeEnd || from < day + dayFrom || to > day + dayTo) {
+      continue;
+    }
+    if (busyIntervals.some(interval => interval.start < to && interval.end > from)) {
+      continue;
+    }
+    
+    const statuses = members.map(name => ({ name, status: windowStatus(byMember.get(name), from, to) }));
+    const isFree = entry => entry.status === 'good' || entry.status === 'ok';
+    const available = statuses.filter(isFree).length;
+    
+    if (available < minMembers || !required.every(name => isFree(statuses.find(entry => entry.name === name)))) {
+      continue;
+    }
+    
+    candidates.push({
+      from,
+      to,
+      available,
+      good: statuses.filter(entry => entry.status === 'good').length,
+      members: statuses
+    });
+  }
+  
+  // Most members first, then most ○, then earliest
+  candidates.sort((a, b) => b.available - a.available || b.good - a.good || a.from - b.from);
+  
+  const picked = [];
+  for (const candidate of candidates) {
+    if (picked.length >= limit) {
+      break;
+    }
+    if (!picked.some(other => other.from < candidate.to && other.to > candidate.from)) {
+      picked.push(candidate);
+    }
+  }
+  
+  return picked.map(({ from, to, available, good, members: statuses }) => ({
+    start_time: formatWallClock(from),
+    end_time: formatWallClock(to),
+    available,
+    good,
+    ok: available - good,
+    members: statuses
+  }));
+}
@@ -7,6 +7,13 @@
 
 // Configuration
 const API_BASE_URL = 'https://your-worker-name.your-subdomain.workers.dev';
+const TEST_BAND_ID = 'default';
+const BAND_URL = `${API_BASE_URL}/bands/${TEST_BAND_ID}`;
+const TEST_MEMBER_NAME = 'your-display-name'; // a member of the band with a PIN already set
+const TEST_PIN = '0000';
+
+// Session token used for write requests (set by the login test)
+let authToken = null;
 
 /**
  * Test helper function
@@ -17,11 +24,12 @@ async function testEndpoint(name, url, options = {}) {
   
   try {
     const response = await fetch(url, {
+      ...options,
       headers: {
         'Content-Type': 'application/json',
+        ...(authToken ? { 'Authorization': `Bearer ${authToken}` } : {}),
         ...options.headers
-      },
-      ...options
+      }
     });
     
     const data = await response.json();
@@ -49,12 +57,41 @@ async function runTests() {
   // Test 1: API Info
   await testEndpoint('API Info', `${API_BASE_URL}/`);
   
+  // Test 1b: Login (band routes below need a session)
+  const loginResult = await testEndpoint('Login', `${API_BASE_URL}/auth/login`, {
+    method: 'POST',
+    body: JSON.stringify({ band_id: TEST_BAND_ID, display_name: TEST_MEMBER_NAME, pin: TEST_PIN })
+  });
+  
+  if (loginResult.success) {
+    authToken = loginResult.data.token;
+  }
+  
+  // A first PIN needs a setup code from a band leader
+  await testEndpoint('Set PIN Without Setup Code', `${API_BASE_URL}/auth/pin`, {
+    method: 'POST',
+    body: JSON.stringify({ code: 'NOTACODE', pin: '1234' })
+  });
+  
+  // Test 1c: Band settings (time zone, sync window and browsable history)
+  await testEndpoint('Get Config', `${API_BASE_URL}/config`);
+  
+  await testEndpoint('Invalid Sync Window', `${API_BASE_URL}/config`, {
+    method: 'PATCH',
+    body: JSON.stringify({ sync_months_ahead: 13 })
+  });
+  
+  await testEndpoint('Invalid Time Zone', `${API_BASE_URL}/config`, {
+    method: 'PATCH',
+    body: JSON.stringify({ timezone: 'Mars/Olympus_Mons' })
+  });
+  
   // Test 2: Get Events (empty)
   const now = new Date().toISOString();
   const future = new Date(Date.now() + 60 * 24 * 60 * 60 * 1000).toISOString(); // +60 days
   await testEndpoint(
     'Get Events (empty)', 
-    `${API_BASE_URL}/events?start=${now}&end=${future}`
+    `${BAND_URL}/events?start=${now}&end=${future}`
   );
   
   // Test 3: Create Event
@@ -66,21 +103,168 @@ async function runTests() {
     created_by: 'テスト太郎'
   };
   
-  await testEndpoint('Create Event', `${API_BASE_URL}/events`, {
+  await testEndpoint('Create Event', `${BAND_URL}/events`, {
     method: 'POST',
     body: JSON.stringify(eventData)
   });
   
   // Test 4: Get Events (with data)
-  await testEndpoint(
+  const eventsResult = await testEndpoint(
     'Get Events (with data)', 
-    `${API_BASE_URL}/events?start=${now}&end=${future}`
+    `${BAND_URL}/events?start=${now}&end=${future}`
   );
   
+  // Test 4b: Update Event
+  const createdEvent = eventsResult.success && eventsResult.data.find(e => e.title === eventData.title);
+  if (createdEvent) {
+    await testEndpoint('Update Event', `${BAND_URL}/events/${createdEvent.id}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ title: '下北沢LIVE (時間変更)' })
+    });
+    
+    // Test 4b2: Attendance
+    await testEndpoint('Answer Attendance', `${BAND_URL}/events/${createdEvent.id}/responses`, {
+      method: 'POST',
+      body: JSON.stringify({ response: 'maybe', comment: '30分遅れます' })
+    });
+    
+    await testEndpoint('Get Attendance', `${BAND_URL}/events/${createdEvent.id}/responses`);
+    
+    await testEndpoint('Invalid Attendance', `${BAND_URL}/events/${createdEvent.id}/responses`, {
+      method: 'POST',
+      body: JSON.stringify({ response: 'yes' })
+    });
+    
+    // Test 4b3: Comments
+    const commentResult = await testEndpoint('Post Comment', `${BAND_URL}/events/${createdEvent.id}/comments`, {
+      method: 'POST',
+      body: JSON.stringify({ body: '機材車出せます' })
+    });
+    
+    await testEndpoint('Get Comments', `${BAND_URL}/events/${createdEvent.id}/comments`);
+    
+    if (commentResult.success) {
+      await testEndpoint('Delete Comment', `${BAND_URL}/events/${createdEvent.id}/comments/${commentResult.data.id}`, {
+        method: 'DELETE'
+      });
+    }
+    
+    // Test 4b4: Setlist
+    const songResult = await testEndpoint('Create Song', `${BAND_URL}/songs`, {
+      method: 'POST',
+      body: JSON.stringify({ title: `テスト曲 ${Date.now()}`, duration_seconds: 245 })
+    });
+    
+    if (songResult.success) {
+      await testEndpoint('Save Setlist', `${BAND_URL}/events/${createdEvent.id}/setlist`, {
+        method: 'PUT',
+        body: JSON.stringify({ items: [
+          { kind: 'song', song_id: songResult.data.id },
+          { kind: 'mc', duration_seconds: 120, note: 'メンバー紹介' }
+        ] })
+      });
+      
+      await testEndpoint('Get Setlist', `${BAND_URL}/events/${createdEvent.id}/setlist`);
+      
+      await testEndpoint('Mark Song Readiness', `${BAND_URL}/songs/${songResult.data.id}/readiness`, {
+        method: 'PUT',
+        body: JSON.stringify({ readiness: 'practicing' })
+      });
+      
+      await testEndpoint('Get Repertoire', `${BAND_URL}/songs`);
+      
+      await testEndpoint('Delete Song In Setlist', `${BAND_URL}/songs/${songResult.data.id}`, {
+        method: 'DELETE'
+      });
+    }
+    
+    // Test 4c: Delete Event
+    await testEndpoint('Delete Event', `${BAND_URL}/events/${createdEvent.id}`, {
+      method: 'DELETE'
+    });
+  }
+  
+  // Test 4c2: Event Details
+  await testEndpoint('Create Event with Details', `${BAND_URL}/events`, {
+    method: 'POST',
+    body: JSON.stringify({
+      ...eventData,
+      title: '渋谷ワンマン',
+      location: '渋谷クアトロ',
+      url: 'https://example.com/tickets',
+      call_time: '15:00',
+      open_time: '18:00',
+      show_time: '18:30',
+      notes: '**アンプ持参**\n- 物販は開場から'
+    })
+  });
+  
+  await testEndpoint('Invalid Event URL', `${BAND_URL}/events`, {
+    method: 'POST',
+    body: JSON.stringify({ ...eventData, url: 'javascript:alert(1)' })
+  });
+  
+  await testEndpoint('Delete Missing Event', `${BAND_URL}/events/does-not-exist`, {
+    method: 'DELETE'
+  });
+  
+  // Test 4c3: Date Poll (the test member may not be a leader, then 403)
+  const pollResult = await testEndpoint('Create Poll', `${BAND_URL}/polls`, {
+    method: 'POST',
+    body: JSON.stringify({
+      title: 'テスト日程調整',
+      type: 'rehearsal',
+      candidates: [
+        { start_time: eventData.start_time, end_time: eventData.end_time },
+        { start_time: eventData.end_time, end_time: new Date(Date.parse(eventData.end_time) + 2 * 60 * 60 * 1000).toISOString() }
+      ]
+    })
+  });
+  
+  if (pollResult.success) {
+    const [first] = pollResult.data.candidates;
+    
+    await testEndpoint('Vote on Poll', `${BAND_URL}/polls/${pollResult.data.id}/votes`, {
+      method: 'PUT',
+      body: JSON.stringify({ votes: { [first.id]: 'good' } })
+    });
+    
+    await testEndpoint('Close Poll', `${BAND_URL}/polls/${pollResult.data.id}/close`, {
+      method: 'POST',
+      body: JSON.stringify({ candidate_id: first.id })
+    });
+  }
+  
+  // Test 4d: Recurring Event (weekly, 4 times)
+  const seriesResult = await testEndpoint('Create Recurring Event', `${BAND_URL}/events`, {
+    method: 'POST',
+    body: JSON.stringify({ ...eventData, title: '定期リハ', type: 'rehearsal', rrule: 'FREQ=WEEKLY;COUNT=4' })
+  });
+  
+  if (seriesResult.success) {
+    const occurrences = await testEndpoint(
+      'Get Recurring Occurrences',
+      `${BAND_URL}/events?start=${now}&end=${future}`
+    );
+    const second = occurrences.success && occurrences.data.filter(e => e.groupId === seriesResult.data.id)[1];
+    
+    if (second) {
+      await testEndpoint('Edit One Occurrence', `${BAND_URL}/events/${seriesResult.data.id}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ scope: 'this', occurrence_start: second.extendedProps.occurrenceStart, title: '定期リハ (延長)' })
+      });
+      
+      const occurrenceStart = encodeURIComponent(second.extendedProps.occurrenceStart);
+      await testEndpoint('Delete Future Occurrences', `${BAND_URL}/events/${seriesResult.data.id}?scope=future&occurrence_start=${occurrenceStart}`, {
+        method: 'DELETE'
+      });
+    }
+  }
+  
   // Test 5: Get Availability (empty)
   await testEndpoint(
     'Get Availability (empty)', 
-    `${API_BASE_URL}/availability?start=${now}&end=${future}`
+    `${BAND_URL}/availability?start=${now}&end=${future}`
   );
   
   // Test 6: Create Availability
@@ -91,7 +275,7 @@ async function runTests() {
     status: 'good'
   };
   
-  await testEndpoint('Create Availability', `${API_BASE_URL}/availability`, {
+  await testEndpoint('Create Availability', `${BAND_URL}/availability`, {
     method: 'POST',
     body: JSON.stringify(availabilityData)
   });
@@ -99,7 +283,7 @@ async function runTests() {
   // Test 7: Get Availability (with data)
   await testEndpoint(
     'Get Availability (with data)', 
-    `${API_BASE_URL}/availability?start=${now}&end=${future}`
+    `${BAND_URL}/availability?start=${now}&end=${future}`
   );
   
   // Test 8: Upsert Availability (update existing)
@@ -108,13 +292,88 @@ async function runTests() {
     status: 'ok' // Change status
   };
   
-  await testEndpoint('Upsert Availability', `${API_BASE_URL}/availability`, {
+  await testEndpoint('Upsert Availability', `${BAND_URL}/availability`, {
     method: 'POST',
     body: JSON.stringify(updatedAvailabilityData)
   });
   
+  // Test 8b: Clear Availability
+  await testEndpoint('Clear Availability', `${BAND_URL}/availability`, {
+    method: 'DELETE',
+    body: JSON.stringify({
+      member_name: availabilityData.member_name,
+      start_time: availabilityData.start_time,
+      end_time: availabilityData.end_time
+    })
+  });
+  
+  // Test 8b2: Batch Availability (second slot is outside the sync period)
+  await testEndpoint('Batch Availability', `${BAND_URL}/availability/batch`, {
+    method: 'POST',
+    body: JSON.stringify({
+      slots: [
+        { start_time: availabilityData.start_time, end_time: availabilityData.end_time, status: 'good' },
+        { start_time: '2020-01-01T00:00:00+09:00', end_time: '2020-01-01T23:59:59+09:00', status: 'good' }
+      ]
+    })
+  });
+  
+  // Test 8b3: Weekly Availability Template (every Tuesday evening busy)
+  await testEndpoint('Save Weekly Template', `${BAND_URL}/availability/template`, {
+    method: 'PUT',
+    body: JSON.stringify({
+      slots: [{ weekday: 2, start_time: '18:00', end_time: '22:00', status: 'bad' }]
+    })
+  });
+  
+  await testEndpoint('Get Weekly Template', `${BAND_URL}/availability/template`);
+  
+  await testEndpoint('Overlapping Template Slots', `${BAND_URL}/availability/template`, {
+    method: 'PUT',
+    body: JSON.stringify({
+      slots: [
+        { weekday: 2, start_time: '18:00', end_time: '22:00', status: 'bad' },
+        { weekday: 2, start_time: '21:00', end_time: '23:00', status: 'good' }
+      ]
+    })
+  });
+  
+  await testEndpoint(
+    'Suggest Slots',
+    `${BAND_URL}/suggest?start=${now}&end=${future}&duration=120&minMembers=1`
+  );
+  
+  await testEndpoint(
+    'Suggest Slots (unknown required member)',
+    `${BAND_URL}/suggest?start=${now}&end=${future}&required=${encodeURIComponent('存在しない人')}`
+  );
+  
+  // Test 8c: Member Roster (members of the band only)
+  await testEndpoint('Get Members', `${BAND_URL}/members`);
+  
+  await testEndpoint('Get Members Without Session', `${BAND_URL}/members`, {
+    headers: { 'Authorization': '' }
+  });
+  
+  await testEndpoint('Invalid Member Color', `${BAND_URL}/members`, {
+    method: 'POST',
+    body: JSON.stringify({ display_name: 'テスト花子', color: 'red' })
+  });
+  
+  // Test 8d: Calendar Feed (iCalendar, not JSON)
+  const feed = await testEndpoint('Get Calendar Feed URL', `${BAND_URL}/feed`);
+  if (feed.success) {
+    console.log('\n🧪 Testing: Calendar Feed');
+    console.log(`📡 GET ${feed.data.url}`);
+    const response = await fetch(`${feed.data.url}&availability=1`);
+    const calendar = await response.text();
+    console.log(`${response.ok ? '✅' : '❌'} (${response.status}):`, calendar.split('\r\n').slice(0, 12).join('\n'));
+  }
+  
+  await testEndpoint('Invalid Feed Token', `${API_BASE_URL}/calendar.ics?token=invalid`);
+  
   // Test 9: Error Cases
-  await testEndpoint('Invalid Event Type', `${API_BASE_URL}/events`, {
+  await testEndpoint('Invalid Event Type', `${BAND_URL}/events`, {
     method: 'POST',
     body: JSON.stringify({
       ...eventData,
@@ -122,7 +381,7 @@ async function runTests() {
     })
   });
   
-  await testEndpoint('Invalid Time Range', `${API_BASE_URL}/events`, {
+  await testEndpoint('Invalid Time Range', `${BAND_URL}/events`, {
     method: 'POST',
     body: JSON.stringify({
       ...eventData,
@@ -131,6 +390,22 @@ async function runTests() {
     })
   });
   
+  // Times without Z or a UTC offset are ambiguous and rejected
+  await testEndpoint('Time Without Offset', `${BAND_URL}/events`, {
+    method: 'POST',
+    body: JSON.stringify({
+      ...eventData,
+      start_time: eventData.start_time.slice(0, 19),
+      end_time: eventData.end_time.slice(0, 19)
+    })
+  });
+  
+  // Known paths answer other methods with 405 and an Allow header
+  await testEndpoint('Method Not Allowed', `${BAND_URL}/events`, {
+    method: 'PUT',
+    body: JSON.stringify(eventData)
+  });
+  
   console.log('\n🏁 Tests completed!');
 }
 
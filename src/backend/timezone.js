@@ -0,0 +1,221 @@
+/**
+ * Time zones for Band Sync Calendar
+ *
+ * Times are stored and exchanged in UTC ("2025-08-02T09:00:00Z"); clients
+ * send them with an explicit offset, which is normalized on the way in. Each
+ * band has an IANA time zone (default Asia/Tokyo) that gives them their
+ * wall-clock meaning: recurring events repeat, weekly templates apply and
+ * days start in it. Wall-clock values are the zone-less strings rrule.js and
+ * suggest.js work on ("2025-08-02T18:00:00").
+ */
+
+import { ValidationError } from './errors.js';
+import { parseWallClock, formatWallClock, expandOccurrences, isOccurrence, splitRRule } from './rrule.js';
+
+export const DEFAULT_TIMEZONE = 'Asia/Tokyo';
+
+const HALF_DAY_MS = 12 * 60 * 60 * 1000;
+const WEEK_MS = 14 * HALF_DAY_MS;
+
+const TIMESTAMP = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+// Formatters are expensive to create, so one is kept per zone
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Validate an IANA time zone name such as "Asia/Tokyo"
+ */
+export function validateTimeZone(value) {
+  if (typeof value !== 'string' || value.length === 0 || value.length > 64) {
+    throw new ValidationError('timezone must be an IANA time zone name such as Asia/Tokyo');
+  }
+  
+  try {
+    getFormatter(value);
+  } catch (error) {
+    throw new ValidationError(`Unknown timezone: ${value}`);
+  }
+  
+  return value;
+}
+
+/**
+ * Parse an ISO 8601 time with Z or a ±HH:MM offset to milliseconds
+ */
+export function parseTimestamp(value) {
+  const match = TIMESTAMP.exec(String(value));
+  if (!match) {
+    throw new ValidationError('Invalid date format. Use ISO 8601 with a UTC offset (e.g. 2025-08-02T18:00:00+09:00).');
+  }
+  
+  const [, year, month, day, hour, minute, second = '00', zone] = match;
+  const wall = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second);
+  const check = new Date(wall);
+  
+  // Date.UTC rolls 2025-02-30 over to March; such dates are invalid
+  if (check.getUTCDate() !== +day || check.getUTCHours() !== +hour || +minute > 59 || +second > 59) {
+    throw new ValidationError(`Invalid date: ${value}`);
+  }
+  
+  if (zone === 'Z') {
+    return wall;
+  }
+  
+  const [offsetHours, offsetMinutes] = zone.slice(1).split(':').map(Number);
+  if (offsetHours > 14 || offsetMinutes > 59) {
+    throw new ValidationError(`Invalid UTC offset: ${zone}`);
+  }
+  
+  const sign = zone[0] === '+' ? 1 : -1;
+  return wall - sign * (offsetHours * 60 + offsetMinutes) * 60 * 1000;
+}
+
+/**
+ * Format milliseconds in the stored form "YYYY-MM-DDTHH:MM:SSZ"
+ */
+export function formatTimestamp(ms) {
+  return new Date(ms).toISOString().slice(0, 19) + 'Z';
+}
+
+/**
+ * Normalize a time with an offset to the stored UTC form
+ */
+export function normalizeTimestamp(value) {
+  return formatTimestamp(parseTimestamp(value));
+}
+
+/**
+ * Offset of a zone from UTC at an instant, in milliseconds
+ */
+function zoneOffset(ms, timeZone) {
+  const parts = Object.fromEntries(getFormatter(timeZone)
+    .formatToParts(new Date(ms))
+    .map(part => [part.type, Number(part.value)]));
+  
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wall - Math.floor(ms / 1000) * 1000;
+}
+
+/**
+ * The wall-clock time in a zone of a stored UTC time
+ */
+export function toWallClock(value, timeZone) {
+  const ms = parseTimestamp(value);
+  return formatWallClock(ms + zoneOffset(ms, timeZone));
+}
+
+/**
+ * The stored UTC time of a wall-clock time in a zone
+ *
+ * Times skipped by a daylight-saving jump move forward by the jump; times
+ * that occur twice resolve to the first of them.
+ */
+export function fromWallClock(value, timeZone) {
+  const wall = parseWallClock(value).ms;
+  
+  // The offsets half a day either side cover any transition near the time
+  const before = wall - zoneOffset(wall - HALF_DAY_MS, timeZone);
+  const after = wall - zoneOffset(wall + HALF_DAY_MS, timeZone);
+  const valid = [before, after].filter(ms => wall - ms === zoneOffset(ms, timeZone));
+  
+  return formatTimestamp(valid.length > 0 ? Math.min(...valid) : before);
+}
+
+/**
+ * The UTC offsets a zone goes through between two stored times
+ *
+ * The first entry is the offset at `start`, each further one a change of
+ * offset. `onset` is the wall-clock time of the change before it happens, as
+ * VTIMEZONE observances start. Changes are looked for a week at a time, so
+ * two within one week (which no zone has) would be missed.
+ * @returns {Array<{onset: string, offsetFrom: number, offsetTo: number}>} offsets in minutes
+ */
+export function findOffsetChanges(timeZone, start, end) {
+  const toMinutes = offset => offset / (60 * 1000);
+  const first = parseTimestamp(start);
+  const last = parseTimestamp(end);
+  const initial = zoneOffset(first, timeZone);
+  const changes = [{ onset: formatWallClock(first + initial), offsetFrom: toMinutes(initial), offsetTo: toMinutes(initial) }];
+  
+  for (let from = first; from < last; from += WEEK_MS) {
+    let low = from;
+    let high = Math.min(from + WEEK_MS, last);
+    const before = zoneOffset(low, timeZone);
+    const after = zoneOffset(high, timeZone);
+    if (before === after) {
+      continue;
+    }
+    
+    // Narrow down to the first second with the new offset
+    while (high - low > 1000) {
+      const middle = Math.floor((low + high) / 2000) * 1000;
+      if (zoneOffset(middle, timeZone) === before) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+    changes.push({ onset: formatWallClock(high + before), offsetFrom: toMinutes(before), offsetTo: toMinutes(after) });
+  }
+  
+  return changes;
+}
+
+/**
+ * A series with its times on the band's wall clock, as rrule.js expects
+ */
+function toWallSeries(event, timeZone) {
+  return {
+    ...event,
+    start_time: toWallClock(event.start_time, timeZone),
+    end_time: toWallClock(event.end_time, timeZone)
+  };
+}
+
+/**
+ * expandOccurrences for a series stored in UTC that repeats on the wall
+ * clock of `timeZone`; exdates is an array of stored occurrence starts
+ */
+export function expandZonedOccurrences(event, rangeStart, rangeEnd, timeZone) {
+  return expandOccurrences(
+    {
+      ...toWallSeries(event, timeZone),
+      exdates: (event.exdates || []).map(exdate => toWallClock(exdate, timeZone))
+    },
+    toWallClock(rangeStart, timeZone),
+    toWallClock(rangeEnd, timeZone)
+  ).map(occurrence => ({
+    start_time: fromWallClock(occurrence.start_time, timeZone),
+    end_time: fromWallClock(occurrence.end_time, timeZone)
+  }));
+}
+
+/**
+ * isOccurrence for a series stored in UTC (see expandZonedOccurrences)
+ */
+export function isZonedOccurrence(event, occurrenceStart, timeZone) {
+  return isOccurrence(toWallSeries(event, timeZone), toWallClock(occurrenceStart, timeZone));
+}
+
+/**
+ * splitRRule for a series stored in UTC (see expandZonedOccurrences)
+ */
+export function splitZonedRRule(event, occurrenceStart, timeZone) {
+  return splitRRule(toWallSeries(event, timeZone), toWallClock(occurrenceStart, timeZone));
+}
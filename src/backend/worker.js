@@ -2,10 +2,102 @@
  * Band Sync Calendar - Cloudflare Worker API
  * 
  * Provides REST API endpoints for band calendar synchronization
- * - GET/POST /events - Manage shared events (performances, rehearsals)
- * - GET/POST /availability - Manage member availability (○/△/×)
+ * - GET/POST /bands, POST /bands/join - List or start bands, join with an invite code
+ * - GET/POST /bands/:id/events - Manage shared events (performances, rehearsals)
+ * - PATCH/DELETE /bands/:id/events/:eventId - Edit or remove an event (or part of a recurring series)
+ * - GET/POST /bands/:id/events/:eventId/responses - Attendance answers (going/maybe/no) for an event
+ * - GET/POST /bands/:id/events/:eventId/comments, DELETE /bands/:id/events/:eventId/comments/:commentId - Discussion thread of an event
+ * - GET/PUT /bands/:id/events/:eventId/setlist - The setlist of a live (songs and MC breaks in order)
+ * - GET/POST /bands/:id/songs, PATCH/DELETE /bands/:id/songs/:songId - Manage the band's song library (repertoire)
+ * - PUT /bands/:id/songs/:songId/readiness - Mark the logged-in member's readiness for a song
+ * - GET/POST /bands/:id/polls, GET/DELETE /bands/:id/polls/:pollId - Date polls with candidate slots
+ * - PUT /bands/:id/polls/:pollId/votes - Vote ○/△/× on a poll's candidates
+ * - POST /bands/:id/polls/:pollId/close - Close a poll and create the chosen slot as an event (leaders only)
+ * - GET/POST/DELETE /bands/:id/availability - Manage member availability (○/△/×)
+ * - POST /bands/:id/availability/batch - Save or clear many availability slots at once
+ * - GET/PUT /bands/:id/availability/template - The caller's weekly availability pattern
+ * - GET/POST /bands/:id/members, PATCH /bands/:id/members/:memberId - Manage the band member roster
+ * - POST /bands/:id/members/:memberId/setup-code - Issue a one-time PIN setup code (leaders only)
+ * - POST /bands/:id/invites - Issue an invite code (leaders only)
+ * - GET /bands/:id/suggest?start&end&duration&minMembers&required - Recommend slots most members can make
+ * - GET /bands/:id/changes?since=<cursor> - Event/availability changes since a cursor (delta sync)
+ * - GET /bands/:id/live?token=<session token> - WebSocket that announces new changes
+ * - GET/DELETE /bands/:id/feed - The caller's calendar feed URL, or revoke it
+ * - GET /calendar.ics?token=<feed token> - iCalendar feed of band events (for webcal subscriptions)
+ * - GET/PATCH /config - The caller's band settings: time zone, write window and browsable history
+ * - POST /auth/pin, POST /auth/login, GET /auth/session - Per-member PIN login
+ * 
+ * Routes are declared in ROUTES (see router.js) and run through the
+ * middleware chain: request id, CORS, error mapping, rate limiting,
+ * authentication and JSON body parsing. Other methods on a known path get 405.
+ * 
+ * Band routes require `Authorization: Bearer <session token>` of a member of
+ * that band; the acting member is taken from the token, never from the
+ * request body. Only the band list, joining, login and PIN setup are public.
+ * 
+ * Writes (POST/PUT/PATCH/DELETE) are rate limited per client IP and per
+ * member; over the limit the answer is 429 with `Retry-After`.
+ * 
+ * Times are sent with a UTC offset and stored and returned in UTC
+ * ("2025-08-02T09:00:00Z"); the band's time zone (see GET /config) decides
+ * where days start and on which wall-clock time recurring events repeat.
  */
 
+import { hashPin, verifyPin, signSessionToken, verifySessionToken, generateInviteCode, generateFeedToken } from './auth.js';
+import { parseRRule, formatRRule } from './rrule.js';
+import {
+  DEFAULT_TIMEZONE, validateTimeZone, parseTimestamp, formatTimestamp, normalizeTimestamp,
+  toWallClock, fromWallClock, expandZonedOccurrences, isZonedOccurrence, splitZonedRRule
+} from './timezone.js';
+import { buildCalendar } from './ical.js';
+import { suggestSlots } from './suggest.js';
+import { takeToken, pruneRateLimits } from './rate-limit.js';
+import { HttpError, ValidationError } from './errors.js';
+import { createRouter } from './router.js';
+
+// Durable Object class must be exported from the main module
+export { BandChannel } from './band-channel.js';
+
+const MAX_FAILED_LOGINS = 5;
+const LOGIN_LOCK_MINUTES = 15;
+const INVITE_TTL_DAYS = 7;
+const SETUP_CODE_TTL_HOURS = 72;
+const MAX_CHANGES_PER_SYNC = 500;
+const MAX_AVAILABILITY_BATCH = 100;
+const EDIT_SCOPES = ['this', 'future', 'all'];
+const MAX_TEMPLATE_SLOTS = 50;
+const MAX_SUGGEST_DAYS = 62;
+const RSVP_RESPONSES = ['going', 'maybe', 'no'];
+const MAX_COMMENT_LENGTH = 1000;
+const MAX_EVENT_NOTES = 5000;
+const EVENT_DETAIL_FIELDS = ['location', 'notes', 'url', 'call_time', 'open_time', 'show_time'];
+const MAX_SETLIST_ITEMS = 50;
+const SETLIST_ITEM_KINDS = ['song', 'mc'];
+const SONG_STATUSES = ['new', 'practicing', 'ready'];
+const POLL_VOTES = ['good', 'ok', 'bad'];
+const POLL_VOTE_SCORES = { good: 2, ok: 1, bad: 0 };
+const MAX_POLL_CANDIDATES = 20;
+const MAX_POLLS_LISTED = 50;
+
+// JSON request bodies; events (notes) and availability batches are larger
+const MAX_BODY_SIZE = 1024 * 10;
+const MAX_EVENT_BODY_SIZE = 1024 * 32;
+
+// Client-supplied request ids are echoed only if they look like one
+const REQUEST_ID = /^[A-Za-z0-9._-]{1,128}$/;
+
+// Write requests per minute (also the burst size); RATE_LIMIT_IP and
+// RATE_LIMIT_MEMBER override them, 0 turns a limit off
+const RATE_LIMIT_IP = 60;
+const RATE_LIMIT_MEMBER = 30;
+const RATE_LIMIT_PRUNE_CHANCE = 0.01;
+
+// Band settings: months ahead that can be written, months back that can be browsed
+const DEFAULT_SYNC_MONTHS_AHEAD = 2;
+const DEFAULT_HISTORY_MONTHS = 12;
+const MAX_SYNC_MONTHS_AHEAD = 12;
+const MAX_HISTORY_MONTHS = 36;
+
 /**
  * Get CORS headers based on environment and origin
  */
@@ -22,10 +114,11 @@ function getCORSHeaders(request, env) {
   
   return {
     'Access-Control-Allow-Origin': allowOrigin,
-    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Requested-With',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Requested-With, X-Request-Id',
     'Access-Control-Max-Age': '86400',
     'Access-Control-Allow-Credentials': 'false',
+    'Access-Control-Expose-Headers': 'Retry-After, X-Request-Id',
   };
 }
 
@@ -45,7 +138,7 @@ function handleCORS(request, env) {
 function errorResponse(message, status = 400, request = null, env = null) {
   const corsHeaders = request && env ? getCORSHeaders(request, env) : {
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
     'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Requested-With',
   };
   
@@ -67,7 +160,7 @@ function errorResponse(message, status = 400, request = null, env = null) {
 function successResponse(data, status = 200, request = null, env = null) {
   const corsHeaders = request && env ? getCORSHeaders(request, env) : {
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
     'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Requested-With',
   };
   
@@ -81,37 +174,85 @@ function successResponse(data, status = 200, request = null, env = null) {
 }
 
 /**
- * Validate time range (start < end)
+ * Validate time range (start < end) of times with a UTC offset
+ * @returns {{start: string, end: string}} both normalized to UTC
  */
 function validateTimeRange(startTime, endTime) {
-  const start = new Date(startTime);
-  const end = new Date(endTime);
-  
-  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
-    throw new Error('Invalid date format. Use ISO 8601 format.');
-  }
+  const start = normalizeTimestamp(startTime);
+  const end = normalizeTimestamp(endTime);
   
   if (start >= end) {
-    throw new Error('Start time must be before end time.');
+    throw new ValidationError('Start time must be before end time.');
   }
   
   return { start, end };
 }
 
 /**
- * Validate sync period (today to +2 months)
+ * A band's settings (see GET /config)
+ * @returns {Promise<{sync_months_ahead: number, history_months: number, timezone: string}>}
+ */
+async function loadBandSettings(env, bandId) {
+  const band = await env.DB.prepare(`
+    SELECT sync_months_ahead, history_months, timezone
+    FROM bands
+    WHERE id = ?
+  `).bind(bandId).first();
+  
+  return {
+    sync_months_ahead: band ? band.sync_months_ahead : DEFAULT_SYNC_MONTHS_AHEAD,
+    history_months: band ? band.history_months : DEFAULT_HISTORY_MONTHS,
+    timezone: band ? band.timezone : DEFAULT_TIMEZONE
+  };
+}
+
+/**
+ * Shift a date ("YYYY-MM-DD") by whole months
+ */
+function addMonths(date, months) {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCMonth(shifted.getUTCMonth() + months);
+  return shifted.toISOString().slice(0, 10);
+}
+
+/**
+ * Today's date in the band's time zone
+ */
+function getBandToday(settings) {
+  return toWallClock(formatTimestamp(Date.now()), settings.timezone).slice(0, 10);
+}
+
+/**
+ * Sync period bounds (today to +sync_months_ahead months, whole days in the
+ * band's time zone), the window in which events and availability can be written
+ * @returns {{start: string, end: string}} UTC times
  */
-function validateSyncPeriod(dateTime) {
-  const date = new Date(dateTime);
-  const today = new Date();
-  today.setHours(0, 0, 0, 0); // Start of today
+function getSyncPeriod(settings) {
+  const today = getBandToday(settings);
   
-  const twoMonthsFromNow = new Date();
-  twoMonthsFromNow.setMonth(today.getMonth() + 2);
-  twoMonthsFromNow.setHours(23, 59, 59, 999); // End of day
+  return {
+    start: fromWallClock(`${today}T00:00:00`, settings.timezone),
+    end: fromWallClock(`${addMonths(today, settings.sync_months_ahead)}T23:59:59`, settings.timezone)
+  };
+}
+
+/**
+ * Start of the read-only history (UTC): the first day of the month
+ * history_months before the current one
+ */
+function getHistoryStart(settings) {
+  const firstOfMonth = `${getBandToday(settings).slice(0, 8)}01`;
+  return fromWallClock(`${addMonths(firstOfMonth, -settings.history_months)}T00:00:00`, settings.timezone);
+}
+
+/**
+ * Validate sync period (today to +sync_months_ahead months) of a UTC time
+ */
+function validateSyncPeriod(dateTime, settings) {
+  const { start, end } = getSyncPeriod(settings);
   
-  if (date < today || date > twoMonthsFromNow) {
-    throw new Error('Date must be within sync period (today to +2 months).');
+  if (dateTime < start || dateTime > end) {
+    throw new ValidationError(`Date must be within sync period (today to +${settings.sync_months_ahead} months).`);
   }
 }
 
@@ -120,21 +261,21 @@ function validateSyncPeriod(dateTime) {
  */
 function validateString(value, fieldName, minLength = 1, maxLength = 255) {
   if (typeof value !== 'string') {
-    throw new Error(`${fieldName} must be a string`);
+    throw new ValidationError(`${fieldName} must be a string`);
   }
   
   const trimmed = value.trim();
   if (trimmed.length < minLength) {
-    throw new Error(`${fieldName} must be at least ${minLength} characters`);
+    throw new ValidationError(`${fieldName} must be at least ${minLength} characters`);
   }
   
   if (trimmed.length > maxLength) {
-    throw new Error(`${fieldName} must be no more than ${maxLength} characters`);
+    throw new ValidationError(`${fieldName} must be no more than ${maxLength} characters`);
   }
   
   // Basic XSS prevention
   if (/<script|javascript:|on\w+=/i.test(trimmed)) {
-    throw new Error(`${fieldName} contains invalid characters`);
+    throw new ValidationError(`${fieldName} contains invalid characters`);
   }
   
   return trimmed;
@@ -146,134 +287,143 @@ function validateString(value, fieldName, minLength = 1, maxLength = 255) {
 function validateContentType(request) {
   const contentType = request.headers.get('Content-Type');
   if (!contentType || !contentType.includes('application/json')) {
-    throw new Error('Content-Type must be application/json');
+    throw new ValidationError('Content-Type must be application/json');
   }
 }
 
 /**
  * Validate request body size
  */
-async function validateRequestBody(request, maxSize = 1024 * 10) { // 10KB max
+async function validateRequestBody(request, maxSize = MAX_BODY_SIZE) {
   const body = await request.text();
   
   if (body.length > maxSize) {
-    throw new Error(`Request body too large. Maximum ${maxSize} bytes allowed.`);
+    throw new ValidationError(`Request body too large. Maximum ${maxSize} bytes allowed.`);
   }
   
   try {
     return JSON.parse(body);
   } catch (error) {
-    throw new Error('Invalid JSON in request body');
+    throw new ValidationError('Invalid JSON in request body');
   }
 }
 
 /**
- * GET /events - Retrieve events for date range
+ * Validate PIN format (4-8 digits)
  */
-async function getEvents(request, env) {
-  const url = new URL(request.url);
-  const start = url.searchParams.get('start');
-  const end = url.searchParams.get('end');
+function validatePin(pin, fieldName = 'pin') {
+  if (typeof pin !== 'string' || !/^\d{4,8}$/.test(pin)) {
+    throw new ValidationError(`${fieldName} must be 4 to 8 digits`);
+  }
+  return pin;
+}
+
+/**
+ * Resolve the acting member from the Authorization header
+ * @returns {Promise<{id: string, name: string, bandId: string, role: string}|null>} null if the token is missing or invalid
+ */
+async function authenticate(request, env) {
+  if (!env.SESSION_SECRET) {
+    throw new Error('SESSION_SECRET is not configured');
+  }
   
-  if (!start || !end) {
-    return errorResponse('Missing required parameters: start, end', 400, request, env);
+  const header = request.headers.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (!match) {
+    return null;
   }
   
-  try {
-    validateTimeRange(start, end);
-    
-    const query = `
-      SELECT id, title, type, start_time, end_time, created_by, created_at
-      FROM events 
-      WHERE start_time <= ? AND end_time >= ?
-      ORDER BY start_time ASC
-      LIMIT 1000
-    `;
-    
-    const { results } = await env.DB.prepare(query)
-      .bind(end, start)
-      .all();
-    
-    // Transform to FullCalendar format
-    const events = results.map(event => ({
-      id: event.id,
-      title: event.title,
-      start: event.start_time,
-      end: event.end_time,
-      extendedProps: {
-        type: event.type,
-        createdBy: event.created_by,
-        createdAt: event.created_at
-      },
-      classNames: [`event-${event.type}`]
-    }));
-    
-    return successResponse(events, 200, request, env);
-  } catch (error) {
-    return errorResponse(error.message, 400, request, env);
+  return authenticateToken(match[1].trim(), env);
+}
+
+/**
+ * Resolve the acting member from a raw session token
+ */
+async function authenticateToken(token, env) {
+  if (!env.SESSION_SECRET) {
+    throw new Error('SESSION_SECRET is not configured');
+  }
+  
+  const claims = await verifySessionToken(token, env.SESSION_SECRET);
+  if (!claims) {
+    return null;
+  }
+  
+  // Inactive (or removed) members lose write access immediately
+  const member = await env.DB.prepare(`
+    SELECT id, display_name, band_id, role
+    FROM members
+    WHERE id = ? AND active = 1
+  `).bind(claims.sub).first();
+  
+  return member
+    ? { id: member.id, name: member.display_name, bandId: member.band_id, role: member.role }
+    : null;
+}
+
+/**
+ * Write limit per minute from an env override or the default
+ */
+function rateLimitSetting(value, defaultLimit) {
+  if (value === undefined || value === '') {
+    return defaultLimit;
   }
+  
+  const limit = Number(value);
+  return Number.isFinite(limit) && limit >= 0 ? limit : defaultLimit;
 }
 
 /**
- * POST /events - Create new event
+ * Take a token from the client's IP bucket and, for requests with a valid
+ * session token, from the member's bucket
+ * @returns {Promise<Response|null>} a 429 response, or null if the request may proceed
  */
-async function createEvent(request, env) {
-  try {
-    // Validate content type
-    validateContentType(request);
-    
-    // Validate and parse request body
-    const body = await validateRequestBody(request);
-    const { title, type, start_time, end_time, created_by } = body;
-    
-    // Validate required fields
-    if (!title || !type || !start_time || !end_time || !created_by) {
-      return errorResponse('Missing required fields: title, type, start_time, end_time, created_by', 400, request, env);
-    }
-    
-    // Validate and sanitize string fields
-    const sanitizedTitle = validateString(title, 'title', 1, 100);
-    const sanitizedCreatedBy = validateString(created_by, 'created_by', 1, 50);
-    
-    // Validate event type
-    if (!['live', 'rehearsal', 'other'].includes(type)) {
-      return errorResponse('Invalid event type. Must be: live, rehearsal, or other', 400, request, env);
-    }
-    
-    // Validate time range
-    validateTimeRange(start_time, end_time);
-    
-    // Validate sync period
-    validateSyncPeriod(start_time);
-    
-    // Insert event
-    const query = `
-      INSERT INTO events (title, type, start_time, end_time, created_by)
-      VALUES (?, ?, ?, ?, ?)
-    `;
-    
-    const result = await env.DB.prepare(query)
-      .bind(sanitizedTitle, type, start_time, end_time, sanitizedCreatedBy)
-      .run();
-    
-    if (!result.success) {
-      return errorResponse('Failed to create event', 500, request, env);
+async function checkRateLimit(request, env, ctx) {
+  const buckets = [];
+  
+  // Set by Cloudflare for every request; missing only in local tests
+  const ip = request.headers.get('CF-Connecting-IP');
+  const ipLimit = rateLimitSetting(env.RATE_LIMIT_IP, RATE_LIMIT_IP);
+  if (ip && ipLimit > 0) {
+    buckets.push({ bucket: `ip:${ip}`, perMinute: ipLimit });
+  }
+  
+  // The signature is enough here; whether the member is still active is
+  // checked by the route itself
+  const memberLimit = rateLimitSetting(env.RATE_LIMIT_MEMBER, RATE_LIMIT_MEMBER);
+  const match = (request.headers.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+  if (match && env.SESSION_SECRET && memberLimit > 0) {
+    const claims = await verifySessionToken(match[1].trim(), env.SESSION_SECRET);
+    if (claims) {
+      buckets.push({ bucket: `member:${claims.sub}`, perMinute: memberLimit });
     }
-    
-    return successResponse({ 
-      id: result.meta.last_row_id,
-      message: 'Event created successfully' 
-    }, 201, request, env);
-    
-  } catch (error) {
-    return errorResponse(error.message, 400, request, env);
   }
+  
+  if (buckets.length === 0) {
+    return null;
+  }
+  
+  const now = Date.now();
+  const results = await Promise.all(buckets.map(({ bucket, perMinute }) => takeToken(env.DB, bucket, perMinute, now)));
+  
+  if (ctx && Math.random() < RATE_LIMIT_PRUNE_CHANCE) {
+    ctx.waitUntil(pruneRateLimits(env.DB, now));
+  }
+  
+  const retryAfter = Math.max(0, ...results.map(result => result.retryAfter));
+  if (retryAfter === 0) {
+    return null;
+  }
+  
+  const response = errorResponse('Too many requests, please try again later', 429, request, env);
+  response.headers.set('Retry-After', String(retryAfter));
+  return response;
 }
 
 /**
- * GET /availability - Retrieve availability for date range
+ * GET /bands/:id/events - Retrieve events for date range
  */
-async function getAvailability(request, env) {
+async function getEvents({ request, env, params: { bandId } }) {
   const url = new URL(request.url);
   const start = url.searchParams.get('start');
   const end = url.searchParams.get('end');
@@ -282,151 +432,3199 @@ async function getAvailability(request, env) {
     return errorResponse('Missing required parameters: start, end', 400, request, env);
   }
   
-  try {
-    validateTimeRange(start, end);
-    
-    const query = `
-      SELECT id, member_name, start_time, end_time, status, updated_at
-      FROM availability 
-      WHERE start_time <= ? AND end_time >= ?
-      ORDER BY start_time ASC, member_name ASC
-      LIMIT 1000
-    `;
-    
-    const { results } = await env.DB.prepare(query)
-      .bind(end, start)
-      .all();
+  const range = validateTimeRange(start, end);
+  const { timezone } = await loadBandSettings(env, bandId);
+  
+  // Recurring events are fetched whenever their series started before the range end
+  const query = `
+    SELECT id, title, type, start_time, end_time, rrule, exdates,
+           location, notes, url, call_time, open_time, show_time, created_by, created_at
+    FROM events 
+    WHERE band_id = ? AND (
+      (rrule IS NULL AND start_time <= ? AND end_time >= ?)
+      OR (rrule IS NOT NULL AND start_time <= ?)
+    )
+    ORDER BY start_time ASC
+    LIMIT 1000
+  `;
+  
+  const { results } = await env.DB.prepare(query)
+    .bind(bandId, range.end, range.start, range.end)
+    .all();
+  
+  const responses = await loadEventResponses(env, bandId, results);
+  const comments = await loadEventComments(env, bandId, results);
+  
+  // Transform to FullCalendar format, expanding recurring events
+  const events = results
+    .flatMap(event => toEventResponses(event, range.start, range.end, timezone, responses, comments))
+    .sort((a, b) => a.start.localeCompare(b.start));
+  
+  return successResponse(events, 200, request, env);
+}
+
+/**
+ * POST /bands/:id/events - Create new event
+ */
+async function createEvent({ request, env, session, body, params: { bandId } }) {
+  const { title, type } = body;
+  const rrule = validateRRule(body.rrule);
+  const details = validateEventDetails(body);
+  
+  // Validate required fields
+  if (!title || !type || !body.start_time || !body.end_time) {
+    return errorResponse('Missing required fields: title, type, start_time, end_time', 400, request, env);
+  }
+  
+  // Validate and sanitize string fields
+  const sanitizedTitle = validateString(title, 'title', 1, 100);
+  
+  // Validate event type
+  if (!['live', 'rehearsal', 'other'].includes(type)) {
+    return errorResponse('Invalid event type. Must be: live, rehearsal, or other', 400, request, env);
+  }
+  
+  // Validate time range
+  const { start: start_time, end: end_time } = validateTimeRange(body.start_time, body.end_time);
+  
+  // Validate sync period
+  validateSyncPeriod(start_time, await loadBandSettings(env, bandId));
+  
+  // Insert event
+  const event = await insertEventStatement(env, bandId, {
+    ...details,
+    title: sanitizedTitle,
+    type,
+    start_time,
+    end_time,
+    rrule,
+    exdates: null,
+    created_by: session.name
+  }).first();
+  
+  if (!event) {
+    return errorResponse('Failed to create event', 500, request, env);
+  }
+  
+  await recordChanges(env, bandId, 'event', [event.id], 'upsert');
+  
+  return successResponse({ 
+    id: event.id,
+    message: 'Event created successfully' 
+  }, 201, request, env);
+}
+
+/**
+ * PATCH /bands/:id/events/:eventId - Update an existing event
+ * 
+ * For recurring events, `scope` picks what changes: "all" (default) edits
+ * the series, "this" detaches the occurrence at `occurrence_start` as a
+ * single event, and "future" ends the series before that occurrence and
+ * continues it as a new series with the changes.
+ */
+async function updateEvent({ request, env, body, params: { bandId, eventId } }) {
+  const existing = await env.DB.prepare(`
+    SELECT id, title, type, start_time, end_time, rrule, exdates,
+           location, notes, url, call_time, open_time, show_time, created_by
+    FROM events
+    WHERE id = ? AND band_id = ?
+  `).bind(eventId, bandId).first();
+  
+  if (!existing) {
+    return errorResponse('Event not found', 404, request, env);
+  }
+  
+  const scope = body.scope || 'all';
+  if (!EDIT_SCOPES.includes(scope)) {
+    return errorResponse('Invalid scope. Must be: this, future, or all', 400, request, env);
+  }
+  
+  const settings = await loadBandSettings(env, bandId);
+  const occurrence = scope === 'all' ? null : findOccurrence(existing, body.occurrence_start, settings.timezone);
+  const base = occurrence || existing;
+  
+  // Only the provided fields are changed
+  const title = body.title !== undefined ? validateString(body.title, 'title', 1, 100) : existing.title;
+  const type = body.type !== undefined ? body.type : existing.type;
+  const rrule = body.rrule !== undefined ? validateRRule(body.rrule) : existing.rrule;
+  
+  // Validate event type
+  if (!['live', 'rehearsal', 'other'].includes(type)) {
+    return errorResponse('Invalid event type. Must be: live, rehearsal, or other', 400, request, env);
+  }
+  
+  // Validate time range
+  const { start: start_time, end: end_time } = validateTimeRange(
+    body.start_time !== undefined ? body.start_time : base.start_time,
+    body.end_time !== undefined ? body.end_time : base.end_time
+  );
+  
+  // Validate sync period (a series may have started before it)
+  if (start_time !== existing.start_time || !existing.rrule) {
+    validateSyncPeriod(start_time, settings);
+  }
+  
+  const details = {
+    ...Object.fromEntries(EVENT_DETAIL_FIELDS.map(field => [field, existing[field]])),
+    ...validateEventDetails(body)
+  };
+  
+  const changes = { ...details, title, type, start_time, end_time, created_by: existing.created_by };
+  const exdates = parseExdates(existing);
+  
+  if (scope === 'this') {
+    // Skip the occurrence in the series and store it as a single event
+    const [, inserted] = await env.DB.batch([
+      env.DB.prepare('UPDATE events SET exdates = ? WHERE id = ?')
+        .bind(formatExdates([...exdates, occurrence.start_time]), eventId),
+      insertEventStatement(env, bandId, { ...changes, rrule: null, exdates: null })
+    ]);
     
-    // Transform to FullCalendar format
-    const availability = results.map(avail => ({
-      id: avail.id,
-      title: `${avail.member_name}: ${getStatusSymbol(avail.status)}`,
-      start: avail.start_time,
-      end: avail.end_time,
-      display: 'background',
-      extendedProps: {
-        memberName: avail.member_name,
-        status: avail.status,
-        updatedAt: avail.updated_at
-      },
-      classNames: [`availability-${avail.status}`]
-    }));
+    return await eventSplitResponse(env, bandId, eventId, inserted, request, (newId, table) => env.DB.prepare(`
+      UPDATE ${table} SET event_id = ?, occurrence_start = ''
+      WHERE event_id = ? AND occurrence_start = ?
+    `).bind(newId, eventId, occurrence.start_time));
+  }
+  
+  const split = scope === 'future' ? splitZonedRRule(existing, occurrence.start_time, settings.timezone) : null;
+  
+  if (split && split.earlier > 0) {
+    // End the series before the occurrence and continue it as a new series;
+    // skipped occurrences carry over unless the times were changed
+    const [, inserted] = await env.DB.batch([
+      env.DB.prepare('UPDATE events SET rrule = ?, exdates = ? WHERE id = ?')
+        .bind(split.before, formatExdates(exdates.filter(date => date < occurrence.start_time)), eventId),
+      insertEventStatement(env, bandId, {
+        ...changes,
+        rrule: body.rrule !== undefined ? rrule : split.after,
+        exdates: start_time === occurrence.start_time
+          ? formatExdates(exdates.filter(date => date >= occurrence.start_time))
+          : null
+      })
+    ]);
     
-    return successResponse(availability, 200, request, env);
-  } catch (error) {
-    return errorResponse(error.message, 400, request, env);
+    return await eventSplitResponse(env, bandId, eventId, inserted, request, (newId, table) => env.DB.prepare(`
+      UPDATE ${table} SET event_id = ?
+      WHERE event_id = ? AND occurrence_start >= ?
+    `).bind(newId, eventId, occurrence.start_time));
+  }
+  
+  // Editing the whole series from its first occurrence on is a plain update
+  const result = await env.DB.prepare(`
+    UPDATE events
+    SET title = ?, type = ?, start_time = ?, end_time = ?, rrule = ?, exdates = ?,
+        location = ?, notes = ?, url = ?, call_time = ?, open_time = ?, show_time = ?
+    WHERE id = ?
+  `).bind(
+    title, type, start_time, end_time, rrule, rrule ? existing.exdates : null,
+    details.location, details.notes, details.url, details.call_time, details.open_time, details.show_time,
+    eventId
+  ).run();
+  
+  if (!result.success) {
+    return errorResponse('Failed to update event', 500, request, env);
   }
+  
+  await recordChanges(env, bandId, 'event', [eventId], 'upsert');
+  
+  return successResponse({ 
+    id: eventId,
+    message: 'Event updated successfully' 
+  }, 200, request, env);
 }
 
 /**
- * POST /availability - Upsert availability data
+ * DELETE /bands/:id/events/:eventId[?scope=this|future&occurrence_start=] - Delete an event
+ * 
+ * For recurring events, "this" skips one occurrence and "future" ends the
+ * series before it; the default "all" deletes the whole series. Like edits,
+ * deletes of a single event or an occurrence must be within the sync period,
+ * so past events stay read-only; a whole series may have started before it.
  */
-async function upsertAvailability(request, env) {
-  try {
-    // Validate content type
-    validateContentType(request);
-    
-    // Validate and parse request body
-    const body = await validateRequestBody(request);
-    const { member_name, start_time, end_time, status } = body;
+async function deleteEvent({ request, env, params: { bandId, eventId } }) {
+  const url = new URL(request.url);
+  const scope = url.searchParams.get('scope') || 'all';
+  if (!EDIT_SCOPES.includes(scope)) {
+    return errorResponse('Invalid scope. Must be: this, future, or all', 400, request, env);
+  }
+  
+  const existing = await env.DB.prepare(`
+    SELECT id, start_time, end_time, rrule, exdates
+    FROM events
+    WHERE id = ? AND band_id = ?
+  `).bind(eventId, bandId).first();
+  
+  if (!existing) {
+    return errorResponse('Event not found', 404, request, env);
+  }
+  
+  const settings = await loadBandSettings(env, bandId);
+  const occurrence = scope === 'all' ? null : findOccurrence(existing, url.searchParams.get('occurrence_start'), settings.timezone);
+  
+  if (occurrence || !existing.rrule) {
+    validateSyncPeriod((occurrence || existing).start_time, settings);
+  }
+  
+  if (occurrence) {
+    const exdates = parseExdates(existing);
+    const split = scope === 'future' ? splitZonedRRule(existing, occurrence.start_time, settings.timezone) : null;
     
-    // Validate required fields
-    if (!member_name || !start_time || !end_time || !status) {
-      return errorResponse('Missing required fields: member_name, start_time, end_time, status', 400, request, env);
+    // Deleting from the first occurrence on removes the whole series below
+    if (!split || split.earlier > 0) {
+      const [rrule, remaining] = split
+        ? [split.before, exdates.filter(date => date < occurrence.start_time)]
+        : [existing.rrule, [...exdates, occurrence.start_time]];
+      
+      await env.DB.prepare('UPDATE events SET rrule = ?, exdates = ? WHERE id = ?')
+        .bind(rrule, formatExdates(remaining), eventId)
+        .run();
+      
+      await recordChanges(env, bandId, 'event', [eventId], 'upsert');
+      
+      return successResponse({ 
+        id: eventId,
+        message: 'Event deleted successfully' 
+      }, 200, request, env);
     }
-    
-    // Validate and sanitize member name
-    const sanitizedMemberName = validateString(member_name, 'member_name', 1, 50);
-    
-    // Validate status
-    if (!['good', 'ok', 'bad'].includes(status)) {
-      return errorResponse('Invalid status. Must be: good, ok, or bad', 400, request, env);
+  }
+  
+  const result = await env.DB.prepare('DELETE FROM events WHERE id = ? AND band_id = ?')
+    .bind(eventId, bandId)
+    .run();
+  
+  if (!result.success) {
+    return errorResponse('Failed to delete event', 500, request, env);
+  }
+  
+  if (result.meta.changes === 0) {
+    return errorResponse('Event not found', 404, request, env);
+  }
+  
+  await recordChanges(env, bandId, 'event', [eventId], 'delete');
+  
+  return successResponse({ 
+    id: eventId,
+    message: 'Event deleted successfully' 
+  }, 200, request, env);
+}
+
+/**
+ * Find the occurrence an attendance answer is for
+ * 
+ * Occurrences of a recurring event are answered separately and keyed by
+ * their start time; single events use an empty key.
+ */
+function resolveResponseOccurrence(event, occurrenceStart, timeZone) {
+  if (!event.rrule) {
+    if (occurrenceStart) {
+      throw new ValidationError('occurrence_start is only valid for recurring events');
     }
-    
-    // Validate time range
-    validateTimeRange(start_time, end_time);
-    
-    // Validate sync period
-    validateSyncPeriod(start_time);
-    
-    // Upsert availability (INSERT OR REPLACE for SQLite)
-    const query = `
-      INSERT OR REPLACE INTO availability (member_name, start_time, end_time, status)
-      VALUES (?, ?, ?, ?)
-    `;
-    
-    const result = await env.DB.prepare(query)
-      .bind(sanitizedMemberName, start_time, end_time, status)
-      .run();
-    
-    if (!result.success) {
-      return errorResponse('Failed to save availability', 500, request, env);
+    return '';
+  }
+  
+  return findOccurrence(event, occurrenceStart, timeZone).start_time;
+}
+
+/**
+ * Attendance answers of event rows, keyed by "<event id>|<occurrence start>"
+ */
+async function loadEventResponses(env, bandId, events) {
+  const responses = new Map();
+  if (events.length === 0) {
+    return responses;
+  }
+  
+  // The ids are passed as one JSON array to stay under the bound parameter limit
+  const { results } = await env.DB.prepare(`
+    SELECT event_id, occurrence_start, member_name, response
+    FROM event_responses
+    WHERE band_id = ? AND event_id IN (SELECT value FROM json_each(?))
+    ORDER BY updated_at ASC
+  `).bind(bandId, JSON.stringify(events.map(event => event.id))).all();
+  
+  results.forEach(row => {
+    const key = `${row.event_id}|${row.occurrence_start}`;
+    if (!responses.has(key)) {
+      responses.set(key, []);
     }
-    
-    return successResponse({ 
-      message: 'Availability saved successfully' 
-    }, 201, request, env);
-    
-  } catch (error) {
-    return errorResponse(error.message, 400, request, env);
+    responses.get(key).push({ member_name: row.member_name, response: row.response });
+  });
+  
+  return responses;
+}
+
+/**
+ * GET /bands/:id/events/:eventId/responses[?occurrence_start=] - Attendance answers for an event
+ * 
+ * Active members who have not answered yet are listed in `missing`.
+ */
+async function getEventResponses({ request, env, params: { bandId, eventId } }) {
+  const event = await env.DB.prepare(`
+    SELECT id, start_time, end_time, rrule, exdates
+    FROM events
+    WHERE id = ? AND band_id = ?
+  `).bind(eventId, bandId).first();
+  
+  if (!event) {
+    return errorResponse('Event not found', 404, request, env);
   }
+  
+  const url = new URL(request.url);
+  const { timezone } = await loadBandSettings(env, bandId);
+  const occurrenceStart = resolveResponseOccurrence(event, url.searchParams.get('occurrence_start'), timezone);
+  
+  const { results } = await env.DB.prepare(`
+    SELECT member_name, response, comment, updated_at
+    FROM event_responses
+    WHERE band_id = ? AND event_id = ? AND occurrence_start = ?
+    ORDER BY updated_at ASC
+  `).bind(bandId, eventId, occurrenceStart).all();
+  
+  const { results: roster } = await env.DB.prepare(`
+    SELECT display_name FROM members WHERE band_id = ? AND active = 1 ORDER BY sort_order ASC
+  `).bind(bandId).all();
+  
+  return successResponse({
+    event_id: eventId,
+    occurrence_start: occurrenceStart || null,
+    responses: results,
+    missing: roster
+      .map(member => member.display_name)
+      .filter(name => !results.some(response => response.member_name === name))
+  }, 200, request, env);
 }
 
 /**
- * Convert status to Japanese symbol
+ * POST /bands/:id/events/:eventId/responses - Answer for the calling member
+ * 
+ * Body: {response: "going" | "maybe" | "no", comment?, occurrence_start?}.
+ * Answering again replaces the previous answer.
  */
-function getStatusSymbol(status) {
-  const symbols = {
-    'good': '○',
-    'ok': '△', 
-    'bad': '×'
-  };
-  return symbols[status] || status;
+async function saveEventResponse({ request, env, session, body, params: { bandId, eventId } }) {
+  if (!RSVP_RESPONSES.includes(body.response)) {
+    return errorResponse('Invalid response. Must be: going, maybe, or no', 400, request, env);
+  }
+  
+  const comment = body.comment ? validateString(body.comment, 'comment', 0, 200) || null : null;
+  
+  const event = await env.DB.prepare(`
+    SELECT id, start_time, end_time, rrule, exdates
+    FROM events
+    WHERE id = ? AND band_id = ?
+  `).bind(eventId, bandId).first();
+  
+  if (!event) {
+    return errorResponse('Event not found', 404, request, env);
+  }
+  
+  const { timezone } = await loadBandSettings(env, bandId);
+  const occurrenceStart = resolveResponseOccurrence(event, body.occurrence_start, timezone);
+  
+  await env.DB.prepare(`
+    INSERT INTO event_responses (band_id, event_id, occurrence_start, member_name, response, comment)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT(event_id, occurrence_start, member_name)
+    DO UPDATE SET response = excluded.response, comment = excluded.comment, updated_at = datetime('now', 'utc')
+  `).bind(bandId, eventId, occurrenceStart, session.name, body.response, comment).run();
+  
+  // Other members' calendars pick up the new answer with the event
+  await recordChanges(env, bandId, 'event', [eventId], 'upsert');
+  
+  return successResponse({
+    event_id: eventId,
+    occurrence_start: occurrenceStart || null,
+    member_name: session.name,
+    response: body.response,
+    comment,
+    message: 'Response saved successfully'
+  }, 200, request, env);
 }
 
 /**
- * Main request handler
+ * Comment metadata (no text) of event rows, keyed like loadEventResponses;
+ * clients count unread comments from it
  */
-export default {
-  async fetch(request, env, ctx) {
-    const url = new URL(request.url);
-    const method = request.method;
-    const pathname = url.pathname;
-    
-    // Handle CORS preflight
-    if (method === 'OPTIONS') {
-      return handleCORS(request, env);
-    }
-    
-    // Route requests
-    try {
-      if (pathname === '/events') {
-        if (method === 'GET') {
-          return await getEvents(request, env);
-        } else if (method === 'POST') {
-          return await createEvent(request, env);
-        }
-      } else if (pathname === '/availability') {
-        if (method === 'GET') {
-          return await getAvailability(request, env);
-        } else if (method === 'POST') {
-          return await upsertAvailability(request, env);
-        }
-      } else if (pathname === '/') {
-        return successResponse({ 
-          message: 'Band Sync Calendar API',
-          version: '1.0.0',
-          endpoints: [
-            'GET/POST /events',
-            'GET/POST /availability'
-          ]
-        }, 200, request, env);
-      }
-      
-      return errorResponse('Not Found', 404, request, env);
-    } catch (error) {
-      console.error('Unhandled error:', error);
-      return errorResponse('Internal Server Error', 500, request, env);
+async function loadEventComments(env, bandId, events) {
+  const comments = new Map();
+  if (events.length === 0) {
+    return comments;
+  }
+  
+  const { results } = await env.DB.prepare(`
+    SELECT id, event_id, occurrence_start, member_name, created_at
+    FROM event_comments
+    WHERE band_id = ? AND event_id IN (SELECT value FROM json_each(?))
+    ORDER BY created_at ASC, rowid ASC
+  `).bind(bandId, JSON.stringify(events.map(event => event.id))).all();
+  
+  results.forEach(row => {
+    const key = `${row.event_id}|${row.occurrence_start}`;
+    if (!comments.has(key)) {
+      comments.set(key, []);
     }
+    comments.get(key).push({ id: row.id, member_name: row.member_name, created_at: row.created_at });
+  });
+  
+  return comments;
+}
+
+/**
+ * Load an event for its comment thread
+ */
+async function loadCommentEvent(env, bandId, eventId) {
+  return env.DB.prepare(`
+    SELECT id, start_time, end_time, rrule, exdates
+    FROM events
+    WHERE id = ? AND band_id = ?
+  `).bind(eventId, bandId).first();
+}
+
+/**
+ * GET /bands/:id/events/:eventId/comments[?occurrence_start=] - Comment thread, oldest first
+ */
+async function getEventComments({ request, env, params: { bandId, eventId } }) {
+  const event = await loadCommentEvent(env, bandId, eventId);
+  if (!event) {
+    return errorResponse('Event not found', 404, request, env);
+  }
+  
+  const url = new URL(request.url);
+  const { timezone } = await loadBandSettings(env, bandId);
+  const occurrenceStart = resolveResponseOccurrence(event, url.searchParams.get('occurrence_start'), timezone);
+  
+  const { results } = await env.DB.prepare(`
+    SELECT id, member_name, body, created_at
+    FROM event_comments
+    WHERE band_id = ? AND event_id = ? AND occurrence_start = ?
+    ORDER BY created_at ASC, rowid ASC
+  `).bind(bandId, eventId, occurrenceStart).all();
+  
+  return successResponse({
+    event_id: eventId,
+    occurrence_start: occurrenceStart || null,
+    comments: results
+  }, 200, request, env);
+}
+
+/**
+ * POST /bands/:id/events/:eventId/comments - Comment as the calling member
+ * 
+ * Body: {body, occurrence_start?}. Occurrences of a recurring event have
+ * their own threads, like attendance answers.
+ */
+async function createEventComment({ request, env, session, body, params: { bandId, eventId } }) {
+  if (!body.body) {
+    return errorResponse('Missing required fields: body', 400, request, env);
+  }
+  
+  const text = validateString(body.body, 'body', 1, MAX_COMMENT_LENGTH);
+  
+  const event = await loadCommentEvent(env, bandId, eventId);
+  if (!event) {
+    return errorResponse('Event not found', 404, request, env);
+  }
+  
+  const { timezone } = await loadBandSettings(env, bandId);
+  const occurrenceStart = resolveResponseOccurrence(event, body.occurrence_start, timezone);
+  
+  const comment = await env.DB.prepare(`
+    INSERT INTO event_comments (band_id, event_id, occurrence_start, member_name, body)
+    VALUES (?, ?, ?, ?, ?)
+    RETURNING id, member_name, body, created_at
+  `).bind(bandId, eventId, occurrenceStart, session.name, text).first();
+  
+  // Other members' calendars pick up the new comment with the event
+  await recordChanges(env, bandId, 'event', [eventId], 'upsert');
+  
+  return successResponse({
+    ...comment,
+    event_id: eventId,
+    occurrence_start: occurrenceStart || null
+  }, 201, request, env);
+}
+
+/**
+ * DELETE /bands/:id/events/:eventId/comments/:commentId - Delete a comment
+ * 
+ * Members delete their own comments; leaders any.
+ */
+async function deleteEventComment({ request, env, session, params: { bandId, eventId, commentId } }) {
+  const comment = await env.DB.prepare(`
+    SELECT id, member_name
+    FROM event_comments
+    WHERE id = ? AND event_id = ? AND band_id = ?
+  `).bind(commentId, eventId, bandId).first();
+  
+  if (!comment) {
+    return errorResponse('Comment not found', 404, request, env);
+  }
+  
+  if (comment.member_name !== session.name && session.role !== 'leader') {
+    return errorResponse('Only the author or a band leader can delete a comment', 403, request, env);
+  }
+  
+  await env.DB.prepare('DELETE FROM event_comments WHERE id = ?').bind(comment.id).run();
+  
+  await recordChanges(env, bandId, 'event', [eventId], 'upsert');
+  
+  return successResponse({ 
+    id: comment.id,
+    message: 'Comment deleted successfully' 
+  }, 200, request, env);
+}
+
+/**
+ * GET /bands/:id/availability - Retrieve availability for date range
+ */
+async function getAvailability({ request, env, params: { bandId } }) {
+  const url = new URL(request.url);
+  const start = url.searchParams.get('start');
+  const end = url.searchParams.get('end');
+  
+  if (!start || !end) {
+    return errorResponse('Missing required parameters: start, end', 400, request, env);
+  }
+  
+  const range = validateTimeRange(start, end);
+  
+  // Transform to FullCalendar format
+  const availability = (await loadAvailability(env, bandId, range.start, range.end)).map(toAvailabilityResponse);
+  
+  return successResponse(availability, 200, request, env);
+}
+
+/**
+ * All members' availability in a range: explicit entries plus the weekly
+ * templates filled in around them, as non-overlapping rows per member
+ */
+async function loadAvailability(env, bandId, start, end) {
+  const query = `
+    SELECT id, member_name, start_time, end_time, status, updated_at
+    FROM availability 
+    WHERE band_id = ? AND start_time <= ? AND end_time >= ?
+    ORDER BY start_time ASC, member_name ASC
+    LIMIT 1000
+  `;
+  
+  const { results } = await env.DB.prepare(query)
+    .bind(bandId, end, start)
+    .all();
+  
+  const { results: templates } = await env.DB.prepare(`
+    SELECT id, member_name, weekday, start_time, end_time, status, updated_at
+    FROM availability_templates
+    WHERE band_id = ?
+  `).bind(bandId).all();
+  
+  const explicit = resolveOverlaps(results);
+  const settings = await loadBandSettings(env, bandId);
+  
+  return [...explicit, ...expandTemplates(templates, explicit, start, end, settings)]
+    .sort((a, b) => a.start_time.localeCompare(b.start_time) || a.member_name.localeCompare(b.member_name));
+}
+
+/**
+ * Validate an availability slot {start_time, end_time, status} against the
+ * band's sync settings
+ * 
+ * With allowClear, status may also be "clear" to withdraw the slot.
+ */
+function validateAvailabilitySlot(slot, settings, allowClear = false) {
+  if (!slot || typeof slot !== 'object') {
+    throw new ValidationError('Slot must be an object');
+  }
+  
+  const { status } = slot;
+  
+  // Validate required fields
+  if (!slot.start_time || !slot.end_time || !status) {
+    throw new ValidationError('Missing required fields: start_time, end_time, status');
+  }
+  
+  // Validate status
+  const statuses = allowClear ? ['good', 'ok', 'bad', 'clear'] : ['good', 'ok', 'bad'];
+  if (!statuses.includes(status)) {
+    throw new ValidationError(`Invalid status. Must be: ${statuses.join(', ')}`);
+  }
+  
+  // Validate time range
+  const { start: start_time, end: end_time } = validateTimeRange(slot.start_time, slot.end_time);
+  
+  // Validate sync period
+  validateSyncPeriod(start_time, settings);
+  
+  return { start_time, end_time, status };
+}
+
+/**
+ * Generate a row id in the same format as the schema default
+ */
+function generateRowId() {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Lay a slot over one member's timeline and return the new timeline
+ * 
+ * The slot wins wherever it overlaps entries of another status: those are
+ * trimmed, or split in two when the slot falls in their middle (the right
+ * part becomes a new row with id null). Entries of the same status that
+ * overlap or touch the slot are merged into it. A "clear" slot only cuts.
+ */
+function applyAvailabilitySlot(timeline, slot) {
+  let start = slot.start_time;
+  let end = slot.end_time;
+  let id = slot.id || null;
+  const merged = new Set();
+  
+  // Grow the slot over same-status neighbours until nothing else touches it
+  let grown = slot.status !== 'clear';
+  while (grown) {
+    grown = false;
+    for (const row of timeline) {
+      if (!merged.has(row) && row.status === slot.status && row.start_time <= end && row.end_time >= start) {
+        merged.add(row);
+        start = row.start_time < start ? row.start_time : start;
+        end = row.end_time > end ? row.end_time : end;
+        id = id || row.id;
+        grown = true;
+      }
+    }
+  }
+  
+  const result = [];
+  for (const row of timeline) {
+    if (merged.has(row)) {
+      continue;
+    }
+    
+    if (row.end_time <= start || row.start_time >= end) {
+      result.push(row);
+      continue;
+    }
+    
+    // Re-entering the exact same slot keeps its id, so clients see an update
+    if (slot.status !== 'clear' && !id && row.start_time === start && row.end_time === end) {
+      id = row.id;
+      continue;
+    }
+    
+    if (row.start_time < start) {
+      result.push({ ...row, end_time: start });
+    }
+    if (row.end_time > end) {
+      result.push({ ...row, id: row.start_time < start ? null : row.id, start_time: end });
+    }
+  }
+  
+  if (slot.status !== 'clear') {
+    result.push({ ...slot, id, start_time: start, end_time: end });
+  }
+  
+  return result.sort((a, b) => a.start_time.localeCompare(b.start_time));
+}
+
+/**
+ * Replace, trim, merge or clear a member's availability with the given slots
+ * 
+ * Later slots override earlier entries, so the member's timeline never
+ * overlaps. All resulting writes go to D1 in one batch (one transaction).
+ * @returns {Promise<{upserted: string[], deleted: string[]}>} changed row ids
+ */
+async function writeAvailability(env, bandId, memberName, slots) {
+  const start = slots.reduce((min, slot) => slot.start_time < min ? slot.start_time : min, slots[0].start_time);
+  const end = slots.reduce((max, slot) => slot.end_time > max ? slot.end_time : max, slots[0].end_time);
+  
+  // Rows that merely touch the range are loaded too, for merging
+  const { results: before } = await env.DB.prepare(`
+    SELECT id, start_time, end_time, status
+    FROM availability
+    WHERE band_id = ? AND member_name = ? AND start_time <= ? AND end_time >= ?
+    ORDER BY start_time ASC
+  `).bind(bandId, memberName, end, start).all();
+  
+  const after = slots.reduce(applyAvailabilitySlot, before);
+  
+  const previous = new Map(before.map(row => [row.id, row]));
+  const kept = new Set(after.map(row => row.id));
+  const deleted = before.filter(row => !kept.has(row.id)).map(row => row.id);
+  const updates = after.filter(row => {
+    const old = row.id && previous.get(row.id);
+    return old && (old.start_time !== row.start_time || old.end_time !== row.end_time || old.status !== row.status);
+  });
+  const inserts = after.filter(row => !row.id).map(row => ({ ...row, id: generateRowId() }));
+  
+  // Deletes first so freed (start, end) pairs can be reused by the rows below
+  const statements = [
+    ...deleted.map(id => env.DB.prepare('DELETE FROM availability WHERE id = ?').bind(id)),
+    ...updates.map(row => env.DB.prepare(`
+      UPDATE availability
+      SET start_time = ?, end_time = ?, status = ?, updated_at = datetime('now', 'utc')
+      WHERE id = ?
+    `).bind(row.start_time, row.end_time, row.status, row.id)),
+    ...inserts.map(row => env.DB.prepare(`
+      INSERT INTO availability (id, band_id, member_name, start_time, end_time, status)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).bind(row.id, bandId, memberName, row.start_time, row.end_time, row.status))
+  ];
+  
+  if (statements.length > 0) {
+    await env.DB.batch(statements);
+  }
+  
+  const upserted = [...updates, ...inserts].map(row => row.id);
+  
+  await recordChanges(env, bandId, 'availability', upserted, 'upsert');
+  await recordChanges(env, bandId, 'availability', deleted, 'delete');
+  
+  // Explicit entries cut the member's template slots, so those change too
+  if (upserted.length > 0 || deleted.length > 0) {
+    await recordChanges(env, bandId, 'template', [memberName], 'upsert');
+  }
+  
+  return { upserted, deleted };
+}
+
+/**
+ * Turn stored rows into a non-overlapping timeline per member
+ * 
+ * Writes keep each timeline normalized; this only matters for rows saved
+ * before that, where the most recently updated entry wins. Pieces split off
+ * such rows get an id derived from the member and start time.
+ */
+function resolveOverlaps(rows) {
+  const byMember = new Map();
+  for (const row of [...rows].sort((a, b) => a.updated_at.localeCompare(b.updated_at))) {
+    byMember.set(row.member_name, applyAvailabilitySlot(byMember.get(row.member_name) || [], row));
+  }
+  
+  return [...byMember.values()]
+    .flat()
+    .map(row => row.id ? row : { ...row, id: `${row.member_name}-${row.start_time}` })
+    .sort((a, b) => a.start_time.localeCompare(b.start_time) || a.member_name.localeCompare(b.member_name));
+}
+
+/**
+ * POST /bands/:id/availability - Upsert availability data
+ * 
+ * Overlapping parts of the member's earlier entries are replaced.
+ */
+async function upsertAvailability({ request, env, session, body, params: { bandId } }) {
+  const slot = validateAvailabilitySlot(body, await loadBandSettings(env, bandId));
+  
+  await writeAvailability(env, bandId, session.name, [slot]);
+  
+  return successResponse({ 
+    message: 'Availability saved successfully' 
+  }, 201, request, env);
+}
+
+/**
+ * DELETE /bands/:id/availability - Withdraw the caller's availability for a time slot
+ * 
+ * Removes the member's entries within the given range and trims the ones
+ * that stick out of it, so clearing a whole day also removes the
+ * time-specific entries of that day.
+ */
+async function deleteAvailability({ request, env, session, body, params: { bandId } }) {
+  // Validate required fields
+  if (!body.start_time || !body.end_time) {
+    return errorResponse('Missing required fields: start_time, end_time', 400, request, env);
+  }
+  
+  // Validate time range
+  const { start: start_time, end: end_time } = validateTimeRange(body.start_time, body.end_time);
+  
+  // Validate sync period
+  validateSyncPeriod(start_time, await loadBandSettings(env, bandId));
+  
+  const { deleted } = await writeAvailability(env, bandId, session.name, [
+    { start_time, end_time, status: 'clear' }
+  ]);
+  
+  return successResponse({ 
+    deleted: deleted.length,
+    message: 'Availability cleared successfully' 
+  }, 200, request, env);
+}
+
+/**
+ * POST /bands/:id/availability/batch - Save or clear many slots at once
+ * 
+ * Body: { slots: [{ start_time, end_time, status }] }, where status "clear"
+ * withdraws the slot like DELETE /availability. Every slot is validated on
+ * its own and reported in `results`; the valid ones are applied in order
+ * (later slots override earlier ones) in one D1 batch, which runs as a
+ * single transaction.
+ */
+async function batchAvailability({ request, env, session, body, params: { bandId } }) {
+  const { slots } = body;
+  
+  if (!Array.isArray(slots) || slots.length === 0) {
+    return errorResponse('slots must be a non-empty array', 400, request, env);
+  }
+  
+  if (slots.length > MAX_AVAILABILITY_BATCH) {
+    return errorResponse(`No more than ${MAX_AVAILABILITY_BATCH} slots per batch`, 400, request, env);
+  }
+  
+  const results = [];
+  const valid = [];
+  const settings = await loadBandSettings(env, bandId);
+  
+  slots.forEach((slot, index) => {
+    try {
+      valid.push(validateAvailabilitySlot(slot, settings, true));
+      results.push({ index, ok: true });
+    } catch (error) {
+      if (!(error instanceof ValidationError)) {
+        throw error;
+      }
+      results.push({ index, ok: false, error: error.message });
+    }
+  });
+  
+  if (valid.length > 0) {
+    await writeAvailability(env, bandId, session.name, valid);
+  }
+  
+  const failed = results.filter(result => !result.ok).length;
+  
+  return successResponse({
+    saved: valid.filter(slot => slot.status !== 'clear').length,
+    cleared: valid.filter(slot => slot.status === 'clear').length,
+    failed,
+    results
+  }, failed > 0 ? 207 : 200, request, env);
+}
+
+/**
+ * Validate a clock time "HH:MM" or "HH:MM:SS" and return it as "HH:MM:SS"
+ */
+function validateClockTime(value, fieldName) {
+  const match = typeof value === 'string' && /^([01]\d|2[0-3]):([0-5]\d)(?::([0-5]\d))?$/.exec(value);
+  if (!match) {
+    throw new ValidationError(`${fieldName} must be a time like 18:00`);
+  }
+  return `${match[1]}:${match[2]}:${match[3] || '00'}`;
+}
+
+/**
+ * Validate a template slot {weekday, start_time, end_time, status}
+ */
+function validateTemplateSlot(slot) {
+  if (!slot || typeof slot !== 'object') {
+    throw new ValidationError('Slot must be an object');
+  }
+  
+  const { weekday, status } = slot;
+  
+  if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+    throw new ValidationError('weekday must be an integer from 0 (Sunday) to 6 (Saturday)');
+  }
+  
+  if (!['good', 'ok', 'bad'].includes(status)) {
+    throw new ValidationError('Invalid status. Must be: good, ok, bad');
+  }
+  
+  const start_time = validateClockTime(slot.start_time, 'start_time');
+  const end_time = validateClockTime(slot.end_time, 'end_time');
+  
+  if (start_time >= end_time) {
+    throw new ValidationError('Start time must be before end time.');
+  }
+  
+  return { weekday, start_time, end_time, status };
+}
+
+/**
+ * Fill the days of a range with the members' weekly templates
+ * 
+ * Only days within the band's sync period are filled; weekdays and clock
+ * times are those of the band's time zone. Explicit entries win: a template
+ * slot is cut wherever the member entered something themselves. Derived
+ * slots carry `template_id` and an id made of it and their start.
+ */
+function expandTemplates(templates, explicit, rangeStart, rangeEnd, settings) {
+  if (templates.length === 0) {
+    return [];
+  }
+  
+  const { timezone } = settings;
+  const period = getSyncPeriod(settings);
+  const firstDay = toWallClock([rangeStart, period.start].sort()[1], timezone).slice(0, 10);
+  const lastDay = toWallClock([rangeEnd, period.end].sort()[0], timezone).slice(0, 10);
+  
+  const slotsByMember = new Map();
+  for (let day = new Date(`${firstDay}T00:00:00Z`); day.toISOString().slice(0, 10) <= lastDay; day.setUTCDate(day.getUTCDate() + 1)) {
+    const date = day.toISOString().slice(0, 10);
+    
+    for (const template of templates) {
+      const slot = {
+        id: null,
+        template_id: template.id,
+        member_name: template.member_name,
+        start_time: fromWallClock(`${date}T${template.start_time}`, timezone),
+        end_time: fromWallClock(`${date}T${template.end_time}`, timezone),
+        status: template.status,
+        updated_at: template.updated_at
+      };
+      
+      if (template.weekday === day.getUTCDay() && slot.start_time <= rangeEnd && slot.end_time >= rangeStart) {
+        slotsByMember.set(template.member_name, [...(slotsByMember.get(template.member_name) || []), slot]);
+      }
+    }
+  }
+  
+  return [...slotsByMember].flatMap(([memberName, slots]) => explicit
+    .filter(row => row.member_name === memberName)
+    .reduce((timeline, row) => applyAvailabilitySlot(timeline, { start_time: row.start_time, end_time: row.end_time, status: 'clear' }), slots)
+    .map(slot => ({ ...slot, id: `${slot.template_id}_${slot.start_time.replace(/\D/g, '')}` })));
+}
+
+/**
+ * GET /bands/:id/availability/template - The caller's weekly availability pattern
+ */
+async function getAvailabilityTemplate({ request, env, session, params: { bandId } }) {
+  const { results } = await env.DB.prepare(`
+    SELECT id, weekday, start_time, end_time, status, updated_at
+    FROM availability_templates
+    WHERE band_id = ? AND member_name = ?
+    ORDER BY weekday ASC, start_time ASC
+  `).bind(bandId, session.name).all();
+  
+  return successResponse({ slots: results }, 200, request, env);
+}
+
+/**
+ * PUT /bands/:id/availability/template - Replace the caller's weekly pattern
+ * 
+ * Body: { slots: [{ weekday, start_time: "HH:MM", end_time: "HH:MM", status }] }
+ * with weekday 0 (Sunday) to 6. Slots of one weekday must not overlap; an
+ * empty list removes the pattern.
+ */
+async function putAvailabilityTemplate({ request, env, session, body, params: { bandId } }) {
+  const { slots } = body;
+  
+  if (!Array.isArray(slots)) {
+    return errorResponse('slots must be an array', 400, request, env);
+  }
+  
+  if (slots.length > MAX_TEMPLATE_SLOTS) {
+    return errorResponse(`No more than ${MAX_TEMPLATE_SLOTS} template slots`, 400, request, env);
+  }
+  
+  const valid = slots
+    .map(validateTemplateSlot)
+    .sort((a, b) => a.weekday - b.weekday || a.start_time.localeCompare(b.start_time));
+  
+  valid.forEach((slot, index) => {
+    const previous = valid[index - 1];
+    if (previous && previous.weekday === slot.weekday && previous.end_time > slot.start_time) {
+      throw new ValidationError(`Template slots overlap on weekday ${slot.weekday}`);
+    }
+  });
+  
+  await env.DB.batch([
+    env.DB.prepare('DELETE FROM availability_templates WHERE band_id = ? AND member_name = ?')
+      .bind(bandId, session.name),
+    ...valid.map(slot => env.DB.prepare(`
+      INSERT INTO availability_templates (band_id, member_name, weekday, start_time, end_time, status)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).bind(bandId, session.name, slot.weekday, slot.start_time, slot.end_time, slot.status))
+  ]);
+  
+  await recordChanges(env, bandId, 'template', [session.name], 'upsert');
+  
+  return successResponse({
+    slots: valid,
+    message: 'Weekly pattern saved successfully'
+  }, 200, request, env);
+}
+
+/**
+ * GET /bands/:id/suggest - Recommend time slots for a rehearsal or gig
+ * 
+ * Query: start and end (required), duration in minutes (default 180),
+ * minMembers (default 1), required (comma-separated member names that must
+ * be able to come) and dayStart/dayEnd ("HH:MM", default 09:00-23:00).
+ * A member counts as available when ○ or △ entries (weekly templates
+ * included) cover the whole slot; times taken by events are skipped.
+ */
+async function getSuggestions({ request, env, params: { bandId } }) {
+  const url = new URL(request.url);
+  const start = url.searchParams.get('start');
+  const end = url.searchParams.get('end');
+  
+  if (!start || !end) {
+    return errorResponse('Missing required parameters: start, end', 400, request, env);
+  }
+  
+  const range = validateTimeRange(start, end);
+  if (parseTimestamp(range.end) - parseTimestamp(range.start) > MAX_SUGGEST_DAYS * 24 * 60 * 60 * 1000) {
+    return errorResponse(`The range must not exceed ${MAX_SUGGEST_DAYS} days`, 400, request, env);
+  }
+  
+  const duration = Number(url.searchParams.get('duration') || 180);
+  if (!Number.isInteger(duration) || duration < 30 || duration > 720) {
+    return errorResponse('duration must be a number of minutes from 30 to 720', 400, request, env);
+  }
+  
+  const { results: roster } = await env.DB.prepare(`
+    SELECT display_name FROM members WHERE band_id = ? AND active = 1 ORDER BY sort_order ASC
+  `).bind(bandId).all();
+  const members = roster.map(member => member.display_name);
+  
+  const minMembers = Number(url.searchParams.get('minMembers') || 1);
+  if (!Number.isInteger(minMembers) || minMembers < 1 || minMembers > members.length) {
+    return errorResponse(`minMembers must be an integer from 1 to ${members.length}`, 400, request, env);
+  }
+  
+  const required = (url.searchParams.get('required') || '').split(',').map(name => name.trim()).filter(Boolean);
+  const unknown = required.filter(name => !members.includes(name));
+  if (unknown.length > 0) {
+    return errorResponse(`Unknown members in required: ${unknown.join(', ')}`, 400, request, env);
+  }
+  
+  const availability = await loadAvailability(env, bandId, range.start, range.end);
+  
+  const { results: events } = await env.DB.prepare(`
+    SELECT id, title, type, start_time, end_time, rrule, exdates, created_by, created_at
+    FROM events
+    WHERE band_id = ? AND (
+      (rrule IS NULL AND start_time <= ? AND end_time >= ?)
+      OR (rrule IS NOT NULL AND start_time <= ?)
+    )
+    LIMIT 1000
+  `).bind(bandId, range.end, range.start, range.end).all();
+  
+  const { timezone } = await loadBandSettings(env, bandId);
+  const busy = events
+    .flatMap(event => toEventResponses(event, range.start, range.end, timezone))
+    .map(event => ({ start_time: event.start, end_time: event.end }));
+  
+  // Slots are found on the band's wall clock, so dayStart/dayEnd are local times
+  const toWall = row => ({
+    ...row,
+    start_time: toWallClock(row.start_time, timezone),
+    end_time: toWallClock(row.end_time, timezone)
+  });
+  
+  const slots = suggestSlots({
+    members,
+    availability: availability.map(toWall),
+    busy: busy.map(toWall),
+    start: toWallClock(range.start, timezone),
+    end: toWallClock(range.end, timezone),
+    duration,
+    minMembers,
+    required,
+    dayStart: url.searchParams.get('dayStart') || undefined,
+    dayEnd: url.searchParams.get('dayEnd') || undefined
+  }).map(slot => ({
+    ...slot,
+    start_time: fromWallClock(slot.start_time, timezone),
+    end_time: fromWallClock(slot.end_time, timezone)
+  }));
+  
+  return successResponse({
+    duration,
+    min_members: minMembers,
+    required,
+    members: members.length,
+    slots
+  }, 200, request, env);
+}
+
+/**
+ * Append entries to the change log read by GET /bands/:id/changes
+ */
+async function recordChanges(env, bandId, entity, ids, op) {
+  if (ids.length === 0) {
+    return;
+  }
+  
+  const statement = env.DB.prepare(`
+    INSERT INTO changes (band_id, entity, entity_id, op)
+    VALUES (?, ?, ?, ?)
+    RETURNING seq
+  `);
+  
+  const inserted = await env.DB.batch(ids.map(id => statement.bind(bandId, entity, id, op)));
+  
+  // Clients that have already synced up to this cursor can skip the message
+  const cursor = Math.max(...inserted.map(result => result.results[0].seq));
+  await notifyBandChannel(env, bandId, { type: 'changes', cursor });
+}
+
+/**
+ * Tell the band's real-time channel that something changed
+ * 
+ * Best effort: clients that miss a message still catch up through polling.
+ */
+async function notifyBandChannel(env, bandId, message) {
+  if (!env.BAND_CHANNEL) {
+    return;
+  }
+  
+  try {
+    const channel = env.BAND_CHANNEL.get(env.BAND_CHANNEL.idFromName(bandId));
+    await channel.fetch('https://band-channel/broadcast', {
+      method: 'POST',
+      body: JSON.stringify(message)
+    });
+  } catch (error) {
+    console.error('Failed to notify band channel:', error);
+  }
+}
+
+/**
+ * GET /bands/:id/live - Open a WebSocket to the band's real-time channel
+ * 
+ * Browsers cannot set headers on WebSocket requests, so the session token is
+ * passed as ?token= instead of the Authorization header (see withAuth).
+ */
+async function connectLive({ request, env, session, params: { bandId } }) {
+  if (!env.BAND_CHANNEL) {
+    return errorResponse('Real-time channel is not configured', 501, request, env);
+  }
+  
+  if (request.headers.get('Upgrade') !== 'websocket') {
+    return errorResponse('Expected WebSocket upgrade', 426, request, env);
+  }
+  
+  const channel = env.BAND_CHANNEL.get(env.BAND_CHANNEL.idFromName(bandId));
+  return await channel.fetch(`https://band-channel/connect?member=${encodeURIComponent(session.id)}`, request);
+}
+
+/**
+ * Validate an optional recurrence rule; empty means a single event
+ */
+function validateRRule(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  return formatRRule(parseRRule(value));
+}
+
+/**
+ * Read the excluded occurrence starts of a series
+ */
+function parseExdates(event) {
+  try {
+    return event.exdates ? JSON.parse(event.exdates) : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function formatExdates(exdates) {
+  return exdates.length > 0 ? JSON.stringify(exdates) : null;
+}
+
+/**
+ * Find the occurrence of a recurring event that starts at the given time
+ * (with a UTC offset); the series repeats in the band's time zone
+ */
+function findOccurrence(event, occurrenceStart, timeZone) {
+  if (!event.rrule) {
+    throw new ValidationError('scope is only valid for recurring events');
+  }
+  
+  if (!occurrenceStart) {
+    throw new ValidationError('occurrence_start is not an occurrence of this event');
+  }
+  
+  const start = normalizeTimestamp(occurrenceStart);
+  if (!isZonedOccurrence(event, start, timeZone)) {
+    throw new ValidationError('occurrence_start is not an occurrence of this event');
+  }
+  
+  // The occurrence is the latest one starting at or before the given time
+  const occurrence = expandZonedOccurrences({ ...event, exdates: [] }, start, start, timeZone).pop();
+  if (parseExdates(event).includes(occurrence.start_time)) {
+    throw new ValidationError('occurrence_start is not an occurrence of this event');
+  }
+  
+  return occurrence;
+}
+
+/**
+ * Validate the optional details of an event: location, notes (markdown),
+ * url, and call/open/show times ("HH:MM") for lives
+ * 
+ * Only fields present in the body are returned; null or "" clears a field.
+ */
+function validateEventDetails(body) {
+  const details = {};
+  
+  EVENT_DETAIL_FIELDS.filter(field => body[field] !== undefined).forEach(field => {
+    const value = body[field];
+    if (value === null || value === '') {
+      details[field] = null;
+    } else if (field === 'location') {
+      details.location = validateString(value, 'location', 1, 200);
+    } else if (field === 'notes') {
+      details.notes = validateString(value, 'notes', 0, MAX_EVENT_NOTES) || null;
+    } else if (field === 'url') {
+      details.url = validateUrl(value);
+    } else {
+      details[field] = validateClockTime(value, field);
+    }
+  });
+  
+  return details;
+}
+
+/**
+ * Validate an http(s) URL such as a ticket page
+ */
+function validateUrl(value) {
+  const trimmed = validateString(value, 'url', 1, 500);
+  
+  let parsed;
+  try {
+    parsed = new URL(trimmed);
+  } catch (error) {
+    throw new ValidationError('url must be a valid URL');
+  }
+  
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new ValidationError('url must start with http:// or https://');
+  }
+  
+  // The normalized form has quotes and spaces percent-encoded
+  return parsed.href;
+}
+
+/**
+ * Prepare the insert of an event row, returning its id
+ */
+function insertEventStatement(env, bandId, event) {
+  return env.DB.prepare(`
+    INSERT INTO events (band_id, title, type, start_time, end_time, rrule, exdates,
+                        location, notes, url, call_time, open_time, show_time, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    RETURNING id
+  `).bind(
+    bandId, event.title, event.type, event.start_time, event.end_time, event.rrule, event.exdates,
+    event.location ?? null, event.notes ?? null, event.url ?? null,
+    event.call_time ?? null, event.open_time ?? null, event.show_time ?? null,
+    event.created_by
+  );
+}
+
+/**
+ * Log and answer an edit that split a series into the original and a new event
+ * 
+ * `moveResponses` prepares the statement that hands the rows of a table
+ * (attendance answers, comments) for the split-off occurrences over to the
+ * new event.
+ */
+async function eventSplitResponse(env, bandId, eventId, inserted, request, moveResponses) {
+  const newId = inserted.results[0].id;
+  
+  await env.DB.batch(['event_responses', 'event_comments'].map(table => moveResponses(newId, table)));
+  
+  await recordChanges(env, bandId, 'event', [eventId, newId], 'upsert');
+  
+  return successResponse({ 
+    id: newId,
+    message: 'Event updated successfully' 
+  }, 200, request, env);
+}
+
+/**
+ * Transform an event row to FullCalendar events, expanding a recurring
+ * series into its occurrences within the range (on the wall clock of the
+ * band's time zone)
+ * 
+ * Occurrences share the series id as `groupId` and get ids of the form
+ * "<series id>_<YYYYMMDDHHMMSS>" (UTC).
+ */
+function toEventResponses(event, rangeStart, rangeEnd, timeZone, responses = new Map(), comments = new Map()) {
+  if (!event.rrule) {
+    return [toEventResponse(event, responses.get(`${event.id}|`), comments.get(`${event.id}|`))];
+  }
+  
+  return expandZonedOccurrences({ ...event, exdates: parseExdates(event) }, rangeStart, rangeEnd, timeZone)
+    .map(occurrence => {
+      const key = `${event.id}|${occurrence.start_time}`;
+      const response = toEventResponse({ ...event, ...occurrence }, responses.get(key), comments.get(key));
+      return {
+        ...response,
+        id: `${event.id}_${occurrence.start_time.replace(/\D/g, '').slice(0, 14)}`,
+        groupId: event.id,
+        extendedProps: {
+          ...response.extendedProps,
+          seriesId: event.id,
+          occurrenceStart: occurrence.start_time,
+          rrule: event.rrule
+        }
+      };
+    });
+}
+
+/**
+ * Transform an events row to the FullCalendar shape returned by the API
+ */
+function toEventResponse(event, responses = [], comments = []) {
+  return {
+    id: event.id,
+    title: event.title,
+    start: event.start_time,
+    end: event.end_time,
+    extendedProps: {
+      type: event.type,
+      createdBy: event.created_by,
+      createdAt: event.created_at,
+      location: event.location || null,
+      notes: event.notes || null,
+      url: event.url || null,
+      callTime: event.call_time || null,
+      openTime: event.open_time || null,
+      showTime: event.show_time || null,
+      responses,
+      comments
+    },
+    classNames: [`event-${event.type}`]
+  };
+}
+
+/**
+ * Transform an availability row to the FullCalendar shape returned by the API
+ */
+function toAvailabilityResponse(avail) {
+  const response = {
+    id: avail.id,
+    title: `${avail.member_name}: ${getStatusSymbol(avail.status)}`,
+    start: avail.start_time,
+    end: avail.end_time,
+    display: 'background',
+    extendedProps: {
+      memberName: avail.member_name,
+      status: avail.status,
+      updatedAt: avail.updated_at
+    },
+    classNames: [`availability-${avail.status}`]
+  };
+  
+  // Slots derived from a weekly template are grouped per member
+  if (avail.template_id) {
+    response.groupId = `template-${avail.member_name}`;
+    response.extendedProps.fromTemplate = true;
+    response.classNames.push('availability-template');
+  }
+  
+  return response;
+}
+
+/**
+ * GET /bands/:id/changes - Changes to events and availability since a cursor
+ * 
+ * Without `since` only the current cursor is returned, which a client takes
+ * before its initial full load. Each changed row appears once, either as an
+ * upsert with its current data or as a deleted id (tombstone). When more
+ * than MAX_CHANGES_PER_SYNC rows changed, `reset` tells the client to reload.
+ * 
+ * Members whose weekly template or explicit entries changed get all their
+ * template slots re-sent, after a "template-<member>" tombstone for the
+ * group that drops the old ones.
+ */
+async function getChanges({ request, env, params: { bandId } }) {
+  const url = new URL(request.url);
+  const sinceParam = url.searchParams.get('since');
+  
+  const latest = await env.DB.prepare('SELECT COALESCE(MAX(seq), 0) AS cursor FROM changes')
+    .first();
+  
+  if (sinceParam === null) {
+    return successResponse({ cursor: latest.cursor }, 200, request, env);
+  }
+  
+  const since = Number(sinceParam);
+  if (!Number.isInteger(since) || since < 0) {
+    return errorResponse('since must be a non-negative integer cursor', 400, request, env);
+  }
+  
+  // Latest operation per changed row (SQLite takes `op` from the MAX(seq) row)
+  const { results } = await env.DB.prepare(`
+    SELECT entity, entity_id, op, MAX(seq) AS seq
+    FROM changes
+    WHERE band_id = ? AND seq > ? AND seq <= ?
+    GROUP BY entity, entity_id
+    LIMIT ?
+  `).bind(bandId, since, latest.cursor, MAX_CHANGES_PER_SYNC + 1).all();
+  
+  if (results.length > MAX_CHANGES_PER_SYNC) {
+    return successResponse({ cursor: latest.cursor, reset: true }, 200, request, env);
+  }
+  
+  const upsertIds = { event: [], availability: [], template: [] };
+  const deleted = { event: [], availability: [], template: [] };
+  results.forEach(change => {
+    (change.op === 'delete' ? deleted : upsertIds)[change.entity].push(change.entity_id);
+  });
+  
+  const fetchRows = async (table, columns, ids) => {
+    if (ids.length === 0) {
+      return [];
+    }
+    // One JSON array parameter; D1 allows at most 100 bound parameters
+    const { results: rows } = await env.DB.prepare(`
+      SELECT ${columns}
+      FROM ${table}
+      WHERE band_id = ? AND id IN (SELECT value FROM json_each(?))
+    `).bind(bandId, JSON.stringify(ids)).all();
+    return rows;
+  };
+  
+  const events = await fetchRows(
+    'events',
+    'id, title, type, start_time, end_time, rrule, exdates, location, notes, url, call_time, open_time, show_time, created_by, created_at',
+    upsertIds.event
+  );
+  const availability = await fetchRows('availability', 'id, member_name, start_time, end_time, status, updated_at', upsertIds.availability);
+  
+  // A row that vanished after its upsert was logged counts as deleted
+  const missing = (ids, rows) => ids.filter(id => !rows.some(row => row.id === id));
+  
+  // Recurring events are expanded over the range the calendar shows, from
+  // the read-only history to the end of the sync period
+  const settings = await loadBandSettings(env, bandId);
+  const periodStart = getHistoryStart(settings);
+  const periodEnd = getSyncPeriod(settings).end;
+  
+  const templateSlots = await loadTemplateSlots(env, bandId, upsertIds.template, periodStart, periodEnd);
+  const responses = await loadEventResponses(env, bandId, events);
+  const comments = await loadEventComments(env, bandId, events);
+  
+  return successResponse({
+    cursor: latest.cursor,
+    reset: false,
+    events: {
+      upserts: events.flatMap(event => toEventResponses(event, periodStart, periodEnd, settings.timezone, responses, comments)),
+      deleted: [...deleted.event, ...missing(upsertIds.event, events)]
+    },
+    availability: {
+      upserts: [...availability, ...templateSlots].map(toAvailabilityResponse),
+      deleted: [
+        ...deleted.availability,
+        ...missing(upsertIds.availability, availability),
+        ...upsertIds.template.map(memberName => `template-${memberName}`)
+      ]
+    }
+  }, 200, request, env);
+}
+
+/**
+ * Template-derived slots of the given members over a range, for delta sync
+ */
+async function loadTemplateSlots(env, bandId, memberNames, rangeStart, rangeEnd) {
+  if (memberNames.length === 0) {
+    return [];
+  }
+  
+  const names = JSON.stringify(memberNames);
+  
+  const { results: templates } = await env.DB.prepare(`
+    SELECT id, member_name, weekday, start_time, end_time, status, updated_at
+    FROM availability_templates
+    WHERE band_id = ? AND member_name IN (SELECT value FROM json_each(?))
+  `).bind(bandId, names).all();
+  
+  if (templates.length === 0) {
+    return [];
+  }
+  
+  const { results: explicit } = await env.DB.prepare(`
+    SELECT id, member_name, start_time, end_time, status, updated_at
+    FROM availability
+    WHERE band_id = ? AND member_name IN (SELECT value FROM json_each(?)) AND start_time <= ? AND end_time >= ?
+  `).bind(bandId, names, rangeEnd, rangeStart).all();
+  
+  const settings = await loadBandSettings(env, bandId);
+  
+  return expandTemplates(templates, resolveOverlaps(explicit), rangeStart, rangeEnd, settings);
+}
+
+/**
+ * Validate member color (#RRGGBB)
+ */
+function validateColor(value) {
+  if (typeof value !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(value)) {
+    throw new ValidationError('color must be a hex color like #3498db');
+  }
+  return value.toLowerCase();
+}
+
+/**
+ * Transform a members row to the API shape
+ */
+function toMemberResponse(member) {
+  return {
+    id: member.id,
+    display_name: member.display_name,
+    role: member.role,
+    part: member.part,
+    color: member.color,
+    active: member.active === 1,
+    has_pin: member.has_pin === 1,
+    created_at: member.created_at,
+    updated_at: member.updated_at
+  };
+}
+
+/**
+ * GET /bands/:id/members - Retrieve the band member roster
+ */
+async function getMembers({ request, env, params: { bandId } }) {
+  const url = new URL(request.url);
+  const includeInactive = url.searchParams.get('include_inactive') === 'true';
+  
+  const query = `
+    SELECT id, display_name, role, part, color, active, (pin_hash IS NOT NULL) AS has_pin, created_at, updated_at
+    FROM members
+    WHERE band_id = ? ${includeInactive ? '' : 'AND active = 1'}
+    ORDER BY sort_order ASC, created_at ASC
+  `;
+  
+  const { results } = await env.DB.prepare(query).bind(bandId).all();
+  
+  return successResponse(results.map(toMemberResponse), 200, request, env);
+}
+
+/**
+ * POST /bands/:id/members - Add a member to the roster (leaders only)
+ */
+async function createMember({ request, env, session, body, params: { bandId } }) {
+  if (session.role !== 'leader') {
+    return errorResponse('Only a band leader can add members', 403, request, env);
+  }
+  
+  const { display_name, part, color } = body;
+  
+  // Validate required fields
+  if (!display_name) {
+    return errorResponse('Missing required fields: display_name', 400, request, env);
+  }
+  
+  // Validate and sanitize fields
+  const sanitizedName = validateString(display_name, 'display_name', 1, 50);
+  const sanitizedPart = part ? validateString(part, 'part', 1, 50) : null;
+  const sanitizedColor = color ? validateColor(color) : null;
+  
+  const existing = await env.DB.prepare('SELECT id FROM members WHERE band_id = ? AND display_name = ?')
+    .bind(bandId, sanitizedName)
+    .first();
+  
+  if (existing) {
+    return errorResponse('A member with this display_name already exists', 409, request, env);
+  }
+  
+  const member = await env.DB.prepare(`
+    INSERT INTO members (band_id, display_name, part, color, sort_order)
+    VALUES (?, ?, ?, ?, (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM members WHERE band_id = ?))
+    RETURNING id, display_name, role, part, color, active, 0 AS has_pin, created_at, updated_at
+  `).bind(bandId, sanitizedName, sanitizedPart, sanitizedColor, bandId).first();
+  
+  if (!member) {
+    return errorResponse('Failed to create member', 500, request, env);
+  }
+  
+  return successResponse(toMemberResponse(member), 201, request, env);
+}
+
+/**
+ * PATCH /bands/:id/members/:memberId - Update a member's profile, role or active flag
+ * 
+ * Members may edit their own profile; leaders may edit anyone and change
+ * roles and active flags. Renaming a member does not rewrite their existing
+ * availability/events, which keep referring to the old display name.
+ */
+async function updateMember({ request, env, session, body, params: { bandId, memberId } }) {
+  if (session.role !== 'leader' && session.id !== memberId) {
+    return errorResponse('Only a band leader can edit other members', 403, request, env);
+  }
+  
+  const existing = await env.DB.prepare(`
+    SELECT id, display_name, role, part, color, active
+    FROM members
+    WHERE id = ? AND band_id = ?
+  `).bind(memberId, bandId).first();
+  
+  if (!existing) {
+    return errorResponse('Member not found', 404, request, env);
+  }
+  
+  // Only the provided fields are changed
+  const displayName = body.display_name !== undefined
+    ? validateString(body.display_name, 'display_name', 1, 50)
+    : existing.display_name;
+  const part = body.part !== undefined
+    ? (body.part ? validateString(body.part, 'part', 1, 50) : null)
+    : existing.part;
+  const color = body.color !== undefined
+    ? (body.color ? validateColor(body.color) : null)
+    : existing.color;
+  
+  if ((body.active !== undefined || body.role !== undefined) && session.role !== 'leader') {
+    return errorResponse('Only a band leader can change roles or deactivate members', 403, request, env);
+  }
+  
+  let active = existing.active;
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') {
+      return errorResponse('active must be a boolean', 400, request, env);
+    }
+    active = body.active ? 1 : 0;
+  }
+  
+  const role = body.role !== undefined ? body.role : existing.role;
+  if (!['leader', 'member'].includes(role)) {
+    return errorResponse('Invalid role. Must be: leader or member', 400, request, env);
+  }
+  
+  if (displayName !== existing.display_name) {
+    const duplicate = await env.DB.prepare('SELECT id FROM members WHERE band_id = ? AND display_name = ? AND id != ?')
+      .bind(bandId, displayName, memberId)
+      .first();
+    
+    if (duplicate) {
+      return errorResponse('A member with this display_name already exists', 409, request, env);
+    }
+  }
+  
+  const member = await env.DB.prepare(`
+    UPDATE members
+    SET display_name = ?, role = ?, part = ?, color = ?, active = ?, updated_at = datetime('now', 'utc')
+    WHERE id = ?
+    RETURNING id, display_name, role, part, color, active, (pin_hash IS NOT NULL) AS has_pin, created_at, updated_at
+  `).bind(displayName, role, part, color, active, memberId).first();
+  
+  if (!member) {
+    return errorResponse('Failed to update member', 500, request, env);
+  }
+  
+  return successResponse(toMemberResponse(member), 200, request, env);
+}
+
+/**
+ * POST /bands/:id/members/:memberId/setup-code - Issue a one-time code with
+ * which the member sets their PIN (leaders only)
+ * 
+ * Needed for a member's first PIN and to reset a forgotten one. Issuing a
+ * new code invalidates the member's earlier ones.
+ */
+async function createSetupCode({ request, env, session, params: { bandId, memberId } }) {
+  if (session.role !== 'leader') {
+    return errorResponse('Only a band leader can issue setup codes', 403, request, env);
+  }
+  
+  const member = await env.DB.prepare(`
+    SELECT id, display_name
+    FROM members
+    WHERE id = ? AND band_id = ? AND active = 1
+  `).bind(memberId, bandId).first();
+  
+  if (!member) {
+    return errorResponse('Member not found', 404, request, env);
+  }
+  
+  const code = generateInviteCode();
+  const expiresAt = new Date(Date.now() + SETUP_CODE_TTL_HOURS * 60 * 60 * 1000).toISOString();
+  
+  await env.DB.batch([
+    env.DB.prepare('DELETE FROM member_setup_codes WHERE member_id = ?').bind(member.id),
+    env.DB.prepare(`
+      INSERT INTO member_setup_codes (code, band_id, member_id, created_by, expires_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).bind(code, bandId, member.id, session.name, expiresAt)
+  ]);
+  
+  return successResponse({
+    code,
+    member_id: member.id,
+    display_name: member.display_name,
+    expires_at: expiresAt
+  }, 201, request, env);
+}
+
+/**
+ * Validate a duration in seconds (songs up to an hour)
+ */
+function validateDuration(value, fieldName, min = 1, max = 3600) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new ValidationError(`${fieldName} must be an integer from ${min} to ${max} seconds`);
+  }
+  return value;
+}
+
+/**
+ * Validate the repertoire fields of a song; fields missing from the body
+ * keep their current value
+ * @returns {{song_key: string|null, bpm: number|null, status: string}}
+ */
+function validateSongDetails(body, existing = { song_key: null, bpm: null, status: 'new' }) {
+  const details = { song_key: existing.song_key, bpm: existing.bpm, status: existing.status };
+  
+  if (body.song_key !== undefined) {
+    if (body.song_key !== null && body.song_key !== '' && !/^[A-G][#b]?m?$/.test(body.song_key)) {
+      throw new ValidationError('song_key must be a key like C, F#m or Bb');
+    }
+    details.song_key = body.song_key || null;
+  }
+  
+  if (body.bpm !== undefined) {
+    if (body.bpm !== null && (!Number.isInteger(body.bpm) || body.bpm < 20 || body.bpm > 300)) {
+      throw new ValidationError('bpm must be an integer from 20 to 300');
+    }
+    details.bpm = body.bpm;
+  }
+  
+  if (body.status !== undefined) {
+    if (!SONG_STATUSES.includes(body.status)) {
+      throw new ValidationError('Invalid status. Must be: new, practicing, or ready');
+    }
+    details.status = body.status;
+  }
+  
+  return details;
+}
+
+/**
+ * GET /bands/:id/songs - The band's song library
+ * 
+ * Each song carries `readiness`, the members' own readiness by name
+ * (e.g. {"ZEN": "ready"}); members who have not marked a song are left out.
+ */
+async function getSongs({ request, env, params: { bandId } }) {
+  const { results } = await env.DB.prepare(`
+    SELECT id, title, artist, duration_seconds, song_key, bpm, status, created_by, created_at, updated_at
+    FROM songs
+    WHERE band_id = ?
+    ORDER BY title ASC
+  `).bind(bandId).all();
+  
+  const { results: readiness } = await env.DB.prepare(`
+    SELECT song_id, member_name, readiness
+    FROM song_readiness
+    WHERE band_id = ?
+  `).bind(bandId).all();
+  
+  const songs = results.map(song => ({
+    ...song,
+    readiness: Object.fromEntries(readiness
+      .filter(row => row.song_id === song.id)
+      .map(row => [row.member_name, row.readiness]))
+  }));
+  
+  return successResponse(songs, 200, request, env);
+}
+
+/**
+ * POST /bands/:id/songs - Add a song ({title, artist?, duration_seconds})
+ */
+async function createSong({ request, env, session, body, params: { bandId } }) {
+  if (!body.title || body.duration_seconds === undefined) {
+    return errorResponse('Missing required fields: title, duration_seconds', 400, request, env);
+  }
+  
+  const title = validateString(body.title, 'title', 1, 100);
+  const artist = body.artist ? validateString(body.artist, 'artist', 1, 100) : null;
+  const duration = validateDuration(body.duration_seconds, 'duration_seconds');
+  const details = validateSongDetails(body);
+  
+  const existing = await env.DB.prepare('SELECT id FROM songs WHERE band_id = ? AND title = ?')
+    .bind(bandId, title)
+    .first();
+  
+  if (existing) {
+    return errorResponse('A song with this title already exists', 409, request, env);
+  }
+  
+  const song = await env.DB.prepare(`
+    INSERT INTO songs (band_id, title, artist, duration_seconds, song_key, bpm, status, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    RETURNING id, title, artist, duration_seconds, song_key, bpm, status, created_by, created_at, updated_at
+  `).bind(bandId, title, artist, duration, details.song_key, details.bpm, details.status, session.name).first();
+  
+  if (!song) {
+    return errorResponse('Failed to create song', 500, request, env);
+  }
+  
+  return successResponse(song, 201, request, env);
+}
+
+/**
+ * PATCH /bands/:id/songs/:songId - Update a song's title, artist or duration
+ */
+async function updateSong({ request, env, body, params: { bandId, songId } }) {
+  const existing = await env.DB.prepare(`
+    SELECT id, title, artist, duration_seconds, song_key, bpm, status
+    FROM songs
+    WHERE id = ? AND band_id = ?
+  `).bind(songId, bandId).first();
+  
+  if (!existing) {
+    return errorResponse('Song not found', 404, request, env);
+  }
+  
+  // Only the provided fields are changed
+  const title = body.title !== undefined ? validateString(body.title, 'title', 1, 100) : existing.title;
+  const artist = body.artist !== undefined
+    ? (body.artist ? validateString(body.artist, 'artist', 1, 100) : null)
+    : existing.artist;
+  const duration = body.duration_seconds !== undefined
+    ? validateDuration(body.duration_seconds, 'duration_seconds')
+    : existing.duration_seconds;
+  const details = validateSongDetails(body, existing);
+  
+  if (title !== existing.title) {
+    const duplicate = await env.DB.prepare('SELECT id FROM songs WHERE band_id = ? AND title = ? AND id != ?')
+      .bind(bandId, title, songId)
+      .first();
+    
+    if (duplicate) {
+      return errorResponse('A song with this title already exists', 409, request, env);
+    }
+  }
+  
+  const song = await env.DB.prepare(`
+    UPDATE songs
+    SET title = ?, artist = ?, duration_seconds = ?, song_key = ?, bpm = ?, status = ?,
+        updated_at = datetime('now', 'utc')
+    WHERE id = ?
+    RETURNING id, title, artist, duration_seconds, song_key, bpm, status, created_by, created_at, updated_at
+  `).bind(title, artist, duration, details.song_key, details.bpm, details.status, songId).first();
+  
+  if (!song) {
+    return errorResponse('Failed to update song', 500, request, env);
+  }
+  
+  return successResponse(song, 200, request, env);
+}
+
+/**
+ * DELETE /bands/:id/songs/:songId - Remove a song that no setlist uses
+ */
+async function deleteSong({ request, env, params: { bandId, songId } }) {
+  const used = await env.DB.prepare('SELECT COUNT(*) AS count FROM setlist_items WHERE song_id = ?')
+    .bind(songId)
+    .first();
+  
+  if (used.count > 0) {
+    return errorResponse('The song is used in a setlist; remove it from the setlist first', 409, request, env);
+  }
+  
+  const result = await env.DB.prepare('DELETE FROM songs WHERE id = ? AND band_id = ?')
+    .bind(songId, bandId)
+    .run();
+  
+  if (result.meta.changes === 0) {
+    return errorResponse('Song not found', 404, request, env);
+  }
+  
+  return successResponse({ 
+    id: songId,
+    message: 'Song deleted successfully' 
+  }, 200, request, env);
+}
+
+/**
+ * PUT /bands/:id/songs/:songId/readiness - Mark the logged-in member's readiness
+ * 
+ * Body: { readiness: "new" | "practicing" | "ready" }. Readiness is stored by
+ * member name, like availability.
+ */
+async function putSongReadiness({ request, env, session, body, params: { bandId, songId } }) {
+  if (!SONG_STATUSES.includes(body.readiness)) {
+    return errorResponse('Invalid readiness. Must be: new, practicing, or ready', 400, request, env);
+  }
+  
+  const song = await env.DB.prepare('SELECT id FROM songs WHERE id = ? AND band_id = ?')
+    .bind(songId, bandId)
+    .first();
+  
+  if (!song) {
+    return errorResponse('Song not found', 404, request, env);
+  }
+  
+  const result = await env.DB.prepare(`
+    INSERT INTO song_readiness (band_id, song_id, member_name, readiness)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT (song_id, member_name) DO UPDATE SET
+      readiness = excluded.readiness,
+      updated_at = datetime('now', 'utc')
+    RETURNING song_id, member_name, readiness, updated_at
+  `).bind(bandId, songId, session.name, body.readiness).first();
+  
+  return successResponse(result, 200, request, env);
+}
+
+/**
+ * Load a live event for its setlist, or return an error response
+ */
+async function loadSetlistEvent(env, bandId, eventId, request) {
+  const event = await env.DB.prepare(`
+    SELECT id, title, type, start_time, end_time
+    FROM events
+    WHERE id = ? AND band_id = ?
+  `).bind(eventId, bandId).first();
+  
+  if (!event) {
+    return { denied: errorResponse('Event not found', 404, request, env) };
+  }
+  
+  if (event.type !== 'live') {
+    return { denied: errorResponse('Setlists are only available for live events', 400, request, env) };
+  }
+  
+  return { event };
+}
+
+/**
+ * Read a setlist with song titles, durations and totals
+ * 
+ * `slot_seconds` is the length of the event (start_time to end_time) that
+ * the setlist has to fit in.
+ */
+async function setlistResponse(env, event) {
+  const { results } = await env.DB.prepare(`
+    SELECT i.id, i.position, i.kind, i.song_id, i.duration_seconds, i.note,
+           s.title, s.artist, s.duration_seconds AS song_duration
+    FROM setlist_items i
+    LEFT JOIN songs s ON s.id = i.song_id
+    WHERE i.event_id = ?
+    ORDER BY i.position ASC
+  `).bind(event.id).all();
+  
+  // A song's length comes from the library unless the item overrides it
+  const items = results.map(item => ({
+    id: item.id,
+    position: item.position,
+    kind: item.kind,
+    song_id: item.song_id,
+    title: item.kind === 'song' ? item.title : null,
+    artist: item.kind === 'song' ? item.artist : null,
+    duration_seconds: item.duration_seconds ?? item.song_duration ?? 0,
+    song_duration_seconds: item.kind === 'song' ? item.song_duration : null,
+    note: item.note
+  }));
+  
+  return {
+    event_id: event.id,
+    title: event.title,
+    start_time: event.start_time,
+    end_time: event.end_time,
+    slot_seconds: Math.round((parseTimestamp(event.end_time) - parseTimestamp(event.start_time)) / 1000),
+    total_seconds: items.reduce((sum, item) => sum + item.duration_seconds, 0),
+    items
+  };
+}
+
+/**
+ * GET /bands/:id/events/:eventId/setlist - The setlist of a live event
+ */
+async function getSetlist({ request, env, params: { bandId, eventId } }) {
+  const loaded = await loadSetlistEvent(env, bandId, eventId, request);
+  if (loaded.denied) {
+    return loaded.denied;
+  }
+  
+  return successResponse(await setlistResponse(env, loaded.event), 200, request, env);
+}
+
+/**
+ * PUT /bands/:id/events/:eventId/setlist - Replace the setlist of a live event
+ * 
+ * Body: { items: [{ kind: "song", song_id, duration_seconds?, note? } |
+ * { kind: "mc", duration_seconds, note? }] } in playing order. A song's
+ * duration_seconds overrides the library length for this live only.
+ */
+async function putSetlist({ request, env, body, params: { bandId, eventId } }) {
+  const { items } = body;
+  
+  if (!Array.isArray(items)) {
+    return errorResponse('items must be an array', 400, request, env);
+  }
+  
+  if (items.length > MAX_SETLIST_ITEMS) {
+    return errorResponse(`No more than ${MAX_SETLIST_ITEMS} setlist items`, 400, request, env);
+  }
+  
+  const loaded = await loadSetlistEvent(env, bandId, eventId, request);
+  if (loaded.denied) {
+    return loaded.denied;
+  }
+  
+  const valid = items.map(item => {
+    if (!item || !SETLIST_ITEM_KINDS.includes(item.kind)) {
+      throw new ValidationError('Invalid item kind. Must be: song or mc');
+    }
+    
+    const note = item.note ? validateString(item.note, 'note', 1, 100) : null;
+    
+    if (item.kind === 'mc') {
+      return { kind: 'mc', song_id: null, duration_seconds: validateDuration(item.duration_seconds, 'duration_seconds', 0, 1800), note };
+    }
+    
+    if (typeof item.song_id !== 'string') {
+      throw new ValidationError('Song items need a song_id');
+    }
+    
+    const duration = item.duration_seconds === undefined || item.duration_seconds === null
+      ? null
+      : validateDuration(item.duration_seconds, 'duration_seconds');
+    
+    return { kind: 'song', song_id: item.song_id, duration_seconds: duration, note };
+  });
+  
+  const songIds = [...new Set(valid.filter(item => item.kind === 'song').map(item => item.song_id))];
+  if (songIds.length > 0) {
+    const { results: songs } = await env.DB.prepare(`
+      SELECT id FROM songs WHERE band_id = ? AND id IN (SELECT value FROM json_each(?))
+    `).bind(bandId, JSON.stringify(songIds)).all();
+    
+    const unknown = songIds.filter(id => !songs.some(song => song.id === id));
+    if (unknown.length > 0) {
+      return errorResponse(`Unknown songs: ${unknown.join(', ')}`, 400, request, env);
+    }
+  }
+  
+  await env.DB.batch([
+    env.DB.prepare('DELETE FROM setlist_items WHERE event_id = ?').bind(eventId),
+    ...valid.map((item, index) => env.DB.prepare(`
+      INSERT INTO setlist_items (band_id, event_id, position, kind, song_id, duration_seconds, note)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).bind(bandId, eventId, index + 1, item.kind, item.song_id, item.duration_seconds, item.note))
+  ]);
+  
+  return successResponse(await setlistResponse(env, loaded.event), 200, request, env);
+}
+
+/**
+ * Attach candidates, votes and scores to poll rows
+ * 
+ * Each candidate carries the votes by member name and a score (○ 2, △ 1,
+ * × 0) so the best candidates can be picked at a glance.
+ */
+async function attachPollCandidates(env, polls) {
+  if (polls.length === 0) {
+    return [];
+  }
+  
+  const ids = JSON.stringify(polls.map(poll => poll.id));
+  const [{ results: candidates }, { results: votes }] = await Promise.all([
+    env.DB.prepare(`
+      SELECT id, poll_id, start_time, end_time
+      FROM poll_candidates
+      WHERE poll_id IN (SELECT value FROM json_each(?))
+      ORDER BY start_time ASC
+    `).bind(ids).all(),
+    env.DB.prepare(`
+      SELECT candidate_id, member_name, vote
+      FROM poll_votes
+      WHERE poll_id IN (SELECT value FROM json_each(?))
+    `).bind(ids).all()
+  ]);
+  
+  return polls.map(poll => ({
+    ...poll,
+    candidates: candidates
+      .filter(candidate => candidate.poll_id === poll.id)
+      .map(({ poll_id, ...candidate }) => {
+        const candidateVotes = votes.filter(vote => vote.candidate_id === candidate.id);
+        return {
+          ...candidate,
+          votes: Object.fromEntries(candidateVotes.map(vote => [vote.member_name, vote.vote])),
+          score: candidateVotes.reduce((sum, vote) => sum + POLL_VOTE_SCORES[vote.vote], 0),
+          good: candidateVotes.filter(vote => vote.vote === 'good').length,
+          ok: candidateVotes.filter(vote => vote.vote === 'ok').length,
+          bad: candidateVotes.filter(vote => vote.vote === 'bad').length
+        };
+      })
+  }));
+}
+
+async function loadPoll(env, bandId, pollId) {
+  const poll = await env.DB.prepare(`
+    SELECT id, title, type, status, created_by, chosen_candidate_id, event_id, created_at, closed_at
+    FROM polls
+    WHERE id = ? AND band_id = ?
+  `).bind(pollId, bandId).first();
+  
+  return poll ? (await attachPollCandidates(env, [poll]))[0] : null;
+}
+
+/**
+ * GET /bands/:id/polls - Recent polls, open ones first
+ */
+async function getPolls({ request, env, params: { bandId } }) {
+  const { results } = await env.DB.prepare(`
+    SELECT id, title, type, status, created_by, chosen_candidate_id, event_id, created_at, closed_at
+    FROM polls
+    WHERE band_id = ?
+    ORDER BY status = 'open' DESC, created_at DESC
+    LIMIT ?
+  `).bind(bandId, MAX_POLLS_LISTED).all();
+  
+  return successResponse(await attachPollCandidates(env, results), 200, request, env);
+}
+
+/**
+ * GET /bands/:id/polls/:pollId - One poll with its candidates and votes
+ */
+async function getPoll({ request, env, params: { bandId, pollId } }) {
+  const poll = await loadPoll(env, bandId, pollId);
+  if (!poll) {
+    return errorResponse('Poll not found', 404, request, env);
+  }
+  
+  return successResponse(poll, 200, request, env);
+}
+
+/**
+ * POST /bands/:id/polls - Start a date poll (leaders only)
+ * 
+ * Body: { title, type: "live" | "rehearsal" | "other", candidates: [{start_time, end_time}] }.
+ * The type is used for the event created when the poll is closed.
+ */
+async function createPoll({ request, env, session, body, params: { bandId } }) {
+  if (session.role !== 'leader') {
+    return errorResponse('Only band leaders can start polls', 403, request, env);
+  }
+  
+  const { candidates } = body;
+  
+  if (!body.title || !body.type || !Array.isArray(candidates)) {
+    return errorResponse('Missing required fields: title, type, candidates', 400, request, env);
+  }
+  
+  const title = validateString(body.title, 'title', 1, 100);
+  
+  if (!['live', 'rehearsal', 'other'].includes(body.type)) {
+    return errorResponse('Invalid event type. Must be: live, rehearsal, or other', 400, request, env);
+  }
+  
+  if (candidates.length < 2 || candidates.length > MAX_POLL_CANDIDATES) {
+    return errorResponse(`A poll needs 2 to ${MAX_POLL_CANDIDATES} candidates`, 400, request, env);
+  }
+  
+  // Candidates must be valid events, so closing the poll cannot fail on them
+  const settings = await loadBandSettings(env, bandId);
+  const slots = candidates.map(candidate => {
+    const { start, end } = validateTimeRange(candidate.start_time, candidate.end_time);
+    validateSyncPeriod(start, settings);
+    return { start_time: start, end_time: end };
+  });
+  
+  const poll = await env.DB.prepare(`
+    INSERT INTO polls (band_id, title, type, created_by)
+    VALUES (?, ?, ?, ?)
+    RETURNING id
+  `).bind(bandId, title, body.type, session.name).first();
+  
+  if (!poll) {
+    return errorResponse('Failed to create poll', 500, request, env);
+  }
+  
+  await env.DB.batch(slots.map(slot => env.DB.prepare(`
+    INSERT INTO poll_candidates (poll_id, start_time, end_time)
+    VALUES (?, ?, ?)
+  `).bind(poll.id, slot.start_time, slot.end_time)));
+  
+  return successResponse(await loadPoll(env, bandId, poll.id), 201, request, env);
+}
+
+/**
+ * DELETE /bands/:id/polls/:pollId - Remove a poll (leaders only); an event
+ * created by closing it is kept
+ */
+async function deletePoll({ request, env, session, params: { bandId, pollId } }) {
+  if (session.role !== 'leader') {
+    return errorResponse('Only band leaders can delete polls', 403, request, env);
+  }
+  
+  const result = await env.DB.prepare('DELETE FROM polls WHERE id = ? AND band_id = ?')
+    .bind(pollId, bandId)
+    .run();
+  
+  if (result.meta.changes === 0) {
+    return errorResponse('Poll not found', 404, request, env);
+  }
+  
+  return successResponse({ 
+    id: pollId,
+    message: 'Poll deleted successfully' 
+  }, 200, request, env);
+}
+
+/**
+ * PUT /bands/:id/polls/:pollId/votes - Vote for the logged-in member
+ * 
+ * Body: { votes: { <candidateId>: "good" | "ok" | "bad" | null } }; null
+ * withdraws a vote, candidates left out keep theirs.
+ */
+async function putPollVotes({ request, env, session, body, params: { bandId, pollId } }) {
+  if (!body.votes || typeof body.votes !== 'object' || Array.isArray(body.votes)) {
+    return errorResponse('votes must be an object of candidate ids', 400, request, env);
+  }
+  
+  const poll = await loadPoll(env, bandId, pollId);
+  if (!poll) {
+    return errorResponse('Poll not found', 404, request, env);
+  }
+  
+  if (poll.status !== 'open') {
+    return errorResponse('The poll is closed', 409, request, env);
+  }
+  
+  const entries = Object.entries(body.votes);
+  for (const [candidateId, vote] of entries) {
+    if (!poll.candidates.some(candidate => candidate.id === candidateId)) {
+      return errorResponse(`Unknown candidate: ${candidateId}`, 400, request, env);
+    }
+    if (vote !== null && !POLL_VOTES.includes(vote)) {
+      return errorResponse('Invalid vote. Must be: good, ok, bad, or null', 400, request, env);
+    }
+  }
+  
+  if (entries.length > 0) {
+    await env.DB.batch(entries.map(([candidateId, vote]) => vote === null
+      ? env.DB.prepare('DELETE FROM poll_votes WHERE candidate_id = ? AND member_name = ?')
+        .bind(candidateId, session.name)
+      : env.DB.prepare(`
+        INSERT INTO poll_votes (poll_id, candidate_id, member_name, vote)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT (candidate_id, member_name) DO UPDATE SET
+          vote = excluded.vote,
+          updated_at = datetime('now', 'utc')
+      `).bind(pollId, candidateId, session.name, vote)));
+  }
+  
+  return successResponse(await loadPoll(env, bandId, pollId), 200, request, env);
+}
+
+/**
+ * POST /bands/:id/polls/:pollId/close - Close a poll (leaders only)
+ * 
+ * Body: { candidate_id }. The chosen candidate is created as an event through
+ * createEvent, so it is validated and synced like any other new event.
+ */
+async function closePoll({ request, env, session, body, params: { bandId, pollId } }) {
+  if (session.role !== 'leader') {
+    return errorResponse('Only band leaders can close polls', 403, request, env);
+  }
+  
+  const poll = await loadPoll(env, bandId, pollId);
+  if (!poll) {
+    return errorResponse('Poll not found', 404, request, env);
+  }
+  
+  if (poll.status !== 'open') {
+    return errorResponse('The poll is already closed', 409, request, env);
+  }
+  
+  const chosen = poll.candidates.find(candidate => candidate.id === body.candidate_id);
+  if (!chosen) {
+    return errorResponse('candidate_id must be one of the poll\'s candidates', 400, request, env);
+  }
+  
+  // Created as if the caller had posted the event
+  const created = await createEvent({
+    request,
+    env,
+    session,
+    params: { bandId },
+    body: {
+      title: poll.title,
+      type: poll.type,
+      start_time: chosen.start_time,
+      end_time: chosen.end_time
+    }
+  });
+  
+  if (!created.ok) {
+    return created;
+  }
+  
+  const { id: eventId } = await created.json();
+  
+  // Only the first close wins if two leaders close at the same time
+  const closed = await env.DB.prepare(`
+    UPDATE polls
+    SET status = 'closed', chosen_candidate_id = ?, event_id = ?, closed_at = datetime('now', 'utc')
+    WHERE id = ? AND status = 'open'
+  `).bind(chosen.id, eventId, pollId).run();
+  
+  if (closed.meta.changes === 0) {
+    await env.DB.prepare('DELETE FROM events WHERE id = ?').bind(eventId).run();
+    await recordChanges(env, bandId, 'event', [eventId], 'delete');
+    return errorResponse('The poll is already closed', 409, request, env);
+  }
+  
+  return successResponse(await loadPoll(env, bandId, pollId), 200, request, env);
+}
+
+/**
+ * POST /auth/pin - Set or change a member's PIN
+ * 
+ * Body: {code, pin} with a setup code from a band leader (see
+ * createSetupCode), which logs the member in; or {member_id, current_pin,
+ * pin} to change an existing PIN. A first PIN always needs a setup code.
+ */
+async function setPin({ request, env, body }) {
+  if (body.code !== undefined) {
+    return await setPinWithCode({ request, env, body });
+  }
+  
+  const { member_id, pin, current_pin } = body;
+  
+  // Validate required fields
+  if (!member_id || !pin) {
+    return errorResponse('Missing required fields: member_id, pin', 400, request, env);
+  }
+  
+  validatePin(pin);
+  
+  const member = await env.DB.prepare(`
+    SELECT id, pin_hash, pin_salt, failed_logins, locked_until
+    FROM members
+    WHERE id = ? AND active = 1
+  `).bind(member_id).first();
+  
+  if (!member) {
+    return errorResponse('Member not found', 404, request, env);
+  }
+  
+  if (!member.pin_hash) {
+    return errorResponse('A setup code from a band leader is required to set the first PIN', 403, request, env);
+  }
+  
+  const loginError = await checkPin(env, member, current_pin);
+  if (loginError) {
+    return errorResponse(loginError.message, loginError.status, request, env);
+  }
+  
+  const { hash, salt } = await hashPin(pin);
+  
+  const result = await env.DB.prepare(`
+    UPDATE members
+    SET pin_hash = ?, pin_salt = ?, failed_logins = 0, locked_until = NULL, updated_at = datetime('now', 'utc')
+    WHERE id = ?
+  `).bind(hash, salt, member.id).run();
+  
+  if (!result.success) {
+    return errorResponse('Failed to save PIN', 500, request, env);
+  }
+  
+  return successResponse({ 
+    message: 'PIN saved successfully' 
+  }, 200, request, env);
+}
+
+/**
+ * POST /auth/pin with a setup code - Set the PIN of the code's member and log
+ * them in; the code is used up
+ */
+async function setPinWithCode({ request, env, body }) {
+  if (!env.SESSION_SECRET) {
+    return errorResponse('Authentication is not configured', 500, request, env);
+  }
+  
+  const { code, pin } = body;
+  
+  // Validate required fields
+  if (!code || !pin) {
+    return errorResponse('Missing required fields: code, pin', 400, request, env);
+  }
+  
+  validatePin(pin);
+  
+  // Deleting first makes the code single-use even for concurrent requests
+  const setup = await env.DB.prepare(`
+    DELETE FROM member_setup_codes
+    WHERE code = ?
+    RETURNING member_id, expires_at
+  `).bind(String(code).trim().toUpperCase()).first();
+  
+  if (!setup || new Date(setup.expires_at) <= new Date()) {
+    return errorResponse('Invalid or expired setup code', 404, request, env);
+  }
+  
+  const { hash, salt } = await hashPin(pin);
+  
+  const member = await env.DB.prepare(`
+    UPDATE members
+    SET pin_hash = ?, pin_salt = ?, failed_logins = 0, locked_until = NULL, updated_at = datetime('now', 'utc')
+    WHERE id = ? AND active = 1
+    RETURNING id, band_id, display_name, role
+  `).bind(hash, salt, setup.member_id).first();
+  
+  if (!member) {
+    return errorResponse('Invalid or expired setup code', 404, request, env);
+  }
+  
+  return await sessionResponse(member, 200, request, env);
+}
+
+/**
+ * Verify a PIN for a member row, tracking failed attempts
+ * @returns {Promise<{message: string, status: number}|null>} null when the PIN is correct
+ */
+async function checkPin(env, member, pin) {
+  if (member.locked_until && new Date(member.locked_until) > new Date()) {
+    return { message: 'Too many failed attempts. Try again later.', status: 429 };
+  }
+  
+  if (typeof pin === 'string' && await verifyPin(pin, member.pin_hash, member.pin_salt)) {
+    if (member.failed_logins > 0) {
+      await env.DB.prepare('UPDATE members SET failed_logins = 0, locked_until = NULL WHERE id = ?')
+        .bind(member.id)
+        .run();
+    }
+    return null;
+  }
+  
+  const failedLogins = (member.failed_logins || 0) + 1;
+  const lockedUntil = failedLogins >= MAX_FAILED_LOGINS
+    ? new Date(Date.now() + LOGIN_LOCK_MINUTES * 60 * 1000).toISOString()
+    : null;
+  
+  await env.DB.prepare('UPDATE members SET failed_logins = ?, locked_until = ? WHERE id = ?')
+    .bind(lockedUntil ? 0 : failedLogins, lockedUntil, member.id)
+    .run();
+  
+  return { message: 'Invalid PIN', status: 401 };
+}
+
+/**
+ * Sign a session token for a members row and build the login response
+ */
+async function sessionResponse(member, status, request, env) {
+  const band = await env.DB.prepare('SELECT id, name FROM bands WHERE id = ?')
+    .bind(member.band_id)
+    .first();
+  
+  const { token, expiresAt } = await signSessionToken(member.id, env.SESSION_SECRET);
+  
+  return successResponse({
+    token,
+    expires_at: expiresAt,
+    member: {
+      id: member.id,
+      display_name: member.display_name,
+      role: member.role
+    },
+    band
+  }, status, request, env);
+}
+
+/**
+ * POST /auth/login - Exchange a member's PIN for a session token
+ * Body: {band_id, display_name, pin}
+ * 
+ * Unknown names, members without a PIN and wrong PINs get the same 401, so
+ * the login does not tell which members exist.
+ */
+async function login({ request, env, body }) {
+  if (!env.SESSION_SECRET) {
+    return errorResponse('Authentication is not configured', 500, request, env);
+  }
+  
+  const { band_id, display_name, pin } = body;
+  
+  // Validate required fields
+  if (!band_id || !display_name || !pin) {
+    return errorResponse('Missing required fields: band_id, display_name, pin', 400, request, env);
+  }
+  
+  const member = await env.DB.prepare(`
+    SELECT id, band_id, display_name, role, pin_hash, pin_salt, failed_logins, locked_until
+    FROM members
+    WHERE band_id = ? AND display_name = ? AND active = 1
+  `).bind(String(band_id), String(display_name).trim()).first();
+  
+  if (!member || !member.pin_hash) {
+    return errorResponse('Invalid display name or PIN', 401, request, env);
+  }
+  
+  const loginError = await checkPin(env, member, pin);
+  if (loginError) {
+    const message = loginError.status === 401 ? 'Invalid display name or PIN' : loginError.message;
+    return errorResponse(message, loginError.status, request, env);
+  }
+  
+  return await sessionResponse(member, 200, request, env);
+}
+
+/**
+ * GET /auth/session - Return the member behind the current session token
+ */
+async function getSession({ request, env, session }) {
+  const band = await env.DB.prepare('SELECT id, name FROM bands WHERE id = ?')
+    .bind(session.bandId)
+    .first();
+  
+  return successResponse({
+    member: {
+      id: session.id,
+      display_name: session.name,
+      role: session.role
+    },
+    band
+  }, 200, request, env);
+}
+
+/**
+ * The settings of a band as served by /config, with the dates they resolve
+ * to today
+ */
+function configResponse(bandId, settings) {
+  return {
+    band_id: bandId,
+    timezone: settings.timezone,
+    sync_months_ahead: settings.sync_months_ahead,
+    history_months: settings.history_months,
+    write_window: getSyncPeriod(settings),
+    history_start: getHistoryStart(settings)
+  };
+}
+
+/**
+ * GET /config - Settings of the caller's band: its time zone, how far ahead
+ * events and availability can be entered, and how far back the calendar
+ * can be browsed
+ */
+async function getConfig({ request, env, session }) {
+  const settings = await loadBandSettings(env, session.bandId);
+  
+  return successResponse(configResponse(session.bandId, settings), 200, request, env);
+}
+
+/**
+ * PATCH /config - Change the band's settings (leaders only)
+ * Body: {timezone?, sync_months_ahead?, history_months?}
+ * 
+ * Changing the time zone keeps stored times as they are (they are UTC);
+ * recurring events and weekly templates follow the new zone's wall clock.
+ */
+async function updateConfig({ request, env, session, body }) {
+  if (session.role !== 'leader') {
+    return errorResponse('Only a band leader can change the band settings', 403, request, env);
+  }
+  
+  const existing = await loadBandSettings(env, session.bandId);
+  const settings = {
+    timezone: body.timezone !== undefined ? validateTimeZone(body.timezone) : existing.timezone,
+    sync_months_ahead: body.sync_months_ahead !== undefined
+      ? validateMonths(body.sync_months_ahead, 'sync_months_ahead', 1, MAX_SYNC_MONTHS_AHEAD)
+      : existing.sync_months_ahead,
+    history_months: body.history_months !== undefined
+      ? validateMonths(body.history_months, 'history_months', 0, MAX_HISTORY_MONTHS)
+      : existing.history_months
+  };
+  
+  await env.DB.prepare(`
+    UPDATE bands
+    SET timezone = ?, sync_months_ahead = ?, history_months = ?, updated_at = datetime('now', 'utc')
+    WHERE id = ?
+  `).bind(settings.timezone, settings.sync_months_ahead, settings.history_months, session.bandId).run();
+  
+  return successResponse(configResponse(session.bandId, settings), 200, request, env);
+}
+
+/**
+ * Validate a number of months for the band settings
+ */
+function validateMonths(value, fieldName, min, max) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new ValidationError(`${fieldName} must be an integer from ${min} to ${max} months`);
+  }
+  return value;
+}
+
+/**
+ * GET /bands - List bands for the band selection on the login screen
+ */
+async function getBands({ request, env }) {
+  const { results } = await env.DB.prepare(`
+    SELECT id, name
+    FROM bands
+    ORDER BY created_at ASC
+  `).all();
+  
+  return successResponse(results, 200, request, env);
+}
+
+/**
+ * POST /bands - Start a new band; the creator becomes its first leader
+ * Body: {name, display_name, pin, part?, timezone? (default Asia/Tokyo)}
+ */
+async function createBand({ request, env, body }) {
+  if (!env.SESSION_SECRET) {
+    return errorResponse('Authentication is not configured', 500, request, env);
+  }
+  
+  const { name, display_name, part, pin } = body;
+  
+  // Validate required fields
+  if (!name || !display_name || !pin) {
+    return errorResponse('Missing required fields: name, display_name, pin', 400, request, env);
+  }
+  
+  const sanitizedBandName = validateString(name, 'name', 1, 50);
+  const sanitizedName = validateString(display_name, 'display_name', 1, 50);
+  const sanitizedPart = part ? validateString(part, 'part', 1, 50) : null;
+  const timezone = body.timezone !== undefined ? validateTimeZone(body.timezone) : DEFAULT_TIMEZONE;
+  validatePin(pin);
+  
+  const band = await env.DB.prepare('INSERT INTO bands (name, timezone) VALUES (?, ?) RETURNING id')
+    .bind(sanitizedBandName, timezone)
+    .first();
+  
+  if (!band) {
+    return errorResponse('Failed to create band', 500, request, env);
+  }
+  
+  const { hash, salt } = await hashPin(pin);
+  
+  const member = await env.DB.prepare(`
+    INSERT INTO members (band_id, display_name, role, part, sort_order, pin_hash, pin_salt)
+    VALUES (?, ?, 'leader', ?, 1, ?, ?)
+    RETURNING id, band_id, display_name, role
+  `).bind(band.id, sanitizedName, sanitizedPart, hash, salt).first();
+  
+  if (!member) {
+    return errorResponse('Failed to create band', 500, request, env);
+  }
+  
+  return await sessionResponse(member, 201, request, env);
+}
+
+/**
+ * POST /bands/:id/invites - Issue an invite code (leaders only)
+ */
+async function createInvite({ request, env, session, params: { bandId } }) {
+  if (session.role !== 'leader') {
+    return errorResponse('Only a band leader can create invite codes', 403, request, env);
+  }
+  
+  const code = generateInviteCode();
+  const expiresAt = new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  
+  const result = await env.DB.prepare(`
+    INSERT INTO band_invites (code, band_id, created_by, expires_at)
+    VALUES (?, ?, ?, ?)
+  `).bind(code, bandId, session.name, expiresAt).run();
+  
+  if (!result.success) {
+    return errorResponse('Failed to create invite code', 500, request, env);
+  }
+  
+  return successResponse({
+    code,
+    expires_at: expiresAt
+  }, 201, request, env);
+}
+
+/**
+ * Subscription URL for a feed token, on the same origin as the request
+ */
+function feedUrl(request, token) {
+  return `${new URL(request.url).origin}/calendar.ics?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * GET /bands/:id/feed - The caller's calendar feed URL
+ * 
+ * The feed token is created on first use and stays the same until revoked,
+ * so the URL can be added to a phone calendar as a subscription.
+ */
+async function getFeed({ request, env, session, params: { bandId } }) {
+  const member = await env.DB.prepare('SELECT feed_token FROM members WHERE id = ?')
+    .bind(session.id)
+    .first();
+  
+  let token = member.feed_token;
+  if (!token) {
+    token = generateFeedToken();
+    await env.DB.prepare(`
+      UPDATE members SET feed_token = ?, updated_at = datetime('now', 'utc') WHERE id = ?
+    `).bind(token, session.id).run();
+  }
+  
+  return successResponse({
+    token,
+    url: feedUrl(request, token)
+  }, 200, request, env);
+}
+
+/**
+ * DELETE /bands/:id/feed - Revoke the caller's feed token
+ * 
+ * Subscriptions using the old URL stop working; the next GET issues a new one.
+ */
+async function revokeFeed({ request, env, session, params: { bandId } }) {
+  await env.DB.prepare(`
+    UPDATE members SET feed_token = NULL, updated_at = datetime('now', 'utc') WHERE id = ?
+  `).bind(session.id).run();
+  
+  return successResponse({ message: 'Calendar feed revoked' }, 200, request, env);
+}
+
+/**
+ * GET /calendar.ics?token=<feed token> - iCalendar feed of the band's events
+ * 
+ * Calendar apps cannot send headers, so the member's secret feed token is
+ * the only credential. The feed covers the same range as the calendar, from
+ * the read-only history to the end of the sync period. With `availability=1`
+ * the member's own ○/△/× over the sync period (including their weekly
+ * template) is added as transparent entries.
+ */
+async function getCalendarFeed({ request, env }) {
+  const url = new URL(request.url);
+  const token = url.searchParams.get('token');
+  
+  const member = token && await env.DB.prepare(`
+    SELECT m.display_name, m.band_id, b.name AS band_name
+    FROM members m
+    JOIN bands b ON b.id = m.band_id
+    WHERE m.feed_token = ? AND m.active = 1
+  `).bind(token).first();
+  
+  if (!member) {
+    return errorResponse('Invalid feed token', 401, request, env);
+  }
+  
+  const settings = await loadBandSettings(env, member.band_id);
+  const historyStart = getHistoryStart(settings);
+  const { start: periodStart, end: periodEnd } = getSyncPeriod(settings);
+  
+  // Recurring events are fetched whenever their series started before the range end
+  const { results: events } = await env.DB.prepare(`
+    SELECT id, title, type, start_time, end_time, rrule, exdates,
+           location, notes, url, call_time, open_time, show_time, created_by, created_at
+    FROM events
+    WHERE band_id = ? AND (
+      (rrule IS NULL AND start_time <= ? AND end_time >= ?)
+      OR (rrule IS NOT NULL AND start_time <= ?)
+    )
+    ORDER BY start_time ASC
+    LIMIT 1000
+  `).bind(member.band_id, periodEnd, historyStart, periodEnd).all();
+  
+  let availability = [];
+  if (url.searchParams.get('availability') === '1') {
+    const { results: explicit } = await env.DB.prepare(`
+      SELECT id, member_name, start_time, end_time, status, updated_at
+      FROM availability
+      WHERE band_id = ? AND member_name = ? AND start_time <= ? AND end_time >= ?
+    `).bind(member.band_id, member.display_name, periodEnd, periodStart).all();
+    
+    const templateSlots = await loadTemplateSlots(env, member.band_id, [member.display_name], periodStart, periodEnd);
+    availability = [...resolveOverlaps(explicit), ...templateSlots];
+  }
+  
+  const calendar = buildCalendar({
+    name: member.band_name,
+    bandId: member.band_id,
+    timeZone: settings.timezone,
+    until: periodEnd,
+    events: events.map(event => ({ ...event, exdates: parseExdates(event) })),
+    availability
+  });
+  
+  return new Response(calendar, {
+    status: 200,
+    headers: {
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="band-calendar.ics"',
+      'Cache-Control': 'private, max-age=300',
+      ...getCORSHeaders(request, env)
+    }
+  });
+}
+
+/**
+ * POST /bands/join - Join a band with an invite code
+ * 
+ * Adds the caller to the roster with their PIN and logs them in. Codes stay
+ * valid until they expire, so one code can be shared with the whole band.
+ */
+async function joinBand({ request, env, body }) {
+  if (!env.SESSION_SECRET) {
+    return errorResponse('Authentication is not configured', 500, request, env);
+  }
+  
+  const { code, display_name, part, pin } = body;
+  
+  // Validate required fields
+  if (!code || !display_name || !pin) {
+    return errorResponse('Missing required fields: code, display_name, pin', 400, request, env);
+  }
+  
+  const sanitizedName = validateString(display_name, 'display_name', 1, 50);
+  const sanitizedPart = part ? validateString(part, 'part', 1, 50) : null;
+  validatePin(pin);
+  
+  const invite = await env.DB.prepare(`
+    SELECT band_id, expires_at
+    FROM band_invites
+    WHERE code = ?
+  `).bind(String(code).trim().toUpperCase()).first();
+  
+  if (!invite || new Date(invite.expires_at) <= new Date()) {
+    return errorResponse('Invalid or expired invite code', 404, request, env);
+  }
+  
+  const existing = await env.DB.prepare('SELECT id FROM members WHERE band_id = ? AND display_name = ?')
+    .bind(invite.band_id, sanitizedName)
+    .first();
+  
+  if (existing) {
+    return errorResponse('A member with this display_name already exists', 409, request, env);
+  }
+  
+  const { hash, salt } = await hashPin(pin);
+  
+  const member = await env.DB.prepare(`
+    INSERT INTO members (band_id, display_name, part, sort_order, pin_hash, pin_salt)
+    VALUES (?, ?, ?, (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM members WHERE band_id = ?), ?, ?)
+    RETURNING id, band_id, display_name, role
+  `).bind(invite.band_id, sanitizedName, sanitizedPart, invite.band_id, hash, salt).first();
+  
+  if (!member) {
+    return errorResponse('Failed to join band', 500, request, env);
+  }
+  
+  return await sessionResponse(member, 201, request, env);
+}
+
+/**
+ * Convert status to Japanese symbol
+ */
+function getStatusSymbol(status) {
+  const symbols = {
+    'good': '○',
+    'ok': '△', 
+    'bad': '×'
+  };
+  return symbols[status] || status;
+}
+
+/**
+ * Tag each request with an id (the client's X-Request-Id if usable) that is
+ * echoed in the response and in error logs
+ */
+async function withRequestId(context, next) {
+  const given = context.request.headers.get('X-Request-Id');
+  context.requestId = given && REQUEST_ID.test(given) ? given : crypto.randomUUID();
+  
+  const response = await next();
+  
+  // WebSocket upgrades come from the band channel and are passed on as is
+  if (response.status === 101) {
+    return response;
+  }
+  
+  const tagged = new Response(response.body, response);
+  tagged.headers.set('X-Request-Id', context.requestId);
+  return tagged;
+}
+
+/**
+ * Answer CORS preflight requests; other responses get their CORS headers
+ * from errorResponse/successResponse
+ */
+async function withCors(context, next) {
+  if (context.request.method === 'OPTIONS') {
+    return handleCORS(context.request, context.env);
+  }
+  return next();
+}
+
+/**
+ * Turn thrown errors into error responses: HttpError (and ValidationError,
+ * a 400) keeps its status and message, anything else is logged and answers
+ * a generic 500 so no internals leak to the client
+ */
+async function withErrors(context, next) {
+  const { request, env } = context;
+  
+  try {
+    return await next();
+  } catch (error) {
+    if (error instanceof HttpError) {
+      const response = errorResponse(error.message, error.status, request, env);
+      Object.entries(error.headers).forEach(([name, value]) => response.headers.set(name, value));
+      return response;
+    }
+    
+    console.error(`Unhandled error (request ${context.requestId}):`, error);
+    return errorResponse('Internal Server Error', 500, request, env);
+  }
+}
+
+/**
+ * Rate limit writes (see checkRateLimit)
+ */
+async function withRateLimit(context, next) {
+  const { request, env, ctx } = context;
+  
+  if (request.method !== 'GET' && request.method !== 'HEAD') {
+    const limited = await checkRateLimit(request, env, ctx);
+    if (limited) {
+      return limited;
+    }
+  }
+  
+  return next();
+}
+
+/**
+ * Resolve context.session for routes with `auth`: "session" needs any
+ * member's session token, "member" one of the band in the path. Routes with
+ * `token: 'query'` take the token from ?token= instead of the Authorization
+ * header.
+ */
+async function withAuth(context, next) {
+  const auth = context.route && context.route.auth;
+  
+  if (auth) {
+    const queryToken = context.route.token === 'query' && context.url.searchParams.get('token');
+    const session = context.route.token === 'query'
+      ? queryToken && await authenticateToken(queryToken, context.env)
+      : await authenticate(context.request, context.env);
+    if (!session) {
+      throw new HttpError(401, 'Authentication required');
+    }
+    
+    if (auth === 'member' && session.bandId !== context.params.bandId) {
+      throw new HttpError(403, 'Not a member of this band');
+    }
+    
+    context.session = session;
+  }
+  
+  return next();
+}
+
+/**
+ * Parse the JSON body into context.body for routes with `body` (its
+ * maximum size in bytes)
+ */
+async function withJsonBody(context, next) {
+  const maxSize = context.route && context.route.body;
+  
+  if (maxSize) {
+    validateContentType(context.request);
+    
+    const body = await validateRequestBody(context.request, maxSize);
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new ValidationError('Request body must be a JSON object');
+    }
+    
+    context.body = body;
+  }
+  
+  return next();
+}
+
+/**
+ * GET / - API name and its endpoints
+ */
+function getIndex({ request, env }) {
+  return successResponse({ 
+    message: 'Band Sync Calendar API',
+    version: '1.0.0',
+    endpoints: ROUTES.map(route => `${Object.keys(route.methods).join('/')} ${route.path}`)
+  }, 200, request, env);
+}
+
+/**
+ * API routes (see router.js); `auth` and `body` are read by withAuth and
+ * withJsonBody. Handlers take the request context:
+ * {request, env, ctx, url, params, session, body, requestId}.
+ */
+const ROUTES = [
+  { path: '/', methods: { GET: getIndex } },
+  {
+    path: '/bands',
+    methods: {
+      GET: getBands,
+      POST: { handler: createBand, body: MAX_BODY_SIZE }
+    }
+  },
+  { path: '/bands/join', methods: { POST: { handler: joinBand, body: MAX_BODY_SIZE } } },
+  {
+    path: '/bands/:bandId/events',
+    auth: 'member',
+    methods: {
+      GET: getEvents,
+      POST: { handler: createEvent, body: MAX_EVENT_BODY_SIZE }
+    }
+  },
+  {
+    path: '/bands/:bandId/events/:eventId',
+    auth: 'member',
+    methods: {
+      PATCH: { handler: updateEvent, body: MAX_EVENT_BODY_SIZE },
+      DELETE: deleteEvent
+    }
+  },
+  {
+    path: '/bands/:bandId/events/:eventId/responses',
+    auth: 'member',
+    methods: {
+      GET: getEventResponses,
+      POST: { handler: saveEventResponse, body: MAX_BODY_SIZE }
+    }
+  },
+  {
+    path: '/bands/:bandId/events/:eventId/comments',
+    auth: 'member',
+    methods: {
+      GET: getEventComments,
+      POST: { handler: createEventComment, body: MAX_BODY_SIZE }
+    }
+  },
+  { path: '/bands/:bandId/events/:eventId/comments/:commentId', auth: 'member', methods: { DELETE: deleteEventComment } },
+  {
+    path: '/bands/:bandId/events/:eventId/setlist',
+    auth: 'member',
+    methods: {
+      GET: getSetlist,
+      PUT: { handler: putSetlist, body: MAX_BODY_SIZE }
+    }
+  },
+  {
+    path: '/bands/:bandId/songs',
+    auth: 'member',
+    methods: {
+      GET: getSongs,
+      POST: { handler: createSong, body: MAX_BODY_SIZE }
+    }
+  },
+  {
+    path: '/bands/:bandId/songs/:songId',
+    auth: 'member',
+    methods: {
+      PATCH: { handler: updateSong, body: MAX_BODY_SIZE },
+      DELETE: deleteSong
+    }
+  },
+  {
+    path: '/bands/:bandId/songs/:songId/readiness',
+    auth: 'member',
+    methods: { PUT: { handler: putSongReadiness, body: MAX_BODY_SIZE } }
+  },
+  {
+    path: '/bands/:bandId/polls',
+    auth: 'member',
+    methods: {
+      GET: getPolls,
+      POST: { handler: createPoll, body: MAX_BODY_SIZE }
+    }
+  },
+  {
+    path: '/bands/:bandId/polls/:pollId',
+    auth: 'member',
+    methods: {
+      GET: getPoll,
+      DELETE: deletePoll
+    }
+  },
+  {
+    path: '/bands/:bandId/polls/:pollId/votes',
+    auth: 'member',
+    methods: { PUT: { handler: putPollVotes, body: MAX_BODY_SIZE } }
+  },
+  {
+    path: '/bands/:bandId/polls/:pollId/close',
+    auth: 'member',
+    methods: { POST: { handler: closePoll, body: MAX_BODY_SIZE } }
+  },
+  {
+    path: '/bands/:bandId/availability',
+    auth: 'member',
+    methods: {
+      GET: getAvailability,
+      POST: { handler: upsertAvailability, body: MAX_BODY_SIZE },
+      DELETE: { handler: deleteAvailability, body: MAX_BODY_SIZE }
+    }
+  },
+  {
+    // A couple of months of slots
+    path: '/bands/:bandId/availability/batch',
+    auth: 'member',
+    methods: { POST: { handler: batchAvailability, body: MAX_EVENT_BODY_SIZE } }
+  },
+  {
+    path: '/bands/:bandId/availability/template',
+    auth: 'member',
+    methods: {
+      GET: getAvailabilityTemplate,
+      PUT: { handler: putAvailabilityTemplate, body: MAX_BODY_SIZE }
+    }
+  },
+  {
+    path: '/bands/:bandId/members',
+    auth: 'member',
+    methods: {
+      GET: getMembers,
+      POST: { handler: createMember, body: MAX_BODY_SIZE }
+    }
+  },
+  {
+    path: '/bands/:bandId/members/:memberId',
+    auth: 'member',
+    methods: { PATCH: { handler: updateMember, body: MAX_BODY_SIZE } }
+  },
+  { path: '/bands/:bandId/members/:memberId/setup-code', auth: 'member', methods: { POST: createSetupCode } },
+  { path: '/bands/:bandId/invites', auth: 'member', methods: { POST: createInvite } },
+  { path: '/bands/:bandId/suggest', auth: 'member', methods: { GET: getSuggestions } },
+  { path: '/bands/:bandId/changes', auth: 'member', methods: { GET: getChanges } },
+  // WebSockets cannot send headers, so the session token comes as ?token=
+  { path: '/bands/:bandId/live', auth: 'member', token: 'query', methods: { GET: connectLive } },
+  {
+    path: '/bands/:bandId/feed',
+    auth: 'member',
+    methods: {
+      GET: getFeed,
+      DELETE: revokeFeed
+    }
+  },
+  { path: '/calendar.ics', methods: { GET: getCalendarFeed } },
+  { path: '/auth/pin', methods: { POST: { handler: setPin, body: MAX_BODY_SIZE } } },
+  { path: '/auth/login', methods: { POST: { handler: login, body: MAX_BODY_SIZE } } },
+  { path: '/auth/session', auth: 'session', methods: { GET: getSession } },
+  {
+    path: '/config',
+    auth: 'session',
+    methods: {
+      GET: getConfig,
+      PATCH: { handler: updateConfig, body: MAX_BODY_SIZE }
+    }
+  }
+];
+
+const router = createRouter(ROUTES, [
+  withRequestId,
+  withCors,
+  withErrors,
+  withRateLimit,
+  withAuth,
+  withJsonBody
+]);
+
+/**
+ * Main request handler
+ */
+export default {
+  async fetch(request, env, ctx) {
+    return router.handle(request, env, ctx);
   }
 };
\ No newline at end of file
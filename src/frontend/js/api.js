@@ -1,12 +1,13 @@
 // API client for Band Sync Calendar backend communication
 
 class APIError extends Error {
-    constructor(status, statusText, message, endpoint) {
+    constructor(status, statusText, message, endpoint, retryAfter = null) {
         super(message);
         this.name = 'APIError';
         this.status = status;
         this.statusText = statusText;
         this.endpoint = endpoint;
+        this.retryAfter = retryAfter; // milliseconds, from the Retry-After header
     }
     
     toString() {
@@ -19,6 +20,7 @@ class APIClient {
         this.baseURL = baseURL;
         this.retryAttempts = 3;
         this.retryDelay = 1000; // 1 second
+        this.maxRetryAfter = 60000; // longer server-requested waits fail instead
         this.requestQueue = [];
         this.isOnline = navigator.onLine;
         this.setupNetworkListeners();
@@ -46,6 +48,7 @@ class APIClient {
             headers: {
                 'Content-Type': 'application/json',
                 'X-Requested-With': 'XMLHttpRequest',
+                ...this.getAuthHeaders(),
             },
             timeout: 30000, // 30 second timeout
         };
@@ -70,11 +73,19 @@ class APIClient {
                 
                 if (!response.ok) {
                     const errorData = await response.json().catch(() => ({}));
+                    
+                    // Session expired or revoked - ask the member to log in again
+                    if (response.status === 401 && !endpoint.startsWith('/auth/')) {
+                        storage.clearSession();
+                        document.dispatchEvent(new CustomEvent('auth-required'));
+                    }
+                    
                     throw new APIError(
                         response.status,
                         response.statusText,
                         errorData.error || 'Unknown error',
-                        endpoint
+                        endpoint,
+                        this.parseRetryAfter(response.headers.get('Retry-After'))
                     );
                 }
                 
@@ -87,12 +98,20 @@ class APIClient {
                 }
                 
                 return data;
-                
+            
             } catch (error) {
                 console.warn(`[API] ❌ Attempt ${attempt}/${this.retryAttempts} failed for ${endpoint}:`, error);
                 
-                // Don't retry on client errors (4xx)
-                if (error instanceof APIError && error.status >= 400 && error.status < 500) {
+                const retryAfter = error instanceof APIError ? error.retryAfter : null;
+                
+                // Don't retry on client errors (4xx) other than rate limiting
+                if (error instanceof APIError && error.status >= 400 && error.status < 500 && error.status !== 429) {
+                    throw error;
+                }
+                
+                // Rate limited for longer than it is worth waiting, or out of attempts
+                if (error instanceof APIError && error.status === 429 &&
+                    (attempt === this.retryAttempts || retryAfter === null || retryAfter > this.maxRetryAfter)) {
                     throw error;
                 }
                 
@@ -112,13 +131,28 @@ class APIClient {
                     );
                 }
                 
-                // Exponential backoff
-                const delay = this.retryDelay * Math.pow(2, attempt - 1);
+                // Wait as long as the server asks, otherwise back off exponentially
+                const delay = retryAfter !== null ? retryAfter : this.retryDelay * Math.pow(2, attempt - 1);
                 await new Promise(resolve => setTimeout(resolve, delay));
             }
         }
     }
     
+    /**
+     * Retry-After is either seconds or an HTTP date
+     * @returns {number|null} milliseconds to wait
+     */
+    parseRetryAfter(value) {
+        if (!value) return null;
+        
+        if (/^\d+$/.test(value.trim())) {
+            return Number(value) * 1000;
+        }
+        
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+    
     queueRequest(endpoint, options) {
         return new Promise((resolve, reject) => {
             this.requestQueue.push({
@@ -151,19 +185,180 @@ class APIClient {
         }
     }
     
+    getAuthHeaders() {
+        const session = storage.getSession();
+        return session ? { 'Authorization': `Bearer ${session.token}` } : {};
+    }
+    
+    getBandId() {
+        const band = storage.getBand();
+        return band ? band.id : null;
+    }
+    
+    // Events, availability and members live under /bands/:id
+    bandPath(path) {
+        const bandId = this.getBandId();
+        if (!bandId) {
+            throw new Error('No band selected');
+        }
+        return `/bands/${bandId}${path}`;
+    }
+    
+    // Auth API
+    async login(bandId, displayName, pin) {
+        const result = await this.request('/auth/login', {
+            method: 'POST',
+            body: JSON.stringify({ band_id: bandId, display_name: displayName, pin })
+        });
+        
+        this.saveSession(result);
+        
+        return result;
+    }
+    
+    // Store the session returned by login, join or band creation
+    saveSession(result) {
+        storage.setBand(result.band);
+        storage.setSession({
+            token: result.token,
+            expiresAt: result.expires_at,
+            memberId: result.member.id,
+            memberName: result.member.display_name,
+            role: result.member.role,
+            bandId: result.band.id
+        });
+    }
+    
+    async setPin(memberId, pin, currentPin) {
+        const result = await this.request('/auth/pin', {
+            method: 'POST',
+            body: JSON.stringify({ member_id: memberId, pin, current_pin: currentPin })
+        });
+        
+        this.clearMembersCache();
+        
+        return result;
+    }
+    
+    // Set the PIN with a leader's setup code, which also logs the member in
+    async setPinWithCode(code, pin) {
+        const result = await this.request('/auth/pin', {
+            method: 'POST',
+            body: JSON.stringify({ code, pin })
+        });
+        
+        this.saveSession(result);
+        this.clearMembersCache();
+        
+        return result;
+    }
+    
+    logout() {
+        storage.clearSession();
+    }
+    
+    // Bands API
+    async getBands() {
+        return this.request('/bands');
+    }
+    
+    async joinBand(code, displayName, pin, part = undefined) {
+        const result = await this.request('/bands/join', {
+            method: 'POST',
+            body: JSON.stringify({ code, display_name: displayName, part, pin })
+        });
+        
+        this.saveSession(result);
+        this.clearMembersCache();
+        
+        return result;
+    }
+    
+    async createInvite() {
+        return this.request(this.bandPath('/invites'), {
+            method: 'POST'
+        });
+    }
+    
+    async createSetupCode(memberId) {
+        return this.request(this.bandPath(`/members/${memberId}/setup-code`), {
+            method: 'POST'
+        });
+    }
+    
+    /**
+     * Get the member's calendar feed URL (created on first use)
+     * @returns {Promise<{token: string, url: string}>}
+     */
+    async getCalendarFeed() {
+        return this.request(this.bandPath('/feed'));
+    }
+    
+    /**
+     * Revoke the member's feed URL; subscriptions using it stop updating
+     */
+    async revokeCalendarFeed() {
+        return this.request(this.bandPath('/feed'), {
+            method: 'DELETE'
+        });
+    }
+    
+    /**
+     * Get the band's settings (time zone, write window and browsable history)
+     * @returns {Promise<{timezone: string, sync_months_ahead: number, history_months: number}>}
+     */
+    async getConfig() {
+        const cacheKey = `config_${this.getBandId()}`;
+        
+        try {
+            const config = await this.request('/config');
+            
+            // Cache successful response (kept for a week as an offline fallback)
+            storage.setCache(cacheKey, { data: config, timestamp: Date.now() }, 7 * 24 * 60);
+            
+            return config;
+        } catch (error) {
+            // Return cached data if available during network errors
+            const cached = storage.getCache(cacheKey);
+            if (cached) {
+                console.log('[API] 📋 Using stale cached config due to network error');
+                return cached.data;
+            }
+            throw error;
+        }
+    }
+    
+    /**
+     * Change the band's settings (leaders only)
+     */
+    async updateConfig(settings) {
+        return this.request('/config', {
+            method: 'PATCH',
+            body: JSON.stringify(settings)
+        });
+    }
+    
     generateRequestId() {
         return Math.random().toString(36).substr(2, 9);
     }
     
+    /**
+     * start/end query parameters (UTC) covering whole days ("YYYY-MM-DD")
+     * in the band's time zone
+     */
+    dayRangeParams(startDate, endDate) {
+        return new URLSearchParams({
+            start: dateUtils.toUtc(startDate, '00:00:00'),
+            end: dateUtils.toUtc(endDate, '23:59:59')
+        });
+    }
+    
     // Events API
     async getEvents(startDate, endDate) {
         try {
-            const params = new URLSearchParams({
-                start: startDate,
-                end: endDate
-            });
+            const params = this.dayRangeParams(startDate, endDate);
             
-            const cacheKey = `events_${startDate}_${endDate}`;
+            const cacheKey = `events_${this.getBandId()}_${startDate}_${endDate}`;
             
             // Try cache first for GET requests
             if (this.isOnline) {
@@ -174,7 +369,7 @@ class APIClient {
                 }
             }
             
-            const events = await this.request(`/events?${params}`);
+            const events = await this.request(this.bandPath(`/events?${params}`));
             
             // Cache successful response
             if (this.isOnline) {
@@ -184,7 +379,7 @@ class APIClient {
             return events;
         } catch (error) {
             // Return cached data if available during network errors
-            const cacheKey = `events_${startDate}_${endDate}`;
+            const cacheKey = `events_${this.getBandId()}_${startDate}_${endDate}`;
             const cached = storage.getCache(cacheKey);
             if (cached) {
                 console.log('[API] 📋 Using stale cached events due to network error');
@@ -199,7 +394,7 @@ class APIClient {
             // Validate event data
             this.validateEventData(eventData);
             
-            const result = await this.request('/events', {
+            const result = await this.request(this.bandPath('/events'), {
                 method: 'POST',
                 body: JSON.stringify(eventData)
             });
@@ -214,13 +409,41 @@ class APIClient {
         }
     }
     
-    async deleteEvent(eventId) {
+    async updateEvent(eventId, eventData) {
+        try {
+            if (!eventId) {
+                throw new Error('Event ID is required');
+            }
+            
+            const result = await this.request(this.bandPath(`/events/${eventId}`), {
+                method: 'PATCH',
+                body: JSON.stringify(eventData)
+            });
+            
+            // Clear events cache after successful update
+            this.clearEventsCache();
+            
+            return result;
+        } catch (error) {
+            console.error('[API] Failed to update event:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Delete an event; for a recurring series pass {scope: 'this'|'future', occurrenceStart}
+     */
+    async deleteEvent(eventId, options = {}) {
         try {
             if (!eventId) {
                 throw new Error('Event ID is required');
             }
             
-            const result = await this.request(`/events/${eventId}`, {
+            const params = options.scope
+                ? `?scope=${options.scope}&occurrence_start=${encodeURIComponent(options.occurrenceStart)}`
+                : '';
+            
+            const result = await this.request(this.bandPath(`/events/${eventId}${params}`), {
                 method: 'DELETE'
             });
             
@@ -234,15 +457,85 @@ class APIClient {
         }
     }
     
+    // Attendance API
+    async getEventResponses(eventId, occurrenceStart = null) {
+        const params = occurrenceStart ? `?occurrence_start=${encodeURIComponent(occurrenceStart)}` : '';
+        return this.request(this.bandPath(`/events/${eventId}/responses${params}`));
+    }
+    
+    /**
+     * Answer for the logged-in member ({response: 'going'|'maybe'|'no', comment, occurrence_start})
+     */
+    async saveEventResponse(eventId, responseData) {
+        try {
+            const result = await this.request(this.bandPath(`/events/${eventId}/responses`), {
+                method: 'POST',
+                body: JSON.stringify(responseData)
+            });
+            
+            // Events carry their answers
+            this.clearEventsCache();
+            
+            return result;
+        } catch (error) {
+            console.error('[API] Failed to save attendance:', error);
+            throw error;
+        }
+    }
+    
+    // Comments API
+    async getEventComments(eventId, occurrenceStart = null) {
+        const params = occurrenceStart ? `?occurrence_start=${encodeURIComponent(occurrenceStart)}` : '';
+        return this.request(this.bandPath(`/events/${eventId}/comments${params}`));
+    }
+    
+    /**
+     * Comment as the logged-in member ({body, occurrence_start})
+     */
+    async postEventComment(eventId, commentData) {
+        try {
+            const result = await this.request(this.bandPath(`/events/${eventId}/comments`), {
+                method: 'POST',
+                body: JSON.stringify(commentData)
+            });
+            
+            // Events carry their comment list
+            this.clearEventsCache();
+            
+            return result;
+        } catch (error) {
+            console.error('[API] Failed to post comment:', error);
+            throw error;
+        }
+    }
+    
+    async deleteEventComment(eventId, commentId) {
+        try {
+            const result = await this.request(this.bandPath(`/events/${eventId}/comments/${commentId}`), {
+                method: 'DELETE'
+            });
+            
+            this.clearEventsCache();
+            
+            return result;
+        } catch (error) {
+            console.error('[API] Failed to delete comment:', error);
+            throw error;
+        }
+    }
+    
+    // Changes API (delta sync)
+    async getChanges(since = null) {
+        const params = since === null ? '' : `?since=${encodeURIComponent(since)}`;
+        return this.request(this.bandPath(`/changes${params}`));
+    }
+    
     // Availability API
     async getAvailability(startDate, endDate) {
         try {
-            const params = new URLSearchParams({
-                start: startDate,
-                end: endDate
-            });
+            const params = this.dayRangeParams(startDate, endDate);
             
-            const cacheKey = `availability_${startDate}_${endDate}`;
+            const cacheKey = `availability_${this.getBandId()}_${startDate}_${endDate}`;
             
             // Try cache first for GET requests
             if (this.isOnline) {
@@ -253,7 +546,7 @@ class APIClient {
                 }
             }
             
-            const availability = await this.request(`/availability?${params}`);
+            const availability = await this.request(this.bandPath(`/availability?${params}`));
             
             // Cache successful response
             if (this.isOnline) {
@@ -263,7 +556,7 @@ class APIClient {
             return availability;
         } catch (error) {
             // Return cached data if available during network errors
-            const cacheKey = `availability_${startDate}_${endDate}`;
+            const cacheKey = `availability_${this.getBandId()}_${startDate}_${endDate}`;
             const cached = storage.getCache(cacheKey);
             if (cached) {
                 console.log('[API] 📋 Using stale cached availability due to network error');
@@ -278,7 +571,7 @@ class APIClient {
             // Validate availability data
             this.validateAvailabilityData(availabilityData);
             
-            const result = await this.request('/availability', {
+            const result = await this.request(this.bandPath('/availability'), {
                 method: 'POST',
                 body: JSON.stringify(availabilityData)
             });
@@ -293,6 +586,315 @@ class APIClient {
         }
     }
     
+    /**
+     * Save or clear several slots in one request (status "clear" withdraws a slot)
+     * @returns {Promise<{saved: number, cleared: number, failed: number, results: Array}>}
+     */
+    async saveAvailabilityBatch(slots) {
+        try {
+            slots.forEach(slot => {
+                if (slot.status !== 'clear') {
+                    this.validateAvailabilityData(slot);
+                } else {
+                    this.validateAvailabilitySlot(slot);
+                }
+            });
+            
+            const result = await this.request(this.bandPath('/availability/batch'), {
+                method: 'POST',
+                body: JSON.stringify({ slots })
+            });
+            
+            // Clear availability cache after successful save
+            this.clearAvailabilityCache();
+            
+            return result;
+        } catch (error) {
+            console.error('[API] Failed to save availability batch:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Get the caller's weekly availability pattern
+     * @returns {Promise<{slots: Array<{weekday: number, start_time: string, end_time: string, status: string}>}>}
+     */
+    async getAvailabilityTemplate() {
+        return this.request(this.bandPath('/availability/template'));
+    }
+    
+    /**
+     * Replace the caller's weekly pattern (weekday 0 = Sunday; an empty list removes it)
+     */
+    async saveAvailabilityTemplate(slots) {
+        try {
+            const result = await this.request(this.bandPath('/availability/template'), {
+                method: 'PUT',
+                body: JSON.stringify({ slots })
+            });
+            
+            // Template slots are part of every availability response
+            this.clearAvailabilityCache();
+            
+            return result;
+        } catch (error) {
+            console.error('[API] Failed to save weekly pattern:', error);
+            throw error;
+        }
+    }
+    
+    async clearAvailability(slotData) {
+        try {
+            // Validate slot data
+            this.validateAvailabilitySlot(slotData);
+            
+            const result = await this.request(this.bandPath('/availability'), {
+                method: 'DELETE',
+                body: JSON.stringify(slotData)
+            });
+            
+            // Clear availability cache after successful withdrawal
+            this.clearAvailabilityCache();
+            
+            return result;
+        } catch (error) {
+            console.error('[API] Failed to clear availability:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Slots of `duration` minutes that most members can make, best first
+     * (events and weekly patterns are taken into account by the server)
+     */
+    async getSuggestions({ start, end, duration = 180, minMembers = 1, required = [] }) {
+        const params = this.dayRangeParams(start, end);
+        params.set('duration', String(duration));
+        params.set('minMembers', String(minMembers));
+        if (required.length > 0) {
+            params.set('required', required.join(','));
+        }
+        
+        return this.request(this.bandPath(`/suggest?${params}`));
+    }
+    
+    // Members API
+    async getMembers(includeInactive = false) {
+        const cacheKey = `${includeInactive ? 'members_all' : 'members_active'}_${this.getBandId()}`;
+        
+        try {
+            // Try cache first for GET requests
+            if (this.isOnline) {
+                const cached = storage.getCache(cacheKey);
+                if (cached && Date.now() - cached.timestamp < 5 * 60 * 1000) { // 5 minute cache
+                    console.log('[API] 📋 Using cached members');
+                    return cached.data;
+                }
+            }
+            
+            const params = includeInactive ? '?include_inactive=true' : '';
+            const members = await this.request(this.bandPath(`/members${params}`));
+            
+            // Cache successful response (kept for a week as an offline fallback)
+            storage.setCache(cacheKey, { data: members, timestamp: Date.now() }, 7 * 24 * 60);
+            
+            return members;
+        } catch (error) {
+            // Return cached data if available during network errors
+            const cached = storage.getCache(cacheKey);
+            if (cached) {
+                console.log('[API] 📋 Using stale cached members due to network error');
+                return cached.data;
+            }
+            throw error;
+        }
+    }
+    
+    async createMember(memberData) {
+        try {
+            if (!memberData.display_name) {
+                throw new Error('Missing required fields: display_name');
+            }
+            
+            const result = await this.request(this.bandPath('/members'), {
+                method: 'POST',
+                body: JSON.stringify(memberData)
+            });
+            
+            this.clearMembersCache();
+            
+            return result;
+        } catch (error) {
+            console.error('[API] Failed to create member:', error);
+            throw error;
+        }
+    }
+    
+    async updateMember(memberId, memberData) {
+        try {
+            if (!memberId) {
+                throw new Error('Member ID is required');
+            }
+            
+            const result = await this.request(this.bandPath(`/members/${memberId}`), {
+                method: 'PATCH',
+                body: JSON.stringify(memberData)
+            });
+            
+            this.clearMembersCache();
+            
+            return result;
+        } catch (error) {
+            console.error('[API] Failed to update member:', error);
+            throw error;
+        }
+    }
+    
+    // Songs API (setlist library)
+    async getSongs() {
+        return this.request(this.bandPath('/songs'));
+    }
+    
+    async createSong(songData) {
+        try {
+            if (!songData.title || !songData.duration_seconds) {
+                throw new Error('Missing required fields: title, duration_seconds');
+            }
+            
+            return await this.request(this.bandPath('/songs'), {
+                method: 'POST',
+                body: JSON.stringify(songData)
+            });
+        } catch (error) {
+            console.error('[API] Failed to create song:', error);
+            throw error;
+        }
+    }
+    
+    async updateSong(songId, songData) {
+        try {
+            return await this.request(this.bandPath(`/songs/${songId}`), {
+                method: 'PATCH',
+                body: JSON.stringify(songData)
+            });
+        } catch (error) {
+            console.error('[API] Failed to update song:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Mark the logged-in member's readiness for a song ('new'|'practicing'|'ready')
+     */
+    async setSongReadiness(songId, readiness) {
+        try {
+            return await this.request(this.bandPath(`/songs/${songId}/readiness`), {
+                method: 'PUT',
+                body: JSON.stringify({ readiness })
+            });
+        } catch (error) {
+            console.error('[API] Failed to save readiness:', error);
+            throw error;
+        }
+    }
+    
+    async deleteSong(songId) {
+        try {
+            return await this.request(this.bandPath(`/songs/${songId}`), {
+                method: 'DELETE'
+            });
+        } catch (error) {
+            console.error('[API] Failed to delete song:', error);
+            throw error;
+        }
+    }
+    
+    // Polls API (date polls)
+    async getPolls() {
+        return this.request(this.bandPath('/polls'));
+    }
+    
+    /**
+     * Start a poll (leaders only): {title, type, candidates: [{start_time, end_time}]}
+     */
+    async createPoll(pollData) {
+        try {
+            return await this.request(this.bandPath('/polls'), {
+                method: 'POST',
+                body: JSON.stringify(pollData)
+            });
+        } catch (error) {
+            console.error('[API] Failed to create poll:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Vote for the logged-in member: {<candidateId>: 'good'|'ok'|'bad'|null}
+     */
+    async votePoll(pollId, votes) {
+        try {
+            return await this.request(this.bandPath(`/polls/${pollId}/votes`), {
+                method: 'PUT',
+                body: JSON.stringify({ votes })
+            });
+        } catch (error) {
+            console.error('[API] Failed to vote:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Close a poll (leaders only); the chosen candidate becomes an event
+     */
+    async closePoll(pollId, candidateId) {
+        try {
+            const result = await this.request(this.bandPath(`/polls/${pollId}/close`), {
+                method: 'POST',
+                body: JSON.stringify({ candidate_id: candidateId })
+            });
+            
+            this.clearEventsCache();
+            
+            return result;
+        } catch (error) {
+            console.error('[API] Failed to close poll:', error);
+            throw error;
+        }
+    }
+    
+    async deletePoll(pollId) {
+        try {
+            return await this.request(this.bandPath(`/polls/${pollId}`), {
+                method: 'DELETE'
+            });
+        } catch (error) {
+            console.error('[API] Failed to delete poll:', error);
+            throw error;
+        }
+    }
+    
+    // Setlist API (live events only)
+    async getSetlist(eventId) {
+        return this.request(this.bandPath(`/events/${eventId}/setlist`));
+    }
+    
+    /**
+     * Replace a setlist with items in playing order
+     * ({kind: 'song', song_id, duration_seconds?, note?} or {kind: 'mc', duration_seconds, note?})
+     */
+    async saveSetlist(eventId, items) {
+        try {
+            return await this.request(this.bandPath(`/events/${eventId}/setlist`), {
+                method: 'PUT',
+                body: JSON.stringify({ items })
+            });
+        } catch (error) {
+            console.error('[API] Failed to save setlist:', error);
+            throw error;
+        }
+    }
+    
     // Holiday API (external)
     async getJapaneseHolidays() {
         try {
@@ -341,7 +943,7 @@ class APIClient {
     
     // Validation methods
     validateEventData(eventData) {
-        const required = ['title', 'type', 'start_time', 'end_time', 'created_by'];
+        const required = ['title', 'type', 'start_time', 'end_time'];
         const missing = required.filter(field => !eventData[field]);
         
         if (missing.length > 0) {
@@ -359,25 +961,41 @@ class APIClient {
         if (new Date(eventData.start_time) >= new Date(eventData.end_time)) {
             throw new Error('Start time must be before end time');
         }
+        
+        if (eventData.url && !/^https?:\/\//i.test(eventData.url)) {
+            throw new Error('URL must start with http:// or https://');
+        }
+        
+        if (eventData.notes && eventData.notes.length > 5000) {
+            throw new Error('Notes must be no more than 5000 characters');
+        }
     }
     
     validateAvailabilityData(availabilityData) {
-        const required = ['member_name', 'start_time', 'end_time', 'status'];
-        const missing = required.filter(field => !availabilityData[field]);
-        
-        if (missing.length > 0) {
-            throw new Error(`Missing required fields: ${missing.join(', ')}`);
+        if (!availabilityData.status) {
+            throw new Error('Missing required fields: status');
         }
         
         if (!['good', 'ok', 'bad'].includes(availabilityData.status)) {
             throw new Error('Invalid availability status');
         }
         
-        if (availabilityData.member_name.length < 1 || availabilityData.member_name.length > 50) {
+        this.validateAvailabilitySlot(availabilityData);
+    }
+    
+    validateAvailabilitySlot(slotData) {
+        const required = ['member_name', 'start_time', 'end_time'];
+        const missing = required.filter(field => !slotData[field]);
+        
+        if (missing.length > 0) {
+            throw new Error(`Missing required fields: ${missing.join(', ')}`);
+        }
+        
+        if (slotData.member_name.length < 1 || slotData.member_name.length > 50) {
             throw new Error('Member name must be between 1 and 50 characters');
         }
         
-        if (new Date(availabilityData.start_time) >= new Date(availabilityData.end_time)) {
+        if (new Date(slotData.start_time) >= new Date(slotData.end_time)) {
             throw new Error('Start time must be before end time');
         }
     }
@@ -393,6 +1011,12 @@ class APIClient {
         keys.forEach(key => storage.clearCache(key.replace('band_sync_cache_', '')));
     }
     
+    clearMembersCache() {
+        const bandId = this.getBandId();
+        storage.clearCache(`members_active_${bandId}`);
+        storage.clearCache(`members_all_${bandId}`);
+    }
+    
     // Network status
     isNetworkAvailable() {
         return this.isOnline;
@@ -411,8 +1035,39 @@ class APIClient {
 
 // Data transformation utilities
 class DataTransformer {
-    static toFullCalendarEvent(event) {
+    /**
+     * Convert an event in the API's FullCalendar shape back to a database row shape.
+     * Rows that are already in database shape are returned unchanged.
+     */
+    static normalizeEvent(event) {
+        if (event.start_time) return event;
+        
+        const props = event.extendedProps || {};
         return {
+            id: event.id,
+            title: event.title,
+            type: props.type,
+            start_time: event.start,
+            end_time: event.end,
+            created_by: props.createdBy,
+            created_at: props.createdAt,
+            series_id: props.seriesId,
+            occurrence_start: props.occurrenceStart,
+            rrule: props.rrule,
+            location: props.location,
+            notes: props.notes,
+            url: props.url,
+            call_time: props.callTime,
+            open_time: props.openTime,
+            show_time: props.showTime,
+            responses: props.responses,
+            comments: props.comments
+        };
+    }
+    
+    static toFullCalendarEvent(event) {
+        event = DataTransformer.normalizeEvent(event);
+        const calendarEvent = {
             id: event.id,
             title: event.title,
             start: event.start_time,
@@ -420,15 +1075,54 @@ class DataTransformer {
             extendedProps: {
                 type: event.type,
                 createdBy: event.created_by,
-                createdAt: event.created_at
+                createdAt: event.created_at,
+                location: event.location || null,
+                notes: event.notes || null,
+                url: event.url || null,
+                callTime: event.call_time || null,
+                openTime: event.open_time || null,
+                showTime: event.show_time || null,
+                responses: event.responses || [],
+                comments: event.comments || []
             },
             classNames: [`event-${event.type}`]
         };
+        
+        // Occurrences of a recurring event are grouped by their series id
+        if (event.series_id) {
+            calendarEvent.groupId = event.series_id;
+            calendarEvent.extendedProps.seriesId = event.series_id;
+            calendarEvent.extendedProps.occurrenceStart = event.occurrence_start;
+            calendarEvent.extendedProps.rrule = event.rrule;
+        }
+        
+        return calendarEvent;
+    }
+    
+    /**
+     * Convert availability in the API's FullCalendar shape back to a database row shape.
+     * Rows that are already in database shape are returned unchanged.
+     */
+    static normalizeAvailability(availability) {
+        if (availability.member_name) return availability;
+        
+        const props = availability.extendedProps || {};
+        return {
+            id: availability.id,
+            member_name: props.memberName,
+            start_time: availability.start,
+            end_time: availability.end,
+            status: props.status,
+            updated_at: props.updatedAt,
+            group_id: availability.groupId,
+            from_template: props.fromTemplate
+        };
     }
     
     static toFullCalendarAvailability(availability) {
+        availability = DataTransformer.normalizeAvailability(availability);
         const symbol = CONFIG.STATUS_SYMBOLS[availability.status];
-        return {
+        const calendarAvailability = {
             id: `availability-${availability.id}`,
             title: `${availability.member_name}: ${symbol}`,
             start: availability.start_time,
@@ -441,6 +1135,15 @@ class DataTransformer {
                 status: availability.status
             }
         };
+        
+        // Slots filled in from a member's weekly pattern are replaced as a group
+        if (availability.from_template) {
+            calendarAvailability.groupId = `availability-${availability.group_id}`;
+            calendarAvailability.classNames.push('availability-template');
+            calendarAvailability.extendedProps.fromTemplate = true;
+        }
+        
+        return calendarAvailability;
     }
     
     static toFullCalendarHoliday(date, name) {
@@ -17,8 +17,8 @@ class BandSyncCalendar {
             // Schedule periodic cleanup
             storage.scheduleCleanup();
             
-            // Check for nickname first
-            if (!storage.getNickname()) {
+            // Check for a logged-in member first
+            if (!storage.getNickname() || !storage.getSession() || !storage.getBand()) {
                 this.showNicknameModal();
                 return;
             }
@@ -43,11 +43,22 @@ class BandSyncCalendar {
         const calendarEl = document.getElementById('calendar');
         if (!calendarEl) throw new Error('Calendar element not found');
         
+        // The band's sync window decides the calendar's range
+        await this.loadSyncConfig();
+        
         // Initialize calendar using CalendarManager
         this.calendar = await calendarManager.initialize(calendarEl);
         await this.loadCalendarData();
     }
     
+    async loadSyncConfig() {
+        try {
+            applySyncConfig(await apiClient.getConfig());
+        } catch (error) {
+            console.warn('[App] Failed to load band settings, using defaults:', error);
+        }
+    }
+    
     initializeDrawer() {
         // Drawer initialization will be handled by drawer.js
         if (typeof window.initializeDrawer === 'function') {
@@ -57,9 +68,8 @@ class BandSyncCalendar {
     
     initializeNicknameDisplay() {
         const nickname = storage.getNickname();
-        const display = document.getElementById('nickname-display');
-        if (display && nickname) {
-            display.textContent = `ユーザー: ${nickname}`;
+        if (nickname && typeof nicknameManager !== 'undefined') {
+            nicknameManager.updateNicknameDisplay(nickname);
         }
     }
     
@@ -93,17 +103,32 @@ class BandSyncCalendar {
     setupEventListeners() {
         // Window focus event for refresh
         window.addEventListener('focus', () => {
-            this.refreshCalendarData();
+            this.intelligentSync();
         });
         
         // Window resize is handled by CalendarManager
         
-        // Visibility change for background sync
-        document.addEventListener('visibilitychange', () => {
-            if (!document.hidden) {
-                this.refreshCalendarData();
-            }
-        });
+        // Visibility change for background sync is handled in setupSyncTriggers
+        
+        // Invite button (shown to band leaders only)
+        const inviteButton = document.getElementById('invite-button');
+        if (inviteButton) {
+            inviteButton.addEventListener('click', () => {
+                if (typeof nicknameManager !== 'undefined') {
+                    nicknameManager.showInviteCode();
+                }
+            });
+        }
+        
+        // PIN setup code button (shown to band leaders only)
+        const setupCodeButton = document.getElementById('setup-code-button');
+        if (setupCodeButton) {
+            setupCodeButton.addEventListener('click', () => {
+                if (typeof nicknameManager !== 'undefined') {
+                    nicknameManager.showSetupCode();
+                }
+            });
+        }
         
         // Overview button
         const overviewButton = document.getElementById('overview-button');
@@ -115,6 +140,16 @@ class BandSyncCalendar {
             });
         }
         
+        // Poll button
+        const pollButton = document.getElementById('poll-button');
+        if (pollButton) {
+            pollButton.addEventListener('click', () => {
+                if (typeof pollPanel !== 'undefined') {
+                    pollPanel.show();
+                }
+            });
+        }
+        
         // Holiday button
         const holidayButton = document.getElementById('holiday-button');
         if (holidayButton) {
@@ -142,10 +177,13 @@ class BandSyncCalendar {
             clearInterval(this.syncInterval);
         }
         
-        // Set up intelligent polling for updates
-        this.syncInterval = setInterval(() => {
-            this.intelligentSync();
-        }, CONFIG.POLLING_INTERVAL);
+        // SyncManager listens on the real-time channel and polls while it is down;
+        // only poll here when it is not available
+        if (typeof syncManager === 'undefined') {
+            this.syncInterval = setInterval(() => {
+                this.intelligentSync();
+            }, CONFIG.POLLING_INTERVAL);
+        }
         
         // Set up additional sync triggers
         this.setupSyncTriggers();
@@ -205,7 +243,7 @@ class BandSyncCalendar {
             // Dispatch sync start event
             document.dispatchEvent(new CustomEvent('api-sync-start'));
             
-            // Perform sync
+            // Perform sync (only the changes since the last one)
             await this.refreshCalendarData();
             
             // Update last sync time
@@ -221,7 +259,13 @@ class BandSyncCalendar {
     async loadCalendarData() {
         try {
             this.showLoading(true);
-            await calendarManager.loadData();
+            
+            // Let the sync manager take a change cursor along with the full load
+            if (typeof syncManager !== 'undefined') {
+                await syncManager.fullReload();
+            } else {
+                await calendarManager.loadData();
+            }
         } catch (error) {
             console.error('Failed to load calendar data:', error);
             this.showError('カレンダーデータの読み込みに失敗しました。');
@@ -232,7 +276,12 @@ class BandSyncCalendar {
     
     async refreshCalendarData() {
         if (!this.isInitialized) return;
-        await calendarManager.refresh();
+        
+        if (typeof syncManager !== 'undefined') {
+            await syncManager.performSync('refresh');
+        } else {
+            await calendarManager.refresh();
+        }
     }
     
     // Date and event click handling is now managed by CalendarManager
@@ -8,6 +8,7 @@ class CalendarManager {
         this.calendar = null;
         this.currentEvents = [];
         this.isInitialized = false;
+        this.multiSelectMode = false;
     }
     
     /**
@@ -20,7 +21,7 @@ class CalendarManager {
         }
         
         try {
-            const { start, end } = getSyncPeriod();
+            const { start, end } = getViewPeriod();
             const isMobile = isMobileDevice();
             
             // FullCalendar configuration
@@ -30,16 +31,25 @@ class CalendarManager {
                 
                 // Header Toolbar
                 headerToolbar: {
-                    left: 'prev,next today',
+                    left: 'prev,next today multiSelect',
                     center: 'title',
                     right: isMobile ? 'listMonth,dayGridMonth' : 'dayGridMonth,listMonth'
                 },
                 
-                // Localization
+                // Toggle for entering availability on several days at once
+                customButtons: {
+                    multiSelect: {
+                        text: '複数日選択',
+                        click: () => this.toggleMultiSelectMode()
+                    }
+                },
+                
+                // Localization (times are shown in the band's time zone)
                 locale: 'ja',
+                timeZone: dateUtils.timeZone,
                 firstDay: 1, // Monday
                 
-                // Date Range Restrictions
+                // Date Range Restrictions (days before today are read-only)
                 validRange: {
                     start: start,
                     end: end
@@ -47,6 +57,9 @@ class CalendarManager {
                 
                 // Event Handling
                 dateClick: this.handleDateClick.bind(this),
+                select: this.handleDateSelect.bind(this),
+                selectable: false,
+                selectLongPressDelay: 300,
                 eventClick: this.handleEventClick.bind(this),
                 eventDidMount: this.handleEventMount.bind(this),
                 
@@ -109,16 +122,23 @@ class CalendarManager {
      * Handle date click events
      */
     handleDateClick(info) {
+        // In multi-date mode the selection handler opens the drawer
+        if (this.multiSelectMode) {
+            return;
+        }
+        
         const clickedDate = info.dateStr;
         
         // Check if date is within sync period
         if (!isWithinSyncPeriod(clickedDate)) {
-            this.showError(CONFIG.ERROR_MESSAGES.SYNC_PERIOD_ERROR);
+            this.showError(isPastDate(clickedDate)
+                ? CONFIG.ERROR_MESSAGES.READ_ONLY_PAST
+                : CONFIG.ERROR_MESSAGES.SYNC_PERIOD_ERROR);
             return;
         }
         
-        // Check if user has nickname set
-        if (!storage.getNickname()) {
+        // Check if user is logged in
+        if (!storage.getNickname() || !storage.getSession()) {
             this.showError(CONFIG.ERROR_MESSAGES.NICKNAME_REQUIRED);
             return;
         }
@@ -131,6 +151,69 @@ class CalendarManager {
         }
     }
     
+    /**
+     * Handle a date range selected in multi-date mode
+     */
+    handleDateSelect(info) {
+        this.calendar.unselect();
+        
+        // Check if user is logged in
+        if (!storage.getNickname() || !storage.getSession()) {
+            this.showError(CONFIG.ERROR_MESSAGES.NICKNAME_REQUIRED);
+            return;
+        }
+        
+        // The range end is exclusive; skip days outside the sync period
+        const lastDate = dateUtils.addDays(info.endStr.slice(0, 10), -1);
+        const dates = dateUtils.eachDay(info.startStr.slice(0, 10), lastDate)
+            .filter(date => isWithinSyncPeriod(date));
+        
+        if (dates.length === 0) {
+            this.showError(isPastDate(info.startStr.slice(0, 10))
+                ? CONFIG.ERROR_MESSAGES.READ_ONLY_PAST
+                : CONFIG.ERROR_MESSAGES.SYNC_PERIOD_ERROR);
+            return;
+        }
+        
+        if (typeof window.openDrawerForDates === 'function') {
+            window.openDrawerForDates(dates);
+        } else {
+            console.warn('Drawer function not available');
+        }
+    }
+    
+    /**
+     * Apply changed band settings (see applySyncConfig): the time zone and
+     * the calendar's range
+     */
+    updateBandSettings() {
+        if (!this.calendar) return;
+        
+        const { start, end } = getViewPeriod();
+        this.calendar.setOption('timeZone', dateUtils.timeZone);
+        this.calendar.setOption('validRange', { start, end });
+    }
+    
+    /**
+     * Switch between single-day clicks and multi-date range selection
+     */
+    toggleMultiSelectMode(enabled = !this.multiSelectMode) {
+        this.multiSelectMode = enabled;
+        
+        if (!this.calendar) return;
+        
+        this.calendar.setOption('selectable', enabled);
+        if (!enabled) {
+            this.calendar.unselect();
+        }
+        
+        const button = document.querySelector('.fc-multiSelect-button');
+        if (button) {
+            button.classList.toggle('fc-button-active', enabled);
+            button.setAttribute('aria-pressed', String(enabled));
+        }
+    }
+    
     /**
      * Handle event click events
      */
@@ -172,10 +255,89 @@ class CalendarManager {
             info.el.style.fontStyle = 'italic';
         } else if (['live', 'rehearsal', 'other'].includes(eventType)) {
             info.el.style.fontWeight = 'bold';
-            info.el.title = `${event.title} (${event.extendedProps.createdBy})`;
+            info.el.title = `${event.title} (${event.extendedProps.createdBy})${event.extendedProps.seriesId ? ' 🔁' : ''}`;
+            
+            // Mark upcoming events that not every member has answered yet
+            const missing = this.getMissingResponses(event);
+            if (missing.length > 0 && (event.end || event.start) > new Date()) {
+                const badge = document.createElement('span');
+                badge.className = 'rsvp-badge';
+                badge.classList.toggle('mine', missing.includes(storage.getNickname()));
+                badge.textContent = `未回答${missing.length}`;
+                badge.title = `未回答: ${missing.join(', ')}`;
+                (info.el.querySelector('.fc-event-title') || info.el).appendChild(badge);
+            }
+            
+            const unread = this.getUnreadComments(event);
+            if (unread.length > 0) {
+                const badge = document.createElement('span');
+                badge.className = 'comment-badge';
+                badge.dataset.threadKey = this.getCommentThreadKey(event);
+                badge.textContent = `💬${unread.length}`;
+                badge.title = `未読コメント ${unread.length}件`;
+                (info.el.querySelector('.fc-event-title') || info.el).appendChild(badge);
+            }
         }
     }
     
+    /**
+     * Active members who have not answered an event's attendance
+     */
+    getMissingResponses(event) {
+        const answered = (event.extendedProps.responses || []).map(response => response.member_name);
+        return memberRoster.getNames().filter(name => !answered.includes(name));
+    }
+    
+    /**
+     * Comments are threaded per series occurrence, like answers
+     */
+    getCommentThreadKey(event) {
+        const props = event.extendedProps;
+        return `${props.seriesId || event.id}|${props.occurrenceStart || ''}`;
+    }
+    
+    /**
+     * Other members' comments newer than the thread's read mark
+     */
+    getUnreadComments(event, reads = storage.getCommentReads()) {
+        const readUntil = reads[this.getCommentThreadKey(event)] || '';
+        const nickname = storage.getNickname();
+        return (event.extendedProps.comments || [])
+            .filter(comment => comment.member_name !== nickname && comment.created_at > readUntil);
+    }
+    
+    getUnreadCommentTotal() {
+        const reads = storage.getCommentReads();
+        return this.currentEvents
+            .filter(item => ['live', 'rehearsal', 'other'].includes(item.extendedProps?.type))
+            .reduce((total, item) => total + this.getUnreadComments(item, reads).length, 0);
+    }
+    
+    /**
+     * Mark a thread read up to its newest comment and drop its badges
+     */
+    markCommentsRead(threadKey, comments) {
+        if (comments.length > 0) {
+            storage.markCommentsRead(threadKey, comments[comments.length - 1].created_at);
+        }
+        
+        document.querySelectorAll('.comment-badge').forEach(badge => {
+            if (badge.dataset.threadKey === threadKey) {
+                badge.remove();
+            }
+        });
+        this.notifyUnreadComments();
+    }
+    
+    /**
+     * Tell the status indicator (and open panels) how many comments are unread
+     */
+    notifyUnreadComments() {
+        document.dispatchEvent(new CustomEvent('unread-comments-changed', {
+            detail: { count: this.getUnreadCommentTotal() }
+        }));
+    }
+    
     /**
      * Load and display calendar data
      */
@@ -186,7 +348,7 @@ class CalendarManager {
         }
         
         try {
-            const { start, end } = getSyncPeriod();
+            const { start, end } = getViewPeriod();
             
             // Load data from API
             const [events, availability, holidays] = await Promise.all([
@@ -201,7 +363,9 @@ class CalendarManager {
                 this.loadHolidays().catch(err => {
                     console.warn('Failed to load holidays:', err);
                     return {};
-                })
+                }),
+                // The roster is needed for the missing-answer badges
+                memberRoster.load()
             ]);
             
             // Transform data to FullCalendar format
@@ -224,6 +388,7 @@ class CalendarManager {
             this.calendar.removeAllEvents();
             this.calendar.addEventSource(calendarEvents);
             this.currentEvents = calendarEvents;
+            this.notifyUnreadComments();
             
             console.log(`Loaded ${calendarEvents.length} calendar items`);
         } catch (error) {
@@ -232,6 +397,48 @@ class CalendarManager {
         }
     }
     
+    /**
+     * Apply a delta from GET /changes without reloading the whole calendar
+     * @param {Object} changes - { events: {upserts, deleted}, availability: {upserts, deleted} }
+     */
+    applyChanges(changes) {
+        if (!this.calendar) {
+            console.warn('Calendar not initialized');
+            return;
+        }
+        
+        // Availability items are prefixed in the calendar (see DataTransformer).
+        // A changed recurring event replaces all of its occurrences, which
+        // share the series id as groupId.
+        const removeIds = [
+            ...changes.events.deleted,
+            ...changes.events.upserts.map(event => event.groupId || event.id),
+            ...changes.availability.deleted.map(id => `availability-${id}`),
+            ...changes.availability.upserts.map(avail => `availability-${avail.id}`)
+        ];
+        const isRemoved = item => removeIds.includes(item.id) || (item.groupId && removeIds.includes(item.groupId));
+        
+        const upserts = [
+            ...changes.events.upserts.map(event => DataTransformer.toFullCalendarEvent(event)),
+            ...changes.availability.upserts.map(avail => DataTransformer.toFullCalendarAvailability(avail))
+        ];
+        
+        this.calendar.batchRendering(() => {
+            this.calendar.getEvents()
+                .filter(isRemoved)
+                .forEach(existing => existing.remove());
+            upserts.forEach(item => this.calendar.addEvent(item));
+        });
+        
+        this.currentEvents = [
+            ...this.currentEvents.filter(item => !isRemoved(item)),
+            ...upserts
+        ];
+        this.notifyUnreadComments();
+        
+        console.log(`Applied ${upserts.length} upserts and ${changes.events.deleted.length + changes.availability.deleted.length} deletions`);
+    }
+    
     /**
      * Load Japanese holidays using holiday manager
      */
@@ -286,7 +493,7 @@ class CalendarManager {
     showAvailabilityDetails(event) {
         const props = event.extendedProps;
         const symbol = CONFIG.STATUS_SYMBOLS[props.status];
-        const message = `${props.memberName}の空き状況\n時間: ${event.start.toLocaleTimeString()} - ${event.end.toLocaleTimeString()}\n状態: ${symbol}`;
+        const message = `${props.memberName}の空き状況\n時間: ${dateUtils.toTimeString(event.start)} - ${dateUtils.toTimeString(event.end)}\n状態: ${symbol}`;
         alert(message);
     }
     
@@ -294,10 +501,7 @@ class CalendarManager {
      * Show event details
      */
     showEventDetails(event) {
-        const props = event.extendedProps;
-        const typeLabel = CONFIG.EVENT_TYPES[props.type] || props.type;
-        const message = `${event.title}\n種類: ${typeLabel}\n時間: ${event.start.toLocaleTimeString()} - ${event.end.toLocaleTimeString()}\n作成者: ${props.createdBy}`;
-        alert(message);
+        eventDetails.show(event);
     }
     
     /**
@@ -13,8 +13,13 @@ const CONFIG = {
     },
     
     // Sync Settings
-    POLLING_INTERVAL: 60000, // 60 seconds
+    POLLING_INTERVAL: 60000, // 60 seconds (fallback while the real-time channel is down)
+    REALTIME_HEARTBEAT_INTERVAL: 30000, // 30 seconds
+    REALTIME_MAX_RECONNECT_DELAY: 300000, // 5 minutes
+    // Time zone, write window and browsable history; the band's values come from GET /config
+    TIMEZONE: 'Asia/Tokyo',
     SYNC_PERIOD_MONTHS: 2,
+    HISTORY_MONTHS: 12,
     
     // Status Symbols
     STATUS_SYMBOLS: {
@@ -23,6 +28,28 @@ const CONFIG = {
         'bad': '×'
     },
     
+    // Shown for members who have not answered (or withdrew their answer)
+    UNANSWERED_SYMBOL: '－',
+    
+    // Attendance answers for events
+    RSVP_RESPONSES: {
+        'going': '参加',
+        'maybe': '未定',
+        'no': '不参加'
+    },
+    
+    // Song status and each member's readiness (repertoire)
+    SONG_READINESS: {
+        'new': '未着手',
+        'practicing': '練習中',
+        'ready': '本番OK'
+    },
+    READINESS_SYMBOLS: {
+        'new': '×',
+        'practicing': '△',
+        'ready': '○'
+    },
+    
     // Event Types
     EVENT_TYPES: {
         'live': 'LIVE',
@@ -38,7 +65,7 @@ const CONFIG = {
     DRAWER_ANIMATION_DURATION: 300,
     
     // Validation
-    MAX_NICKNAME_LENGTH: 20,
+    MAX_NICKNAME_LENGTH: 50, // display_name limit of the API
     MAX_TITLE_LENGTH: 100,
     
     // Date Format
@@ -52,6 +79,7 @@ const CONFIG = {
         NICKNAME_REQUIRED: 'ニックネームを入力してください。',
         TITLE_REQUIRED: 'タイトルを入力してください。',
         SYNC_PERIOD_ERROR: '入力可能期間外です（今日から2ヶ月以内）。',
+        READ_ONLY_PAST: '過去の日付は閲覧のみです。',
         SAVE_ERROR: '保存に失敗しました。もう一度お試しください。'
     }
 };
@@ -61,15 +89,37 @@ function isMobileDevice() {
     return window.innerWidth <= CONFIG.MOBILE_BREAKPOINT;
 }
 
+/**
+ * Dates (in the band's time zone) in which events and availability can be written
+ */
 function getSyncPeriod() {
-    const today = new Date();
-    const start = today.toISOString().split('T')[0]; // Today in YYYY-MM-DD format
+    const start = dateUtils.today();
     
-    const endDate = new Date(today);
-    endDate.setMonth(today.getMonth() + CONFIG.SYNC_PERIOD_MONTHS);
-    const end = endDate.toISOString().split('T')[0];
+    return { start, end: dateUtils.addMonths(start, CONFIG.SYNC_PERIOD_MONTHS) };
+}
+
+/**
+ * Range the calendar can show: the read-only history (from the first day
+ * of the month HISTORY_MONTHS back) up to the end of the sync period
+ */
+function getViewPeriod() {
+    const historyStart = dateUtils.addMonths(dateUtils.startOfMonth(dateUtils.today()), -CONFIG.HISTORY_MONTHS);
     
-    return { start, end };
+    return { start: historyStart, end: getSyncPeriod().end };
+}
+
+/**
+ * Apply the band settings from GET /config
+ */
+function applySyncConfig(config) {
+    // Settings cached before time zones existed have none
+    if (config.timezone) {
+        dateUtils.setTimeZone(config.timezone);
+        CONFIG.TIMEZONE = dateUtils.timeZone;
+    }
+    CONFIG.SYNC_PERIOD_MONTHS = config.sync_months_ahead;
+    CONFIG.HISTORY_MONTHS = config.history_months;
+    CONFIG.ERROR_MESSAGES.SYNC_PERIOD_ERROR = `入力可能期間外です（今日から${config.sync_months_ahead}ヶ月以内）。`;
 }
 
 function formatDateTime(date) {
@@ -80,10 +130,7 @@ function formatDateTime(date) {
 }
 
 function formatDateForDisplay(date) {
-    if (typeof date === 'string') {
-        date = new Date(date);
-    }
-    return date.toLocaleDateString('ja-JP', {
+    return dateUtils.formatDate(date, {
         year: 'numeric',
         month: 'long',
         day: 'numeric',
@@ -92,27 +139,45 @@ function formatDateForDisplay(date) {
 }
 
 function formatTimeForInput(date) {
-    if (typeof date === 'string') {
-        date = new Date(date);
-    }
-    return date.toTimeString().slice(0, 5); // HH:MM format
+    return dateUtils.toTimeString(date); // HH:MM in the band's time zone
 }
 
+/**
+ * Dates are "YYYY-MM-DD" strings in the band's time zone; Date objects are
+ * converted to that zone first
+ */
 function isWithinSyncPeriod(date) {
     const { start, end } = getSyncPeriod();
-    const dateStr = typeof date === 'string' ? date : date.toISOString().split('T')[0];
+    const dateStr = typeof date === 'string' ? date : dateUtils.toDateString(date);
     return dateStr >= start && dateStr <= end;
 }
 
+function isPastDate(date) {
+    const dateStr = typeof date === 'string' ? date : dateUtils.toDateString(date);
+    return dateStr < getSyncPeriod().start;
+}
+
+/**
+ * Escape text for element content and quoted attribute values
+ */
+function escapeHtml(text) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(text ?? '').replace(/[&<>"']/g, char => entities[char]);
+}
+
 // Export for Node.js testing
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         CONFIG,
         isMobileDevice,
         getSyncPeriod,
+        getViewPeriod,
+        applySyncConfig,
         formatDateTime,
         formatDateForDisplay,
         formatTimeForInput,
-        isWithinSyncPeriod
+        isWithinSyncPeriod,
+        isPastDate,
+        escapeHtml
     };
 }
\ No newline at end of file
@@ -0,0 +1,177 @@
+/**
+ * Time Zone Aware Dates for Band Sync Calendar
+ * The API stores and returns times in UTC ("2025-08-02T09:00:00Z"); the band's
+ * time zone (GET /config, default Asia/Tokyo) decides which day and time they
+ * fall on. All date math goes through here, so a member whose browser is set
+ * to another zone still sees and enters the band's times.
+ *
+ * Dates are "YYYY-MM-DD" strings and times "HH:MM" strings on the band's wall
+ * clock; instants are Date objects, milliseconds or strings with an offset.
+ */
+
+class DateUtils {
+    constructor(timeZone) {
+        this.timeZone = timeZone;
+        this.formatters = new Map();
+    }
+    
+    /**
+     * Switch to the band's time zone (unknown zones are ignored)
+     */
+    setTimeZone(timeZone) {
+        try {
+            this.getFormatter(timeZone);
+            this.timeZone = timeZone;
+        } catch (error) {
+            console.warn(`[Dates] Unknown time zone ${timeZone}, keeping ${this.timeZone}`);
+        }
+    }
+    
+    /**
+     * Formatters are expensive to create, so one is kept per zone
+     */
+    getFormatter(timeZone) {
+        if (!this.formatters.has(timeZone)) {
+            this.formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric', month: '2-digit', day: '2-digit',
+                hour: '2-digit', minute: '2-digit', second: '2-digit'
+            }));
+        }
+        return this.formatters.get(timeZone);
+    }
+    
+    /**
+     * Offset (ms) of a time zone from UTC at an instant
+     */
+    getZoneOffset(ms, timeZone = this.timeZone) {
+        const parts = {};
+        this.getFormatter(timeZone).formatToParts(new Date(ms)).forEach(part => {
+            parts[part.type] = Number(part.value);
+        });
+        
+        const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return wall - Math.floor(ms / 1000) * 1000;
+    }
+    
+    toMillis(instant) {
+        return instant instanceof Date ? instant.getTime() : typeof instant === 'number' ? instant : Date.parse(instant);
+    }
+    
+    /**
+     * Wall-clock time of an instant in the band's zone ("YYYY-MM-DDTHH:MM:SS")
+     */
+    toWallClock(instant) {
+        const ms = this.toMillis(instant);
+        return new Date(ms + this.getZoneOffset(ms)).toISOString().slice(0, 19);
+    }
+    
+    /**
+     * Band-local date of an instant ("YYYY-MM-DD")
+     */
+    toDateString(instant) {
+        return this.toWallClock(instant).slice(0, 10);
+    }
+    
+    /**
+     * Band-local time of an instant ("HH:MM")
+     */
+    toTimeString(instant) {
+        return this.toWallClock(instant).slice(11, 16);
+    }
+    
+    /**
+     * UTC time for the API of a band-local date and time
+     *
+     * Times skipped by a daylight-saving jump move forward by the jump; times
+     * that occur twice resolve to the first of them (as in the worker).
+     * @param {string} date - "YYYY-MM-DD"
+     * @param {string} [time] - "HH:MM" or "HH:MM:SS"
+     * @returns {string} "YYYY-MM-DDTHH:MM:SSZ"
+     */
+    toUtc(date, time = '00:00') {
+        const wall = Date.parse(`${date}T${time.length === 5 ? `${time}:00` : time}Z`);
+        const halfDay = 12 * 60 * 60 * 1000;
+        
+        // The offsets half a day either side cover any transition near the time
+        const before = wall - this.getZoneOffset(wall - halfDay);
+        const after = wall - this.getZoneOffset(wall + halfDay);
+        const valid = [before, after].filter(ms => wall - ms === this.getZoneOffset(ms));
+        const ms = valid.length > 0 ? Math.min(...valid) : before;
+        
+        return `${new Date(ms).toISOString().slice(0, 19)}Z`;
+    }
+    
+    /**
+     * Today's date in the band's zone
+     */
+    today() {
+        return this.toDateString(Date.now());
+    }
+    
+    addDays(date, days) {
+        const shifted = new Date(`${date}T00:00:00Z`);
+        shifted.setUTCDate(shifted.getUTCDate() + days);
+        return shifted.toISOString().slice(0, 10);
+    }
+    
+    addMonths(date, months) {
+        const shifted = new Date(`${date}T00:00:00Z`);
+        shifted.setUTCMonth(shifted.getUTCMonth() + months);
+        return shifted.toISOString().slice(0, 10);
+    }
+    
+    startOfMonth(date) {
+        return `${date.slice(0, 8)}01`;
+    }
+    
+    endOfMonth(date) {
+        return this.addDays(this.addMonths(this.startOfMonth(date), 1), -1);
+    }
+    
+    /**
+     * Day of the week of a date (0 = Sunday)
+     */
+    getWeekday(date) {
+        return new Date(`${date}T00:00:00Z`).getUTCDay();
+    }
+    
+    /**
+     * Dates from start to end, both included
+     */
+    eachDay(start, end) {
+        const days = [];
+        for (let date = start; date <= end; date = this.addDays(date, 1)) {
+            days.push(date);
+        }
+        return days;
+    }
+    
+    /**
+     * Format a date ("YYYY-MM-DD") or an instant in the band's zone
+     * @param {Object} options - Intl.DateTimeFormat options
+     */
+    formatDate(value, options) {
+        // Dates are calendar days, not instants, so they are formatted as is
+        if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            return new Date(`${value}T00:00:00Z`).toLocaleDateString('ja-JP', { ...options, timeZone: 'UTC' });
+        }
+        return new Date(this.toMillis(value)).toLocaleDateString('ja-JP', { ...options, timeZone: this.timeZone });
+    }
+    
+    /**
+     * Format an instant in the band's zone, e.g. "8月2日(土) 18:00"
+     */
+    formatDateTime(instant, options) {
+        return new Date(this.toMillis(instant)).toLocaleString('ja-JP', { ...options, timeZone: this.timeZone });
+    }
+}
+
+// Create global instance
+const dateUtils = new DateUtils(CONFIG.TIMEZONE);
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DateUtils, dateUtils };
+}
@@ -8,7 +8,12 @@ class DrawerManager {
         this.drawer = null;
         this.backdrop = null;
         this.currentDate = null;
+        this.selectedDates = [];
         this.currentTab = 'availability';
+        this.editingEventId = null;
+        this.editingEvent = null;
+        this.loadedRRule = null;
+        this.icsDrafts = [];
         this.isOpen = false;
         this.startY = 0;
         this.currentY = 0;
@@ -62,6 +67,7 @@ class DrawerManager {
         // Tab buttons
         const availabilityTab = document.getElementById('availability-tab');
         const eventTab = document.getElementById('event-tab');
+        const templateTab = document.getElementById('template-tab');
         
         if (availabilityTab) {
             availabilityTab.addEventListener('click', () => this.switchTab('availability'));
@@ -71,6 +77,10 @@ class DrawerManager {
             eventTab.addEventListener('click', () => this.switchTab('event'));
         }
         
+        if (templateTab) {
+            templateTab.addEventListener('click', () => this.switchTab('template'));
+        }
+        
         // Prevent drawer content clicks from closing drawer
         const drawerContent = this.drawer.querySelector('.drawer-content');
         if (drawerContent) {
@@ -151,6 +161,7 @@ class DrawerManager {
     setupForms() {
         this.setupAvailabilityForm();
         this.setupEventForm();
+        this.setupTemplateForm();
     }
     
     setupAvailabilityForm() {
@@ -198,11 +209,18 @@ class DrawerManager {
                                 <span class="status-symbol">${CONFIG.STATUS_SYMBOLS.bad}</span>
                                 <span class="status-label">忙しい</span>
                             </button>
+                            <button type="button" class="status-btn status-clear" data-status="clear" 
+                                    role="radio" aria-checked="false"
+                                    aria-describedby="status-clear-desc">
+                                <span class="status-symbol">${CONFIG.UNANSWERED_SYMBOL}</span>
+                                <span class="status-label">クリア</span>
+                            </button>
                         </div>
                         <div class="status-descriptions">
                             <small id="status-good-desc" class="status-desc">完全に空いている時間</small>
                             <small id="status-ok-desc" class="status-desc">調整すれば参加可能</small>
                             <small id="status-bad-desc" class="status-desc">参加が困難な時間</small>
+                            <small id="status-clear-desc" class="status-desc">入力を取り消して未回答に戻す</small>
                         </div>
                     </fieldset>
                     <div id="status-error" class="error-message hidden" role="alert"></div>
@@ -360,22 +378,19 @@ class DrawerManager {
     }
     
     setDefaultTimes() {
-        const now = new Date();
-        const startTime = new Date(now);
-        startTime.setMinutes(0, 0, 0); // Round to nearest hour
-        
-        const endTime = new Date(startTime);
-        endTime.setHours(startTime.getHours() + 2); // Default 2-hour duration
+        // The current hour on the band's clock
+        const startHour = Number(dateUtils.toTimeString(Date.now()).slice(0, 2));
+        const endHour = (startHour + 2) % 24; // Default 2-hour duration
         
         const startInput = document.getElementById('avail-start-time');
         const endInput = document.getElementById('avail-end-time');
         
         if (startInput && !startInput.value) {
-            startInput.value = formatTimeForInput(startTime);
+            startInput.value = `${String(startHour).padStart(2, '0')}:00`;
         }
         
         if (endInput && !endInput.value) {
-            endInput.value = formatTimeForInput(endTime);
+            endInput.value = `${String(endHour).padStart(2, '0')}:00`;
         }
     }
     
@@ -400,6 +415,27 @@ class DrawerManager {
         if (!container) return;
         
         container.innerHTML = `
+            <div class="ics-import">
+                <button type="button" class="day-event-btn" id="ics-import-btn">📥 ICSから取り込み</button>
+                <input type="file" id="ics-file-input" accept=".ics,text/calendar" class="hidden">
+                <div id="ics-preview" class="ics-preview hidden">
+                    <h4>取り込むイベント</h4>
+                    <ul id="ics-preview-list" class="day-events-list"></ul>
+                    <div class="form-actions">
+                        <button type="button" class="submit-btn" id="ics-import-submit">
+                            <span class="btn-text">選択したイベントを取り込む</span>
+                            <span class="btn-loading hidden">取り込み中...</span>
+                        </button>
+                        <button type="button" class="cancel-btn" id="ics-import-cancel">キャンセル</button>
+                    </div>
+                </div>
+            </div>
+            
+            <div id="day-events" class="day-events hidden">
+                <h4>この日のイベント</h4>
+                <ul id="day-events-list" class="day-events-list"></ul>
+            </div>
+            
             <form id="event-form-element" novalidate>
                 <div class="form-group">
                     <label for="event-title">イベントタイトル <span class="required">*</span></label>
@@ -442,6 +478,58 @@ class DrawerManager {
                     <div id="event-time-error" class="error-message hidden" role="alert"></div>
                 </div>
                 
+                <div class="form-group hidden" id="event-live-times">
+                    <label>タイムテーブル <span class="optional">(任意)</span></label>
+                    <div class="live-times">
+                        <label for="event-call-time">入り <input type="time" id="event-call-time" class="time-input"></label>
+                        <label for="event-open-time">開場 <input type="time" id="event-open-time" class="time-input"></label>
+                        <label for="event-show-time">開演 <input type="time" id="event-show-time" class="time-input"></label>
+                    </div>
+                </div>
+                
+                <div class="form-group">
+                    <label for="event-location">場所 <span class="optional">(任意)</span></label>
+                    <input type="text" id="event-location" maxlength="200" placeholder="例: 下北沢SHELTER、スタジオペンタ渋谷">
+                </div>
+                
+                <div class="form-group">
+                    <label for="event-url">URL <span class="optional">(任意)</span></label>
+                    <input type="url" id="event-url" maxlength="500" placeholder="https://（チケット・会場ページなど）">
+                    <div id="event-url-error" class="error-message hidden" role="alert"></div>
+                </div>
+                
+                <div class="form-group">
+                    <label for="event-notes">メモ <span class="optional">(任意)</span></label>
+                    <textarea id="event-notes" rows="4" maxlength="5000"
+                              aria-describedby="notes-help"
+                              placeholder="例: **アンプ持参**&#10;- 物販は開場から"></textarea>
+                    <small id="notes-help" class="form-help">**太字**、- 箇条書き、[リンク](https://...) が使えます</small>
+                </div>
+                
+                <div class="form-group">
+                    <label for="event-repeat">繰り返し</label>
+                    <select id="event-repeat" aria-describedby="repeat-help">
+                        <option value="">繰り返さない</option>
+                        <option value="weekly">毎週</option>
+                        <option value="biweekly">隔週</option>
+                        <option value="monthly">毎月</option>
+                        <option value="daily">毎日</option>
+                    </select>
+                    <small id="repeat-help" class="form-help">毎週・隔週は同じ曜日に繰り返します</small>
+                    <div id="event-repeat-until-group" class="hidden">
+                        <label for="event-repeat-until">終了日 <span class="optional">(任意)</span></label>
+                        <input type="date" id="event-repeat-until">
+                    </div>
+                </div>
+                
+                <div class="form-group hidden" id="event-scope-group">
+                    <label for="event-edit-scope">変更の範囲</label>
+                    <select id="event-edit-scope">
+                        <option value="this">この回のみ</option>
+                        <option value="future">これ以降すべて</option>
+                    </select>
+                </div>
+                
                 <div class="form-group">
                     <div class="event-preview" id="event-preview" style="display: none;">
                         <h4>プレビュー</h4>
@@ -459,12 +547,430 @@ class DrawerManager {
                         <span class="btn-text">イベントを作成</span>
                         <span class="btn-loading hidden">作成中...</span>
                     </button>
+                    <button type="button" class="cancel-btn hidden" id="cancel-edit-event">
+                        編集をやめる
+                    </button>
                 </div>
             </form>
         `;
         
         this.setupEventValidation();
         this.setupEventInteractions();
+        this.setupIcsImport();
+        
+        const cancelBtn = document.getElementById('cancel-edit-event');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', () => this.exitEditMode());
+        }
+        
+        ['event-repeat', 'event-edit-scope'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.updateRepeatFields());
+        });
+        
+        const eventsList = document.getElementById('day-events-list');
+        if (eventsList) {
+            eventsList.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-action]');
+                if (!button) return;
+                
+                if (button.dataset.action === 'edit') {
+                    this.startEditEvent(button.dataset.eventId);
+                } else if (button.dataset.action === 'delete') {
+                    this.deleteEvent(button.dataset.eventId, button.dataset.scope);
+                }
+            });
+        }
+    }
+    
+    /**
+     * Whether the drawer was opened for a multi-date selection
+     */
+    isMultiDate() {
+        return this.selectedDates.length > 1;
+    }
+    
+    /**
+     * Get the shared events already loaded for the current date
+     */
+    getEventsForCurrentDate() {
+        if (!this.currentDate || this.isMultiDate() || typeof calendarManager === 'undefined') {
+            return [];
+        }
+        
+        return calendarManager.currentEvents.filter(event => 
+            ['live', 'rehearsal', 'other'].includes(event.extendedProps?.type) &&
+            dateUtils.toDateString(event.start) === this.currentDate
+        );
+    }
+    
+    setupIcsImport() {
+        const fileInput = document.getElementById('ics-file-input');
+        const list = document.getElementById('ics-preview-list');
+        
+        document.getElementById('ics-import-btn').addEventListener('click', () => fileInput.click());
+        
+        fileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.handleIcsFile(file);
+            }
+            e.target.value = '';
+        });
+        
+        // Preview rows can be (de)selected and their type changed before importing
+        list.addEventListener('change', (e) => {
+            const draft = this.icsDrafts[Number(e.target.closest('li').dataset.index)];
+            if (e.target.matches('.ics-select')) {
+                draft.selected = e.target.checked;
+            } else if (e.target.matches('.ics-type')) {
+                draft.type = e.target.value;
+            }
+            this.updateIcsSubmit();
+        });
+        
+        document.getElementById('ics-import-submit').addEventListener('click', () => this.importIcsEvents());
+        document.getElementById('ics-import-cancel').addEventListener('click', () => this.closeIcsPreview());
+    }
+    
+    async handleIcsFile(file) {
+        try {
+            this.icsDrafts = await icsImporter.readFile(file);
+        } catch (error) {
+            console.error('Failed to read ICS file:', error);
+            alert(error.message.includes('1MB') ? error.message : 'ICSファイルを読み込めませんでした');
+            return;
+        }
+        
+        if (this.icsDrafts.length === 0) {
+            alert('ICSファイルにイベントが見つかりませんでした');
+            return;
+        }
+        
+        this.renderIcsPreview();
+    }
+    
+    /**
+     * Show the parsed events; duplicates start unchecked, unusable ones are disabled
+     */
+    renderIcsPreview() {
+        const issueLabels = {
+            duplicate: '登録済みの可能性',
+            outside: '同期期間外',
+            recurrence: '未対応の繰り返し（例外日・ルール）',
+            invalid: '日時またはタイトルが不正'
+        };
+        
+        document.getElementById('ics-preview-list').innerHTML = this.icsDrafts.map((draft, index) => {
+            const blocked = icsImporter.isBlocked(draft);
+            const typeOptions = Object.entries(CONFIG.EVENT_TYPES).map(([value, label]) => `
+                <option value="${value}" ${value === draft.type ? 'selected' : ''}>${label}</option>
+            `).join('');
+            const startDate = draft.start_time && dateUtils.toDateString(draft.start_time);
+            const endDate = draft.start_time && dateUtils.toDateString(draft.end_time);
+            const when = draft.start_time
+                ? `${startDate} ${dateUtils.toTimeString(draft.start_time)} - ${endDate === startDate ? '' : endDate + ' '}${dateUtils.toTimeString(draft.end_time)}`
+                : '';
+            
+            return `
+                <li class="day-event-item ics-item event-${draft.type}${blocked ? ' ics-blocked' : ''}" data-index="${index}">
+                    <input type="checkbox" class="ics-select" ${draft.selected ? 'checked' : ''} ${blocked ? 'disabled' : ''}
+                           aria-label="${escapeHtml(draft.title)}を取り込む">
+                    <div class="day-event-info">
+                        <span class="day-event-title">${escapeHtml(draft.title || '（タイトルなし）')}</span>
+                        <span class="day-event-meta">${when}${draft.rrule ? ' 🔁 繰り返し' : ''}</span>
+                        ${draft.issue ? `<span class="ics-issue">⚠️ ${issueLabels[draft.issue]}</span>` : ''}
+                    </div>
+                    <select class="ics-type" aria-label="イベント種類" ${blocked ? 'disabled' : ''}>${typeOptions}</select>
+                </li>
+            `;
+        }).join('');
+        
+        document.getElementById('ics-preview').classList.remove('hidden');
+        document.getElementById('event-form-element').classList.add('hidden');
+        document.getElementById('day-events').classList.add('hidden');
+        this.updateIcsSubmit();
+    }
+    
+    updateIcsSubmit() {
+        const count = this.icsDrafts.filter(draft => draft.selected).length;
+        const submitBtn = document.getElementById('ics-import-submit');
+        submitBtn.disabled = count === 0;
+        submitBtn.querySelector('.btn-text').textContent = `選択した${count}件を取り込む`;
+    }
+    
+    closeIcsPreview() {
+        this.icsDrafts = [];
+        
+        const preview = document.getElementById('ics-preview');
+        if (!preview) return;
+        
+        preview.classList.add('hidden');
+        document.getElementById('ics-preview-list').innerHTML = '';
+        document.getElementById('event-form-element').classList.remove('hidden');
+        this.renderDayEvents();
+    }
+    
+    async importIcsEvents() {
+        const nickname = storage.getNickname();
+        if (!nickname) {
+            alert(CONFIG.ERROR_MESSAGES.NICKNAME_REQUIRED);
+            return;
+        }
+        
+        const submitBtn = document.getElementById('ics-import-submit');
+        const btnText = submitBtn.querySelector('.btn-text');
+        const btnLoading = submitBtn.querySelector('.btn-loading');
+        
+        submitBtn.disabled = true;
+        btnText.classList.add('hidden');
+        btnLoading.classList.remove('hidden');
+        
+        try {
+            const { created, failed } = await icsImporter.importDrafts(this.icsDrafts);
+            
+            if (created > 0) {
+                document.dispatchEvent(new CustomEvent('event-created', {
+                    detail: { imported: created }
+                }));
+                
+                // Refresh calendar
+                if (window.bandSyncCalendar) {
+                    await window.bandSyncCalendar.refreshCalendarData();
+                }
+            }
+            
+            alert(failed > 0
+                ? `${created}件を取り込みました。${failed}件は取り込めませんでした。`
+                : `${created}件のイベントを取り込みました。`);
+            
+            this.closeIcsPreview();
+        } finally {
+            btnLoading.classList.add('hidden');
+            btnText.classList.remove('hidden');
+            submitBtn.disabled = false;
+        }
+    }
+    
+    /**
+     * Render the list of existing events with edit/delete actions
+     */
+    renderDayEvents() {
+        const container = document.getElementById('day-events');
+        const list = document.getElementById('day-events-list');
+        if (!container || !list) return;
+        
+        const events = this.getEventsForCurrentDate();
+        container.classList.toggle('hidden', events.length === 0);
+        
+        list.innerHTML = events.map(event => {
+            const typeLabel = CONFIG.EVENT_TYPES[event.extendedProps.type] || event.extendedProps.type;
+            const startTime = dateUtils.toTimeString(event.start);
+            const endTime = dateUtils.toTimeString(event.end);
+            const isRecurring = Boolean(event.extendedProps.seriesId);
+            
+            // Occurrences of a recurring event can be deleted once or from here on
+            const deleteButtons = isRecurring
+                ? `<button type="button" class="day-event-btn danger" data-action="delete" data-scope="this" data-event-id="${event.id}">この回を削除</button>
+                        <button type="button" class="day-event-btn danger" data-action="delete" data-scope="future" data-event-id="${event.id}">以降を削除</button>`
+                : `<button type="button" class="day-event-btn danger" data-action="delete" data-event-id="${event.id}">削除</button>`;
+            
+            return `
+                <li class="day-event-item event-${event.extendedProps.type}">
+                    <div class="day-event-info">
+                        <span class="day-event-title">${escapeHtml(event.title)}</span>
+                        <span class="day-event-meta">${typeLabel} ${startTime} - ${endTime}${isRecurring ? ' 🔁 繰り返し' : ''}</span>
+                    </div>
+                    <div class="day-event-actions">
+                        <button type="button" class="day-event-btn" data-action="edit" data-event-id="${event.id}">編集</button>
+                        ${deleteButtons}
+                    </div>
+                </li>
+            `;
+        }).join('');
+    }
+    
+    /**
+     * Load an existing event into the form for editing
+     */
+    startEditEvent(eventId) {
+        const event = this.getEventsForCurrentDate().find(e => String(e.id) === String(eventId));
+        if (!event) return;
+        
+        this.editingEventId = event.id;
+        this.editingEvent = event;
+        
+        document.getElementById('event-title').value = event.title;
+        document.getElementById('event-type').value = event.extendedProps.type;
+        document.getElementById('event-start-time').value = dateUtils.toTimeString(event.start);
+        document.getElementById('event-end-time').value = dateUtils.toTimeString(event.end);
+        document.getElementById('event-edit-scope').value = 'this';
+        
+        const props = event.extendedProps;
+        document.getElementById('event-location').value = props.location || '';
+        document.getElementById('event-url').value = props.url || '';
+        document.getElementById('event-notes').value = props.notes || '';
+        document.getElementById('event-call-time').value = (props.callTime || '').slice(0, 5);
+        document.getElementById('event-open-time').value = (props.openTime || '').slice(0, 5);
+        document.getElementById('event-show-time').value = (props.showTime || '').slice(0, 5);
+        this.updateLiveTimeFields();
+        
+        // Remember the loaded rule so an unchanged repeat setting is not sent back
+        this.loadRepeatFields(event.extendedProps.rrule);
+        this.loadedRRule = this.buildRRule();
+        this.updateRepeatFields();
+        
+        const saveBtn = document.getElementById('save-event');
+        saveBtn.querySelector('.btn-text').textContent = 'イベントを更新';
+        saveBtn.querySelector('.btn-loading').textContent = '更新中...';
+        document.getElementById('cancel-edit-event').classList.remove('hidden');
+        
+        // Re-run validation so the save button and preview reflect the loaded values
+        document.getElementById('event-title').dispatchEvent(new Event('input'));
+        document.getElementById('event-title').focus();
+    }
+    
+    /**
+     * Leave edit mode and return the form to event creation
+     */
+    exitEditMode() {
+        this.editingEventId = null;
+        this.editingEvent = null;
+        this.loadedRRule = null;
+        
+        const eventForm = document.getElementById('event-form');
+        if (eventForm) {
+            const inputs = eventForm.querySelectorAll('input, select, textarea');
+            inputs.forEach(input => input.value = '');
+        }
+        
+        this.updateRepeatFields();
+        this.updateLiveTimeFields();
+        
+        const saveBtn = document.getElementById('save-event');
+        if (saveBtn) {
+            saveBtn.disabled = true;
+            saveBtn.querySelector('.btn-text').textContent = 'イベントを作成';
+            saveBtn.querySelector('.btn-loading').textContent = '作成中...';
+        }
+        
+        const cancelBtn = document.getElementById('cancel-edit-event');
+        if (cancelBtn) {
+            cancelBtn.classList.add('hidden');
+        }
+    }
+    
+    /**
+     * Call, doors and show times only apply to lives
+     */
+    updateLiveTimeFields() {
+        const typeSelect = document.getElementById('event-type');
+        const liveTimes = document.getElementById('event-live-times');
+        if (!typeSelect || !liveTimes) return;
+        
+        liveTimes.classList.toggle('hidden', typeSelect.value !== 'live');
+    }
+    
+    /**
+     * Show the repeat end date and edit scope only where they apply
+     */
+    updateRepeatFields() {
+        const repeatSelect = document.getElementById('event-repeat');
+        const untilGroup = document.getElementById('event-repeat-until-group');
+        const scopeGroup = document.getElementById('event-scope-group');
+        const scopeSelect = document.getElementById('event-edit-scope');
+        if (!repeatSelect || !untilGroup || !scopeGroup || !scopeSelect) return;
+        
+        const isOccurrence = Boolean(this.editingEvent && this.editingEvent.extendedProps.seriesId);
+        scopeGroup.classList.toggle('hidden', !isOccurrence);
+        
+        // A single occurrence cannot get a repeat rule of its own
+        repeatSelect.disabled = isOccurrence && scopeSelect.value === 'this';
+        untilGroup.classList.toggle('hidden', !repeatSelect.value || repeatSelect.disabled);
+    }
+    
+    /**
+     * Build an RRULE from the repeat fields, or null for a single event
+     */
+    buildRRule() {
+        const repeat = document.getElementById('event-repeat').value;
+        const until = document.getElementById('event-repeat-until').value;
+        if (!repeat) return null;
+        
+        const weekday = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'][dateUtils.getWeekday(this.currentDate)];
+        const rules = {
+            daily: 'FREQ=DAILY',
+            weekly: `FREQ=WEEKLY;BYDAY=${weekday}`,
+            biweekly: `FREQ=WEEKLY;INTERVAL=2;BYDAY=${weekday}`,
+            monthly: 'FREQ=MONTHLY'
+        };
+        
+        return until ? `${rules[repeat]};UNTIL=${until.replace(/-/g, '')}` : rules[repeat];
+    }
+    
+    /**
+     * Fill the repeat fields from an existing RRULE
+     */
+    loadRepeatFields(rrule) {
+        const parts = Object.fromEntries((rrule || '').split(';').filter(Boolean).map(part => part.split('=')));
+        const repeatByFreq = {
+            DAILY: 'daily',
+            WEEKLY: parts.INTERVAL === '2' ? 'biweekly' : 'weekly',
+            MONTHLY: 'monthly'
+        };
+        
+        document.getElementById('event-repeat').value = repeatByFreq[parts.FREQ] || '';
+        document.getElementById('event-repeat-until').value = parts.UNTIL
+            ? `${parts.UNTIL.slice(0, 4)}-${parts.UNTIL.slice(4, 6)}-${parts.UNTIL.slice(6, 8)}`
+            : '';
+    }
+    
+    /**
+     * Delete an existing event after confirmation
+     * @param {string} [scope] - 'this' or 'future' for an occurrence of a recurring event
+     */
+    async deleteEvent(eventId, scope = 'this') {
+        const event = this.getEventsForCurrentDate().find(e => String(e.id) === String(eventId));
+        if (!event) return;
+        
+        const seriesId = event.extendedProps.seriesId;
+        const message = !seriesId
+            ? `「${event.title}」を削除しますか？`
+            : scope === 'future'
+                ? `「${event.title}」のこの回以降をすべて削除しますか？`
+                : `「${event.title}」のこの回だけを削除しますか？`;
+        
+        if (!confirm(message)) {
+            return;
+        }
+        
+        try {
+            if (seriesId) {
+                await apiClient.deleteEvent(seriesId, {
+                    scope: scope,
+                    occurrenceStart: event.extendedProps.occurrenceStart
+                });
+            } else {
+                await apiClient.deleteEvent(event.id);
+            }
+            
+            // Dispatch data change event
+            document.dispatchEvent(new CustomEvent('event-deleted', {
+                detail: { id: event.id }
+            }));
+            
+            // Refresh calendar
+            if (window.bandSyncCalendar) {
+                await window.bandSyncCalendar.refreshCalendarData();
+            }
+            
+            if (this.editingEventId === event.id) {
+                this.exitEditMode();
+            }
+            this.renderDayEvents();
+        } catch (error) {
+            console.error('Failed to delete event:', error);
+            alert('イベントの削除に失敗しました。もう一度お試しください。');
+        }
     }
     
     setupEventValidation() {
@@ -473,6 +979,7 @@ class DrawerManager {
         const typeSelect = document.getElementById('event-type');
         const startTimeInput = document.getElementById('event-start-time');
         const endTimeInput = document.getElementById('event-end-time');
+        const urlInput = document.getElementById('event-url');
         const saveBtn = document.getElementById('save-event');
         
         // Real-time validation
@@ -488,6 +995,7 @@ class DrawerManager {
             this.clearFieldError('title-error');
             this.clearFieldError('type-error');
             this.clearFieldError('event-time-error');
+            this.clearFieldError('event-url-error');
             
             // Validate title
             if (!title) {
@@ -522,6 +1030,13 @@ class DrawerManager {
                 }
             }
             
+            // Validate URL (ticket or venue pages)
+            const url = urlInput.value.trim();
+            if (url && !/^https?:\/\/\S+$/i.test(url)) {
+                this.showFieldError('event-url-error', 'URLは http:// または https:// で始めてください');
+                isValid = false;
+            }
+            
             // Validate required fields
             if (!startTime || !endTime) {
                 isValid = false;
@@ -540,6 +1055,7 @@ class DrawerManager {
         typeSelect.addEventListener('change', validateEventForm);
         startTimeInput.addEventListener('input', validateEventForm);
         endTimeInput.addEventListener('input', validateEventForm);
+        urlInput.addEventListener('input', validateEventForm);
         
         // Form submission
         form.addEventListener('submit', (e) => {
@@ -566,6 +1082,8 @@ class DrawerManager {
         
         // Auto-suggest titles based on type
         typeSelect.addEventListener('change', () => {
+            this.updateLiveTimeFields();
+            
             const titleInput = document.getElementById('event-title');
             if (!titleInput.value && typeSelect.value) {
                 const suggestions = {
@@ -585,27 +1103,21 @@ class DrawerManager {
     }
     
     setDefaultEventTimes() {
-        const now = new Date();
-        const startTime = new Date(now);
-        
-        // Default to next even hour
-        startTime.setMinutes(0, 0, 0);
-        if (now.getMinutes() > 0) {
-            startTime.setHours(startTime.getHours() + 1);
-        }
+        const [hour, minute] = dateUtils.toTimeString(Date.now()).split(':').map(Number);
         
-        const endTime = new Date(startTime);
-        endTime.setHours(startTime.getHours() + 2); // Default 2-hour duration
+        // Default to next even hour on the band's clock
+        const startHour = (minute > 0 ? hour + 1 : hour) % 24;
+        const endHour = (startHour + 2) % 24; // Default 2-hour duration
         
         const startInput = document.getElementById('event-start-time');
         const endInput = document.getElementById('event-end-time');
         
         if (startInput && !startInput.value) {
-            startInput.value = formatTimeForInput(startTime);
+            startInput.value = `${String(startHour).padStart(2, '0')}:00`;
         }
         
         if (endInput && !endInput.value) {
-            endInput.value = formatTimeForInput(endTime);
+            endInput.value = `${String(endHour).padStart(2, '0')}:00`;
         }
     }
     
@@ -642,20 +1154,217 @@ class DrawerManager {
         }
     }
     
-    open(date) {
-        if (!this.drawer) return;
+    setupTemplateForm() {
+        const container = document.getElementById('template-form');
+        if (!container) return;
+        
+        container.innerHTML = `
+            <form id="template-form-element" novalidate>
+                <small class="form-help">
+                    毎週決まっている予定を曜日ごとに登録すると、同期期間のすべての日に反映されます。
+                    日ごとに入力した空き状況が優先されます。時刻を空欄にすると終日になります。
+                </small>
+                <div id="template-days" class="template-days"></div>
+                <div id="template-error" class="error-message hidden" role="alert"></div>
+                
+                <div class="form-actions">
+                    <button type="submit" class="submit-btn" id="save-template">
+                        <span class="btn-text">パターンを保存</span>
+                        <span class="btn-loading hidden">保存中...</span>
+                    </button>
+                </div>
+            </form>
+        `;
+        
+        const days = document.getElementById('template-days');
+        days.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-action]');
+            if (!btn) return;
+            
+            if (btn.dataset.action === 'add-slot') {
+                btn.closest('.template-day').querySelector('.template-slots')
+                    .insertAdjacentHTML('beforeend', this.templateSlotHtml());
+            } else if (btn.dataset.action === 'remove-slot') {
+                btn.closest('.template-slot').remove();
+            }
+        });
+        
+        document.getElementById('template-form-element').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveTemplate();
+        });
         
-        this.currentDate = date;
+        this.renderTemplateDays([]);
+    }
+    
+    /**
+     * Render one editor row per weekday, Monday first like the calendar
+     */
+    renderTemplateDays(slots) {
+        const days = document.getElementById('template-days');
+        if (!days) return;
+        
+        const weekdayNames = ['日', '月', '火', '水', '木', '金', '土'];
+        
+        days.innerHTML = [1, 2, 3, 4, 5, 6, 0].map(weekday => `
+            <div class="template-day" data-weekday="${weekday}">
+                <div class="template-day-header">
+                    <span class="template-day-name">${weekdayNames[weekday]}曜日</span>
+                    <button type="button" class="day-event-btn" data-action="add-slot">＋ 追加</button>
+                </div>
+                <div class="template-slots">
+                    ${slots.filter(slot => slot.weekday === weekday).map(slot => this.templateSlotHtml(slot)).join('')}
+                </div>
+            </div>
+        `).join('');
+    }
+    
+    templateSlotHtml(slot = {}) {
+        // Whole days are stored as 00:00:00 - 23:59:59 and shown as empty times
+        const isAllDay = slot.start_time === '00:00:00' && slot.end_time === '23:59:59';
+        const startTime = slot.start_time && !isAllDay ? slot.start_time.slice(0, 5) : '';
+        const endTime = slot.end_time && !isAllDay ? slot.end_time.slice(0, 5) : '';
+        const status = slot.status || 'bad';
+        
+        const options = ['good', 'ok', 'bad'].map(value => `
+            <option value="${value}" ${value === status ? 'selected' : ''}>${CONFIG.STATUS_SYMBOLS[value]}</option>
+        `).join('');
+        
+        return `
+            <div class="template-slot">
+                <input type="time" class="time-input template-start" value="${startTime}" aria-label="開始時刻">
+                <span>〜</span>
+                <input type="time" class="time-input template-end" value="${endTime}" aria-label="終了時刻">
+                <select class="template-status" aria-label="空き状況">${options}</select>
+                <button type="button" class="day-event-btn danger" data-action="remove-slot" aria-label="削除">&times;</button>
+            </div>
+        `;
+    }
+    
+    /**
+     * Load the member's weekly pattern into the editor
+     */
+    async loadTemplate() {
+        this.clearFieldError('template-error');
+        
+        try {
+            const { slots } = await apiClient.getAvailabilityTemplate();
+            this.renderTemplateDays(slots);
+        } catch (error) {
+            console.error('Failed to load weekly pattern:', error);
+            this.showFieldError('template-error', '毎週のパターンを読み込めませんでした');
+        }
+    }
+    
+    /**
+     * Read the editor rows into template slots
+     * @returns {Array|null} slots, or null after showing an error
+     */
+    collectTemplateSlots() {
+        const slots = [];
+        
+        for (const row of document.querySelectorAll('#template-days .template-slot')) {
+            const startTime = row.querySelector('.template-start').value;
+            const endTime = row.querySelector('.template-end').value;
+            
+            if (Boolean(startTime) !== Boolean(endTime)) {
+                this.showFieldError('template-error', '開始時刻と終了時刻は両方入力してください');
+                return null;
+            }
+            if (startTime && startTime >= endTime) {
+                this.showFieldError('template-error', '終了時刻は開始時刻より後である必要があります');
+                return null;
+            }
+            
+            slots.push({
+                weekday: Number(row.closest('.template-day').dataset.weekday),
+                start_time: startTime ? `${startTime}:00` : '00:00:00',
+                end_time: endTime ? `${endTime}:00` : '23:59:59',
+                status: row.querySelector('.template-status').value
+            });
+        }
+        
+        return slots;
+    }
+    
+    async saveTemplate() {
+        this.clearFieldError('template-error');
+        
+        const slots = this.collectTemplateSlots();
+        if (!slots) return;
+        
+        const saveBtn = document.getElementById('save-template');
+        const btnText = saveBtn.querySelector('.btn-text');
+        const btnLoading = saveBtn.querySelector('.btn-loading');
+        
+        saveBtn.disabled = true;
+        btnText.classList.add('hidden');
+        btnLoading.classList.remove('hidden');
+        
+        try {
+            const result = await apiClient.saveAvailabilityTemplate(slots);
+            this.renderTemplateDays(result.slots);
+            
+            document.dispatchEvent(new CustomEvent('availability-saved', {
+                detail: { member_name: storage.getNickname(), template: result.slots }
+            }));
+            
+            // Refresh calendar
+            if (window.bandSyncCalendar) {
+                await window.bandSyncCalendar.refreshCalendarData();
+            }
+            
+            btnLoading.textContent = '保存完了！';
+        } catch (error) {
+            console.error('Failed to save weekly pattern:', error);
+            this.showFieldError('template-error', error.message.includes('overlap')
+                ? '同じ曜日の時間帯が重なっています'
+                : '毎週のパターンを保存できませんでした');
+            btnLoading.classList.add('hidden');
+            btnText.classList.remove('hidden');
+        } finally {
+            saveBtn.disabled = false;
+            setTimeout(() => {
+                btnLoading.textContent = '保存中...';
+                btnLoading.classList.add('hidden');
+                btnText.classList.remove('hidden');
+            }, 1500);
+        }
+    }
+    
+    open(date) {
+        this.openForDates([date]);
+    }
+    
+    /**
+     * Open the drawer for one or more days; several days only take availability
+     */
+    openForDates(dates) {
+        if (!this.drawer || dates.length === 0) return;
+        
+        this.currentDate = dates[0];
+        this.selectedDates = dates;
         this.isOpen = true;
         
+        const isMultiDate = this.isMultiDate();
+        
         // Update drawer title
         const title = document.getElementById('drawer-title');
         if (title) {
-            title.textContent = `${formatDateForDisplay(date)} - スケジュール入力`;
+            title.textContent = isMultiDate
+                ? `${formatDateForDisplay(dates[0])} 〜 ${formatDateForDisplay(dates[dates.length - 1])}（${dates.length}日）- 空き状況入力`
+                : `${formatDateForDisplay(dates[0])} - スケジュール入力`;
+        }
+        
+        // Events are created per day, so hide the event tab for multi-date entry
+        const eventTab = document.getElementById('event-tab');
+        if (eventTab) {
+            eventTab.classList.toggle('hidden', isMultiDate);
         }
         
         // Reset forms
         this.resetForms();
+        this.renderDayEvents();
         
         // Show backdrop
         if (this.backdrop) {
@@ -702,6 +1411,8 @@ class DrawerManager {
         // Reset state
         this.isOpen = false;
         this.currentDate = null;
+        this.selectedDates = [];
+        this.editingEventId = null;
         this.isDragging = false;
         
         // Return focus to the element that opened the drawer
@@ -748,22 +1459,21 @@ class DrawerManager {
     switchTab(tab) {
         this.currentTab = tab;
         
-        // Update tab buttons
-        const availabilityTab = document.getElementById('availability-tab');
-        const eventTab = document.getElementById('event-tab');
-        
-        if (availabilityTab && eventTab) {
-            availabilityTab.classList.toggle('active', tab === 'availability');
-            eventTab.classList.toggle('active', tab === 'event');
-        }
-        
-        // Update form visibility
-        const availabilityForm = document.getElementById('availability-form');
-        const eventForm = document.getElementById('event-form');
+        // Update tab buttons and form visibility
+        ['availability', 'event', 'template'].forEach(name => {
+            const tabBtn = document.getElementById(`${name}-tab`);
+            const form = document.getElementById(`${name}-form`);
+            
+            if (tabBtn) {
+                tabBtn.classList.toggle('active', tab === name);
+            }
+            if (form) {
+                form.classList.toggle('hidden', tab !== name);
+            }
+        });
         
-        if (availabilityForm && eventForm) {
-            availabilityForm.classList.toggle('hidden', tab !== 'availability');
-            eventForm.classList.toggle('hidden', tab !== 'event');
+        if (tab === 'template') {
+            this.loadTemplate();
         }
     }
     
@@ -779,11 +1489,8 @@ class DrawerManager {
         }
         
         // Reset event form
-        const eventForm = document.getElementById('event-form');
-        if (eventForm) {
-            const inputs = eventForm.querySelectorAll('input, select');
-            inputs.forEach(input => input.value = '');
-        }
+        this.exitEditMode();
+        this.closeIcsPreview();
         
         // Switch to availability tab
         this.switchTab('availability');
@@ -811,11 +1518,11 @@ class DrawerManager {
             
             let startDateTime, endDateTime;
             
-            // Create datetime strings - all statuses can work without time input
+            // Create UTC datetime strings - all statuses can work without time input
             if (startTime && endTime) {
                 // If time is provided, use specific time
-                startDateTime = `${this.currentDate}T${startTime}:00`;
-                endDateTime = `${this.currentDate}T${endTime}:00`;
+                startDateTime = dateUtils.toUtc(this.currentDate, startTime);
+                endDateTime = dateUtils.toUtc(this.currentDate, endTime);
                 
                 // Validate time range
                 if (startDateTime >= endDateTime) {
@@ -824,8 +1531,8 @@ class DrawerManager {
                 }
             } else {
                 // If no time provided, use full day for all statuses
-                startDateTime = `${this.currentDate}T00:00:00`;
-                endDateTime = `${this.currentDate}T23:59:59`;
+                startDateTime = dateUtils.toUtc(this.currentDate, '00:00:00');
+                endDateTime = dateUtils.toUtc(this.currentDate, '23:59:59');
             }
             
             // Update button state
@@ -839,6 +1546,18 @@ class DrawerManager {
                 if (btnLoading) btnLoading.classList.remove('hidden');
             }
             
+            // Apply the same entry to every selected day in one request
+            if (this.isMultiDate()) {
+                await this.saveAvailabilityBatch(nickname, status, startTime, endTime);
+                return;
+            }
+            
+            // Withdraw the entry instead of saving a status
+            if (status === 'clear') {
+                await this.clearAvailability(nickname, startDateTime, endDateTime);
+                return;
+            }
+            
             const availabilityData = {
                 member_name: nickname,
                 start_time: startDateTime,
@@ -890,6 +1609,82 @@ class DrawerManager {
         }
     }
     
+    async saveAvailabilityBatch(nickname, status, startTime, endTime) {
+        const hasTime = startTime && endTime;
+        const slots = this.selectedDates.map(date => ({
+            member_name: nickname,
+            start_time: dateUtils.toUtc(date, hasTime ? startTime : '00:00:00'),
+            end_time: dateUtils.toUtc(date, hasTime ? endTime : '23:59:59'),
+            status: status
+        }));
+        
+        const result = await apiClient.saveAvailabilityBatch(slots);
+        
+        // Dispatch data change event
+        const eventName = status === 'clear' ? 'availability-cleared' : 'availability-saved';
+        document.dispatchEvent(new CustomEvent(eventName, {
+            detail: { member_name: nickname, slots }
+        }));
+        
+        if (result.failed > 0) {
+            alert(`${slots.length}日中${result.failed}日分は保存できませんでした。`);
+        }
+        
+        // Show success feedback
+        const saveBtn = document.getElementById('save-availability');
+        if (saveBtn) {
+            saveBtn.style.background = '#27ae60';
+            const btnLoading = saveBtn.querySelector('.btn-loading');
+            if (btnLoading) btnLoading.textContent = status === 'clear' ? 'クリア完了！' : '保存完了！';
+        }
+        
+        // Refresh calendar
+        if (window.bandSyncCalendar) {
+            await window.bandSyncCalendar.refreshCalendarData();
+        }
+        
+        // Leave multi-date mode and close drawer after short delay
+        if (typeof calendarManager !== 'undefined') {
+            calendarManager.toggleMultiSelectMode(false);
+        }
+        setTimeout(() => {
+            this.close();
+        }, 1000);
+    }
+    
+    async clearAvailability(nickname, startDateTime, endDateTime) {
+        const slotData = {
+            member_name: nickname,
+            start_time: startDateTime,
+            end_time: endDateTime
+        };
+        
+        await apiClient.clearAvailability(slotData);
+        
+        // Dispatch data change event
+        document.dispatchEvent(new CustomEvent('availability-cleared', {
+            detail: slotData
+        }));
+        
+        // Show success feedback
+        const saveBtn = document.getElementById('save-availability');
+        if (saveBtn) {
+            saveBtn.style.background = '#27ae60';
+            const btnLoading = saveBtn.querySelector('.btn-loading');
+            if (btnLoading) btnLoading.textContent = 'クリア完了！';
+        }
+        
+        // Refresh calendar
+        if (window.bandSyncCalendar) {
+            await window.bandSyncCalendar.refreshCalendarData();
+        }
+        
+        // Close drawer after short delay
+        setTimeout(() => {
+            this.close();
+        }, 1000);
+    }
+    
     async saveEvent() {
         try {
             const nickname = storage.getNickname();
@@ -916,9 +1711,9 @@ class DrawerManager {
                 return;
             }
             
-            // Create datetime strings
-            const startDateTime = `${this.currentDate}T${startTime}:00`;
-            const endDateTime = `${this.currentDate}T${endTime}:00`;
+            // Create UTC datetime strings
+            const startDateTime = dateUtils.toUtc(this.currentDate, startTime);
+            const endDateTime = dateUtils.toUtc(this.currentDate, endTime);
             
             // Validate time range
             if (startDateTime >= endDateTime) {
@@ -937,34 +1732,61 @@ class DrawerManager {
                 if (btnLoading) btnLoading.classList.remove('hidden');
             }
             
+            const liveTime = (id) => type === 'live' ? document.getElementById(id).value || null : null;
+            
+            // Empty details are sent as null so clearing a field on edit removes it
             const eventData = {
                 title: title,
                 type: type,
                 start_time: startDateTime,
                 end_time: endDateTime,
-                created_by: nickname
+                location: document.getElementById('event-location').value.trim() || null,
+                url: document.getElementById('event-url').value.trim() || null,
+                notes: document.getElementById('event-notes').value.trim() || null,
+                call_time: liveTime('event-call-time'),
+                open_time: liveTime('event-open-time'),
+                show_time: liveTime('event-show-time')
             };
             
+            const editingEventId = this.editingEventId;
+            const seriesId = this.editingEvent ? this.editingEvent.extendedProps.seriesId : null;
+            const scope = document.getElementById('event-edit-scope').value;
+            
+            // Only send the repeat rule when it is new or was changed
+            const rrule = this.buildRRule();
+            if (!editingEventId || rrule !== this.loadedRRule) {
+                eventData.rrule = rrule;
+            }
+            
+            // Editing an occurrence changes it alone or the series from here on
+            if (seriesId) {
+                eventData.scope = scope;
+                eventData.occurrence_start = this.editingEvent.extendedProps.occurrenceStart;
+                if (scope === 'this') {
+                    delete eventData.rrule;
+                }
+            }
+            
+            const apiCall = editingEventId
+                ? () => apiClient.updateEvent(seriesId || editingEventId, eventData)
+                : () => apiClient.createEvent(eventData);
+            
             // Use optimistic update if sync manager is available
             if (window.syncManager) {
-                await syncManager.optimisticUpdate(
-                    'event',
-                    eventData,
-                    () => apiClient.createEvent(eventData)
-                );
+                await syncManager.optimisticUpdate('event', eventData, apiCall);
             } else {
-                await apiClient.createEvent(eventData);
+                await apiCall();
             }
             
             // Dispatch data change event
-            document.dispatchEvent(new CustomEvent('event-created', {
-                detail: eventData
+            document.dispatchEvent(new CustomEvent(editingEventId ? 'event-updated' : 'event-created', {
+                detail: editingEventId ? { id: editingEventId, ...eventData } : eventData
             }));
             
             // Show success feedback
             if (saveBtn) {
                 saveBtn.style.background = '#27ae60';
-                if (btnLoading) btnLoading.textContent = '作成完了！';
+                if (btnLoading) btnLoading.textContent = editingEventId ? '更新完了！' : '作成完了！';
             }
             
             // Refresh calendar
@@ -1002,7 +1824,7 @@ class DrawerManager {
                     if (btnText) btnText.style.display = 'inline';
                     if (btnLoading) {
                         btnLoading.classList.add('hidden');
-                        btnLoading.textContent = '作成中...';
+                        btnLoading.textContent = this.editingEventId ? '更新中...' : '作成中...';
                     }
                 }, 1500);
             }
@@ -1016,6 +1838,7 @@ const drawerManager = new DrawerManager();
 // Global functions for external access
 window.initializeDrawer = () => drawerManager.initialize();
 window.openDrawer = (date) => drawerManager.open(date);
+window.openDrawerForDates = (dates) => drawerManager.openForDates(dates);
 
 // Export for testing
 if (typeof module !== 'undefined' && module.exports) {
@@ -0,0 +1,448 @@
+/**
+ * Event Details for Band Sync Calendar
+ * Shows an event with every member's attendance answer (参加/未定/不参加)
+ * and its comment thread, and lets the logged-in member answer and comment
+ */
+
+class EventDetails {
+    constructor() {
+        this.event = null;
+        this.isVisible = false;
+        this.commentIds = '';
+    }
+    
+    initialize() {
+        this.createPanel();
+        this.setupEventListeners();
+        console.log('Event details initialized');
+    }
+    
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.id = 'event-details-modal';
+        panel.className = 'modal event-details-modal hidden';
+        panel.setAttribute('role', 'dialog');
+        panel.setAttribute('aria-modal', 'true');
+        panel.setAttribute('aria-labelledby', 'event-details-title');
+        
+        panel.innerHTML = `
+            <div class="modal-content event-details-content">
+                <div class="event-details-header">
+                    <h2 id="event-details-title"></h2>
+                    <button id="event-details-close" class="close-btn" aria-label="閉じる">&times;</button>
+                </div>
+                
+                <div id="event-details-meta" class="event-details-meta"></div>
+                
+                <button type="button" id="event-setlist-btn" class="setlist-open-btn hidden">🎼 セットリスト</button>
+                
+                <div id="event-responses" class="event-responses">
+                    <div class="loading">出欠を読み込み中...</div>
+                </div>
+                
+                <div class="rsvp-form">
+                    <input type="text" id="rsvp-comment" maxlength="200" placeholder="コメント（任意）">
+                    <div class="rsvp-buttons">
+                        ${Object.entries(CONFIG.RSVP_RESPONSES).map(([value, label]) => `
+                            <button type="button" class="rsvp-btn ${value}" data-response="${value}">${label}</button>
+                        `).join('')}
+                    </div>
+                </div>
+                
+                <section class="event-comments" aria-labelledby="event-comments-title">
+                    <h3 id="event-comments-title">コメント</h3>
+                    <div id="event-comments-list" class="event-comments-list"></div>
+                    <form id="event-comment-form" class="event-comment-form">
+                        <textarea id="event-comment-body" rows="2" maxlength="1000" placeholder="コメントを書く" aria-label="コメント"></textarea>
+                        <button type="submit">送信</button>
+                    </form>
+                </section>
+            </div>
+        `;
+        
+        document.body.appendChild(panel);
+    }
+    
+    setupEventListeners() {
+        const panel = document.getElementById('event-details-modal');
+        
+        document.getElementById('event-details-close').addEventListener('click', () => {
+            this.hide();
+        });
+        
+        // Click outside the content closes the panel
+        panel.addEventListener('click', (e) => {
+            if (e.target === panel) {
+                this.hide();
+            }
+        });
+        
+        document.getElementById('event-setlist-btn').addEventListener('click', () => {
+            const event = this.event;
+            this.hide();
+            setlistEditor.show(event);
+        });
+        
+        panel.querySelectorAll('.rsvp-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.answer(btn.dataset.response);
+            });
+        });
+        
+        document.getElementById('event-comment-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.postComment();
+        });
+        
+        document.getElementById('event-comments-list').addEventListener('click', (e) => {
+            const button = e.target.closest('.comment-delete-btn');
+            if (button) {
+                this.deleteComment(button.dataset.commentId);
+            }
+        });
+        
+        // Comments posted by others arrive with the sync cycle's event changes
+        document.addEventListener('unread-comments-changed', () => {
+            if (this.isVisible && this.hasNewComments()) {
+                this.loadComments();
+            }
+        });
+        
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isVisible) {
+                this.hide();
+            }
+        });
+    }
+    
+    /**
+     * Show a calendar event (a FullCalendar EventApi)
+     */
+    async show(event) {
+        this.event = event;
+        this.isVisible = true;
+        this.commentIds = '';
+        
+        const props = event.extendedProps;
+        const end = event.end || event.start;
+        const date = dateUtils.formatDate(event.start, { month: 'long', day: 'numeric', weekday: 'short' });
+        const time = (d) => dateUtils.toTimeString(d);
+        
+        document.getElementById('event-details-title').textContent = event.title;
+        const liveTimes = [['入り', props.callTime], ['開場', props.openTime], ['開演', props.showTime]]
+            .filter(([, value]) => value)
+            .map(([label, value]) => `${label} ${value.slice(0, 5)}`);
+        
+        document.getElementById('event-details-meta').innerHTML = `
+            <div><span class="event-type-label ${props.type}">${CONFIG.EVENT_TYPES[props.type] || props.type}</span>${props.seriesId ? ' 🔁' : ''}</div>
+            <div>${date} ${time(event.start)} - ${time(end)}</div>
+            ${liveTimes.length > 0 ? `<div class="event-live-times">🕒 ${liveTimes.join(' / ')}</div>` : ''}
+            ${props.location ? `
+                <div class="event-location">📍 <a href="https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(props.location)}" target="_blank" rel="noopener">${escapeHtml(props.location)}</a></div>
+            ` : ''}
+            ${props.url ? `
+                <div class="event-url">🔗 <a href="${escapeHtml(props.url)}" target="_blank" rel="noopener">${escapeHtml(props.url)}</a></div>
+            ` : ''}
+            <div>作成者: ${escapeHtml(props.createdBy || '')}</div>
+            ${props.notes ? `<div class="event-notes">${this.renderMarkdown(props.notes)}</div>` : ''}
+        `;
+        document.getElementById('event-setlist-btn').classList.toggle('hidden', props.type !== 'live');
+        // Past events are read-only: answers stay visible but can't be changed
+        document.querySelector('#event-details-modal .rsvp-form').classList.toggle('hidden', isPastDate(end));
+        document.getElementById('rsvp-comment').value = '';
+        document.getElementById('event-comment-body').value = '';
+        document.getElementById('event-details-modal').classList.remove('hidden');
+        
+        await Promise.all([this.loadResponses(), this.loadComments()]);
+    }
+    
+    hide() {
+        this.isVisible = false;
+        this.event = null;
+        document.getElementById('event-details-modal').classList.add('hidden');
+    }
+    
+    /**
+     * Answers are stored per series occurrence, so occurrences are addressed
+     * by their series id and start time
+     */
+    getTarget() {
+        const props = this.event.extendedProps;
+        return {
+            eventId: props.seriesId || this.event.id,
+            occurrenceStart: props.occurrenceStart || null
+        };
+    }
+    
+    async loadResponses() {
+        const container = document.getElementById('event-responses');
+        const { eventId, occurrenceStart } = this.getTarget();
+        const requestedId = this.event.id;
+        
+        container.innerHTML = '<div class="loading">出欠を読み込み中...</div>';
+        
+        try {
+            const result = await apiClient.getEventResponses(eventId, occurrenceStart);
+            
+            // The panel may have been closed or moved to another event meanwhile
+            if (!this.event || this.event.id !== requestedId) return;
+            
+            this.renderResponses(result);
+        } catch (error) {
+            console.error('[EventDetails] Failed to load responses:', error);
+            container.innerHTML = `<div class="error-message">出欠の読み込みに失敗しました: ${escapeHtml(error.message)}</div>`;
+        }
+    }
+    
+    renderResponses(result) {
+        const nickname = storage.getNickname();
+        const mine = result.responses.find(response => response.member_name === nickname);
+        
+        const groups = Object.entries(CONFIG.RSVP_RESPONSES).map(([value, label]) => ({
+            value,
+            label,
+            members: result.responses.filter(response => response.response === value)
+        }));
+        groups.push({
+            value: 'missing',
+            label: '未回答',
+            members: result.missing.map(name => ({ member_name: name }))
+        });
+        
+        document.getElementById('event-responses').innerHTML = groups.map(group => `
+            <div class="response-group ${group.value}">
+                <h3>${group.label} (${group.members.length})</h3>
+                <ul>
+                    ${group.members.map(member => `
+                        <li class="${member.member_name === nickname ? 'mine' : ''}">
+                            <span class="response-member" style="border-left-color: ${memberRoster.getColor(member.member_name)}">${escapeHtml(member.member_name)}</span>
+                            ${member.comment ? `<span class="response-comment">${escapeHtml(member.comment)}</span>` : ''}
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `).join('');
+        
+        document.querySelectorAll('#event-details-modal .rsvp-btn').forEach(btn => {
+            btn.classList.toggle('active', Boolean(mine) && btn.dataset.response === mine.response);
+        });
+        if (mine && mine.comment) {
+            document.getElementById('rsvp-comment').value = mine.comment;
+        }
+    }
+    
+    /**
+     * Whether the calendar's copy of the open event lists other comments
+     * than the thread on screen
+     */
+    hasNewComments() {
+        const threadKey = calendarManager.getCommentThreadKey(this.event);
+        const current = calendarManager.currentEvents
+            .find(item => item.extendedProps?.comments && calendarManager.getCommentThreadKey(item) === threadKey);
+        
+        return Boolean(current) && current.extendedProps.comments.map(comment => comment.id).join() !== this.commentIds;
+    }
+    
+    async loadComments() {
+        const container = document.getElementById('event-comments-list');
+        const { eventId, occurrenceStart } = this.getTarget();
+        const requestedId = this.event.id;
+        
+        if (!this.commentIds) {
+            container.innerHTML = '<div class="loading">コメントを読み込み中...</div>';
+        }
+        
+        try {
+            const result = await apiClient.getEventComments(eventId, occurrenceStart);
+            
+            // The panel may have been closed or moved to another event meanwhile
+            if (!this.event || this.event.id !== requestedId) return;
+            
+            this.renderComments(result.comments);
+            calendarManager.markCommentsRead(calendarManager.getCommentThreadKey(this.event), result.comments);
+        } catch (error) {
+            console.error('[EventDetails] Failed to load comments:', error);
+            container.innerHTML = `<div class="error-message">コメントの読み込みに失敗しました: ${escapeHtml(error.message)}</div>`;
+        }
+    }
+    
+    renderComments(comments) {
+        const nickname = storage.getNickname();
+        const session = storage.getSession();
+        const isLeader = Boolean(session && session.role === 'leader');
+        const container = document.getElementById('event-comments-list');
+        
+        this.commentIds = comments.map(comment => comment.id).join();
+        
+        if (comments.length === 0) {
+            container.innerHTML = '<div class="no-data">コメントはまだありません</div>';
+            return;
+        }
+        
+        container.innerHTML = comments.map(comment => `
+            <div class="event-comment ${comment.member_name === nickname ? 'mine' : ''}">
+                <div class="event-comment-header">
+                    <span class="response-member" style="border-left-color: ${memberRoster.getColor(comment.member_name)}">${escapeHtml(comment.member_name)}</span>
+                    <time datetime="${comment.created_at.replace(' ', 'T')}Z">${this.formatCommentTime(comment.created_at)}</time>
+                    ${comment.member_name === nickname || isLeader ? `
+                        <button type="button" class="comment-delete-btn" data-comment-id="${comment.id}" aria-label="コメントを削除">&times;</button>
+                    ` : ''}
+                </div>
+                <div class="event-comment-body">${escapeHtml(comment.body).replace(/\r?\n/g, '<br>')}</div>
+            </div>
+        `).join('');
+        
+        container.scrollTop = container.scrollHeight;
+    }
+    
+    async postComment() {
+        if (!this.event) return;
+        
+        const textarea = document.getElementById('event-comment-body');
+        const body = textarea.value.trim();
+        if (!body) return;
+        
+        const { eventId, occurrenceStart } = this.getTarget();
+        const button = document.querySelector('#event-comment-form button[type="submit"]');
+        button.disabled = true;
+        
+        try {
+            await apiClient.postEventComment(eventId, {
+                body,
+                ...(occurrenceStart ? { occurrence_start: occurrenceStart } : {})
+            });
+            
+            textarea.value = '';
+            await this.loadComments();
+        } catch (error) {
+            console.error('[EventDetails] Failed to post comment:', error);
+            alert(`コメントの送信に失敗しました: ${error.message}`);
+        } finally {
+            button.disabled = false;
+        }
+    }
+    
+    async deleteComment(commentId) {
+        if (!this.event || !confirm('このコメントを削除しますか？')) return;
+        
+        try {
+            await apiClient.deleteEventComment(this.getTarget().eventId, commentId);
+            await this.loadComments();
+        } catch (error) {
+            console.error('[EventDetails] Failed to delete comment:', error);
+            alert(`コメントの削除に失敗しました: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Comment times are UTC timestamps ("YYYY-MM-DD HH:MM:SS")
+     */
+    formatCommentTime(createdAt) {
+        return dateUtils.formatDateTime(`${createdAt.replace(' ', 'T')}Z`, {
+            month: 'numeric',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+    
+    async answer(response) {
+        if (!this.event) return;
+        
+        const { eventId, occurrenceStart } = this.getTarget();
+        const buttons = document.querySelectorAll('#event-details-modal .rsvp-btn');
+        buttons.forEach(btn => { btn.disabled = true; });
+        
+        try {
+            await apiClient.saveEventResponse(eventId, {
+                response,
+                comment: document.getElementById('rsvp-comment').value.trim(),
+                ...(occurrenceStart ? { occurrence_start: occurrenceStart } : {})
+            });
+            
+            document.dispatchEvent(new CustomEvent('event-response-saved', {
+                detail: { event_id: eventId, occurrence_start: occurrenceStart, response }
+            }));
+            
+            await this.loadResponses();
+            
+            // Update the missing-answer badge in the calendar
+            if (window.bandSyncCalendar) {
+                await window.bandSyncCalendar.refreshCalendarData();
+            }
+        } catch (error) {
+            console.error('[EventDetails] Failed to save response:', error);
+            alert(`出欠の保存に失敗しました: ${error.message}`);
+        } finally {
+            buttons.forEach(btn => { btn.disabled = false; });
+        }
+    }
+    
+    /**
+     * Render the small markdown subset used in event notes: paragraphs,
+     * "- " lists, "# " headings, **bold**, *italic*, `code` and
+     * [links](https://...). Text is escaped first, so no HTML gets through.
+     */
+    renderMarkdown(text) {
+        const inline = (line) => escapeHtml(line)
+            .replace(/`([^`]+)`/g, '<code>$1</code>')
+            .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+            .replace(/\*([^*]+)\*/g, '<em>$1</em>')
+            .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)"]+)\)/g, '<a href="$2" target="_blank" rel="noopener">$1</a>');
+        
+        const blocks = [];
+        let list = null;
+        let paragraph = null;
+        
+        text.split(/\r?\n/).forEach(line => {
+            const item = /^\s*[-*]\s+(.*)$/.exec(line);
+            const heading = /^#{1,6}\s+(.*)$/.exec(line);
+            
+            if (item) {
+                paragraph = null;
+                if (!list) {
+                    list = [];
+                    blocks.push({ type: 'list', items: list });
+                }
+                list.push(inline(item[1]));
+            } else if (heading) {
+                list = paragraph = null;
+                blocks.push({ type: 'heading', html: inline(heading[1]) });
+            } else if (line.trim() === '') {
+                list = paragraph = null;
+            } else {
+                list = null;
+                if (!paragraph) {
+                    paragraph = [];
+                    blocks.push({ type: 'paragraph', lines: paragraph });
+                }
+                paragraph.push(inline(line));
+            }
+        });
+        
+        return blocks.map(block => {
+            if (block.type === 'list') {
+                return `<ul>${block.items.map(item => `<li>${item}</li>`).join('')}</ul>`;
+            }
+            if (block.type === 'heading') {
+                return `<h4>${block.html}</h4>`;
+            }
+            return `<p>${block.lines.join('<br>')}</p>`;
+        }).join('');
+    }
+}
+
+// Create global instance
+const eventDetails = new EventDetails();
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => eventDetails.initialize());
+} else {
+    eventDetails.initialize();
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EventDetails, eventDetails };
+}
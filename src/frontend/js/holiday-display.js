@@ -135,7 +135,7 @@ class HolidayDisplay {
      * Display holiday list
      */
     displayHolidayList(holidays, container) {
-        const today = new Date().toISOString().split('T')[0];
+        const today = dateUtils.today();
         const sortedHolidays = Object.entries(holidays)
             .sort(([dateA], [dateB]) => dateA.localeCompare(dateB));
         
@@ -181,11 +181,11 @@ class HolidayDisplay {
      * Display holiday statistics
      */
     displayHolidayStats(holidays, container) {
-        const today = new Date().toISOString().split('T')[0];
+        const today = dateUtils.today();
         const total = Object.keys(holidays).length;
         const upcoming = Object.keys(holidays).filter(date => date >= today).length;
         const thisMonth = Object.keys(holidays).filter(date => 
-            date.startsWith(new Date().toISOString().slice(0, 7))
+            date.startsWith(today.slice(0, 7))
         ).length;
         
         container.innerHTML = `
@@ -210,8 +210,7 @@ class HolidayDisplay {
      * Format date for display
      */
     formatDate(dateStr) {
-        const date = new Date(dateStr);
-        return date.toLocaleDateString('ja-JP', {
+        return dateUtils.formatDate(dateStr, {
             month: 'long',
             day: 'numeric',
             weekday: 'short'
@@ -222,10 +221,9 @@ class HolidayDisplay {
      * Get days until a date
      */
     getDaysUntil(dateStr) {
-        const today = new Date();
-        const targetDate = new Date(dateStr);
-        const diffTime = targetDate - today;
-        const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+        const today = new Date(`${dateUtils.today()}T00:00:00Z`);
+        const targetDate = new Date(`${dateStr}T00:00:00Z`);
+        const diffDays = Math.round((targetDate - today) / (1000 * 60 * 60 * 24));
         
         if (diffDays === 0) return '今日';
         if (diffDays === 1) return '明日';
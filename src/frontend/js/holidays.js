@@ -109,14 +109,14 @@ class HolidayManager {
     }
     
     /**
-     * Filter holidays to sync period and format for display
+     * Filter holidays to the calendar's range and format for display
      */
     filterAndFormatHolidays(allHolidays) {
-        const { start, end } = getSyncPeriod();
+        const { start, end } = getViewPeriod();
         const filtered = {};
         
         Object.entries(allHolidays).forEach(([date, name]) => {
-            // Check if date is within sync period
+            // Check if date is within the calendar's range
             if (date >= start && date <= end) {
                 // Format holiday name with emoji
                 filtered[date] = this.formatHolidayName(name, date);
@@ -217,7 +217,7 @@ class HolidayManager {
      * Check if a specific date is a holiday
      */
     isHoliday(date) {
-        const dateStr = typeof date === 'string' ? date : date.toISOString().split('T')[0];
+        const dateStr = typeof date === 'string' ? date : dateUtils.toDateString(date);
         return dateStr in this.holidays;
     }
     
@@ -225,7 +225,7 @@ class HolidayManager {
      * Get holiday name for a specific date
      */
     getHolidayName(date) {
-        const dateStr = typeof date === 'string' ? date : date.toISOString().split('T')[0];
+        const dateStr = typeof date === 'string' ? date : dateUtils.toDateString(date);
         return this.holidays[dateStr] || null;
     }
     
@@ -233,8 +233,8 @@ class HolidayManager {
      * Get all holidays in a date range
      */
     getHolidaysInRange(startDate, endDate) {
-        const start = typeof startDate === 'string' ? startDate : startDate.toISOString().split('T')[0];
-        const end = typeof endDate === 'string' ? endDate : endDate.toISOString().split('T')[0];
+        const start = typeof startDate === 'string' ? startDate : dateUtils.toDateString(startDate);
+        const end = typeof endDate === 'string' ? endDate : dateUtils.toDateString(endDate);
         
         const rangeHolidays = {};
         
@@ -264,7 +264,7 @@ class HolidayManager {
     getStats() {
         const totalHolidays = Object.keys(this.holidays).length;
         const upcomingHolidays = Object.entries(this.holidays)
-            .filter(([date]) => date >= new Date().toISOString().split('T')[0])
+            .filter(([date]) => date >= dateUtils.today())
             .length;
         
         return {
@@ -0,0 +1,363 @@
+/**
+ * ICS Import for Band Sync Calendar
+ * Turns VEVENTs from .ics files (venue bookings, studio reservations) into
+ * event drafts that can be previewed and created through the API
+ */
+
+class IcsImporter {
+    constructor() {
+        this.maxFileSize = 1024 * 1024; // 1MB
+        this.eventTypes = ['live', 'rehearsal', 'other'];
+        
+        // Drafts with these issues cannot be imported
+        this.blockingIssues = ['invalid', 'outside', 'recurrence'];
+        
+        // The RRULE subset the API accepts (src/backend/rrule.js)
+        this.rruleParts = ['FREQ', 'INTERVAL', 'BYDAY', 'UNTIL', 'COUNT'];
+        this.rruleFrequencies = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+    }
+    
+    /**
+     * Read an .ics file into drafts
+     */
+    async readFile(file) {
+        if (file.size > this.maxFileSize) {
+            throw new Error('ファイルが大きすぎます（1MBまで）');
+        }
+        
+        return this.parse(await file.text());
+    }
+    
+    /**
+     * Parse iCalendar text into event drafts, marked against the loaded events
+     * @returns {Array<{title, type, start_time, end_time, rrule, issue, selected}>}
+     *   issue is null, 'duplicate', 'outside' (sync period), 'recurrence'
+     *   (a repeat rule or exceptions the app cannot store) or 'invalid'
+     */
+    parse(text) {
+        const drafts = [];
+        let current = null;
+        let nested = 0;
+        
+        this.unfold(text).forEach(line => {
+            const { name, params, value } = this.parseLine(line);
+            const component = value.toUpperCase();
+            
+            if (name === 'BEGIN' && component === 'VEVENT') {
+                current = {};
+            } else if (name === 'END' && component === 'VEVENT') {
+                if (current) {
+                    drafts.push(this.toDraft(current));
+                }
+                current = null;
+            } else if (current && name === 'BEGIN') {
+                // Skip properties of nested components such as VALARM
+                nested++;
+            } else if (current && name === 'END') {
+                nested--;
+            } else if (current && nested === 0 && !(name in current)) {
+                current[name] = { params, value };
+            }
+        });
+        
+        return this.markIssues(drafts);
+    }
+    
+    /**
+     * Split into content lines, joining folded continuation lines
+     */
+    unfold(text) {
+        return text
+            .replace(/\r\n/g, '\n')
+            .replace(/\n[ \t]/g, '')
+            .split('\n')
+            .filter(line => line.trim() !== '');
+    }
+    
+    /**
+     * Parse "NAME;PARAM=VALUE:value" (parameter values may be quoted)
+     */
+    parseLine(line) {
+        const match = /^([A-Za-z0-9-]+)((?:;[A-Za-z0-9-]+=(?:"[^"]*"|[^";:]*))*):(.*)$/.exec(line);
+        if (!match) {
+            return { name: '', params: {}, value: '' };
+        }
+        
+        const params = {};
+        (match[2].match(/;[^;=]+=(?:"[^"]*"|[^";]*)/g) || []).forEach(param => {
+            const [key, ...rest] = param.slice(1).split('=');
+            params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+        });
+        
+        return { name: match[1].toUpperCase(), params, value: match[3] };
+    }
+    
+    unescapeText(value) {
+        return value.replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N') ? '\n' : char);
+    }
+    
+    /**
+     * Convert one VEVENT's properties to a draft
+     */
+    toDraft(props) {
+        const title = props.SUMMARY ? this.unescapeText(props.SUMMARY.value).trim() : '';
+        const categories = props.CATEGORIES ? this.unescapeText(props.CATEGORIES.value) : '';
+        
+        const draft = {
+            title: title.slice(0, 100),
+            type: this.guessType(categories, title),
+            start_time: null,
+            end_time: null,
+            rrule: null,
+            issue: null,
+            selected: true
+        };
+        
+        if (props.RRULE) {
+            draft.rrule = this.toRRule(props.RRULE.value);
+            // Excluded dates would come back as occurrences
+            if (!draft.rrule || props.EXDATE) {
+                draft.issue = 'recurrence';
+            }
+        }
+        
+        try {
+            const start = this.parseDateTime(props.DTSTART);
+            let end;
+            
+            if (props.DTEND) {
+                const dtend = this.parseDateTime(props.DTEND);
+                // All-day events end on the following day (exclusive)
+                end = dtend.isDate ? this.addSeconds(dtend.value, -1) : dtend.value;
+            } else if (props.DURATION) {
+                end = this.addSeconds(start.value, this.parseDuration(props.DURATION.value));
+            } else {
+                end = start.isDate ? this.addSeconds(start.value, 24 * 60 * 60 - 1) : start.value;
+            }
+            
+            // The API takes UTC times
+            draft.start_time = this.toUtc(start.value);
+            draft.end_time = this.toUtc(end);
+        } catch (error) {
+            draft.issue = 'invalid';
+        }
+        
+        if (!draft.title || !draft.start_time || draft.start_time >= draft.end_time) {
+            draft.issue = 'invalid';
+        }
+        
+        return draft;
+    }
+    
+    /**
+     * The RRULE of a VEVENT in the form the API accepts, or null if it uses
+     * parts the app does not support
+     *
+     * A UTC UNTIL is moved to the band's clock, on which the API reads it.
+     * WKST is dropped where it cannot change the occurrences.
+     */
+    toRRule(value) {
+        const parts = {};
+        value.trim().toUpperCase().replace(/^RRULE:/, '').split(';').filter(Boolean).forEach(part => {
+            const [key, ...rest] = part.split('=');
+            parts[key] = rest.join('=');
+        });
+        
+        const days = parts.BYDAY ? parts.BYDAY.split(',') : [];
+        if (parts.WKST && (!parts.INTERVAL || parts.INTERVAL === '1' || days.length <= 1)) {
+            delete parts.WKST;
+        }
+        
+        const supported = Object.keys(parts).every(key => this.rruleParts.includes(key))
+            && this.rruleFrequencies.includes(parts.FREQ)
+            && days.every(day => /^(SU|MO|TU|WE|TH|FR|SA)$/.test(day))
+            && (days.length === 0 || parts.FREQ === 'DAILY' || parts.FREQ === 'WEEKLY')
+            && !(parts.UNTIL && parts.COUNT);
+        if (!supported) {
+            return null;
+        }
+        
+        const until = parts.UNTIL && /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(parts.UNTIL);
+        if (until) {
+            const [, year, month, day, hour, minute, second] = until;
+            const instant = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second);
+            parts.UNTIL = dateUtils.toWallClock(instant).replace(/[-:]/g, '');
+        }
+        
+        return Object.entries(parts).map(([key, part]) => `${key}=${part}`).join(';');
+    }
+    
+    /**
+     * Map CATEGORIES or keywords in the title to an event type
+     */
+    guessType(categories, title) {
+        const text = `${categories} ${title}`.toLowerCase();
+        
+        if (/live|ライブ|公演|コンサート|ワンマン/.test(text)) {
+            return 'live';
+        }
+        if (/rehearsal|studio|リハ|スタジオ|練習/.test(text)) {
+            return 'rehearsal';
+        }
+        return 'other';
+    }
+    
+    /**
+     * Parse DTSTART/DTEND to a wall-clock string ("YYYY-MM-DDTHH:MM:SS") in
+     * the band's time zone
+     *
+     * UTC times (Z) and times with a TZID other than the band's are converted
+     * to it; floating times (no zone) are taken as band times.
+     */
+    parseDateTime(prop) {
+        const match = prop && /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/.exec(prop.value.trim());
+        if (!match) {
+            throw new Error('Invalid date');
+        }
+        
+        const [, year, month, day, hour, minute, second, utc] = match;
+        
+        if (hour === undefined) {
+            return { value: `${year}-${month}-${day}T00:00:00`, isDate: true };
+        }
+        
+        const wallClock = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second);
+        const zone = utc ? 'UTC' : prop.params.TZID;
+        
+        if (!zone || zone === dateUtils.timeZone) {
+            return { value: `${year}-${month}-${day}T${hour}:${minute}:${second}`, isDate: false };
+        }
+        
+        const instant = wallClock - this.getZoneOffset(zone, wallClock);
+        return { value: dateUtils.toWallClock(instant), isDate: false };
+    }
+    
+    /**
+     * Offset (ms) of a time zone at a moment; unknown zones count as the band's
+     */
+    getZoneOffset(zone, ms) {
+        try {
+            return dateUtils.getZoneOffset(ms, zone);
+        } catch (error) {
+            return dateUtils.getZoneOffset(ms);
+        }
+    }
+    
+    /**
+     * UTC time of a band wall-clock string
+     */
+    toUtc(value) {
+        return dateUtils.toUtc(value.slice(0, 10), value.slice(11, 19));
+    }
+    
+    /**
+     * Add seconds to a wall-clock string
+     */
+    addSeconds(value, seconds) {
+        const date = new Date(`${value}Z`);
+        date.setUTCSeconds(date.getUTCSeconds() + seconds);
+        return date.toISOString().slice(0, 19);
+    }
+    
+    /**
+     * Parse a DURATION such as "PT2H30M" or "P1D" to seconds
+     */
+    parseDuration(value) {
+        const match = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+        if (!match) {
+            throw new Error('Invalid duration');
+        }
+        
+        const [, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+        return (((+weeks * 7 + +days) * 24 + +hours) * 60 + +minutes) * 60 + +seconds;
+    }
+    
+    /**
+     * Events currently shown in the calendar (availability and holidays excluded)
+     */
+    getLoadedEvents() {
+        if (typeof calendarManager === 'undefined') {
+            return [];
+        }
+        
+        return calendarManager.currentEvents.filter(item =>
+            item.extendedProps && this.eventTypes.includes(item.extendedProps.type));
+    }
+    
+    /**
+     * Mark drafts outside the sync period and duplicates of loaded events (or of
+     * earlier drafts): same start and either the same title or the same end
+     * (all times are UTC)
+     */
+    markIssues(drafts) {
+        const normalize = (title) => String(title).replace(/\s+/g, '').toLowerCase();
+        const seen = this.getLoadedEvents().map(event => ({
+            title: normalize(event.title),
+            start: String(event.start).slice(0, 16),
+            end: String(event.end).slice(0, 16)
+        }));
+        
+        drafts.forEach(draft => {
+            if (draft.issue) {
+                draft.selected = false;
+                return;
+            }
+            
+            const key = {
+                title: normalize(draft.title),
+                start: draft.start_time.slice(0, 16),
+                end: draft.end_time.slice(0, 16)
+            };
+            
+            if (!isWithinSyncPeriod(dateUtils.toDateString(draft.start_time))) {
+                draft.issue = 'outside';
+            } else if (seen.some(other => other.start === key.start && (other.title === key.title || other.end === key.end))) {
+                draft.issue = 'duplicate';
+            }
+            
+            draft.selected = !draft.issue;
+            seen.push(key);
+        });
+        
+        return drafts;
+    }
+    
+    isBlocked(draft) {
+        return this.blockingIssues.includes(draft.issue);
+    }
+    
+    /**
+     * Create the selected drafts one by one, recurring ones as series
+     * @returns {Promise<{created: number, failed: number}>}
+     */
+    async importDrafts(drafts) {
+        let created = 0;
+        let failed = 0;
+        
+        for (const draft of drafts.filter(d => d.selected && !this.isBlocked(d))) {
+            try {
+                await apiClient.createEvent({
+                    title: draft.title,
+                    type: draft.type,
+                    start_time: draft.start_time,
+                    end_time: draft.end_time,
+                    rrule: draft.rrule
+                });
+                created++;
+            } catch (error) {
+                console.error('[ICS] Failed to import event:', draft.title, error);
+                failed++;
+            }
+        }
+        
+        return { created, failed };
+    }
+}
+
+// Create global instance
+const icsImporter = new IcsImporter();
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IcsImporter, icsImporter };
+}
@@ -8,6 +8,9 @@ class MemberOverview {
         this.members = new Map();
         this.isVisible = false;
         this.currentPeriod = this.getDefaultPeriod();
+        this.suggestOptions = { duration: 180, minMembers: 1, required: [] };
+        this.suggestRequest = 0;
+        this.songs = [];
     }
 
     initialize() {
@@ -17,9 +20,8 @@ class MemberOverview {
     }
 
     getDefaultPeriod() {
-        const today = new Date();
-        const start = today.toISOString().split('T')[0];
-        const end = new Date(today.getTime() + 14 * 24 * 60 * 60 * 1000).toISOString().split('T')[0]; // 2 weeks
+        const start = dateUtils.today();
+        const end = dateUtils.addDays(start, 14); // 2 weeks
         return { start, end };
     }
 
@@ -65,6 +67,7 @@ class MemberOverview {
                     <button class="tab-btn active" data-tab="members">メンバー別</button>
                     <button class="tab-btn" data-tab="timeline">タイムライン</button>
                     <button class="tab-btn" data-tab="summary">サマリー</button>
+                    <button class="tab-btn" data-tab="repertoire">レパートリー</button>
                 </div>
                 
                 <div class="overview-body">
@@ -85,6 +88,12 @@ class MemberOverview {
                             <div class="loading">サマリーを作成中...</div>
                         </div>
                     </div>
+                    
+                    <div id="repertoire-view" class="tab-content">
+                        <div id="repertoire-content" class="repertoire-content">
+                            <div class="loading">レパートリーを読み込み中...</div>
+                        </div>
+                    </div>
                 </div>
             </div>
         `;
@@ -149,52 +158,29 @@ class MemberOverview {
 
     async loadData() {
         try {
-            // Load availability data for all members
-            const allAvailabilityData = [];
-            const memberNames = ['COKAI', 'YUSUKE', 'ZEN', 'YAMCHI', 'テスト', 'USER'];
-            
-            for (const memberName of memberNames) {
-                try {
-                    // Temporarily set nickname to fetch each member's data
-                    const originalNickname = storage.getNickname();
-                    storage.setNickname(memberName);
-                    
-                    const memberData = await apiClient.getAvailability(
-                        this.currentPeriod.start,
-                        this.currentPeriod.end
-                    );
-                    
-                    // Add member name to each record
-                    if (memberData && memberData.data) {
-                        memberData.data.forEach(item => {
-                            item.member_name = memberName;
-                            allAvailabilityData.push(item);
-                        });
-                    }
-                    
-                    // Restore original nickname
-                    if (originalNickname) {
-                        storage.setNickname(originalNickname);
-                    }
-                } catch (error) {
-                    console.warn(`Failed to load data for ${memberName}:`, error);
-                }
-            }
+            // Load the current roster
+            await memberRoster.load();
+
+            // Load availability data for all members (the API returns every member's entries)
+            const availability = await apiClient.getAvailability(this.currentPeriod.start, this.currentPeriod.end);
+            const allAvailabilityData = availability.map(item => DataTransformer.normalizeAvailability(item));
 
             // Load events data (if needed)
             const eventsData = [];
             try {
-                const events = await apiClient.getEvents(
-                    this.currentPeriod.start,
-                    this.currentPeriod.end
-                );
-                if (events && events.data) {
-                    eventsData.push(...events.data);
-                }
+                const events = await apiClient.getEvents(this.currentPeriod.start, this.currentPeriod.end);
+                eventsData.push(...events.map(event => DataTransformer.normalizeEvent(event)));
             } catch (error) {
                 console.warn('Failed to load events:', error);
             }
 
+            // Songs don't depend on the period, but are refreshed with it
+            try {
+                this.songs = await apiClient.getSongs();
+            } catch (error) {
+                console.warn('Failed to load songs:', error);
+            }
+            
             this.processData(allAvailabilityData, eventsData);
             this.updateViews();
         } catch (error) {
@@ -206,6 +192,17 @@ class MemberOverview {
     processData(availabilityData, eventsData) {
         this.members.clear();
         
+        // Every member is listed, so members without entries count as unanswered
+        memberRoster.members.forEach(rosterMember => {
+            this.members.set(rosterMember.display_name, {
+                name: rosterMember.display_name,
+                part: rosterMember.part,
+                color: rosterMember.color,
+                availability: [],
+                stats: { good: 0, ok: 0, bad: 0, total: 0 }
+            });
+        });
+        
         // Process availability data
         availabilityData.forEach(item => {
             if (!this.members.has(item.member_name)) {
@@ -231,6 +228,7 @@ class MemberOverview {
         this.updateMembersView();
         this.updateTimelineView();
         this.updateSummaryView();
+        this.updateRepertoireView();
     }
 
     updateStats() {
@@ -248,7 +246,7 @@ class MemberOverview {
     updateMembersView() {
         const container = document.getElementById('members-list');
         
-        if (this.members.size === 0) {
+        if (this.getAnsweredMemberCount() === 0) {
             container.innerHTML = '<div class="no-data">この期間にデータがありません</div>';
             return;
         }
@@ -259,10 +257,10 @@ class MemberOverview {
             const badPercent = data.stats.total > 0 ? (data.stats.bad / data.stats.total * 100).toFixed(1) : 0;
 
             return `
-                <div class="member-card">
+                <div class="member-card" style="border-left-color: ${memberRoster.getColor(name)}">
                     <div class="member-header">
-                        <h3 class="member-name">${name}</h3>
-                        <div class="member-total">${data.stats.total}件の登録</div>
+                        <h3 class="member-name">${name}${data.part ? ` <span class="member-part">${data.part}</span>` : ''}</h3>
+                        <div class="member-total">${data.stats.total > 0 ? `${data.stats.total}件の登録` : '未回答'}</div>
                     </div>
                     <div class="member-stats">
                         <div class="stat-bar">
@@ -295,7 +293,7 @@ class MemberOverview {
     updateTimelineView() {
         const container = document.getElementById('timeline-chart');
         
-        if (this.members.size === 0) {
+        if (this.getAnsweredMemberCount() === 0) {
             container.innerHTML = '<div class="no-data">この期間にデータがありません</div>';
             return;
         }
@@ -315,17 +313,18 @@ class MemberOverview {
                     <span class="legend-item"><span class="symbol good">○</span> 空いている</span>
                     <span class="legend-item"><span class="symbol ok">△</span> 条件付き</span>
                     <span class="legend-item"><span class="symbol bad">×</span> 空いていない</span>
+                    <span class="legend-item"><span class="symbol unanswered">${CONFIG.UNANSWERED_SYMBOL}</span> 未回答</span>
                 </div>
                 <div class="calendar-grid">
         `;
         
-        // Create calendar grid
-        const startDate = new Date(this.currentPeriod.start);
-        const endDate = new Date(this.currentPeriod.end);
+        // Create calendar grid (dates in the band's time zone)
+        const { start: startDate, end: endDate } = this.currentPeriod;
+        const today = dateUtils.today();
         
         // Get first day of the month and calculate grid
-        const firstDay = new Date(startDate.getFullYear(), startDate.getMonth(), 1);
-        const lastDay = new Date(endDate.getFullYear(), endDate.getMonth() + 1, 0);
+        const firstDay = dateUtils.startOfMonth(startDate);
+        const lastDay = dateUtils.endOfMonth(endDate);
         
         // Add day headers
         html += '<div class="calendar-header">';
@@ -335,42 +334,39 @@ class MemberOverview {
         html += '</div>';
         
         // Add calendar days
-        const startOfWeek = new Date(firstDay);
-        startOfWeek.setDate(startOfWeek.getDate() - startOfWeek.getDay());
-        
-        let currentDate = new Date(startOfWeek);
+        let currentDate = dateUtils.addDays(firstDay, -dateUtils.getWeekday(firstDay));
         
-        while (currentDate <= lastDay || currentDate.getDay() !== 0) {
+        while (currentDate <= lastDay || dateUtils.getWeekday(currentDate) !== 0) {
             html += '<div class="calendar-week">';
             
             for (let i = 0; i < 7; i++) {
-                const dateStr = currentDate.toISOString().split('T')[0];
                 const isInPeriod = currentDate >= startDate && currentDate <= endDate;
-                const stats = dailyStats[dateStr] || { good: 0, ok: 0, bad: 0, total: 0 };
+                const stats = dailyStats[currentDate] || { good: 0, ok: 0, bad: 0, total: 0, unanswered: this.members.size };
                 
                 let cellClass = 'calendar-day';
                 if (!isInPeriod) cellClass += ' outside-period';
-                if (currentDate.toDateString() === new Date().toDateString()) cellClass += ' today';
+                if (currentDate === today) cellClass += ' today';
                 
                 html += `
-                    <div class="${cellClass}" data-date="${dateStr}">
-                        <div class="day-number">${currentDate.getDate()}</div>
+                    <div class="${cellClass}" data-date="${currentDate}">
+                        <div class="day-number">${Number(currentDate.slice(8, 10))}</div>
                         ${isInPeriod && stats.total > 0 ? `
                             <div class="day-stats">
                                 ${stats.good > 0 ? `<span class="stat-count good">○${stats.good}</span>` : ''}
                                 ${stats.ok > 0 ? `<span class="stat-count ok">△${stats.ok}</span>` : ''}
                                 ${stats.bad > 0 ? `<span class="stat-count bad">×${stats.bad}</span>` : ''}
+                                ${stats.unanswered > 0 ? `<span class="stat-count unanswered">${CONFIG.UNANSWERED_SYMBOL}${stats.unanswered}</span>` : ''}
                             </div>
                         ` : ''}
                     </div>
                 `;
                 
-                currentDate.setDate(currentDate.getDate() + 1);
+                currentDate = dateUtils.addDays(currentDate, 1);
             }
             
             html += '</div>';
             
-            if (currentDate > lastDay && currentDate.getDay() === 0) break;
+            if (currentDate > lastDay && dateUtils.getWeekday(currentDate) === 0) break;
         }
         
         html += '</div></div>';
@@ -381,10 +377,13 @@ class MemberOverview {
         const dailyStats = {};
         
         days.forEach(day => {
-            const stats = { good: 0, ok: 0, bad: 0, total: 0 };
+            const stats = { good: 0, ok: 0, bad: 0, total: 0, unanswered: 0 };
             
             Array.from(this.members.keys()).forEach(memberName => {
                 const dayAvailability = this.getMemberDayAvailability(memberName, day);
+                if (dayAvailability.length === 0) {
+                    stats.unanswered++;
+                }
                 dayAvailability.forEach(item => {
                     stats[item.status]++;
                     stats.total++;
@@ -402,19 +401,40 @@ class MemberOverview {
     updateSummaryView() {
         const container = document.getElementById('summary-content');
         
-        const bestDays = this.findBestAvailableDays();
         const recommendations = this.generateRecommendations();
+        const roster = memberRoster.members.map(member => member.display_name);
+        const options = this.suggestOptions;
+        options.minMembers = Math.min(options.minMembers, Math.max(roster.length, 1));
+        options.required = options.required.filter(name => roster.includes(name));
 
         const summaryHtml = `
             <div class="summary-section">
                 <h3>📅 おすすめの日程</h3>
-                <div class="best-days">
-                    ${bestDays.map(day => `
-                        <div class="day-recommendation">
-                            <div class="day-date">${day.date}</div>
-                            <div class="day-score">${day.availableMembers}/${this.members.size} メンバーが空き</div>
-                        </div>
-                    `).join('')}
+                <div class="suggest-controls">
+                    <label>
+                        長さ
+                        <select id="suggest-duration">
+                            ${[60, 120, 180, 240, 300].map(minutes => `
+                                <option value="${minutes}" ${minutes === options.duration ? 'selected' : ''}>${minutes / 60}時間</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                    <label>
+                        最低人数
+                        <input type="number" id="suggest-min-members" min="1" max="${Math.max(roster.length, 1)}" value="${options.minMembers}">
+                    </label>
+                    <div class="suggest-required">
+                        <span>必須:</span>
+                        ${roster.map(name => `
+                            <label class="suggest-required-member">
+                                <input type="checkbox" value="${name}" ${options.required.includes(name) ? 'checked' : ''}>
+                                ${name}
+                            </label>
+                        `).join('')}
+                    </div>
+                </div>
+                <div id="suggested-slots" class="best-days">
+                    <div class="loading">おすすめを計算中...</div>
                 </div>
             </div>
             
@@ -432,8 +452,235 @@ class MemberOverview {
         `;
 
         container.innerHTML = summaryHtml;
+        this.setupSuggestControls();
+        this.loadSuggestions();
+    }
+    
+    setupSuggestControls() {
+        document.getElementById('suggest-duration').addEventListener('change', (e) => {
+            this.suggestOptions.duration = Number(e.target.value);
+            this.loadSuggestions();
+        });
+        
+        document.getElementById('suggest-min-members').addEventListener('change', (e) => {
+            const value = Math.max(1, Math.min(Number(e.target.max), Math.round(Number(e.target.value)) || 1));
+            e.target.value = value;
+            this.suggestOptions.minMembers = value;
+            this.loadSuggestions();
+        });
+        
+        document.querySelectorAll('.suggest-required input').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                this.suggestOptions.required = Array.from(document.querySelectorAll('.suggest-required input:checked'))
+                    .map(input => input.value);
+                this.loadSuggestions();
+            });
+        });
+    }
+    
+    /**
+     * Ask the server for the best slots in the period with the current options
+     */
+    async loadSuggestions() {
+        const container = document.getElementById('suggested-slots');
+        const requestId = ++this.suggestRequest;
+        
+        try {
+            const result = await apiClient.getSuggestions({
+                start: this.currentPeriod.start,
+                end: this.currentPeriod.end,
+                ...this.suggestOptions
+            });
+            
+            // A newer request was started while this one was running
+            if (requestId !== this.suggestRequest) return;
+            
+            if (result.slots.length === 0) {
+                container.innerHTML = '<div class="no-data">条件に合う時間帯がありません</div>';
+                return;
+            }
+            
+            container.innerHTML = result.slots.map(slot => this.suggestedSlotHtml(slot, result.members)).join('');
+        } catch (error) {
+            if (requestId !== this.suggestRequest) return;
+            console.error('Failed to load suggestions:', error);
+            container.innerHTML = `<div class="error-message">おすすめの取得に失敗しました: ${error.message}</div>`;
+        }
+    }
+    
+    suggestedSlotHtml(slot, memberCount) {
+        const symbols = { good: '○', ok: '△', bad: '×', unanswered: '－' };
+        const date = dateUtils.formatDate(slot.start_time, {
+            month: 'short',
+            day: 'numeric',
+            weekday: 'short'
+        });
+        
+        return `
+            <div class="day-recommendation">
+                <div class="day-date">${date} ${dateUtils.toTimeString(slot.start_time)}〜${dateUtils.toTimeString(slot.end_time)}</div>
+                <div class="day-score">${slot.available}/${memberCount} メンバーが空き（○${slot.good} △${slot.ok}）</div>
+                <div class="slot-members">
+                    ${slot.members.map(member => `
+                        <span class="slot-member ${member.status}">${symbols[member.status]} ${member.name}</span>
+                    `).join('')}
+                </div>
+            </div>
+        `;
     }
 
+    /**
+     * Songs × members matrix of readiness; a song is stage-ready when its
+     * status is "ready" and every member has marked it ready
+     */
+    updateRepertoireView() {
+        const container = document.getElementById('repertoire-content');
+        const roster = memberRoster.members.map(member => member.display_name);
+        const nickname = storage.getNickname();
+        const readinessOptions = (selected) => Object.entries(CONFIG.SONG_READINESS).map(([value, label]) => `
+            <option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>
+        `).join('');
+        
+        const isStageReady = (song) => song.status === 'ready' &&
+            roster.every(name => song.readiness[name] === 'ready');
+        const stageReady = this.songs.filter(isStageReady).length;
+        
+        const rows = this.songs.map(song => `
+            <tr class="${isStageReady(song) ? 'stage-ready' : ''}" data-song-id="${song.id}">
+                <th scope="row" class="repertoire-song">
+                    <div class="repertoire-title">${escapeHtml(song.title)}</div>
+                    <div class="repertoire-meta">
+                        ${[song.song_key, song.bpm ? `♩=${song.bpm}` : '', this.formatSongLength(song.duration_seconds)].filter(Boolean).join(' / ')}
+                    </div>
+                    <select class="repertoire-status" aria-label="曲のステータス">${readinessOptions(song.status)}</select>
+                </th>
+                ${roster.map(name => {
+                    const readiness = song.readiness[name];
+                    if (name === nickname) {
+                        return `
+                            <td class="readiness-cell mine ${readiness || ''}">
+                                <select class="repertoire-readiness" aria-label="自分の仕上がり">
+                                    ${readiness ? '' : `<option value="" selected>${CONFIG.UNANSWERED_SYMBOL}</option>`}
+                                    ${readinessOptions(readiness)}
+                                </select>
+                            </td>
+                        `;
+                    }
+                    return `
+                        <td class="readiness-cell ${readiness || ''}" title="${readiness ? CONFIG.SONG_READINESS[readiness] : '未入力'}">
+                            ${readiness ? CONFIG.READINESS_SYMBOLS[readiness] : CONFIG.UNANSWERED_SYMBOL}
+                        </td>
+                    `;
+                }).join('')}
+            </tr>
+        `).join('');
+        
+        container.innerHTML = `
+            <div class="summary-section">
+                <h3>🎸 レパートリー (本番OK ${stageReady}/${this.songs.length}曲)</h3>
+                ${this.songs.length === 0 ? '<div class="no-data">まだ曲が登録されていません</div>' : `
+                    <div class="repertoire-table-wrapper">
+                        <table class="repertoire-table">
+                            <thead>
+                                <tr>
+                                    <th scope="col">曲</th>
+                                    ${roster.map(name => `
+                                        <th scope="col" style="border-bottom-color: ${memberRoster.getColor(name)}">${escapeHtml(name)}</th>
+                                    `).join('')}
+                                </tr>
+                            </thead>
+                            <tbody>${rows}</tbody>
+                        </table>
+                    </div>
+                `}
+            </div>
+            
+            <div class="summary-section">
+                <h3>➕ 曲を追加</h3>
+                <form id="repertoire-add" class="repertoire-add">
+                    <input type="text" id="repertoire-title" maxlength="100" placeholder="タイトル" required>
+                    <input type="text" id="repertoire-key" maxlength="3" placeholder="キー (例: F#m)">
+                    <input type="number" id="repertoire-bpm" min="20" max="300" placeholder="BPM">
+                    <input type="text" id="repertoire-length" placeholder="長さ (例: 4:30)" required>
+                    <button type="submit" class="refresh-btn">追加</button>
+                </form>
+            </div>
+        `;
+        
+        this.setupRepertoireControls();
+    }
+    
+    setupRepertoireControls() {
+        const container = document.getElementById('repertoire-content');
+        
+        container.querySelectorAll('.repertoire-readiness').forEach(select => {
+            select.addEventListener('change', () => {
+                this.setReadiness(select.closest('tr').dataset.songId, select.value);
+            });
+        });
+        
+        container.querySelectorAll('.repertoire-status').forEach(select => {
+            select.addEventListener('change', () => {
+                this.updateSong(select.closest('tr').dataset.songId, { status: select.value });
+            });
+        });
+        
+        document.getElementById('repertoire-add').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addSong();
+        });
+    }
+    
+    async setReadiness(songId, readiness) {
+        try {
+            const result = await apiClient.setSongReadiness(songId, readiness);
+            const song = this.songs.find(s => s.id === songId);
+            song.readiness[result.member_name] = result.readiness;
+        } catch (error) {
+            alert(`仕上がりの保存に失敗しました: ${error.message}`);
+        }
+        this.updateRepertoireView();
+    }
+    
+    async updateSong(songId, songData) {
+        try {
+            const updated = await apiClient.updateSong(songId, songData);
+            const song = this.songs.find(s => s.id === songId);
+            Object.assign(song, updated);
+        } catch (error) {
+            alert(`曲の更新に失敗しました: ${error.message}`);
+        }
+        this.updateRepertoireView();
+    }
+    
+    async addSong() {
+        const length = /^\s*(\d{1,2}):([0-5]\d)\s*$/.exec(document.getElementById('repertoire-length').value);
+        const bpm = document.getElementById('repertoire-bpm').value;
+        
+        if (!length) {
+            alert('長さは 4:30 のように入力してください');
+            return;
+        }
+        
+        try {
+            const song = await apiClient.createSong({
+                title: document.getElementById('repertoire-title').value.trim(),
+                song_key: document.getElementById('repertoire-key').value.trim() || null,
+                bpm: bpm ? Number(bpm) : null,
+                duration_seconds: Number(length[1]) * 60 + Number(length[2])
+            });
+            this.songs.push({ ...song, readiness: {} });
+            this.songs.sort((a, b) => a.title.localeCompare(b.title, 'ja'));
+            this.updateRepertoireView();
+        } catch (error) {
+            alert(`曲の追加に失敗しました: ${error.message}`);
+        }
+    }
+    
+    formatSongLength(seconds) {
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+    
     switchTab(tabName) {
         // Update tab buttons
         document.querySelectorAll('.overview-tabs .tab-btn').forEach(btn => {
@@ -448,15 +695,11 @@ class MemberOverview {
 
     // Helper methods
     getDaysInPeriod() {
-        const days = [];
-        const start = new Date(this.currentPeriod.start);
-        const end = new Date(this.currentPeriod.end);
-        
-        for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
-            days.push(d.toISOString().split('T')[0]);
-        }
-        
-        return days;
+        return dateUtils.eachDay(this.currentPeriod.start, this.currentPeriod.end);
+    }
+
+    getAnsweredMemberCount() {
+        return Array.from(this.members.values()).filter(member => member.stats.total > 0).length;
     }
 
     getMemberDayAvailability(memberName, day) {
@@ -464,8 +707,7 @@ class MemberOverview {
         if (!member) return [];
         
         return member.availability.filter(item => {
-            const itemDate = new Date(item.start_time).toISOString().split('T')[0];
-            return itemDate === day;
+            return dateUtils.toDateString(item.start_time) === day;
         });
     }
 
@@ -500,37 +742,10 @@ class MemberOverview {
         return commonDays;
     }
 
-    findBestAvailableDays() {
-        const days = this.getDaysInPeriod();
-        const dayScores = [];
-        
-        days.forEach(day => {
-            const availableMembers = Array.from(this.members.keys()).filter(memberName => {
-                const dayAvailability = this.getMemberDayAvailability(memberName, day);
-                return dayAvailability.some(item => item.status === 'good');
-            }).length;
-            
-            if (availableMembers > 0) {
-                dayScores.push({
-                    date: new Date(day).toLocaleDateString('ja-JP', { 
-                        month: 'short', 
-                        day: 'numeric',
-                        weekday: 'short'
-                    }),
-                    availableMembers
-                });
-            }
-        });
-        
-        return dayScores
-            .sort((a, b) => b.availableMembers - a.availableMembers)
-            .slice(0, 5);
-    }
-
     generateRecommendations() {
         const recommendations = [];
         
-        if (this.members.size === 0) {
+        if (this.getAnsweredMemberCount() === 0) {
             recommendations.push({
                 icon: '📝',
                 text: 'まずはメンバーに空き時間を入力してもらいましょう'
@@ -567,7 +782,8 @@ class MemberOverview {
         const containers = [
             document.getElementById('members-list'),
             document.getElementById('timeline-chart'),
-            document.getElementById('summary-content')
+            document.getElementById('summary-content'),
+            document.getElementById('repertoire-content')
         ];
         
         containers.forEach(container => {
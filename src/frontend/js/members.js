@@ -0,0 +1,80 @@
+/**
+ * Member Roster for Band Sync Calendar
+ * Loads the band member roster from the API so members can be added without a code deploy
+ */
+
+class MemberRoster {
+    constructor() {
+        this.members = [];
+        this.loadPromise = null;
+        this.lastFetch = null;
+    }
+    
+    /**
+     * Load active members from the API (concurrent calls share one request)
+     */
+    async load(force = false) {
+        if (this.loadPromise && !force) {
+            return this.loadPromise;
+        }
+        
+        this.loadPromise = (async () => {
+            try {
+                this.members = await apiClient.getMembers();
+                this.lastFetch = new Date();
+                console.log(`[Members] ✅ Loaded ${this.members.length} members`);
+            } catch (error) {
+                console.error('[Members] Failed to load roster:', error);
+                this.loadPromise = null;
+            }
+            return this.members;
+        })();
+        
+        return this.loadPromise;
+    }
+    
+    /**
+     * Force a reload, e.g. after the roster was edited
+     */
+    async refresh() {
+        apiClient.clearMembersCache();
+        return this.load(true);
+    }
+    
+    /**
+     * Get display names of all active members
+     */
+    getNames() {
+        return this.members.map(member => member.display_name);
+    }
+    
+    /**
+     * Find a member by display name
+     */
+    getMember(name) {
+        return this.members.find(member => member.display_name === name) || null;
+    }
+    
+    /**
+     * Check whether a name belongs to an active member
+     */
+    isMember(name) {
+        return this.getMember(name) !== null;
+    }
+    
+    /**
+     * Get a member's display color, or a fallback if none is set
+     */
+    getColor(name, fallback = '#3498db') {
+        const member = this.getMember(name);
+        return member && member.color ? member.color : fallback;
+    }
+}
+
+// Create global instance
+const memberRoster = new MemberRoster();
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MemberRoster, memberRoster };
+}
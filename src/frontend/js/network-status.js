@@ -9,6 +9,7 @@ class NetworkStatusManager {
         this.isOnline = navigator.onLine;
         this.lastSyncTime = null;
         this.syncStatus = 'idle'; // idle, syncing, error, success
+        this.unreadComments = null; // unknown until the calendar has loaded
     }
     
     initialize() {
@@ -27,6 +28,7 @@ class NetworkStatusManager {
             <div class="status-icon"></div>
             <div class="status-text"></div>
             <div class="sync-info"></div>
+            <div class="unread-comments hidden"></div>
         `;
         
         // Add to header
@@ -65,6 +67,17 @@ class NetworkStatusManager {
             this.setSyncStatus('error');
             this.showMessage(`同期エラー: ${event.detail.message}`, 'error');
         });
+        
+        // Unread comment count from the calendar
+        document.addEventListener('unread-comments-changed', (event) => {
+            const previous = this.unreadComments;
+            this.unreadComments = event.detail.count;
+            this.updateStatus();
+            
+            if (previous !== null && this.unreadComments > previous) {
+                this.showMessage('新しいコメントがあります', 'info');
+            }
+        });
     }
     
     updateStatus() {
@@ -104,6 +117,11 @@ class NetworkStatusManager {
                 syncInfo.textContent = `待機中: ${queueStatus.queueLength}件`;
             }
         }
+        
+        const unread = this.indicator.querySelector('.unread-comments');
+        unread.classList.toggle('hidden', !this.unreadComments);
+        unread.textContent = this.unreadComments ? `💬 未読${this.unreadComments}` : '';
+        unread.title = this.unreadComments ? `未読コメント ${this.unreadComments}件` : '';
     }
     
     setSyncStatus(status) {
@@ -1,13 +1,16 @@
 /**
  * Member Selection for Band Sync Calendar
- * Handles user identification from predefined band members
+ * Handles band selection, member login (display name + PIN), setting a PIN
+ * with a leader's setup code, joining a band with an invite code, and the
+ * session token
  */
 
 class NicknameManager {
     constructor() {
         this.modal = null;
         this.callback = null;
-        this.predefinedMembers = ['COKAI', 'YUSUKE', 'ZEN', 'YAMCHI', 'テスト', 'USER'];
+        this.bands = [];
+        this.mode = 'login';
     }
     
     initialize() {
@@ -22,26 +25,65 @@ class NicknameManager {
     }
     
     setupEventListeners() {
-        const select = document.getElementById('member-select');
+        const bandSelect = document.getElementById('band-select');
         const submitBtn = document.getElementById('nickname-submit');
+        const loginInputs = this.modal.querySelectorAll('#login-section input');
+        const joinToggle = document.getElementById('join-toggle');
+        const joinSubmit = document.getElementById('join-submit');
+        const joinInputs = this.modal.querySelectorAll('#join-section input');
+        const setupToggle = document.getElementById('setup-toggle');
+        const setupSubmit = document.getElementById('setup-submit');
+        const setupInputs = this.modal.querySelectorAll('#setup-section input');
         
         if (submitBtn) {
             submitBtn.addEventListener('click', () => this.saveMemberSelection());
         }
         
-        if (select) {
-            // Enable submit button when selection is made
-            select.addEventListener('change', () => {
-                this.validateSelection();
-            });
+        if (bandSelect) {
+            bandSelect.addEventListener('change', () => this.selectBand(bandSelect.value));
+        }
+        
+        if (joinToggle) {
+            joinToggle.addEventListener('click', () => this.setMode(this.mode === 'join' ? 'login' : 'join'));
+        }
+        
+        if (setupToggle) {
+            setupToggle.addEventListener('click', () => this.setMode(this.mode === 'setup' ? 'login' : 'setup'));
+        }
+        
+        if (joinSubmit) {
+            joinSubmit.addEventListener('click', () => this.joinWithInvite());
+        }
+        
+        if (setupSubmit) {
+            setupSubmit.addEventListener('click', () => this.setPinWithCode());
+        }
+        
+        joinInputs.forEach(input => {
+            input.addEventListener('input', () => this.validateJoinForm());
+        });
+        
+        setupInputs.forEach(input => {
+            input.addEventListener('input', () => this.validateSetupForm());
+        });
+        
+        loginInputs.forEach(input => {
+            input.addEventListener('input', () => this.validateSelection());
             
             // Submit on Enter key
-            select.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' && select.value) {
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' && submitBtn && !submitBtn.disabled) {
                     this.saveMemberSelection();
                 }
             });
-        }
+        });
+        
+        // Log in again when the session expires or is revoked
+        document.addEventListener('auth-required', () => {
+            if (this.modal.classList.contains('hidden')) {
+                this.show();
+            }
+        });
         
         // Prevent modal close by clicking outside
         this.modal.addEventListener('click', (e) => {
@@ -49,22 +91,255 @@ class NicknameManager {
         });
     }
     
-    show(callback = null) {
+    async show(callback = null) {
         if (!this.modal) return;
         
         this.callback = callback;
         this.modal.classList.remove('hidden');
+        this.setMode('login');
         
-        // Focus select and reset
-        const select = document.getElementById('member-select');
-        if (select) {
-            select.value = '';
-            select.focus();
+        await this.populateBandOptions();
+        
+        // Pre-fill the last member for re-login
+        const nameInput = document.getElementById('member-name-input');
+        const pinInput = document.getElementById('pin-input');
+        if (nameInput && pinInput) {
+            nameInput.value = storage.getNickname() || '';
+            pinInput.value = '';
+            (nameInput.value ? pinInput : nameInput).focus();
         }
         
         this.validateSelection();
     }
     
+    /**
+     * Fill the band select and restore the last selected band
+     */
+    async populateBandOptions() {
+        const bandSelect = document.getElementById('band-select');
+        if (!bandSelect) return;
+        
+        try {
+            this.bands = await apiClient.getBands();
+        } catch (error) {
+            console.error('Failed to load bands:', error);
+            this.bands = [];
+        }
+        
+        if (this.bands.length === 0) {
+            bandSelect.innerHTML = '<option value="">バンドを読み込めませんでした</option>';
+            return;
+        }
+        
+        bandSelect.innerHTML = '<option value="">バンドを選択...</option>';
+        this.bands.forEach(band => {
+            const option = document.createElement('option');
+            option.value = band.id;
+            option.textContent = band.name;
+            bandSelect.appendChild(option);
+        });
+        
+        // Keep the last band, or pick the only one there is
+        const lastBand = storage.getBand();
+        const current = this.bands.find(band => lastBand && band.id === lastBand.id)
+            || (this.bands.length === 1 ? this.bands[0] : null);
+        
+        bandSelect.value = current ? current.id : '';
+        if (current && (!lastBand || lastBand.id !== current.id)) {
+            storage.setBand(current);
+        }
+    }
+    
+    /**
+     * Switch to another band; its roster is loaded after login
+     */
+    selectBand(bandId) {
+        const band = this.bands.find(b => b.id === bandId);
+        
+        if (band) {
+            storage.setBand(band);
+        }
+        
+        this.validateSelection();
+    }
+    
+    /**
+     * Switch between logging in, setting a PIN with a setup code and joining
+     * a band with an invite code
+     */
+    setMode(mode) {
+        this.mode = mode;
+        
+        const bandSelection = this.modal.querySelector('.band-selection');
+        const loginSection = document.getElementById('login-section');
+        const setupSection = document.getElementById('setup-section');
+        const joinSection = document.getElementById('join-section');
+        const setupToggle = document.getElementById('setup-toggle');
+        const joinToggle = document.getElementById('join-toggle');
+        
+        // Setup and invite codes decide the member and band, so the band select is not needed
+        if (bandSelection) bandSelection.classList.toggle('hidden', mode !== 'login');
+        if (loginSection) loginSection.classList.toggle('hidden', mode !== 'login');
+        if (setupSection) setupSection.classList.toggle('hidden', mode !== 'setup');
+        if (joinSection) joinSection.classList.toggle('hidden', mode !== 'join');
+        if (setupToggle) {
+            setupToggle.textContent = mode === 'setup' ? 'ログインに戻る' : 'セットアップコードでPINを設定';
+        }
+        if (joinToggle) {
+            joinToggle.textContent = mode === 'join' ? 'ログインに戻る' : '招待コードで参加';
+        }
+        
+        if (mode === 'join') {
+            const codeInput = document.getElementById('invite-code-input');
+            if (codeInput) codeInput.focus();
+            this.validateJoinForm();
+        } else if (mode === 'setup') {
+            const codeInput = document.getElementById('setup-code-input');
+            if (codeInput) codeInput.focus();
+            this.validateSetupForm();
+        }
+    }
+    
+    validateJoinForm() {
+        const joinSubmit = document.getElementById('join-submit');
+        if (!joinSubmit) return;
+        
+        const code = document.getElementById('invite-code-input').value.trim();
+        const name = document.getElementById('join-name-input').value.trim();
+        const pin = document.getElementById('join-pin-input').value;
+        
+        joinSubmit.disabled = !(code.length === 8 && name.length > 0 &&
+            name.length <= CONFIG.MAX_NICKNAME_LENGTH && /^\d{4,8}$/.test(pin));
+    }
+    
+    async joinWithInvite() {
+        const joinSubmit = document.getElementById('join-submit');
+        const code = document.getElementById('invite-code-input').value.trim().toUpperCase();
+        const name = document.getElementById('join-name-input').value.trim();
+        const part = document.getElementById('join-part-input').value.trim();
+        const pin = document.getElementById('join-pin-input').value;
+        
+        if (joinSubmit) {
+            joinSubmit.disabled = true;
+            joinSubmit.textContent = '参加中...';
+        }
+        
+        try {
+            const result = await apiClient.joinBand(code, name, pin, part || undefined);
+            console.log(`Joined ${result.band.name} as`, result.member.display_name);
+            
+            await this.finishLogin(result.member.display_name);
+        } catch (error) {
+            console.error('Failed to join band:', error);
+            
+            if (error.status === 404) {
+                this.showError('招待コードが無効か、有効期限が切れています。');
+            } else if (error.status === 409) {
+                this.showError('この表示名はすでに使われています。別の名前にしてください。');
+            } else {
+                this.showError('バンドへの参加に失敗しました。もう一度お試しください。');
+            }
+        } finally {
+            if (joinSubmit) {
+                joinSubmit.textContent = '参加する';
+                this.validateJoinForm();
+            }
+        }
+    }
+    
+    validateSetupForm() {
+        const setupSubmit = document.getElementById('setup-submit');
+        if (!setupSubmit) return;
+        
+        const code = document.getElementById('setup-code-input').value.trim();
+        const pin = document.getElementById('setup-pin-input').value;
+        const confirmPin = document.getElementById('setup-pin-confirm-input').value;
+        
+        setupSubmit.disabled = !(code.length === 8 && /^\d{4,8}$/.test(pin) && confirmPin === pin);
+    }
+    
+    /**
+     * Set the PIN with a setup code from a band leader, which logs the member in
+     */
+    async setPinWithCode() {
+        const setupSubmit = document.getElementById('setup-submit');
+        const code = document.getElementById('setup-code-input').value.trim().toUpperCase();
+        const pin = document.getElementById('setup-pin-input').value;
+        
+        if (setupSubmit) {
+            setupSubmit.disabled = true;
+            setupSubmit.textContent = '設定中...';
+        }
+        
+        try {
+            const result = await apiClient.setPinWithCode(code, pin);
+            console.log(`PIN set for ${result.band.name}:`, result.member.display_name);
+            
+            await this.finishLogin(result.member.display_name);
+        } catch (error) {
+            console.error('Failed to set PIN:', error);
+            
+            this.showError(error.status === 404
+                ? 'セットアップコードが無効か、有効期限が切れています。'
+                : 'PINの設定に失敗しました。もう一度お試しください。');
+        } finally {
+            if (setupSubmit) {
+                setupSubmit.textContent = 'PINを設定してログイン';
+                this.validateSetupForm();
+            }
+        }
+    }
+    
+    /**
+     * Issue a PIN setup code for a member of the current band (leaders only)
+     */
+    async showSetupCode() {
+        const members = await memberRoster.refresh();
+        const memberOptions = members.map((member, index) =>
+            `${index + 1}. ${member.display_name}${member.has_pin ? '' : '（PIN未設定）'}`
+        ).join('\n');
+        
+        const answer = prompt(`セットアップコードを発行するメンバーの番号を入力してください:\n${memberOptions}`);
+        if (answer === null) return;
+        
+        const member = members[Number(answer) - 1];
+        if (!member) {
+            this.showError('無効な番号です。');
+            return;
+        }
+        
+        try {
+            const setup = await apiClient.createSetupCode(member.id);
+            const expires = dateUtils.formatDate(setup.expires_at);
+            
+            // prompt() so the code can be copied on mobile
+            prompt(`${setup.display_name}さんのセットアップコード（${expires}まで有効・1回限り）\nログイン画面の「セットアップコードでPINを設定」から入力します。`, setup.code);
+        } catch (error) {
+            console.error('Failed to create setup code:', error);
+            this.showError(error.status === 403
+                ? 'セットアップコードを発行できるのはリーダーだけです。'
+                : 'セットアップコードの発行に失敗しました。');
+        }
+    }
+    
+    /**
+     * Issue an invite code for the current band (leaders only)
+     */
+    async showInviteCode() {
+        try {
+            const invite = await apiClient.createInvite();
+            const expires = dateUtils.formatDate(invite.expires_at);
+            
+            // prompt() so the code can be copied on mobile
+            prompt(`招待コード（${expires}まで有効）\n新しいメンバーはログイン画面の「招待コードで参加」から入力します。`, invite.code);
+        } catch (error) {
+            console.error('Failed to create invite code:', error);
+            this.showError(error.status === 403
+                ? '招待コードを発行できるのはリーダーだけです。'
+                : '招待コードの発行に失敗しました。');
+        }
+    }
+    
     hide() {
         if (!this.modal) return;
         
@@ -73,76 +348,95 @@ class NicknameManager {
     }
     
     validateSelection() {
-        const select = document.getElementById('member-select');
+        const bandSelect = document.getElementById('band-select');
+        const nameInput = document.getElementById('member-name-input');
+        const pinInput = document.getElementById('pin-input');
         const submitBtn = document.getElementById('nickname-submit');
         
-        if (!select || !submitBtn) return;
-        
-        const selectedMember = select.value;
-        const isValid = selectedMember && this.predefinedMembers.includes(selectedMember);
+        if (!nameInput || !pinInput || !submitBtn) return;
         
-        submitBtn.disabled = !isValid;
+        const name = nameInput.value.trim();
         
-        // Update select styling
-        select.style.borderColor = selectedMember ? '#27ae60' : '';
+        submitBtn.disabled = !(bandSelect && bandSelect.value && name.length > 0 &&
+            /^\d{4,8}$/.test(pinInput.value));
     }
     
-    saveMemberSelection() {
-        const select = document.getElementById('member-select');
+    async saveMemberSelection() {
+        const bandSelect = document.getElementById('band-select');
+        const nameInput = document.getElementById('member-name-input');
+        const pinInput = document.getElementById('pin-input');
         const submitBtn = document.getElementById('nickname-submit');
         
-        if (!select) return;
+        if (!bandSelect || !nameInput || !pinInput) return;
         
-        const selectedMember = select.value;
+        const name = nameInput.value.trim();
         
-        // Validate selection
-        if (!selectedMember) {
-            this.showError('メンバーを選択してください。');
+        if (!bandSelect.value || !name) {
+            this.showError('バンドを選択して表示名を入力してください。');
             return;
         }
         
-        if (!this.predefinedMembers.includes(selectedMember)) {
-            this.showError('無効なメンバーが選択されています。');
-            return;
-        }
-        
-        // Save to storage
         if (submitBtn) {
             submitBtn.disabled = true;
-            submitBtn.textContent = '保存中...';
+            submitBtn.textContent = 'ログイン中...';
         }
         
         try {
-            const success = storage.setNickname(selectedMember);
+            const result = await apiClient.login(bandSelect.value, name, pinInput.value);
+            console.log('Member logged in:', result.member.display_name);
             
-            if (success) {
-                console.log('Member selected:', selectedMember);
-                this.hide();
-                
-                // Execute callback if provided
-                if (this.callback && typeof this.callback === 'function') {
-                    this.callback();
-                }
-                
-                // Update display
-                this.updateNicknameDisplay(selectedMember);
-                
-                // Show welcome message
-                this.showWelcomeMessage(selectedMember);
+            await this.finishLogin(result.member.display_name);
+        } catch (error) {
+            console.error('Failed to log in:', error);
+            
+            if (error.status === 401) {
+                this.showError('表示名かPINが正しくありません。\n初めてログインするときは、リーダーにセットアップコードを発行してもらってください。');
+            } else if (error.status === 429) {
+                this.showError('PINの入力に続けて失敗したため、しばらくログインできません。');
             } else {
-                this.showError('メンバー選択の保存に失敗しました。');
+                this.showError('ログインに失敗しました。もう一度お試しください。');
             }
-        } catch (error) {
-            console.error('Failed to save member selection:', error);
-            this.showError('メンバー選択の保存に失敗しました。');
+            
+            pinInput.value = '';
+            pinInput.focus();
         } finally {
             if (submitBtn) {
-                submitBtn.disabled = false;
-                submitBtn.textContent = '選択';
+                submitBtn.textContent = 'ログイン';
+                this.validateSelection();
             }
         }
     }
     
+    /**
+     * Close the modal after a login, PIN setup or join and load the band's data
+     */
+    async finishLogin(memberName) {
+        await memberRoster.refresh();
+        storage.setNickname(memberName);
+        
+        const callback = this.callback;
+        this.hide();
+        
+        // Execute callback if provided
+        if (callback && typeof callback === 'function') {
+            callback();
+        }
+        
+        this.updateNicknameDisplay(memberName);
+        this.reloadCalendar();
+        this.showWelcomeMessage(memberName);
+    }
+    
+    // Reload a running calendar, which may now belong to another band
+    reloadCalendar() {
+        const app = window.bandSyncCalendar;
+        if (app && app.isInitialized && typeof syncManager !== 'undefined') {
+            syncManager.resetCursor();
+            syncManager.restartRealtime();
+            app.refreshCalendarData();
+        }
+    }
+    
     showWelcomeMessage(memberName) {
         // Show a brief welcome message with data overwrite warning
         setTimeout(() => {
@@ -154,8 +448,19 @@ class NicknameManager {
     updateNicknameDisplay(nickname) {
         const display = document.getElementById('nickname-display');
         if (display) {
-            display.textContent = `ユーザー: ${nickname}`;
+            const band = storage.getBand();
+            display.textContent = band ? `${band.name} ｜ ユーザー: ${nickname}` : `ユーザー: ${nickname}`;
         }
+        
+        // Only leaders can invite new members and issue setup codes
+        const session = storage.getSession();
+        const isLeader = !!session && session.role === 'leader';
+        ['invite-button', 'setup-code-button'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.classList.toggle('hidden', !isLeader);
+            }
+        });
     }
     
     showError(message) {
@@ -163,9 +468,9 @@ class NicknameManager {
         alert(message);
     }
     
-    // Check if nickname is set
+    // Check if a member is logged in
     hasNickname() {
-        return !!storage.getNickname();
+        return !!storage.getNickname() && !!storage.getSession();
     }
     
     // Get current nickname
@@ -173,8 +478,9 @@ class NicknameManager {
         return storage.getNickname();
     }
     
-    // Clear nickname (for logout functionality)
+    // Clear nickname and session (for logout functionality)
     clearNickname() {
+        apiClient.logout();
         const success = storage.clearNickname();
         if (success) {
             const display = document.getElementById('nickname-display');
@@ -185,37 +491,18 @@ class NicknameManager {
         return success;
     }
     
-    // Show change member dialog
+    // Switch to another member (requires that member's PIN)
     showChangeDialog() {
         const currentMember = this.getCurrentNickname();
-        const memberOptions = this.predefinedMembers.map((member, index) => 
-            `${index + 1}. ${member}${member === currentMember ? ' (現在)' : ''}`
-        ).join('\n');
         
-        const message = `現在のメンバー: ${currentMember}\n\n利用可能なメンバー:\n${memberOptions}\n\n新しいメンバー名を入力してください:`;
-        const newMember = prompt(message);
-        
-        if (newMember !== null && newMember.trim() !== currentMember) {
-            const trimmed = newMember.trim();
-            
-            if (!trimmed) {
-                this.showError('メンバーを選択してください。');
-                return;
-            }
-            
-            if (!this.predefinedMembers.includes(trimmed)) {
-                this.showError('無効なメンバー名です。利用可能なメンバー: ' + this.predefinedMembers.join(', '));
-                return;
-            }
-            
-            const success = storage.setNickname(trimmed);
-            if (success) {
-                this.updateNicknameDisplay(trimmed);
-                alert(`メンバーを${trimmed}に変更しました。\n\n注意: 同じメンバーで新しいデータを保存すると、以前のデータは上書きされます。`);
-            } else {
-                this.showError('メンバー変更に失敗しました。');
-            }
+        if (!confirm(`現在のメンバー: ${currentMember}\n\nログアウトして別のメンバーでログインしますか？`)) {
+            return;
         }
+        
+        apiClient.logout();
+        this.show(() => {
+            alert('メンバーを変更しました。\n\n注意: 同じメンバーで新しいデータを保存すると、以前のデータは上書きされます。');
+        });
     }
 }
 
@@ -234,4 +521,4 @@ document.addEventListener('DOMContentLoaded', () => {
 // Export for testing
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = { NicknameManager, nicknameManager };
-}
\ No newline at end of file
+}
@@ -145,6 +145,7 @@ class PerformanceOptimizer {
     preloadCriticalResources() {
         const criticalResources = [
             'js/config.js',
+            'js/date-utils.js',
             'js/storage.js',
             'js/api.js'
         ];
@@ -0,0 +1,352 @@
+/**
+ * Date Polls for Band Sync Calendar
+ * 調整さん-style polls: a leader proposes candidate slots, members vote
+ * ○/△/× on each, and closing the poll turns the chosen slot into an event
+ */
+
+class PollPanel {
+    constructor() {
+        this.polls = [];
+        this.isVisible = false;
+        this.candidateRows = 3;
+    }
+    
+    initialize() {
+        this.createPanel();
+        this.setupEventListeners();
+        console.log('Poll panel initialized');
+    }
+    
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.id = 'poll-modal';
+        panel.className = 'modal poll-modal hidden';
+        panel.setAttribute('role', 'dialog');
+        panel.setAttribute('aria-modal', 'true');
+        panel.setAttribute('aria-labelledby', 'poll-title');
+        
+        panel.innerHTML = `
+            <div class="modal-content poll-content">
+                <div class="event-details-header">
+                    <h2 id="poll-title">📊 日程調整</h2>
+                    <button id="poll-close" class="close-btn" aria-label="閉じる">&times;</button>
+                </div>
+                
+                <div id="poll-list" class="poll-list">
+                    <div class="loading">日程調整を読み込み中...</div>
+                </div>
+                
+                <form id="poll-create" class="poll-create hidden">
+                    <h3>新しい日程調整</h3>
+                    <input type="text" id="poll-create-title" maxlength="100" placeholder="タイトル（例: 渋谷ワンマン）" required>
+                    <select id="poll-create-type">
+                        ${Object.entries(CONFIG.EVENT_TYPES).map(([value, label]) => `
+                            <option value="${value}">${label}</option>
+                        `).join('')}
+                    </select>
+                    <div id="poll-create-candidates" class="poll-create-candidates"></div>
+                    <button type="button" id="poll-add-candidate" class="poll-secondary-btn">候補を追加</button>
+                    <button type="submit">作成</button>
+                </form>
+            </div>
+        `;
+        
+        document.body.appendChild(panel);
+    }
+    
+    setupEventListeners() {
+        const panel = document.getElementById('poll-modal');
+        
+        document.getElementById('poll-close').addEventListener('click', () => {
+            this.hide();
+        });
+        
+        // Click outside the content closes the panel
+        panel.addEventListener('click', (e) => {
+            if (e.target === panel) {
+                this.hide();
+            }
+        });
+        
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isVisible) {
+                this.hide();
+            }
+        });
+        
+        document.getElementById('poll-add-candidate').addEventListener('click', () => {
+            document.getElementById('poll-create-candidates').insertAdjacentHTML('beforeend', this.candidateRowHtml());
+        });
+        
+        document.getElementById('poll-create').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createPoll();
+        });
+        
+        // Poll cards are rendered on every change, so listen on the list
+        const list = document.getElementById('poll-list');
+        
+        list.addEventListener('change', (e) => {
+            if (e.target.classList.contains('poll-vote')) {
+                this.vote(e.target.closest('.poll-card').dataset.pollId, e.target.dataset.candidateId, e.target.value || null);
+            }
+        });
+        
+        list.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            
+            const pollId = button.closest('.poll-card').dataset.pollId;
+            if (button.dataset.action === 'close') {
+                this.closePoll(pollId, button.dataset.candidateId);
+            } else if (button.dataset.action === 'delete') {
+                this.deletePoll(pollId);
+            }
+        });
+    }
+    
+    async show() {
+        this.isVisible = true;
+        document.getElementById('poll-modal').classList.remove('hidden');
+        
+        // Only leaders start polls
+        const createForm = document.getElementById('poll-create');
+        createForm.classList.toggle('hidden', !this.isLeader());
+        if (this.isLeader()) {
+            this.resetCreateForm();
+        }
+        
+        await this.loadPolls();
+    }
+    
+    hide() {
+        this.isVisible = false;
+        document.getElementById('poll-modal').classList.add('hidden');
+    }
+    
+    isLeader() {
+        const session = storage.getSession();
+        return Boolean(session && session.role === 'leader');
+    }
+    
+    async loadPolls() {
+        const list = document.getElementById('poll-list');
+        
+        try {
+            await memberRoster.load();
+            this.polls = await apiClient.getPolls();
+            this.render();
+        } catch (error) {
+            console.error('[Polls] Failed to load polls:', error);
+            list.innerHTML = `<div class="error-message">日程調整の読み込みに失敗しました: ${escapeHtml(error.message)}</div>`;
+        }
+    }
+    
+    render() {
+        const list = document.getElementById('poll-list');
+        
+        if (this.polls.length === 0) {
+            list.innerHTML = '<div class="no-data">日程調整はまだありません</div>';
+            return;
+        }
+        
+        list.innerHTML = this.polls.map(poll => this.pollHtml(poll)).join('');
+    }
+    
+    /**
+     * One poll as a candidate × member grid with scores; the logged-in
+     * member's column holds their vote selects while the poll is open
+     */
+    pollHtml(poll) {
+        const nickname = storage.getNickname();
+        const names = memberRoster.getNames();
+        const isOpen = poll.status === 'open';
+        const bestScore = Math.max(...poll.candidates.map(candidate => candidate.score));
+        
+        const rows = poll.candidates.map(candidate => {
+            const isBest = isOpen && bestScore > 0 && candidate.score === bestScore;
+            const isChosen = candidate.id === poll.chosen_candidate_id;
+            
+            return `
+                <tr class="${isBest ? 'best' : ''} ${isChosen ? 'chosen' : ''}">
+                    <th scope="row">${this.formatSlot(candidate)}${isChosen ? ' <span class="poll-chosen-label">決定</span>' : ''}</th>
+                    ${names.map(name => {
+                        const vote = candidate.votes[name];
+                        if (isOpen && name === nickname) {
+                            return `
+                                <td class="poll-vote-cell mine ${vote || ''}">
+                                    <select class="poll-vote" data-candidate-id="${candidate.id}" aria-label="自分の回答">
+                                        <option value="" ${vote ? '' : 'selected'}>${CONFIG.UNANSWERED_SYMBOL}</option>
+                                        ${Object.entries(CONFIG.STATUS_SYMBOLS).map(([value, symbol]) => `
+                                            <option value="${value}" ${value === vote ? 'selected' : ''}>${symbol}</option>
+                                        `).join('')}
+                                    </select>
+                                </td>
+                            `;
+                        }
+                        return `<td class="poll-vote-cell ${vote || ''}">${vote ? CONFIG.STATUS_SYMBOLS[vote] : CONFIG.UNANSWERED_SYMBOL}</td>`;
+                    }).join('')}
+                    <td class="poll-score">${candidate.score}<small>○${candidate.good} △${candidate.ok} ×${candidate.bad}</small></td>
+                    ${isOpen && this.isLeader() ? `
+                        <td><button type="button" class="poll-choose-btn" data-action="close" data-candidate-id="${candidate.id}">決定</button></td>
+                    ` : ''}
+                </tr>
+            `;
+        }).join('');
+        
+        return `
+            <div class="poll-card ${poll.status}" data-poll-id="${poll.id}">
+                <div class="poll-card-header">
+                    <h3>
+                        <span class="event-type-label ${poll.type}">${CONFIG.EVENT_TYPES[poll.type] || poll.type}</span>
+                        ${escapeHtml(poll.title)}
+                    </h3>
+                    <span class="poll-status">${isOpen ? '受付中' : '締切'}</span>
+                </div>
+                <div class="poll-meta">作成者: ${escapeHtml(poll.created_by)}</div>
+                <div class="poll-table-wrapper">
+                    <table class="poll-table">
+                        <thead>
+                            <tr>
+                                <th scope="col">候補</th>
+                                ${names.map(name => `
+                                    <th scope="col" style="border-bottom-color: ${memberRoster.getColor(name)}">${escapeHtml(name)}</th>
+                                `).join('')}
+                                <th scope="col">スコア</th>
+                                ${isOpen && this.isLeader() ? '<th scope="col"></th>' : ''}
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+                ${this.isLeader() ? '<button type="button" class="poll-delete-btn" data-action="delete">削除</button>' : ''}
+            </div>
+        `;
+    }
+    
+    /**
+     * Replace a poll with the server's copy after a change
+     */
+    updatePoll(poll) {
+        const index = this.polls.findIndex(p => p.id === poll.id);
+        if (index !== -1) {
+            this.polls[index] = poll;
+        }
+        this.render();
+    }
+    
+    async vote(pollId, candidateId, vote) {
+        try {
+            this.updatePoll(await apiClient.votePoll(pollId, { [candidateId]: vote }));
+        } catch (error) {
+            alert(`回答の保存に失敗しました: ${error.message}`);
+            await this.loadPolls();
+        }
+    }
+    
+    async closePoll(pollId, candidateId) {
+        const poll = this.polls.find(p => p.id === pollId);
+        const candidate = poll && poll.candidates.find(c => c.id === candidateId);
+        if (!candidate || !confirm(`「${poll.title}」を ${this.formatSlot(candidate)} で決定し、イベントを作成しますか？`)) {
+            return;
+        }
+        
+        try {
+            this.updatePoll(await apiClient.closePoll(pollId, candidateId));
+            
+            if (window.bandSyncCalendar) {
+                await window.bandSyncCalendar.refreshCalendarData();
+            }
+        } catch (error) {
+            alert(`日程の決定に失敗しました: ${error.message}`);
+            await this.loadPolls();
+        }
+    }
+    
+    async deletePoll(pollId) {
+        if (!confirm('この日程調整を削除しますか？（作成済みのイベントは残ります）')) {
+            return;
+        }
+        
+        try {
+            await apiClient.deletePoll(pollId);
+            this.polls = this.polls.filter(p => p.id !== pollId);
+            this.render();
+        } catch (error) {
+            alert(`削除に失敗しました: ${error.message}`);
+        }
+    }
+    
+    async createPoll() {
+        const candidates = Array.from(document.querySelectorAll('#poll-create-candidates .poll-candidate-row'))
+            .map(row => ({
+                date: row.querySelector('.poll-candidate-date').value,
+                start: row.querySelector('.poll-candidate-start').value,
+                end: row.querySelector('.poll-candidate-end').value
+            }))
+            .filter(candidate => candidate.date && candidate.start && candidate.end)
+            .map(candidate => ({
+                start_time: dateUtils.toUtc(candidate.date, candidate.start),
+                end_time: dateUtils.toUtc(candidate.date, candidate.end)
+            }));
+        
+        if (candidates.length < 2) {
+            alert('候補を2つ以上入力してください');
+            return;
+        }
+        
+        try {
+            const poll = await apiClient.createPoll({
+                title: document.getElementById('poll-create-title').value.trim(),
+                type: document.getElementById('poll-create-type').value,
+                candidates
+            });
+            this.polls.unshift(poll);
+            this.render();
+            this.resetCreateForm();
+        } catch (error) {
+            alert(`日程調整の作成に失敗しました: ${error.message}`);
+        }
+    }
+    
+    resetCreateForm() {
+        document.getElementById('poll-create-title').value = '';
+        document.getElementById('poll-create-candidates').innerHTML =
+            Array.from({ length: this.candidateRows }, () => this.candidateRowHtml()).join('');
+    }
+    
+    candidateRowHtml() {
+        return `
+            <div class="poll-candidate-row">
+                <input type="date" class="poll-candidate-date" aria-label="日付">
+                <input type="time" class="poll-candidate-start" value="18:00" step="900" aria-label="開始">
+                <span>〜</span>
+                <input type="time" class="poll-candidate-end" value="21:00" step="900" aria-label="終了">
+            </div>
+        `;
+    }
+    
+    formatSlot(candidate) {
+        const date = dateUtils.formatDate(candidate.start_time, {
+            month: 'short',
+            day: 'numeric',
+            weekday: 'short'
+        });
+        return `${date} ${dateUtils.toTimeString(candidate.start_time)}〜${dateUtils.toTimeString(candidate.end_time)}`;
+    }
+}
+
+// Create global instance
+const pollPanel = new PollPanel();
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => pollPanel.initialize());
+} else {
+    pollPanel.initialize();
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PollPanel, pollPanel };
+}
@@ -0,0 +1,445 @@
+/**
+ * Setlist Editor for Band Sync Calendar
+ * Builds the setlist of a live event from the band's song library and MC
+ * breaks, shows the running time against the event's slot and prints it
+ */
+
+class SetlistEditor {
+    constructor() {
+        this.eventId = null;
+        this.setlist = null;
+        this.items = [];
+        this.songs = [];
+        this.dragIndex = null;
+        this.isDirty = false;
+        this.isVisible = false;
+        this.defaultMcSeconds = 120;
+    }
+    
+    initialize() {
+        this.createPanel();
+        this.setupEventListeners();
+        console.log('Setlist editor initialized');
+    }
+    
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.id = 'setlist-modal';
+        panel.className = 'modal setlist-modal hidden';
+        panel.setAttribute('role', 'dialog');
+        panel.setAttribute('aria-modal', 'true');
+        panel.setAttribute('aria-labelledby', 'setlist-title');
+        
+        panel.innerHTML = `
+            <div class="modal-content setlist-content">
+                <div class="event-details-header">
+                    <h2 id="setlist-title">セットリスト</h2>
+                    <button id="setlist-close" class="close-btn" aria-label="閉じる">&times;</button>
+                </div>
+                
+                <div id="setlist-summary" class="setlist-summary"></div>
+                
+                <ol id="setlist-items" class="setlist-items"></ol>
+                
+                <div class="setlist-add">
+                    <div class="setlist-add-row">
+                        <select id="setlist-song-select" aria-label="ライブラリの曲"></select>
+                        <button type="button" id="setlist-add-song">曲を追加</button>
+                        <button type="button" id="setlist-add-mc">MCを追加</button>
+                    </div>
+                    <div class="setlist-add-row">
+                        <input type="text" id="setlist-new-title" maxlength="100" placeholder="新しい曲のタイトル">
+                        <input type="text" id="setlist-new-duration" class="setlist-duration-input" placeholder="4:30" aria-label="曲の長さ (分:秒)">
+                        <button type="button" id="setlist-create-song">登録して追加</button>
+                    </div>
+                </div>
+                
+                <div class="setlist-actions">
+                    <button type="button" id="setlist-print">🖨 印刷用</button>
+                    <button type="button" id="setlist-save">保存</button>
+                </div>
+            </div>
+        `;
+        
+        document.body.appendChild(panel);
+    }
+    
+    setupEventListeners() {
+        const panel = document.getElementById('setlist-modal');
+        const list = document.getElementById('setlist-items');
+        
+        document.getElementById('setlist-close').addEventListener('click', () => {
+            this.hide();
+        });
+        
+        // Click outside the content closes the panel
+        panel.addEventListener('click', (e) => {
+            if (e.target === panel) {
+                this.hide();
+            }
+        });
+        
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isVisible) {
+                this.hide();
+            }
+        });
+        
+        document.getElementById('setlist-add-song').addEventListener('click', () => {
+            this.addSong(document.getElementById('setlist-song-select').value);
+        });
+        
+        document.getElementById('setlist-add-mc').addEventListener('click', () => {
+            this.addItem({ kind: 'mc', duration_seconds: this.defaultMcSeconds, note: 'MC' });
+        });
+        
+        document.getElementById('setlist-create-song').addEventListener('click', () => {
+            this.createSong();
+        });
+        
+        document.getElementById('setlist-save').addEventListener('click', () => {
+            this.save();
+        });
+        
+        document.getElementById('setlist-print').addEventListener('click', () => {
+            this.print();
+        });
+        
+        // Item controls are rendered on every change, so listen on the list
+        list.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            
+            const index = Number(button.closest('li').dataset.index);
+            if (button.dataset.action === 'up') {
+                this.moveItem(index, index - 1);
+            } else if (button.dataset.action === 'down') {
+                this.moveItem(index, index + 1);
+            } else if (button.dataset.action === 'remove') {
+                this.items.splice(index, 1);
+                this.markDirty();
+            }
+        });
+        
+        list.addEventListener('change', (e) => {
+            const row = e.target.closest('li');
+            if (!row) return;
+            
+            const item = this.items[Number(row.dataset.index)];
+            if (e.target.classList.contains('setlist-duration-input')) {
+                const seconds = this.parseDuration(e.target.value);
+                if (seconds === null) {
+                    e.target.value = this.formatDuration(item.duration_seconds);
+                    return;
+                }
+                item.duration_seconds = seconds;
+            } else if (e.target.classList.contains('setlist-note-input')) {
+                item.note = e.target.value.trim();
+            }
+            this.markDirty();
+        });
+        
+        // Drag to reorder
+        list.addEventListener('dragstart', (e) => {
+            const row = e.target.closest('li');
+            this.dragIndex = Number(row.dataset.index);
+            row.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', row.dataset.index);
+        });
+        
+        list.addEventListener('dragover', (e) => {
+            if (this.dragIndex === null) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+        });
+        
+        list.addEventListener('drop', (e) => {
+            const row = e.target.closest('li');
+            if (this.dragIndex === null || !row) return;
+            e.preventDefault();
+            this.moveItem(this.dragIndex, Number(row.dataset.index));
+        });
+        
+        list.addEventListener('dragend', () => {
+            this.dragIndex = null;
+            list.querySelectorAll('.dragging').forEach(row => row.classList.remove('dragging'));
+        });
+    }
+    
+    /**
+     * Open the setlist of a live event (a FullCalendar EventApi); occurrences
+     * of a recurring live share the series' setlist
+     */
+    async show(event) {
+        this.eventId = event.extendedProps.seriesId || event.id;
+        this.setlist = null;
+        this.items = [];
+        this.isDirty = false;
+        this.isVisible = true;
+        
+        document.getElementById('setlist-title').textContent = `${event.title} のセットリスト`;
+        document.getElementById('setlist-summary').innerHTML = '<div class="loading">セットリストを読み込み中...</div>';
+        document.getElementById('setlist-items').innerHTML = '';
+        document.getElementById('setlist-modal').classList.remove('hidden');
+        
+        const requestedId = this.eventId;
+        
+        try {
+            const [setlist, songs] = await Promise.all([
+                apiClient.getSetlist(requestedId),
+                apiClient.getSongs()
+            ]);
+            
+            // The editor may have been closed or moved to another event meanwhile
+            if (!this.isVisible || this.eventId !== requestedId) return;
+            
+            this.songs = songs;
+            this.applySetlist(setlist);
+        } catch (error) {
+            console.error('[Setlist] Failed to load setlist:', error);
+            document.getElementById('setlist-summary').innerHTML =
+                `<div class="error-message">セットリストの読み込みに失敗しました: ${escapeHtml(error.message)}</div>`;
+        }
+    }
+    
+    hide() {
+        if (this.isDirty && !confirm('保存していない変更があります。閉じますか？')) {
+            return;
+        }
+        
+        this.isVisible = false;
+        this.eventId = null;
+        document.getElementById('setlist-modal').classList.add('hidden');
+    }
+    
+    applySetlist(setlist) {
+        this.setlist = setlist;
+        this.items = setlist.items.map(item => ({ ...item, note: item.note || '' }));
+        this.isDirty = false;
+        this.renderSongOptions();
+        this.render();
+    }
+    
+    renderSongOptions() {
+        const select = document.getElementById('setlist-song-select');
+        select.innerHTML = this.songs.length === 0
+            ? '<option value="">（ライブラリに曲がありません）</option>'
+            : this.songs.map(song => `
+                <option value="${song.id}">${escapeHtml(song.title)} (${this.formatDuration(song.duration_seconds)})</option>
+            `).join('');
+    }
+    
+    render() {
+        if (!this.setlist) return;
+        
+        const total = this.getTotalSeconds();
+        const slot = this.setlist.slot_seconds;
+        const over = total > slot;
+        
+        document.getElementById('setlist-summary').innerHTML = `
+            <div class="setlist-total ${over ? 'over' : ''}">
+                合計 ${this.formatDuration(total)} / 持ち時間 ${this.formatDuration(slot)}
+                ${over ? `<span class="setlist-over">(${this.formatDuration(total - slot)} オーバー)</span>` : ''}
+            </div>
+            <div class="setlist-slot">${this.formatClock(0)} - ${this.formatClock(slot)}</div>
+        `;
+        
+        let elapsed = 0;
+        document.getElementById('setlist-items').innerHTML = this.items.map((item, index) => {
+            const startsAt = elapsed;
+            elapsed += item.duration_seconds;
+            
+            return `
+                <li class="setlist-item ${item.kind} ${elapsed > slot ? 'over' : ''}" data-index="${index}" draggable="true">
+                    <span class="setlist-handle" aria-hidden="true">⋮⋮</span>
+                    <span class="setlist-clock">${this.formatClock(startsAt)}</span>
+                    <span class="setlist-name">
+                        ${item.kind === 'mc' ? 'MC' : escapeHtml(item.title)}
+                        ${item.artist ? `<small>${escapeHtml(item.artist)}</small>` : ''}
+                    </span>
+                    <input type="text" class="setlist-duration-input" value="${this.formatDuration(item.duration_seconds)}" aria-label="長さ (分:秒)">
+                    <input type="text" class="setlist-note-input" maxlength="100" value="${escapeHtml(item.note)}" placeholder="メモ">
+                    <span class="setlist-item-buttons">
+                        <button type="button" data-action="up" ${index === 0 ? 'disabled' : ''} aria-label="上へ">↑</button>
+                        <button type="button" data-action="down" ${index === this.items.length - 1 ? 'disabled' : ''} aria-label="下へ">↓</button>
+                        <button type="button" data-action="remove" aria-label="削除">✕</button>
+                    </span>
+                </li>
+            `;
+        }).join('');
+    }
+    
+    addItem(item) {
+        this.items.push({ note: '', ...item });
+        this.markDirty();
+    }
+    
+    addSong(songId) {
+        const song = this.songs.find(s => s.id === songId);
+        if (!song) return;
+        
+        this.addItem({
+            kind: 'song',
+            song_id: song.id,
+            title: song.title,
+            artist: song.artist,
+            duration_seconds: song.duration_seconds,
+            song_duration_seconds: song.duration_seconds
+        });
+    }
+    
+    /**
+     * Add a song to the library and to the end of the setlist
+     */
+    async createSong() {
+        const titleInput = document.getElementById('setlist-new-title');
+        const durationInput = document.getElementById('setlist-new-duration');
+        const title = titleInput.value.trim();
+        const duration = this.parseDuration(durationInput.value);
+        
+        if (!title || duration === null || duration === 0) {
+            alert('曲のタイトルと長さ（例: 4:30）を入力してください');
+            return;
+        }
+        
+        try {
+            const song = await apiClient.createSong({ title, duration_seconds: duration });
+            this.songs.push(song);
+            this.songs.sort((a, b) => a.title.localeCompare(b.title, 'ja'));
+            this.renderSongOptions();
+            this.addSong(song.id);
+            
+            titleInput.value = '';
+            durationInput.value = '';
+        } catch (error) {
+            alert(`曲の登録に失敗しました: ${error.message}`);
+        }
+    }
+    
+    moveItem(from, to) {
+        if (from === to || to < 0 || to >= this.items.length) return;
+        
+        const [item] = this.items.splice(from, 1);
+        this.items.splice(to, 0, item);
+        this.markDirty();
+    }
+    
+    markDirty() {
+        this.isDirty = true;
+        this.render();
+    }
+    
+    async save() {
+        if (!this.setlist) return;
+        
+        const button = document.getElementById('setlist-save');
+        button.disabled = true;
+        
+        // A song only keeps its own length when it differs from the library
+        const items = this.items.map(item => ({
+            kind: item.kind,
+            ...(item.kind === 'song' ? { song_id: item.song_id } : {}),
+            ...(item.kind === 'mc' || item.duration_seconds !== item.song_duration_seconds
+                ? { duration_seconds: item.duration_seconds }
+                : {}),
+            ...(item.note ? { note: item.note } : {})
+        }));
+        
+        try {
+            this.applySetlist(await apiClient.saveSetlist(this.eventId, items));
+        } catch (error) {
+            console.error('[Setlist] Failed to save setlist:', error);
+            alert(`セットリストの保存に失敗しました: ${error.message}`);
+        } finally {
+            button.disabled = false;
+        }
+    }
+    
+    /**
+     * Open the setlist as a plain page and print it (large type for the stage floor)
+     */
+    print() {
+        if (!this.setlist) return;
+        
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            alert('ポップアップを許可してください');
+            return;
+        }
+        
+        const date = dateUtils.toDateString(this.setlist.start_time).replace(/-/g, '/');
+        let songNumber = 0;
+        const rows = this.items.map(item => {
+            const label = item.kind === 'mc'
+                ? `<span class="mc">MC</span>`
+                : `${++songNumber}. ${escapeHtml(item.title)}`;
+            return `<li>${label}${item.note ? ` <small>${escapeHtml(item.note)}</small>` : ''}</li>`;
+        }).join('');
+        
+        printWindow.document.write(`<!DOCTYPE html>
+<html lang="ja">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(this.setlist.title)} セットリスト</title>
+<style>
+    body { font-family: sans-serif; margin: 2rem; }
+    h1 { font-size: 1.5rem; margin: 0; }
+    p { color: #555; margin: 0.25rem 0 1.5rem; }
+    ol { list-style: none; padding: 0; font-size: 2rem; font-weight: bold; line-height: 1.6; }
+    .mc { color: #888; font-size: 1.4rem; }
+    small { font-size: 1rem; font-weight: normal; color: #555; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(this.setlist.title)}</h1>
+<p>${date} ${this.formatClock(0)} - ${this.formatClock(this.setlist.slot_seconds)} / 合計 ${this.formatDuration(this.getTotalSeconds())}</p>
+<ol>${rows}</ol>
+</body>
+</html>`);
+        printWindow.document.close();
+        printWindow.focus();
+        printWindow.print();
+    }
+    
+    getTotalSeconds() {
+        return this.items.reduce((sum, item) => sum + item.duration_seconds, 0);
+    }
+    
+    /**
+     * Band clock time ("19:04") a number of seconds after the event starts
+     */
+    formatClock(offsetSeconds) {
+        return dateUtils.toTimeString(Date.parse(this.setlist.start_time) + offsetSeconds * 1000);
+    }
+    
+    formatDuration(seconds) {
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+    
+    /**
+     * Parse "4:30" (or plain minutes, "4") to seconds; null if invalid
+     */
+    parseDuration(value) {
+        const match = /^\s*(\d{1,3})(?::([0-5]\d))?\s*$/.exec(value);
+        if (!match) {
+            return null;
+        }
+        return Number(match[1]) * 60 + Number(match[2] || 0);
+    }
+}
+
+// Create global instance
+const setlistEditor = new SetlistEditor();
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => setlistEditor.initialize());
+} else {
+    setlistEditor.initialize();
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SetlistEditor, setlistEditor };
+}
@@ -6,7 +6,6 @@
 class StatsOverlay {
     constructor() {
         this.isEnabled = false;
-        this.memberNames = ['COKAI', 'YUSUKE', 'ZEN', 'YAMCHI', 'テスト', 'USER'];
         this.statsData = new Map();
     }
     
@@ -52,10 +51,12 @@ class StatsOverlay {
         });
         
         // Listen for data changes
-        document.addEventListener('availability-saved', () => {
-            if (this.isEnabled) {
-                setTimeout(() => this.loadAndDisplayStats(), 1000);
-            }
+        ['availability-saved', 'availability-cleared'].forEach(eventName => {
+            document.addEventListener(eventName, () => {
+                if (this.isEnabled) {
+                    setTimeout(() => this.loadAndDisplayStats(), 1000);
+                }
+            });
         });
     }
     
@@ -91,55 +92,52 @@ class StatsOverlay {
     
     async loadStatsData() {
         this.statsData.clear();
-        const currentUser = storage.getNickname();
         
         console.log('🔍 Loading stats data for all members...');
-        console.log('Current user:', currentUser);
-        
-        for (const memberName of this.memberNames) {
-            try {
-                console.log(`📊 Loading data for ${memberName}...`);
-                
-                // Temporarily switch user to get their data
-                storage.setNickname(memberName);
-                
-                // Get current calendar view dates
-                const calendar = window.bandSyncCalendar?.calendar;
-                if (calendar) {
-                    const view = calendar.view;
-                    const start = view.activeStart.toISOString().split('T')[0];
-                    const end = view.activeEnd.toISOString().split('T')[0];
-                    
-                    console.log(`📅 Date range: ${start} to ${end}`);
-                    
-                    const response = await apiClient.getAvailability(start, end);
-                    console.log(`📋 Response for ${memberName}:`, response);
-                    
-                    if (response && response.data && response.data.length > 0) {
-                        console.log(`✅ Found ${response.data.length} records for ${memberName}`);
-                        response.data.forEach(item => {
-                            const date = item.date.split('T')[0];
-                            if (!this.statsData.has(date)) {
-                                this.statsData.set(date, { good: 0, ok: 0, bad: 0 });
-                            }
-                            const dayStats = this.statsData.get(date);
-                            dayStats[item.status]++;
-                            console.log(`📈 Added ${item.status} for ${date}`);
-                        });
-                    } else {
-                        console.log(`❌ No data found for ${memberName}`);
-                    }
-                } else {
-                    console.log('❌ Calendar not found');
-                }
-            } catch (error) {
-                console.warn(`❌ Failed to load data for ${memberName}:`, error);
-            }
+        
+        // Get current calendar view dates
+        const calendar = window.bandSyncCalendar?.calendar;
+        if (!calendar) {
+            console.log('❌ Calendar not found');
+            return;
         }
         
-        // Restore original user
-        if (currentUser) {
-            storage.setNickname(currentUser);
+        const view = calendar.view;
+        const start = dateUtils.toDateString(view.activeStart);
+        const end = dateUtils.addDays(dateUtils.toDateString(view.activeEnd), -1); // activeEnd is exclusive
+        
+        console.log(`📅 Date range: ${start} to ${end}`);
+        
+        try {
+            const memberNames = (await memberRoster.load()).map(member => member.display_name);
+            
+            // The API returns every member's entries in one response
+            const response = await apiClient.getAvailability(start, end);
+            const items = response.map(item => DataTransformer.normalizeAvailability(item));
+            console.log(`✅ Found ${items.length} availability records`);
+            
+            // Count each member once per day and status
+            const answered = new Map();
+            items.forEach(item => {
+                const date = dateUtils.toDateString(item.start_time);
+                if (!answered.has(date)) {
+                    answered.set(date, { good: new Set(), ok: new Set(), bad: new Set() });
+                }
+                answered.get(date)[item.status].add(item.member_name);
+            });
+            
+            answered.forEach((members, date) => {
+                const respondents = new Set([...members.good, ...members.ok, ...members.bad]);
+                this.statsData.set(date, {
+                    good: members.good.size,
+                    ok: members.ok.size,
+                    bad: members.bad.size,
+                    // Members without an entry (or who withdrew it) are unanswered, not busy
+                    unanswered: memberNames.filter(name => !respondents.has(name)).length
+                });
+            });
+        } catch (error) {
+            console.warn('❌ Failed to load availability stats:', error);
         }
         
         console.log('📊 Final stats data:', this.statsData);
@@ -154,6 +152,9 @@ class StatsOverlay {
         
         console.log('🎨 Updating stats display...');
         
+        // Remove stale overlays so withdrawn days no longer show old counts
+        this.clearStatsDisplay();
+        
         // Find all calendar day cells
         const dayCells = document.querySelectorAll('.fc-daygrid-day');
         console.log(`📅 Found ${dayCells.length} calendar day cells`);
@@ -193,6 +194,9 @@ class StatsOverlay {
         if (stats.bad > 0) {
             statsHtml += `<span class="stat-item bad">×${stats.bad}</span>`;
         }
+        if (stats.unanswered > 0) {
+            statsHtml += `<span class="stat-item unanswered">${CONFIG.UNANSWERED_SYMBOL}${stats.unanswered}</span>`;
+        }
         
         if (statsHtml) {
             statsEl.innerHTML = statsHtml;
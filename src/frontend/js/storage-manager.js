@@ -7,6 +7,7 @@ class StorageManagerUI {
     constructor() {
         this.modal = null;
         this.isVisible = false;
+        this.feedUrl = null;
     }
     
     /**
@@ -62,6 +63,61 @@ class StorageManagerUI {
                         </div>
                     </div>
                     
+                    <div class="storage-section">
+                        <h4>📅 カレンダー購読</h4>
+                        <p class="feed-help">
+                            iPhoneやGoogleカレンダーにバンドの予定を表示できます。
+                            購読URLは自分専用なので、他の人に教えないでください。
+                        </p>
+                        <label class="feed-option">
+                            <input type="checkbox" id="feed-availability">
+                            自分の空き状況（○/△/×）も含める
+                        </label>
+                        <input type="text" id="feed-url" class="feed-url hidden" readonly aria-label="購読URL">
+                        <div class="storage-actions">
+                            <button class="storage-btn" id="feed-show-btn">
+                                🔗 購読URLを表示
+                            </button>
+                            <button class="storage-btn" id="feed-subscribe-btn" disabled>
+                                📲 カレンダーに追加
+                            </button>
+                            <button class="storage-btn" id="feed-copy-btn" disabled>
+                                📋 URLをコピー
+                            </button>
+                            <button class="storage-btn danger" id="feed-revoke-btn">
+                                ♻️ URLを再発行
+                            </button>
+                        </div>
+                    </div>
+                    
+                    <div class="storage-section hidden" id="sync-window-section">
+                        <h4>🗓️ 入力期間・タイムゾーン（リーダーのみ）</h4>
+                        <p class="feed-help">
+                            予定と空き状況を入力できる期間と、過去の予定を閲覧できる期間です。
+                            時刻はバンドのタイムゾーンで表示・入力されます。
+                        </p>
+                        <label class="sync-window-option">
+                            タイムゾーン
+                            <input type="text" id="band-timezone" list="band-timezone-list" placeholder="Asia/Tokyo" maxlength="64">
+                            <datalist id="band-timezone-list"></datalist>
+                        </label>
+                        <label class="sync-window-option">
+                            今日から
+                            <input type="number" id="sync-months-ahead" min="1" max="12" step="1">
+                            ヶ月先まで入力可能
+                        </label>
+                        <label class="sync-window-option">
+                            過去
+                            <input type="number" id="history-months" min="0" max="36" step="1">
+                            ヶ月分を閲覧可能
+                        </label>
+                        <div class="storage-actions">
+                            <button class="storage-btn" id="sync-window-save-btn">
+                                💾 保存
+                            </button>
+                        </div>
+                    </div>
+                    
                     <div class="storage-section">
                         <h4>詳細情報</h4>
                         <div class="storage-details"></div>
@@ -118,6 +174,32 @@ class StorageManagerUI {
         document.getElementById('import-file-input').addEventListener('change', (e) => {
             this.handleFileImport(e);
         });
+        
+        // Calendar feed
+        document.getElementById('feed-show-btn').addEventListener('click', () => {
+            this.showFeedUrl();
+        });
+        
+        document.getElementById('feed-availability').addEventListener('change', () => {
+            this.updateFeedUrl();
+        });
+        
+        document.getElementById('feed-subscribe-btn').addEventListener('click', () => {
+            this.subscribeFeed();
+        });
+        
+        document.getElementById('feed-copy-btn').addEventListener('click', () => {
+            this.copyFeedUrl();
+        });
+        
+        // Band sync window (leaders only)
+        document.getElementById('sync-window-save-btn').addEventListener('click', () => {
+            this.saveSyncWindow();
+        });
+        
+        document.getElementById('feed-revoke-btn').addEventListener('click', () => {
+            this.revokeFeed();
+        });
     }
     
     /**
@@ -129,6 +211,7 @@ class StorageManagerUI {
         this.isVisible = true;
         this.modal.classList.remove('hidden');
         this.updateDisplay();
+        this.updateSyncWindowDisplay();
         
         // Focus management
         this.modal.focus();
@@ -271,7 +354,7 @@ class StorageManagerUI {
             const url = URL.createObjectURL(blob);
             const a = document.createElement('a');
             a.href = url;
-            a.download = `band-sync-backup-${new Date().toISOString().split('T')[0]}.json`;
+            a.download = `band-sync-backup-${dateUtils.today()}.json`;
             document.body.appendChild(a);
             a.click();
             document.body.removeChild(a);
@@ -349,6 +432,119 @@ class StorageManagerUI {
         }
     }
     
+    /**
+     * Fetch the member's feed URL and show it
+     */
+    async showFeedUrl() {
+        try {
+            const feed = await apiClient.getCalendarFeed();
+            this.feedUrl = feed.url;
+            this.updateFeedUrl();
+        } catch (error) {
+            this.showMessage('購読URLを取得できませんでした', 'error');
+        }
+    }
+    
+    /**
+     * Show the feed URL with the current options
+     */
+    updateFeedUrl() {
+        if (!this.feedUrl) return;
+        
+        const includeAvailability = document.getElementById('feed-availability').checked;
+        const urlInput = document.getElementById('feed-url');
+        
+        urlInput.value = includeAvailability ? `${this.feedUrl}&availability=1` : this.feedUrl;
+        urlInput.classList.remove('hidden');
+        document.getElementById('feed-subscribe-btn').disabled = false;
+        document.getElementById('feed-copy-btn').disabled = false;
+    }
+    
+    /**
+     * Open the feed as a webcal:// subscription in the device's calendar app
+     */
+    subscribeFeed() {
+        const url = document.getElementById('feed-url').value;
+        if (url) {
+            window.location.href = url.replace(/^https?:/, 'webcal:');
+        }
+    }
+    
+    /**
+     * Copy the feed URL, e.g. to paste into Google Calendar's "URLで追加"
+     */
+    async copyFeedUrl() {
+        const urlInput = document.getElementById('feed-url');
+        
+        try {
+            await navigator.clipboard.writeText(urlInput.value);
+        } catch (error) {
+            urlInput.select();
+            document.execCommand('copy');
+        }
+        
+        this.showMessage('購読URLをコピーしました', 'success');
+    }
+    
+    /**
+     * Revoke the feed URL (e.g. after it leaked) and show a new one
+     */
+    async revokeFeed() {
+        if (!confirm('購読URLを再発行しますか？\n（今のURLで購読しているカレンダーは更新されなくなります）')) {
+            return;
+        }
+        
+        try {
+            await apiClient.revokeCalendarFeed();
+            await this.showFeedUrl();
+            this.showMessage('購読URLを再発行しました', 'success');
+        } catch (error) {
+            this.showMessage('購読URLの再発行に失敗しました', 'error');
+        }
+    }
+    
+    /**
+     * Show the band's sync window and time zone to leaders
+     */
+    updateSyncWindowDisplay() {
+        const session = storage.getSession();
+        const isLeader = Boolean(session && session.role === 'leader');
+        
+        document.getElementById('sync-window-section').classList.toggle('hidden', !isLeader);
+        document.getElementById('sync-months-ahead').value = CONFIG.SYNC_PERIOD_MONTHS;
+        document.getElementById('history-months').value = CONFIG.HISTORY_MONTHS;
+        document.getElementById('band-timezone').value = CONFIG.TIMEZONE;
+        
+        // Suggest the zones the browser knows (not every browser can list them)
+        const list = document.getElementById('band-timezone-list');
+        if (list.children.length === 0 && typeof Intl.supportedValuesOf === 'function') {
+            list.innerHTML = Intl.supportedValuesOf('timeZone').map(zone => `<option value="${zone}">`).join('');
+        }
+    }
+    
+    /**
+     * Save the band's sync window and time zone and redraw the calendar with them
+     */
+    async saveSyncWindow() {
+        try {
+            const config = await apiClient.updateConfig({
+                sync_months_ahead: Number(document.getElementById('sync-months-ahead').value),
+                history_months: Number(document.getElementById('history-months').value),
+                timezone: document.getElementById('band-timezone').value.trim()
+            });
+            
+            applySyncConfig(config);
+            calendarManager.updateBandSettings();
+            if (window.bandSyncCalendar) {
+                await window.bandSyncCalendar.refreshCalendarData();
+            }
+            
+            this.showMessage('入力期間を保存しました', 'success');
+        } catch (error) {
+            this.showMessage(`入力期間の保存に失敗しました: ${error.message}`, 'error');
+        }
+    }
+    
     /**
      * Show message
      */
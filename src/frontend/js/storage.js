@@ -6,6 +6,9 @@ class LocalStorage {
     constructor() {
         this.keys = {
             NICKNAME: 'band_sync_nickname',
+            SESSION: 'band_sync_session',
+            BAND: 'band_sync_band',
+            COMMENT_READS: 'band_sync_comment_reads',
             PREFERENCES: 'band_sync_preferences',
             CACHE: 'band_sync_cache',
             VERSION: 'band_sync_version',
@@ -179,6 +182,103 @@ class LocalStorage {
         }
     }
     
+    // Session Management
+    getSession() {
+        try {
+            const session = JSON.parse(localStorage.getItem(this.keys.SESSION));
+            if (!session || !session.token) return null;
+            
+            // Drop expired sessions so the login modal is shown again
+            if (session.expiresAt && new Date(session.expiresAt) <= new Date()) {
+                this.clearSession();
+                return null;
+            }
+            
+            return session;
+        } catch (error) {
+            console.warn('Failed to get session from localStorage:', error);
+            return null;
+        }
+    }
+    
+    setSession(session) {
+        try {
+            if (!session || !session.token) {
+                throw new Error('Invalid session');
+            }
+            
+            localStorage.setItem(this.keys.SESSION, JSON.stringify(session));
+            return true;
+        } catch (error) {
+            console.error('Failed to set session:', error);
+            return false;
+        }
+    }
+    
+    clearSession() {
+        try {
+            localStorage.removeItem(this.keys.SESSION);
+            return true;
+        } catch (error) {
+            console.error('Failed to clear session:', error);
+            return false;
+        }
+    }
+    
+    // Band Management
+    getBand() {
+        try {
+            const band = JSON.parse(localStorage.getItem(this.keys.BAND));
+            return band && band.id ? band : null;
+        } catch (error) {
+            console.warn('Failed to get band from localStorage:', error);
+            return null;
+        }
+    }
+    
+    setBand(band) {
+        try {
+            if (!band || !band.id) {
+                throw new Error('Invalid band');
+            }
+            
+            localStorage.setItem(this.keys.BAND, JSON.stringify({ id: band.id, name: band.name }));
+            return true;
+        } catch (error) {
+            console.error('Failed to set band:', error);
+            return false;
+        }
+    }
+    
+    // Comment Read Marks
+    /**
+     * Time of the newest comment read per thread, keyed "eventId|occurrenceStart"
+     */
+    getCommentReads() {
+        try {
+            return JSON.parse(localStorage.getItem(this.keys.COMMENT_READS)) || {};
+        } catch (error) {
+            console.warn('Failed to get comment read marks:', error);
+            return {};
+        }
+    }
+    
+    markCommentsRead(threadKey, createdAt) {
+        try {
+            const reads = this.getCommentReads();
+            if (reads[threadKey] && reads[threadKey] >= createdAt) {
+                return true;
+            }
+            
+            reads[threadKey] = createdAt;
+            localStorage.setItem(this.keys.COMMENT_READS, JSON.stringify(reads));
+            return true;
+        } catch (error) {
+            console.error('Failed to mark comments read:', error);
+            return false;
+        }
+    }
+    
     // Preferences Management
     getPreferences() {
         try {
@@ -8,7 +8,13 @@ class SyncManager {
         this.isActive = false;
         this.syncInterval = null;
         this.lastSyncTime = null;
+        this.cursor = null; // change cursor from GET /changes, null until the first full load
         this.syncInProgress = false;
+        this.syncQueued = false;
+        this.socket = null;
+        this.heartbeatInterval = null;
+        this.reconnectTimeout = null;
+        this.reconnectAttempts = 0;
         this.conflictQueue = [];
         this.syncListeners = [];
     }
@@ -24,10 +30,22 @@ class SyncManager {
             this.handleDataChange('availability', event.detail);
         });
         
+        document.addEventListener('availability-cleared', (event) => {
+            this.handleDataChange('availability', event.detail);
+        });
+        
         document.addEventListener('event-created', (event) => {
             this.handleDataChange('event', event.detail);
         });
         
+        document.addEventListener('event-updated', (event) => {
+            this.handleDataChange('event', event.detail);
+        });
+        
+        document.addEventListener('event-deleted', (event) => {
+            this.handleDataChange('event', event.detail);
+        });
+        
         // Listen for network status changes
         window.addEventListener('online', () => {
             this.handleNetworkRestore();
@@ -46,6 +64,7 @@ class SyncManager {
         
         this.isActive = true;
         this.startPolling();
+        this.connectRealtime();
         console.log('Synchronization started');
     }
     
@@ -54,6 +73,7 @@ class SyncManager {
         
         this.isActive = false;
         this.stopPolling();
+        this.disconnectRealtime();
         console.log('Synchronization stopped');
     }
     
@@ -72,8 +92,130 @@ class SyncManager {
         }
     }
     
+    /**
+     * Subscribe to the band's real-time channel (WebSocket).
+     * Polling is stopped while connected and restarted when the socket drops.
+     */
+    connectRealtime() {
+        const session = storage.getSession();
+        const bandId = apiClient.getBandId();
+        
+        if (!this.isActive || this.socket || !session || !bandId || typeof WebSocket === 'undefined') {
+            return;
+        }
+        
+        // Browsers cannot send headers with WebSocket requests, so the token goes in the URL
+        const wsBase = CONFIG.API_BASE_URL.replace(/^http/, 'ws');
+        const socket = new WebSocket(`${wsBase}/bands/${bandId}/live?token=${encodeURIComponent(session.token)}`);
+        this.socket = socket;
+        
+        socket.addEventListener('open', () => {
+            console.log('[Sync] 🔌 Real-time channel connected');
+            this.reconnectAttempts = 0;
+            this.stopPolling();
+            this.startHeartbeat();
+            
+            // Catch up on anything missed while disconnected
+            this.performSync('realtime-connect');
+        });
+        
+        socket.addEventListener('message', (event) => {
+            if (event.data === 'pong') return;
+            
+            // {type: 'changes', cursor}: nothing to do if we have synced past it already
+            let message = null;
+            try {
+                message = JSON.parse(event.data);
+            } catch (error) {
+                // Not JSON; sync anyway
+            }
+            if (message && message.type === 'changes' && this.cursor !== null && message.cursor <= this.cursor) {
+                return;
+            }
+            
+            this.performSync('push');
+        });
+        
+        socket.addEventListener('close', () => {
+            if (this.socket !== socket) return;
+            
+            this.socket = null;
+            this.stopHeartbeat();
+            
+            if (!this.isActive) return;
+            
+            console.warn('[Sync] Real-time channel closed - falling back to polling');
+            this.startPolling();
+            this.scheduleReconnect();
+        });
+    }
+    
+    disconnectRealtime() {
+        clearTimeout(this.reconnectTimeout);
+        this.reconnectTimeout = null;
+        this.stopHeartbeat();
+        
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close(1000, 'Client disconnect');
+        }
+    }
+    
+    /**
+     * Reconnect with the current session, e.g. after logging in to another band
+     */
+    restartRealtime() {
+        this.disconnectRealtime();
+        this.connectRealtime();
+    }
+    
+    scheduleReconnect() {
+        clearTimeout(this.reconnectTimeout);
+        
+        // Exponential backoff: 1s, 2s, 4s, ... up to the configured maximum
+        const delay = Math.min(1000 * 2 ** this.reconnectAttempts, CONFIG.REALTIME_MAX_RECONNECT_DELAY);
+        this.reconnectAttempts++;
+        
+        this.reconnectTimeout = setTimeout(() => {
+            this.reconnectTimeout = null;
+            if (navigator.onLine) {
+                this.connectRealtime();
+            }
+        }, delay);
+    }
+    
+    startHeartbeat() {
+        this.stopHeartbeat();
+        
+        this.heartbeatInterval = setInterval(() => {
+            if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+                this.socket.send('ping');
+            }
+        }, CONFIG.REALTIME_HEARTBEAT_INTERVAL);
+    }
+    
+    stopHeartbeat() {
+        if (this.heartbeatInterval) {
+            clearInterval(this.heartbeatInterval);
+            this.heartbeatInterval = null;
+        }
+    }
+    
+    isRealtimeConnected() {
+        return !!this.socket && this.socket.readyState === WebSocket.OPEN;
+    }
+    
     async performSync(trigger = 'manual') {
-        if (this.syncInProgress || !navigator.onLine) {
+        if (this.syncInProgress) {
+            // Don't drop pushed changes that arrive mid-sync
+            if (trigger === 'push') {
+                this.syncQueued = true;
+            }
+            return;
+        }
+        
+        if (!navigator.onLine) {
             return;
         }
         
@@ -84,24 +226,30 @@ class SyncManager {
             // Notify listeners
             this.notifyListeners('sync-start', { trigger });
             
-            // Get current data state
-            const { start, end } = getSyncPeriod();
+            let eventsCount = 0;
+            let availabilityCount = 0;
             
-            // Fetch latest data
-            const [events, availability] = await Promise.all([
-                apiClient.getEvents(start, end),
-                apiClient.getAvailability(start, end)
-            ]);
+            const changes = this.cursor === null ? null : await apiClient.getChanges(this.cursor);
             
-            // Check for conflicts and resolve them
-            const conflicts = this.detectConflicts(events, availability);
-            if (conflicts.length > 0) {
-                await this.resolveConflicts(conflicts);
-            }
-            
-            // Update calendar
-            if (window.calendarManager) {
-                await window.calendarManager.loadData();
+            if (!changes || changes.reset) {
+                // No cursor yet (or too far behind): take a cursor, then reload everything
+                await this.fullReload();
+            } else {
+                eventsCount = changes.events.upserts.length + changes.events.deleted.length;
+                availabilityCount = changes.availability.upserts.length + changes.availability.deleted.length;
+                
+                // Check for conflicts among the changed events and resolve them
+                const conflicts = this.detectConflicts(changes.events.upserts, changes.availability.upserts);
+                if (conflicts.length > 0) {
+                    await this.resolveConflicts(conflicts);
+                }
+                
+                // Apply only the deltas to the calendar
+                if (typeof calendarManager !== 'undefined' && (eventsCount > 0 || availabilityCount > 0)) {
+                    calendarManager.applyChanges(changes);
+                }
+                
+                this.cursor = changes.cursor;
             }
             
             this.lastSyncTime = new Date();
@@ -110,11 +258,11 @@ class SyncManager {
             this.notifyListeners('sync-success', { 
                 trigger, 
                 timestamp: this.lastSyncTime,
-                eventsCount: events.length,
-                availabilityCount: availability.length
+                eventsCount,
+                availabilityCount
             });
             
-            console.log(`[Sync] Sync completed (${events.length} events, ${availability.length} availability)`);
+            console.log(`[Sync] Sync completed (${eventsCount} event changes, ${availabilityCount} availability changes)`);
             
         } catch (error) {
             console.error('[Sync] Sync failed:', error);
@@ -127,7 +275,39 @@ class SyncManager {
             
         } finally {
             this.syncInProgress = false;
+            
+            if (this.syncQueued) {
+                this.syncQueued = false;
+                this.performSync('push');
+            }
+        }
+    }
+    
+    /**
+     * Take the current change cursor, then reload the whole calendar.
+     * Changes made in between are applied again by the next delta, which is harmless.
+     */
+    async fullReload() {
+        let cursor = null;
+        try {
+            ({ cursor } = await apiClient.getChanges());
+        } catch (error) {
+            // Still show the data; the next sync retries with a full reload
+            console.warn('[Sync] Failed to get change cursor:', error);
         }
+        
+        if (typeof calendarManager !== 'undefined') {
+            await calendarManager.loadData();
+        }
+        
+        this.cursor = cursor;
+    }
+    
+    /**
+     * Forget the cursor so the next sync reloads everything (e.g. after switching bands)
+     */
+    resetCursor() {
+        this.cursor = null;
     }
     
     detectConflicts(events, availability) {
@@ -214,6 +394,12 @@ class SyncManager {
             apiClient.processQueue();
         }
         
+        // Reconnect right away instead of waiting for the backoff
+        if (!this.socket) {
+            this.reconnectAttempts = 0;
+            this.connectRealtime();
+        }
+        
         // Perform full sync
         setTimeout(() => {
             this.performSync('network-restore');
@@ -258,6 +444,7 @@ class SyncManager {
     getStatus() {
         return {
             isActive: this.isActive,
+            isRealtimeConnected: this.isRealtimeConnected(),
             syncInProgress: this.syncInProgress,
             lastSyncTime: this.lastSyncTime,
             conflictCount: this.conflictQueue.length,
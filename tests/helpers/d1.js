@@ -0,0 +1,160 @@
+// In-memory D1 database for Worker tests, backed by sql.js (SQLite in wasm)
+
+const fs = require('fs');
+const path = require('path');
+const initSqlJs = require('sql.js');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../../src/backend/migrations');
+
+// D1 rejects statements with more bound parameters than this
+const D1_MAX_BOUND_PARAMETERS = 100;
+
+class D1Statement {
+    constructor(db, sql, params = []) {
+        this.db = db;
+        this.sql = sql;
+        this.params = params;
+    }
+    
+    bind(...params) {
+        if (params.length > D1_MAX_BOUND_PARAMETERS) {
+            throw new Error(`D1_ERROR: too many SQL variables (${params.length})`);
+        }
+        return new D1Statement(this.db, this.sql, params);
+    }
+    
+    // D1 stores booleans as 1/0 and undefined as NULL
+    values() {
+        return this.params.map(value => {
+            if (value === undefined) {
+                return null;
+            }
+            return typeof value === 'boolean' ? Number(value) : value;
+        });
+    }
+    
+    rows() {
+        const statement = this.db.prepare(this.sql);
+        const rows = [];
+        try {
+            statement.bind(this.values());
+            while (statement.step()) {
+                rows.push(statement.getAsObject());
+            }
+        } finally {
+            statement.free();
+        }
+        return rows;
+    }
+    
+    async all() {
+        return { success: true, results: this.rows(), meta: {} };
+    }
+    
+    async first(column) {
+        const row = this.rows()[0];
+        if (!row) {
+            return null;
+        }
+        return column ? row[column] : row;
+    }
+    
+    async run() {
+        const results = this.rows();
+        return { success: true, results, meta: { changes: this.db.getRowsModified() } };
+    }
+    
+    async raw() {
+        return this.rows().map(row => Object.values(row));
+    }
+}
+
+/**
+ * Paths of the migration files in order
+ */
+function migrationFiles() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => file.endsWith('.sql'))
+        .sort()
+        .map(file => path.join(MIGRATIONS_DIR, file));
+}
+
+/**
+ * Create a database with the given SQL files applied (default: all migrations)
+ */
+async function createD1(files = null) {
+    const SQL = await initSqlJs();
+    const db = new SQL.Database();
+    
+    // Like D1
+    db.exec('PRAGMA foreign_keys = ON');
+    (files || migrationFiles()).forEach(file => db.exec(fs.readFileSync(file, 'utf8')));
+    
+    return {
+        sqlite: db,
+        
+        prepare(sql) {
+            return new D1Statement(db, sql);
+        },
+        
+        async batch(statements) {
+            db.exec('BEGIN');
+            try {
+                const results = [];
+                for (const statement of statements) {
+                    results.push(await statement.run());
+                }
+                db.exec('COMMIT');
+                return results;
+            } catch (error) {
+                db.exec('ROLLBACK');
+                throw error;
+            }
+        },
+        
+        async exec(sql) {
+            db.exec(sql);
+            return { count: 1 };
+        }
+    };
+}
+
+/**
+ * Send a request to the Worker and parse its JSON answer
+ */
+async function request(worker, env, method, pathname, { body, token, headers = {} } = {}) {
+    const init = { method, headers: { ...headers } };
+    if (body !== undefined) {
+        init.body = JSON.stringify(body);
+        init.headers['Content-Type'] = 'application/json';
+    }
+    if (token) {
+        init.headers.Authorization = `Bearer ${token}`;
+    }
+    
+    const response = await worker.fetch(new Request(`https://api.test${pathname}`, init), env, { waitUntil() {} });
+    const text = await response.text();
+    let data = text;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        // Not JSON (e.g. the calendar feed)
+    }
+    
+    return { status: response.status, headers: response.headers, data };
+}
+
+/**
+ * Environment with a fresh database; rate limits are off
+ */
+async function createEnv(overrides = {}) {
+    return {
+        DB: await createD1(),
+        SESSION_SECRET: 'test-secret',
+        RATE_LIMIT_IP: '0',
+        RATE_LIMIT_MEMBER: '0',
+        ...overrides
+    };
+}
+
+module.exports = { createD1, createEnv, request, migrationFiles, D1_MAX_BOUND_PARAMETERS };
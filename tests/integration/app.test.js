@@ -197,7 +197,8 @@ describe('Storage Tests', () => {
     
     test('should validate nickname length', () => {
         expect(storage.setNickname('')).toBe(false);
-        expect(storage.setNickname('a'.repeat(25))).toBe(false);
+        expect(storage.setNickname('a'.repeat(51))).toBe(false);
+        expect(storage.setNickname('a'.repeat(50))).toBe(true);
         expect(storage.setNickname('ValidName')).toBe(true);
     });
     
@@ -0,0 +1,129 @@
+/**
+ * Integration tests for PIN login and setup codes (/auth, /bands/:id/members)
+ */
+
+import worker from '../../src/backend/worker.js';
+
+const { createEnv, request } = require('../helpers/d1');
+
+describe('PIN login', () => {
+    let env;
+    let leaderToken;
+    let bandId;
+    let bandPath;
+    let member;
+    
+    beforeEach(async () => {
+        env = await createEnv();
+        const band = await request(worker, env, 'POST', '/bands', {
+            body: { name: 'Auth Band', display_name: 'LEADER', pin: '1234' }
+        });
+        leaderToken = band.data.token;
+        bandId = band.data.band.id;
+        bandPath = `/bands/${bandId}`;
+        
+        // Added by the leader, so without a PIN
+        const created = await request(worker, env, 'POST', `${bandPath}/members`, {
+            token: leaderToken,
+            body: { display_name: 'HANAKO' }
+        });
+        member = created.data;
+    });
+    
+    test('the roster needs a session of the band', async () => {
+        const anonymous = await request(worker, env, 'GET', `${bandPath}/members`);
+        expect(anonymous.status).toBe(401);
+        
+        const other = await request(worker, env, 'POST', '/bands', {
+            body: { name: 'Other Band', display_name: 'OTHER', pin: '1234' }
+        });
+        const foreign = await request(worker, env, 'GET', `${bandPath}/members`, { token: other.data.token });
+        expect(foreign.status).toBe(403);
+        
+        const own = await request(worker, env, 'GET', `${bandPath}/members`, { token: leaderToken });
+        expect(own.status).toBe(200);
+        expect(own.data.map(m => [m.display_name, m.has_pin])).toEqual([['LEADER', true], ['HANAKO', false]]);
+    });
+    
+    test('a first PIN cannot be set without a setup code', async () => {
+        const result = await request(worker, env, 'POST', '/auth/pin', {
+            body: { member_id: member.id, pin: '9999' }
+        });
+        expect(result.status).toBe(403);
+        
+        const login = await request(worker, env, 'POST', '/auth/login', {
+            body: { band_id: bandId, display_name: 'HANAKO', pin: '9999' }
+        });
+        expect(login.status).toBe(401);
+    });
+    
+    test('a setup code from the leader sets the PIN once and logs the member in', async () => {
+        const setup = await request(worker, env, 'POST', `${bandPath}/members/${member.id}/setup-code`, { token: leaderToken });
+        expect(setup.status).toBe(201);
+        expect(setup.data.display_name).toBe('HANAKO');
+        
+        const redeemed = await request(worker, env, 'POST', '/auth/pin', {
+            body: { code: setup.data.code.toLowerCase(), pin: '5678' }
+        });
+        expect(redeemed.status).toBe(200);
+        expect(redeemed.data.member).toEqual({ id: member.id, display_name: 'HANAKO', role: 'member' });
+        expect(redeemed.data.token).toEqual(expect.any(String));
+        
+        const reused = await request(worker, env, 'POST', '/auth/pin', {
+            body: { code: setup.data.code, pin: '0000' }
+        });
+        expect(reused.status).toBe(404);
+        
+        const login = await request(worker, env, 'POST', '/auth/login', {
+            body: { band_id: bandId, display_name: 'HANAKO', pin: '5678' }
+        });
+        expect(login.status).toBe(200);
+        expect(login.data.member.id).toBe(member.id);
+    });
+    
+    test('a new setup code replaces the earlier one', async () => {
+        const first = await request(worker, env, 'POST', `${bandPath}/members/${member.id}/setup-code`, { token: leaderToken });
+        const second = await request(worker, env, 'POST', `${bandPath}/members/${member.id}/setup-code`, { token: leaderToken });
+        
+        const stale = await request(worker, env, 'POST', '/auth/pin', { body: { code: first.data.code, pin: '5678' } });
+        expect(stale.status).toBe(404);
+        
+        const current = await request(worker, env, 'POST', '/auth/pin', { body: { code: second.data.code, pin: '5678' } });
+        expect(current.status).toBe(200);
+    });
+    
+    test('only leaders issue setup codes', async () => {
+        const setup = await request(worker, env, 'POST', `${bandPath}/members/${member.id}/setup-code`, { token: leaderToken });
+        const { data: session } = await request(worker, env, 'POST', '/auth/pin', { body: { code: setup.data.code, pin: '5678' } });
+        
+        const result = await request(worker, env, 'POST', `${bandPath}/members/${member.id}/setup-code`, { token: session.token });
+        expect(result.status).toBe(403);
+    });
+    
+    test('unknown names and wrong PINs get the same answer', async () => {
+        const unknown = await request(worker, env, 'POST', '/auth/login', {
+            body: { band_id: bandId, display_name: 'NOBODY', pin: '1234' }
+        });
+        const wrong = await request(worker, env, 'POST', '/auth/login', {
+            body: { band_id: bandId, display_name: 'LEADER', pin: '0000' }
+        });
+        
+        expect(unknown.status).toBe(401);
+        expect(wrong.status).toBe(401);
+        expect(unknown.data.error).toBe(wrong.data.error);
+    });
+    
+    test('a PIN is changed with the current one', async () => {
+        const { data: leader } = await request(worker, env, 'GET', '/auth/session', { token: leaderToken });
+        
+        const wrong = await request(worker, env, 'POST', '/auth/pin', {
+            body: { member_id: leader.member.id, current_pin: '0000', pin: '4321' }
+        });
+        expect(wrong.status).toBe(401);
+        
+        const changed = await request(worker, env, 'POST', '/auth/pin', {
+            body: { member_id: leader.member.id, current_pin: '1234', pin: '4321' }
+        });
+        expect(changed.status).toBe(200);
+    });
+});
@@ -0,0 +1,122 @@
+/**
+ * Integration tests for availability overlap handling (/bands/:id/availability)
+ */
+
+import worker from '../../src/backend/worker.js';
+
+const { createEnv, request } = require('../helpers/d1');
+
+// UTC hour on the day `days` from today
+function timeOn(days, hour) {
+    const date = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    date.setUTCHours(0, 0, 0, 0);
+    return new Date(date.getTime() + hour * 60 * 60 * 1000).toISOString().replace('.000Z', 'Z');
+}
+
+describe('availability overlaps', () => {
+    let env;
+    let token;
+    let bandPath;
+    
+    beforeEach(async () => {
+        env = await createEnv();
+        const band = await request(worker, env, 'POST', '/bands', {
+            body: { name: 'Overlap Band', display_name: 'LEADER', pin: '1234' }
+        });
+        token = band.data.token;
+        bandPath = `/bands/${band.data.band.id}`;
+    });
+    
+    function save(from, to, status) {
+        return request(worker, env, 'POST', `${bandPath}/availability`, {
+            token,
+            body: { start_time: timeOn(3, from), end_time: timeOn(3, to), status }
+        });
+    }
+    
+    async function timeline() {
+        const { data } = await request(worker, env, 'GET',
+            `${bandPath}/availability?start=${timeOn(2, 0)}&end=${timeOn(5, 0)}`, { token });
+        return data.map(slot => [slot.start, slot.end, slot.extendedProps.status]);
+    }
+    
+    test('a × slot splits a whole ○ day into three pieces', async () => {
+        expect((await save(0, 24, 'good')).status).toBe(201);
+        expect((await save(18, 21, 'bad')).status).toBe(201);
+        
+        expect(await timeline()).toEqual([
+            [timeOn(3, 0), timeOn(3, 18), 'good'],
+            [timeOn(3, 18), timeOn(3, 21), 'bad'],
+            [timeOn(3, 21), timeOn(3, 24), 'good']
+        ]);
+        
+        const [{ values: [[rows]] }] = env.DB.sqlite.exec('SELECT COUNT(*) FROM availability');
+        expect(rows).toBe(3);
+    });
+    
+    test('slots of the same status that overlap or touch are merged', async () => {
+        await save(10, 12, 'ok');
+        await save(12, 14, 'ok');
+        await save(13, 16, 'ok');
+        
+        expect(await timeline()).toEqual([[timeOn(3, 10), timeOn(3, 16), 'ok']]);
+    });
+    
+    test('filling the gap between a split entry merges it back', async () => {
+        await save(0, 24, 'good');
+        await save(18, 21, 'bad');
+        await save(17, 22, 'good');
+        
+        expect(await timeline()).toEqual([[timeOn(3, 0), timeOn(3, 24), 'good']]);
+    });
+    
+    test('clearing a range trims the entries that stick out of it', async () => {
+        await save(9, 12, 'good');
+        await save(12, 15, 'bad');
+        
+        const cleared = await request(worker, env, 'DELETE', `${bandPath}/availability`, {
+            token,
+            body: { start_time: timeOn(3, 11), end_time: timeOn(3, 13) }
+        });
+        expect(cleared.status).toBe(200);
+        
+        expect(await timeline()).toEqual([
+            [timeOn(3, 9), timeOn(3, 11), 'good'],
+            [timeOn(3, 13), timeOn(3, 15), 'bad']
+        ]);
+    });
+    
+    test('later slots of a batch override earlier ones', async () => {
+        const result = await request(worker, env, 'POST', `${bandPath}/availability/batch`, {
+            token,
+            body: {
+                slots: [
+                    { start_time: timeOn(3, 0), end_time: timeOn(3, 24), status: 'good' },
+                    { start_time: timeOn(3, 18), end_time: timeOn(3, 21), status: 'bad' },
+                    { start_time: timeOn(3, 20), end_time: timeOn(3, 22), status: 'clear' }
+                ]
+            }
+        });
+        expect(result.status).toBe(200);
+        expect(result.data).toMatchObject({ saved: 2, cleared: 1, failed: 0 });
+        
+        expect(await timeline()).toEqual([
+            [timeOn(3, 0), timeOn(3, 18), 'good'],
+            [timeOn(3, 18), timeOn(3, 20), 'bad'],
+            [timeOn(3, 22), timeOn(3, 24), 'good']
+        ]);
+    });
+    
+    test('rows stored overlapping before normalization are resolved on read', async () => {
+        const bandId = bandPath.split('/')[2];
+        const insert = 'INSERT INTO availability (band_id, member_name, start_time, end_time, status, updated_at) VALUES (?, ?, ?, ?, ?, ?)';
+        env.DB.sqlite.run(insert, [bandId, 'LEADER', timeOn(3, 0), timeOn(3, 24), 'good', '2025-01-01 00:00:00']);
+        env.DB.sqlite.run(insert, [bandId, 'LEADER', timeOn(3, 18), timeOn(3, 21), 'bad', '2025-01-02 00:00:00']);
+        
+        expect(await timeline()).toEqual([
+            [timeOn(3, 0), timeOn(3, 18), 'good'],
+            [timeOn(3, 18), timeOn(3, 21), 'bad'],
+            [timeOn(3, 21), timeOn(3, 24), 'good']
+        ]);
+    });
+});
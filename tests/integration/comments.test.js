@@ -0,0 +1,83 @@
+/**
+ * Integration tests for event comments (/bands/:id/events/:eventId/comments)
+ */
+
+import worker from '../../src/backend/worker.js';
+
+const { createEnv, request } = require('../helpers/d1');
+
+// UTC time `days` from today at the given hour
+function timeOn(days, hour) {
+    const date = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    date.setUTCHours(hour, 0, 0, 0);
+    return date.toISOString().replace('.000Z', 'Z');
+}
+
+describe('event comments', () => {
+    let env;
+    let leaderToken;
+    let memberToken;
+    let commentsPath;
+    
+    beforeEach(async () => {
+        env = await createEnv();
+        const band = await request(worker, env, 'POST', '/bands', {
+            body: { name: 'Comment Band', display_name: 'LEADER', pin: '1234' }
+        });
+        leaderToken = band.data.token;
+        const bandPath = `/bands/${band.data.band.id}`;
+        
+        const member = await request(worker, env, 'POST', `${bandPath}/members`, {
+            token: leaderToken,
+            body: { display_name: 'HANAKO' }
+        });
+        const setup = await request(worker, env, 'POST', `${bandPath}/members/${member.data.id}/setup-code`, { token: leaderToken });
+        const redeemed = await request(worker, env, 'POST', '/auth/pin', { body: { code: setup.data.code, pin: '5678' } });
+        memberToken = redeemed.data.token;
+        
+        const event = await request(worker, env, 'POST', `${bandPath}/events`, {
+            token: leaderToken,
+            body: { title: 'Rehearsal', type: 'rehearsal', start_time: timeOn(2, 9), end_time: timeOn(2, 12) }
+        });
+        commentsPath = `${bandPath}/events/${event.data.id}/comments`;
+    });
+    
+    function comment(token, body) {
+        return request(worker, env, 'POST', commentsPath, { token, body: { body } });
+    }
+    
+    async function thread() {
+        const { data } = await request(worker, env, 'GET', commentsPath, { token: leaderToken });
+        return data.comments.map(entry => entry.body);
+    }
+    
+    test('the author deletes their comment by its path', async () => {
+        const { data: posted } = await comment(memberToken, '30分遅れます');
+        
+        const deleted = await request(worker, env, 'DELETE', `${commentsPath}/${posted.id}`, { token: memberToken });
+        expect(deleted.status).toBe(200);
+        expect(deleted.data.id).toBe(posted.id);
+        expect(await thread()).toEqual([]);
+        
+        const again = await request(worker, env, 'DELETE', `${commentsPath}/${posted.id}`, { token: memberToken });
+        expect(again.status).toBe(404);
+    });
+    
+    test('other members cannot delete a comment, leaders can', async () => {
+        const { data: posted } = await comment(leaderToken, 'スタジオ予約済み');
+        const { data: own } = await comment(memberToken, '了解です');
+        
+        const denied = await request(worker, env, 'DELETE', `${commentsPath}/${posted.id}`, { token: memberToken });
+        expect(denied.status).toBe(403);
+        
+        const removed = await request(worker, env, 'DELETE', `${commentsPath}/${own.id}`, { token: leaderToken });
+        expect(removed.status).toBe(200);
+        expect(await thread()).toEqual(['スタジオ予約済み']);
+    });
+    
+    test('the thread itself has no DELETE', async () => {
+        const { status, headers } = await request(worker, env, 'DELETE', commentsPath, { token: leaderToken });
+        expect(status).toBe(405);
+        expect(headers.get('Allow')).toBe('GET, POST');
+    });
+});
@@ -0,0 +1,97 @@
+/**
+ * Integration tests for delta sync (GET /bands/:id/changes)
+ */
+
+import worker from '../../src/backend/worker.js';
+
+const { createEnv, request, D1_MAX_BOUND_PARAMETERS } = require('../helpers/d1');
+
+// Band-local day `days` from today at the given UTC hour
+function timeOn(days, hour) {
+    const date = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    date.setUTCHours(hour, 0, 0, 0);
+    return date.toISOString().replace('.000Z', 'Z');
+}
+
+describe('GET /bands/:id/changes', () => {
+    let env;
+    let token;
+    let bandPath;
+    
+    beforeEach(async () => {
+        env = await createEnv();
+        const band = await request(worker, env, 'POST', '/bands', {
+            body: { name: 'Delta Band', display_name: 'LEADER', pin: '1234' }
+        });
+        token = band.data.token;
+        bandPath = `/bands/${band.data.band.id}`;
+    });
+    
+    test('returns more changed rows than D1 allows bound parameters', async () => {
+        const { data: before } = await request(worker, env, 'GET', `${bandPath}/changes`, { token });
+        
+        const count = D1_MAX_BOUND_PARAMETERS + 20;
+        for (let i = 0; i < count; i++) {
+            const created = await request(worker, env, 'POST', `${bandPath}/events`, {
+                token,
+                body: {
+                    title: `Rehearsal ${i}`,
+                    type: 'rehearsal',
+                    start_time: timeOn(2 + Math.floor(i / 4), 1 + (i % 4) * 3),
+                    end_time: timeOn(2 + Math.floor(i / 4), 2 + (i % 4) * 3)
+                }
+            });
+            expect(created.status).toBe(201);
+        }
+        
+        const { status, data } = await request(worker, env, 'GET', `${bandPath}/changes?since=${before.cursor}`, { token });
+        
+        expect(status).toBe(200);
+        expect(data.reset).toBe(false);
+        expect(data.events.upserts).toHaveLength(count);
+        expect(data.events.deleted).toEqual([]);
+    });
+    
+    test('sends template slots of many members at once', async () => {
+        const bandId = bandPath.split('/')[2];
+        const names = Array.from({ length: D1_MAX_BOUND_PARAMETERS + 5 }, (_, i) => `MEMBER${i}`);
+        
+        for (const name of names) {
+            env.DB.sqlite.run(
+                'INSERT INTO availability_templates (band_id, member_name, weekday, start_time, end_time, status) VALUES (?, ?, 1, ?, ?, ?)',
+                [bandId, name, '18:00:00', '21:00:00', 'good']
+            );
+            env.DB.sqlite.run(
+                "INSERT INTO changes (band_id, entity, entity_id, op) VALUES (?, 'template', ?, 'upsert')",
+                [bandId, name]
+            );
+        }
+        
+        const { status, data } = await request(worker, env, 'GET', `${bandPath}/changes?since=0`, { token });
+        
+        expect(status).toBe(200);
+        const members = new Set(data.availability.upserts.map(slot => slot.extendedProps.memberName));
+        expect(members.size).toBe(names.length);
+    });
+    
+    test('announces the cursor of each write on the band channel', async () => {
+        const messages = [];
+        env.BAND_CHANNEL = {
+            idFromName: name => name,
+            get: () => ({
+                fetch: async (url, init) => {
+                    messages.push(JSON.parse(init.body));
+                    return new Response(null, { status: 204 });
+                }
+            })
+        };
+        
+        await request(worker, env, 'POST', `${bandPath}/events`, {
+            token,
+            body: { title: 'Rehearsal', type: 'rehearsal', start_time: timeOn(2, 9), end_time: timeOn(2, 12) }
+        });
+        
+        const { data } = await request(worker, env, 'GET', `${bandPath}/changes`, { token });
+        expect(messages).toEqual([{ type: 'changes', cursor: data.cursor }]);
+    });
+});
@@ -0,0 +1,97 @@
+/**
+ * Integration tests for editing and deleting events (/bands/:id/events/:eventId)
+ */
+
+import worker from '../../src/backend/worker.js';
+
+const { createEnv, request } = require('../helpers/d1');
+
+// UTC time `days` from today at the given hour
+function timeOn(days, hour) {
+    const date = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    date.setUTCHours(hour, 0, 0, 0);
+    return date.toISOString().replace('.000Z', 'Z');
+}
+
+describe('past events', () => {
+    let env;
+    let token;
+    let bandId;
+    let eventsPath;
+    
+    beforeEach(async () => {
+        env = await createEnv();
+        const band = await request(worker, env, 'POST', '/bands', {
+            body: { name: 'History Band', display_name: 'LEADER', pin: '1234' }
+        });
+        token = band.data.token;
+        bandId = band.data.band.id;
+        eventsPath = `/bands/${bandId}/events`;
+    });
+    
+    // Past events can only exist from before, so they go straight into the table
+    function addEvent(title, days, rrule = null) {
+        env.DB.sqlite.run(
+            "INSERT INTO events (band_id, title, type, start_time, end_time, rrule, created_by) VALUES (?, ?, 'rehearsal', ?, ?, ?, 'LEADER')",
+            [bandId, title, timeOn(days, 9), timeOn(days, 12), rrule]
+        );
+        const [{ values: [[id]] }] = env.DB.sqlite.exec('SELECT id FROM events ORDER BY rowid DESC LIMIT 1');
+        return id;
+    }
+    
+    function titles() {
+        const [result] = env.DB.sqlite.exec('SELECT title FROM events ORDER BY title');
+        return result ? result.values.map(([title]) => title) : [];
+    }
+    
+    test('cannot be edited or deleted', async () => {
+        const id = addEvent('Last month', -30);
+        
+        const edited = await request(worker, env, 'PATCH', `${eventsPath}/${id}`, { token, body: { title: 'Renamed' } });
+        const deleted = await request(worker, env, 'DELETE', `${eventsPath}/${id}`, { token });
+        
+        expect(edited.status).toBe(400);
+        expect(deleted.status).toBe(400);
+        expect(deleted.data.error).toMatch(/^Date must be within sync period/);
+        expect(deleted.data.error).toBe(edited.data.error);
+        expect(titles()).toEqual(['Last month']);
+    });
+    
+    test('past occurrences of a series cannot be deleted', async () => {
+        const id = addEvent('Weekly', -14, 'FREQ=WEEKLY');
+        
+        for (const scope of ['this', 'future']) {
+            const deleted = await request(worker, env, 'DELETE',
+                `${eventsPath}/${id}?scope=${scope}&occurrence_start=${timeOn(-7, 9)}`, { token });
+            expect(deleted.status).toBe(400);
+        }
+        
+        const [{ values: [[rrule, exdates]] }] = env.DB.sqlite.exec('SELECT rrule, exdates FROM events');
+        expect(rrule).toBe('FREQ=WEEKLY');
+        expect(exdates).toBeNull();
+    });
+    
+    test('upcoming occurrences and whole series that started earlier can be deleted', async () => {
+        const id = addEvent('Weekly', -14, 'FREQ=WEEKLY');
+        
+        const occurrence = await request(worker, env, 'DELETE',
+            `${eventsPath}/${id}?scope=this&occurrence_start=${timeOn(7, 9)}`, { token });
+        expect(occurrence.status).toBe(200);
+        
+        const series = await request(worker, env, 'DELETE', `${eventsPath}/${id}`, { token });
+        expect(series.status).toBe(200);
+        expect(titles()).toEqual([]);
+    });
+    
+    test('events in the sync period can be deleted', async () => {
+        const id = addEvent('Next week', 7);
+        
+        const deleted = await request(worker, env, 'DELETE', `${eventsPath}/${id}`, { token });
+        
+        expect(deleted.status).toBe(200);
+        expect(titles()).toEqual([]);
+        
+        const again = await request(worker, env, 'DELETE', `${eventsPath}/${id}`, { token });
+        expect(again.status).toBe(404);
+    });
+});
@@ -0,0 +1,57 @@
+/**
+ * Integration tests for the calendar feed (GET /calendar.ics)
+ */
+
+import worker from '../../src/backend/worker.js';
+
+const { createEnv, request } = require('../helpers/d1');
+
+// UTC time `days` from today at the given hour
+function timeOn(days, hour) {
+    const date = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    date.setUTCHours(hour, 0, 0, 0);
+    return date.toISOString().replace('.000Z', 'Z');
+}
+
+describe('GET /calendar.ics', () => {
+    let env;
+    let bandId;
+    let feedToken;
+    
+    beforeEach(async () => {
+        env = await createEnv();
+        const band = await request(worker, env, 'POST', '/bands', {
+            body: { name: 'Feed Band', display_name: 'LEADER', pin: '1234' }
+        });
+        bandId = band.data.band.id;
+        
+        const feed = await request(worker, env, 'GET', `/bands/${bandId}/feed`, { token: band.data.token });
+        feedToken = feed.data.token;
+    });
+    
+    function addEvent(title, days, rrule = null) {
+        env.DB.sqlite.run(
+            "INSERT INTO events (band_id, title, type, start_time, end_time, rrule, created_by) VALUES (?, ?, 'rehearsal', ?, ?, ?, 'LEADER')",
+            [bandId, title, timeOn(days, 9), timeOn(days, 12), rrule]
+        );
+    }
+    
+    test('serves the range from the read-only history to the end of the sync period', async () => {
+        addEvent('Long ago', -5 * 365);
+        addEvent('Far ahead', 5 * 365);
+        addEvent('Next week', 7);
+        addEvent('Old series', -5 * 365, 'FREQ=WEEKLY');
+        
+        const { status, headers, data } = await request(worker, env, 'GET', `/calendar.ics?token=${feedToken}`);
+        
+        expect(status).toBe(200);
+        expect(headers.get('Content-Type')).toBe('text/calendar; charset=utf-8');
+        const summaries = data.split('\r\n').filter(line => line.startsWith('SUMMARY:'));
+        expect(summaries).toEqual(['SUMMARY:Old series', 'SUMMARY:Next week']);
+    });
+    
+    test('rejects an unknown feed token', async () => {
+        const { status } = await request(worker, env, 'GET', '/calendar.ics?token=nope');
+        expect(status).toBe(401);
+    });
+});
@@ -0,0 +1,103 @@
+/**
+ * Integration tests for the migration series (src/backend/migrations)
+ */
+
+const fs = require('fs');
+
+const { createD1, migrationFiles } = require('../helpers/d1');
+
+function query(db, sql) {
+    const [result] = db.exec(sql);
+    if (!result) {
+        return [];
+    }
+    return result.values.map(row => Object.fromEntries(result.columns.map((column, index) => [column, row[index]])));
+}
+
+// Columns, indexes and foreign keys of every table, independent of the order
+// in which migrations added them
+function schemaOf(db) {
+    const tables = query(db, "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name");
+    return tables.map(({ name }) => ({
+        name,
+        columns: query(db, `PRAGMA table_info(${name})`)
+            .map(({ cid, ...column }) => column)
+            .sort((a, b) => a.name.localeCompare(b.name)),
+        indexes: query(db, `PRAGMA index_list(${name})`)
+            .map(index => ({
+                name: index.name,
+                unique: index.unique,
+                columns: query(db, `PRAGMA index_info(${index.name})`).map(column => column.name)
+            }))
+            .sort((a, b) => a.name.localeCompare(b.name)),
+        foreignKeys: query(db, `PRAGMA foreign_key_list(${name})`)
+            .map(({ table, from, to, on_delete: onDelete }) => ({ table, from, to, onDelete }))
+            .sort((a, b) => a.from.localeCompare(b.from))
+    }));
+}
+
+describe('migrations', () => {
+    const [initial, ...later] = migrationFiles();
+    
+    test('0001 is the baseline schema with events and availability only', async () => {
+        const { sqlite } = await createD1([initial]);
+        
+        const tables = query(sqlite, "SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name").map(table => table.name);
+        expect(tables).toEqual(['availability', 'events']);
+        expect(query(sqlite, 'PRAGMA table_info(events)').map(column => column.name)).not.toContain('band_id');
+    });
+    
+    test('bring a baseline database to the current schema and keep its data', async () => {
+        // A production database as it was created before the migration runner
+        const { sqlite } = await createD1([initial]);
+        sqlite.exec(`
+            INSERT INTO events (id, title, type, start_time, end_time, created_by)
+                VALUES ('ev1', '下北沢LIVE', 'live', '2025-08-02T18:00:00', '2025-08-02T21:00:00', 'COKAI');
+            INSERT INTO availability (id, member_name, start_time, end_time, status)
+                VALUES ('av1', 'ZEN', '2025-08-03T00:00:00', '2025-08-03T23:59:59', 'bad');
+        `);
+        
+        later.forEach(file => sqlite.exec(fs.readFileSync(file, 'utf8')));
+        
+        const fresh = await createD1();
+        expect(schemaOf(sqlite)).toEqual(schemaOf(fresh.sqlite));
+        expect(query(sqlite, 'PRAGMA foreign_key_check')).toEqual([]);
+        
+        // Existing rows move to the default band, Tokyo times become UTC
+        expect(query(sqlite, 'SELECT id, band_id, title, start_time, end_time, rrule FROM events')).toEqual([{
+            id: 'ev1',
+            band_id: 'default',
+            title: '下北沢LIVE',
+            start_time: '2025-08-02T09:00:00Z',
+            end_time: '2025-08-02T12:00:00Z',
+            rrule: null
+        }]);
+        expect(query(sqlite, 'SELECT id, band_id, member_name, start_time, status FROM availability')).toEqual([{
+            id: 'av1',
+            band_id: 'default',
+            member_name: 'ZEN',
+            start_time: '2025-08-02T15:00:00Z',
+            status: 'bad'
+        }]);
+        
+        expect(query(sqlite, "SELECT display_name, role FROM members WHERE band_id = 'default' ORDER BY sort_order")).toEqual([
+            { display_name: 'COKAI', role: 'leader' },
+            { display_name: 'YUSUKE', role: 'member' },
+            { display_name: 'ZEN', role: 'member' },
+            { display_name: 'YAMCHI', role: 'member' },
+            { display_name: 'テスト', role: 'member' },
+            { display_name: 'USER', role: 'member' }
+        ]);
+    });
+    
+    test('recording 0001 on a baseline database changes nothing', async () => {
+        const { sqlite } = await createD1([initial]);
+        sqlite.exec("INSERT INTO events (id, title, type, start_time, end_time, created_by) VALUES ('ev1', 'Rehearsal', 'rehearsal', '2025-08-02T18:00:00', '2025-08-02T21:00:00', 'ZEN')");
+        const before = schemaOf(sqlite);
+        
+        sqlite.exec(fs.readFileSync(initial, 'utf8'));
+        
+        expect(schemaOf(sqlite)).toEqual(before);
+        expect(query(sqlite, 'SELECT id FROM events')).toEqual([{ id: 'ev1' }]);
+    });
+});
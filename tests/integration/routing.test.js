@@ -0,0 +1,77 @@
+/**
+ * Integration tests for the middleware chain: error mapping and
+ * authentication by query token
+ */
+
+import worker from '../../src/backend/worker.js';
+
+const { createEnv, request } = require('../helpers/d1');
+
+describe('error mapping', () => {
+    let env;
+    let token;
+    let bandPath;
+    
+    beforeEach(async () => {
+        env = await createEnv();
+        const band = await request(worker, env, 'POST', '/bands', {
+            body: { name: 'Routing Band', display_name: 'LEADER', pin: '1234' }
+        });
+        token = band.data.token;
+        bandPath = `/bands/${band.data.band.id}`;
+    });
+    
+    test('invalid input is a 400 with the validation message', async () => {
+        const { status, data } = await request(worker, env, 'POST', `${bandPath}/events`, {
+            token,
+            body: { title: 'Rehearsal', type: 'rehearsal', start_time: 'tomorrow', end_time: 'later' }
+        });
+        
+        expect(status).toBe(400);
+        expect(data.error).toMatch(/^Invalid date format/);
+    });
+    
+    test('any other error is a 500 that does not show its message', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        
+        const { status, data } = await request(worker, { ...env, SESSION_SECRET: '' }, 'GET', `${bandPath}/events`, { token });
+        
+        expect(status).toBe(500);
+        expect(data.error).toBe('Internal Server Error');
+        expect(console.error).toHaveBeenCalled();
+        console.error.mockRestore();
+    });
+});
+
+describe('GET /bands/:id/live', () => {
+    let env;
+    let token;
+    let bandPath;
+    
+    beforeEach(async () => {
+        env = await createEnv();
+        const band = await request(worker, env, 'POST', '/bands', {
+            body: { name: 'Live Band', display_name: 'LEADER', pin: '1234' }
+        });
+        token = band.data.token;
+        bandPath = `/bands/${band.data.band.id}`;
+    });
+    
+    test('takes the session token from the query string', async () => {
+        const headers = { Upgrade: 'websocket' };
+        
+        expect((await request(worker, env, 'GET', `${bandPath}/live`, { headers })).status).toBe(401);
+        expect((await request(worker, env, 'GET', `${bandPath}/live?token=nope`, { headers })).status).toBe(401);
+        
+        // A header token is not enough for this route
+        expect((await request(worker, env, 'GET', `${bandPath}/live`, { token, headers })).status).toBe(401);
+        
+        const other = await request(worker, env, 'POST', '/bands', {
+            body: { name: 'Other Band', display_name: 'OTHER', pin: '1234' }
+        });
+        expect((await request(worker, env, 'GET', `${bandPath}/live?token=${other.data.token}`, { headers })).status).toBe(403);
+        
+        // Authenticated; this environment has no Durable Object binding
+        expect((await request(worker, env, 'GET', `${bandPath}/live?token=${token}`, { headers })).status).toBe(501);
+    });
+});
@@ -0,0 +1,22 @@
+// Unit tests for the shared frontend helpers (src/frontend/js/config.js)
+
+const { escapeHtml } = require('../../src/frontend/js/config');
+
+describe('escapeHtml', () => {
+    test('escapes markup and both quote characters', () => {
+        expect(escapeHtml(`<a href="x" title='y'>R&B</a>`))
+            .toBe('&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;R&amp;B&lt;/a&gt;');
+    });
+    
+    test('is safe inside quoted attribute values', () => {
+        const html = `<input aria-label="${escapeHtml('" onfocus="alert(1)"')}">`;
+        
+        expect(html).toBe('<input aria-label="&quot; onfocus=&quot;alert(1)&quot;">');
+    });
+    
+    test('turns missing values into empty text', () => {
+        expect(escapeHtml(null)).toBe('');
+        expect(escapeHtml(undefined)).toBe('');
+        expect(escapeHtml(42)).toBe('42');
+    });
+});
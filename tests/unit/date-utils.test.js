@@ -0,0 +1,126 @@
+// Unit tests for band time zone dates (src/frontend/js/date-utils.js)
+
+// date-utils.js creates its global instance from the config
+global.CONFIG = { TIMEZONE: 'Asia/Tokyo' };
+const { DateUtils } = require('../../src/frontend/js/date-utils');
+
+const HOUR = 60 * 60 * 1000;
+
+// New York: clocks jump from 02:00 to 03:00 on 2025-03-09 and fall back
+// from 02:00 to 01:00 on 2025-11-02
+const newYork = new DateUtils('America/New_York');
+const tokyo = new DateUtils('Asia/Tokyo');
+
+describe('getZoneOffset', () => {
+    test('follows daylight saving time', () => {
+        expect(newYork.getZoneOffset(Date.parse('2025-01-15T12:00:00Z'))).toBe(-5 * HOUR);
+        expect(newYork.getZoneOffset(Date.parse('2025-07-15T12:00:00Z'))).toBe(-4 * HOUR);
+    });
+    
+    test('changes at the instant of the transition', () => {
+        expect(newYork.getZoneOffset(Date.parse('2025-03-09T06:59:59Z'))).toBe(-5 * HOUR);
+        expect(newYork.getZoneOffset(Date.parse('2025-03-09T07:00:00Z'))).toBe(-4 * HOUR);
+        expect(newYork.getZoneOffset(Date.parse('2025-11-02T05:59:59Z'))).toBe(-4 * HOUR);
+        expect(newYork.getZoneOffset(Date.parse('2025-11-02T06:00:00Z'))).toBe(-5 * HOUR);
+    });
+    
+    test('takes another zone and ignores milliseconds', () => {
+        const ms = Date.parse('2025-08-02T09:00:00Z') + 999;
+        
+        expect(tokyo.getZoneOffset(ms)).toBe(9 * HOUR);
+        expect(tokyo.getZoneOffset(ms, 'Asia/Kolkata')).toBe(5.5 * HOUR);
+        expect(tokyo.getZoneOffset(ms, 'UTC')).toBe(0);
+    });
+});
+
+describe('toWallClock', () => {
+    test('accepts strings with an offset, Date objects and milliseconds', () => {
+        expect(tokyo.toWallClock('2025-08-02T18:00:00+09:00')).toBe('2025-08-02T18:00:00');
+        expect(tokyo.toWallClock(new Date('2025-08-02T09:00:00Z'))).toBe('2025-08-02T18:00:00');
+        expect(tokyo.toWallClock(Date.parse('2025-08-02T09:00:00Z'))).toBe('2025-08-02T18:00:00');
+    });
+    
+    test('skips the hour lost in spring', () => {
+        expect(newYork.toWallClock('2025-03-09T06:59:59Z')).toBe('2025-03-09T01:59:59');
+        expect(newYork.toWallClock('2025-03-09T07:00:00Z')).toBe('2025-03-09T03:00:00');
+    });
+    
+    test('repeats the hour gained in autumn', () => {
+        expect(newYork.toWallClock('2025-11-02T05:30:00Z')).toBe('2025-11-02T01:30:00');
+        expect(newYork.toWallClock('2025-11-02T06:30:00Z')).toBe('2025-11-02T01:30:00');
+    });
+});
+
+describe('toDateString', () => {
+    test("changes day at the band's midnight, not UTC's", () => {
+        expect(tokyo.toDateString('2025-08-01T14:59:59Z')).toBe('2025-08-01');
+        expect(tokyo.toDateString('2025-08-01T15:00:00Z')).toBe('2025-08-02');
+        expect(newYork.toDateString('2025-08-02T03:59:59Z')).toBe('2025-08-01');
+        expect(newYork.toDateString('2025-08-02T04:00:00Z')).toBe('2025-08-02');
+    });
+    
+    test('changes day at midnight on transition days', () => {
+        expect(newYork.toDateString('2025-03-09T04:59:59Z')).toBe('2025-03-08');
+        expect(newYork.toDateString('2025-03-09T05:00:00Z')).toBe('2025-03-09');
+        expect(newYork.toDateString('2025-11-02T03:59:59Z')).toBe('2025-11-01');
+        expect(newYork.toDateString('2025-11-02T04:00:00Z')).toBe('2025-11-02');
+    });
+    
+    test("changes year at the band's New Year", () => {
+        expect(tokyo.toDateString('2025-12-31T15:00:00Z')).toBe('2026-01-01');
+        expect(newYork.toDateString('2026-01-01T04:59:59Z')).toBe('2025-12-31');
+    });
+});
+
+describe('toUtc', () => {
+    test('converts band times with and without seconds', () => {
+        expect(tokyo.toUtc('2025-08-02', '18:00')).toBe('2025-08-02T09:00:00Z');
+        expect(newYork.toUtc('2025-08-02', '18:00:30')).toBe('2025-08-02T22:00:30Z');
+        expect(newYork.toUtc('2025-01-15', '18:00')).toBe('2025-01-15T23:00:00Z');
+    });
+    
+    test('takes midnight by default, on the previous UTC day east of UTC', () => {
+        expect(tokyo.toUtc('2025-08-02')).toBe('2025-08-01T15:00:00Z');
+        expect(newYork.toUtc('2025-08-02')).toBe('2025-08-02T04:00:00Z');
+    });
+    
+    test('handles midnight on transition days', () => {
+        expect(newYork.toUtc('2025-03-09')).toBe('2025-03-09T05:00:00Z');
+        expect(newYork.toUtc('2025-03-10')).toBe('2025-03-10T04:00:00Z');
+        expect(newYork.toUtc('2025-11-02')).toBe('2025-11-02T04:00:00Z');
+        expect(newYork.toUtc('2025-11-03')).toBe('2025-11-03T05:00:00Z');
+    });
+    
+    test('moves times skipped in spring forward by the jump', () => {
+        expect(newYork.toUtc('2025-03-09', '01:59')).toBe('2025-03-09T06:59:00Z');
+        expect(newYork.toUtc('2025-03-09', '02:30')).toBe('2025-03-09T07:30:00Z');
+        expect(newYork.toUtc('2025-03-09', '03:00')).toBe('2025-03-09T07:00:00Z');
+    });
+    
+    test('takes the first of times repeated in autumn', () => {
+        expect(newYork.toUtc('2025-11-02', '00:59')).toBe('2025-11-02T04:59:00Z');
+        expect(newYork.toUtc('2025-11-02', '01:30')).toBe('2025-11-02T05:30:00Z');
+        expect(newYork.toUtc('2025-11-02', '02:00')).toBe('2025-11-02T07:00:00Z');
+    });
+    
+    test('round-trips with toWallClock', () => {
+        for (const time of ['2025-03-09T01:00:00', '2025-03-09T03:00:00', '2025-11-02T01:00:00', '2025-11-02T23:59:59']) {
+            expect(newYork.toWallClock(newYork.toUtc(time.slice(0, 10), time.slice(11)))).toBe(time);
+        }
+    });
+});
+
+describe('setTimeZone', () => {
+    test('keeps the zone when given an unknown one', () => {
+        const dates = new DateUtils('Asia/Tokyo');
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        
+        dates.setTimeZone('Band/Studio');
+        expect(dates.timeZone).toBe('Asia/Tokyo');
+        
+        dates.setTimeZone('America/New_York');
+        expect(dates.toDateString('2025-08-02T03:00:00Z')).toBe('2025-08-01');
+        
+        console.warn.mockRestore();
+    });
+});
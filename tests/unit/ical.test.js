@@ -0,0 +1,98 @@
+// Unit tests for the iCalendar feed (src/backend/ical.js)
+
+import { buildCalendar } from '../../src/backend/ical.js';
+
+const UNTIL = '2026-03-31T00:00:00Z';
+
+function event(extra = {}) {
+    return {
+        id: 'event-1',
+        title: 'Rehearsal',
+        type: 'rehearsal',
+        start_time: '2025-08-02T22:00:00Z',
+        end_time: '2025-08-03T01:00:00Z',
+        created_by: 'LEADER',
+        ...extra
+    };
+}
+
+function calendar(events, timeZone = 'America/New_York') {
+    // Unfolded, so long lines can be compared whole
+    return buildCalendar({ name: 'Band', bandId: 'band-1', timeZone, until: UNTIL, events })
+        .replace(/\r\n /g, '')
+        .split('\r\n');
+}
+
+// Lines between BEGIN:<name> and END:<name>, one array per component
+function components(lines, name) {
+    const found = [];
+    let current = null;
+    for (const line of lines) {
+        if (line === `BEGIN:${name}`) {
+            current = [];
+        } else if (line === `END:${name}`) {
+            found.push(current);
+            current = null;
+        } else if (current) {
+            current.push(line);
+        }
+    }
+    return found;
+}
+
+describe('buildCalendar', () => {
+    test('writes single events in UTC without a VTIMEZONE', () => {
+        const lines = calendar([event()]);
+        
+        expect(lines).toContain('DTSTART:20250802T220000Z');
+        expect(lines).toContain('DTEND:20250803T010000Z');
+        expect(components(lines, 'VTIMEZONE')).toEqual([]);
+    });
+    
+    test('names the creator as ORGANIZER with a quoted CN and a mailto: address', () => {
+        expect(calendar([event()])).toContain('ORGANIZER;CN="LEADER":mailto:band-1@band-sync-calendar.invalid');
+        
+        // Quotes, carets and line breaks cannot appear in a quoted value (RFC 6868)
+        const lines = calendar([event({ created_by: 'ZEN "the" ^drummer\nB' })]);
+        expect(lines).toContain('ORGANIZER;CN="ZEN ^\'the^\' ^^drummer^nB":mailto:band-1@band-sync-calendar.invalid');
+        
+        // Separators are fine inside the quotes
+        expect(calendar([event({ created_by: 'A;B:C,D' })]))
+            .toContain('ORGANIZER;CN="A;B:C,D":mailto:band-1@band-sync-calendar.invalid');
+    });
+    
+    test('defines the TZID of recurring events with a VTIMEZONE', () => {
+        const lines = calendar([
+            event({ rrule: 'FREQ=WEEKLY;UNTIL=20251231T235959', exdates: ['2025-11-08T23:00:00Z'] })
+        ]);
+        
+        expect(lines).toContain('DTSTART;TZID=America/New_York:20250802T180000');
+        expect(lines).toContain('RRULE:FREQ=WEEKLY;UNTIL=20260101T045959Z');
+        expect(lines).toContain('EXDATE;TZID=America/New_York:20251108T180000');
+        
+        const [timezone] = components(lines, 'VTIMEZONE');
+        expect(timezone[0]).toBe('TZID:America/New_York');
+        expect(components(lines, 'DAYLIGHT')).toEqual([
+            ['DTSTART:20250802T180000', 'TZOFFSETFROM:-0400', 'TZOFFSETTO:-0400'],
+            ['DTSTART:20260308T020000', 'TZOFFSETFROM:-0500', 'TZOFFSETTO:-0400']
+        ]);
+        expect(components(lines, 'STANDARD')).toEqual([
+            ['DTSTART:20251102T020000', 'TZOFFSETFROM:-0400', 'TZOFFSETTO:-0500']
+        ]);
+        
+        // The VTIMEZONE comes before the events that use it
+        expect(lines.indexOf('BEGIN:VTIMEZONE')).toBeLessThan(lines.indexOf('BEGIN:VEVENT'));
+    });
+    
+    test('a zone without daylight saving has a single observance', () => {
+        const lines = calendar([
+            event({ start_time: '2025-08-02T09:00:00Z', end_time: '2025-08-02T12:00:00Z', rrule: 'FREQ=WEEKLY' })
+        ], 'Asia/Tokyo');
+        
+        expect(lines).toContain('DTSTART;TZID=Asia/Tokyo:20250802T180000');
+        expect(components(lines, 'STANDARD')).toEqual([
+            ['DTSTART:20250802T180000', 'TZOFFSETFROM:+0900', 'TZOFFSETTO:+0900']
+        ]);
+        expect(components(lines, 'DAYLIGHT')).toEqual([]);
+    });
+});
@@ -0,0 +1,285 @@
+// Unit tests for the .ics import (src/frontend/js/ics-import.js)
+
+const config = require('../../src/frontend/js/config');
+
+// The frontend scripts share globals in the browser
+global.CONFIG = config.CONFIG;
+global.isWithinSyncPeriod = config.isWithinSyncPeriod;
+const { dateUtils } = require('../../src/frontend/js/date-utils');
+global.dateUtils = dateUtils;
+
+const { IcsImporter } = require('../../src/frontend/js/ics-import');
+
+// The band is in Tokyo (UTC+9, no daylight saving); today is 2025-07-01, so
+// the sync period runs to 2025-09-01
+const TODAY = '2025-07-01';
+
+function calendar(...events) {
+    return ['BEGIN:VCALENDAR', 'VERSION:2.0', ...events.flat(), 'END:VCALENDAR'].join('\r\n');
+}
+
+function vevent(...lines) {
+    return ['BEGIN:VEVENT', ...lines, 'END:VEVENT'];
+}
+
+let importer;
+
+beforeEach(() => {
+    importer = new IcsImporter();
+    jest.spyOn(dateUtils, 'today').mockReturnValue(TODAY);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.calendarManager;
+});
+
+describe('content lines', () => {
+    test('joins folded lines and drops blank ones', () => {
+        // Only the one space or tab after the line break belongs to the fold
+        const text = 'BEGIN:VEVENT\r\nSUMMARY:Studio\r\n  booking\r\n\t A\r\n\r\nEND:VEVENT\r\n';
+        
+        expect(importer.unfold(text)).toEqual(['BEGIN:VEVENT', 'SUMMARY:Studio booking A', 'END:VEVENT']);
+    });
+    
+    test('accepts bare LF line endings', () => {
+        expect(importer.unfold('SUMMARY:Live\n  at O-EAST\nEND:VEVENT')).toEqual(['SUMMARY:Live at O-EAST', 'END:VEVENT']);
+    });
+    
+    test('splits name, parameters and value', () => {
+        expect(importer.parseLine('dtstart;tzid=America/New_York;VALUE=DATE-TIME:20250802T050000')).toEqual({
+            name: 'DTSTART',
+            params: { TZID: 'America/New_York', VALUE: 'DATE-TIME' },
+            value: '20250802T050000'
+        });
+    });
+    
+    test('reads quoted parameter values containing separators', () => {
+        expect(importer.parseLine('DTSTART;TZID="Asia/Tokyo;x:y":20250802T180000')).toEqual({
+            name: 'DTSTART',
+            params: { TZID: 'Asia/Tokyo;x:y' },
+            value: '20250802T180000'
+        });
+    });
+    
+    test('keeps colons in the value', () => {
+        expect(importer.parseLine('URL:https://example.com/live').value).toBe('https://example.com/live');
+    });
+    
+    test('treats lines without a value as nameless', () => {
+        expect(importer.parseLine('not a content line')).toEqual({ name: '', params: {}, value: '' });
+    });
+});
+
+describe('parse', () => {
+    test('turns VEVENTs into drafts in UTC', () => {
+        const drafts = importer.parse(calendar(
+            vevent('SUMMARY:Live\\, Shibuya', 'DTSTART:20250802T180000', 'DTEND:20250802T210000'),
+            vevent('SUMMARY:Practice', 'CATEGORIES:Studio', 'DTSTART:20250803T130000', 'DURATION:PT2H30M')
+        ));
+        
+        expect(drafts).toEqual([
+            {
+                title: 'Live, Shibuya', type: 'live',
+                start_time: '2025-08-02T09:00:00Z', end_time: '2025-08-02T12:00:00Z',
+                rrule: null, issue: null, selected: true
+            },
+            {
+                title: 'Practice', type: 'rehearsal',
+                start_time: '2025-08-03T04:00:00Z', end_time: '2025-08-03T06:30:00Z',
+                rrule: null, issue: null, selected: true
+            }
+        ]);
+    });
+    
+    test('ignores properties of nested components', () => {
+        const [draft] = importer.parse(calendar(vevent(
+            'SUMMARY:Rehearsal', 'DTSTART:20250802T180000',
+            'BEGIN:VALARM', 'DESCRIPTION:Reminder', 'TRIGGER:-PT1H', 'END:VALARM',
+            'DTEND:20250802T200000'
+        )));
+        
+        expect(draft.title).toBe('Rehearsal');
+        expect(draft.end_time).toBe('2025-08-02T11:00:00Z');
+    });
+    
+    test('accepts one-character titles but not empty ones', () => {
+        const [short, empty] = importer.parse(calendar(
+            vevent('SUMMARY:A', 'DTSTART:20250802T180000', 'DTEND:20250802T200000'),
+            vevent('SUMMARY: ', 'DTSTART:20250803T180000', 'DTEND:20250803T200000')
+        ));
+        
+        expect(short.issue).toBeNull();
+        expect(empty.issue).toBe('invalid');
+        expect(empty.selected).toBe(false);
+    });
+    
+    test('marks events without a valid time range as invalid', () => {
+        const drafts = importer.parse(calendar(
+            vevent('SUMMARY:No start', 'DTEND:20250802T200000'),
+            vevent('SUMMARY:Backwards', 'DTSTART:20250802T200000', 'DTEND:20250802T180000'),
+            vevent('SUMMARY:Bad date', 'DTSTART:2025-08-02', 'DTEND:20250802T200000')
+        ));
+        
+        expect(drafts.map(draft => draft.issue)).toEqual(['invalid', 'invalid', 'invalid']);
+    });
+    
+    test('marks unsupported repeat rules and exceptions', () => {
+        const drafts = importer.parse(calendar(
+            vevent('SUMMARY:Monthly', 'DTSTART:20250802T180000', 'DTEND:20250802T200000', 'RRULE:FREQ=MONTHLY;BYMONTHDAY=2'),
+            vevent('SUMMARY:Weekly', 'DTSTART:20250803T180000', 'DTEND:20250803T200000', 'RRULE:FREQ=WEEKLY', 'EXDATE:20250810T180000'),
+            vevent('SUMMARY:Daily', 'DTSTART:20250804T180000', 'DTEND:20250804T200000', 'RRULE:FREQ=DAILY;COUNT=3')
+        ));
+        
+        expect(drafts.map(draft => draft.issue)).toEqual(['recurrence', 'recurrence', null]);
+        expect(drafts[2].rrule).toBe('FREQ=DAILY;COUNT=3');
+    });
+});
+
+describe('all-day events', () => {
+    test('end on the last second before DTEND', () => {
+        const [draft] = importer.parse(calendar(vevent(
+            'SUMMARY:Tour', 'DTSTART;VALUE=DATE:20250802', 'DTEND;VALUE=DATE:20250804'
+        )));
+        
+        expect(draft.start_time).toBe('2025-08-01T15:00:00Z');
+        expect(draft.end_time).toBe('2025-08-03T14:59:59Z');
+    });
+    
+    test('last the whole day without DTEND', () => {
+        const [draft] = importer.parse(calendar(vevent('SUMMARY:Tour', 'DTSTART;VALUE=DATE:20250802')));
+        
+        expect(draft.start_time).toBe('2025-08-01T15:00:00Z');
+        expect(draft.end_time).toBe('2025-08-02T14:59:59Z');
+        expect(draft.issue).toBeNull();
+    });
+    
+    test('are invalid when DTEND is the start day', () => {
+        const [draft] = importer.parse(calendar(vevent(
+            'SUMMARY:Tour', 'DTSTART;VALUE=DATE:20250802', 'DTEND;VALUE=DATE:20250802'
+        )));
+        
+        expect(draft.issue).toBe('invalid');
+    });
+});
+
+describe('toRRule', () => {
+    test('keeps the supported parts', () => {
+        expect(importer.toRRule('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=6'))
+            .toBe('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=6');
+    });
+    
+    test('drops WKST where it cannot change the occurrences', () => {
+        expect(importer.toRRule('FREQ=WEEKLY;BYDAY=MO;WKST=SU')).toBe('FREQ=WEEKLY;BYDAY=MO');
+        expect(importer.toRRule('FREQ=WEEKLY;INTERVAL=1;BYDAY=MO,TH;WKST=SU')).toBe('FREQ=WEEKLY;INTERVAL=1;BYDAY=MO,TH');
+    });
+    
+    test('rejects WKST on rules it affects', () => {
+        expect(importer.toRRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,SU;WKST=SU')).toBeNull();
+    });
+    
+    test('rejects UNTIL together with COUNT', () => {
+        expect(importer.toRRule('FREQ=DAILY;UNTIL=20250831T000000;COUNT=3')).toBeNull();
+    });
+    
+    test('rejects parts and frequencies the API does not support', () => {
+        expect(importer.toRRule('FREQ=HOURLY')).toBeNull();
+        expect(importer.toRRule('FREQ=MONTHLY;BYDAY=1SA')).toBeNull();
+        expect(importer.toRRule('FREQ=WEEKLY;BYDAY=1SA')).toBeNull();
+        expect(importer.toRRule('FREQ=YEARLY;BYMONTH=8')).toBeNull();
+    });
+    
+    test("moves a UTC UNTIL to the band's clock", () => {
+        expect(importer.toRRule('FREQ=WEEKLY;UNTIL=20250831T150000Z')).toBe('FREQ=WEEKLY;UNTIL=20250901T000000');
+    });
+    
+    test('keeps a floating UNTIL as it is', () => {
+        expect(importer.toRRule('FREQ=WEEKLY;UNTIL=20250831T235959')).toBe('FREQ=WEEKLY;UNTIL=20250831T235959');
+    });
+});
+
+describe('parseDateTime', () => {
+    const parse = (value, params = {}) => importer.parseDateTime({ value, params });
+    
+    test("takes floating times as the band's", () => {
+        expect(parse('20250802T180000')).toEqual({ value: '2025-08-02T18:00:00', isDate: false });
+    });
+    
+    test("converts UTC times to the band's clock", () => {
+        expect(parse('20250802T160000Z')).toEqual({ value: '2025-08-03T01:00:00', isDate: false });
+    });
+    
+    test("converts times with another TZID to the band's clock", () => {
+        // New York is on daylight saving time (UTC-4) in August and not (UTC-5) in January
+        expect(parse('20250802T050000', { TZID: 'America/New_York' }).value).toBe('2025-08-02T18:00:00');
+        expect(parse('20250115T050000', { TZID: 'America/New_York' }).value).toBe('2025-01-15T19:00:00');
+    });
+    
+    test("keeps times in the band's TZID and unknown zones as they are", () => {
+        expect(parse('20250802T180000', { TZID: 'Asia/Tokyo' }).value).toBe('2025-08-02T18:00:00');
+        expect(parse('20250802T180000', { TZID: 'Band/Studio' }).value).toBe('2025-08-02T18:00:00');
+    });
+    
+    test('reads dates as all-day', () => {
+        expect(parse('20250802')).toEqual({ value: '2025-08-02T00:00:00', isDate: true });
+    });
+    
+    test('rejects malformed values', () => {
+        expect(() => parse('2025-08-02T18:00')).toThrow('Invalid date');
+        expect(() => importer.parseDateTime(undefined)).toThrow('Invalid date');
+    });
+});
+
+describe('markIssues', () => {
+    function draft(title, start_time, end_time) {
+        return { title, type: 'other', start_time, end_time, rrule: null, issue: null, selected: true };
+    }
+    
+    test('marks drafts outside the sync period', () => {
+        const drafts = importer.markIssues([
+            draft('Past', '2025-06-30T09:00:00Z', '2025-06-30T10:00:00Z'),
+            // 2025-09-01 in Tokyo is the last day of the period, 2025-09-02 is past it
+            draft('Last day', '2025-09-01T14:00:00Z', '2025-09-01T14:30:00Z'),
+            draft('Too far', '2025-09-01T15:00:00Z', '2025-09-01T16:00:00Z')
+        ]);
+        
+        expect(drafts.map(item => item.issue)).toEqual(['outside', null, 'outside']);
+        expect(drafts.map(item => item.selected)).toEqual([false, true, false]);
+    });
+    
+    test('marks duplicates of loaded events', () => {
+        global.calendarManager = {
+            currentEvents: [
+                { title: 'Live  at O-EAST', start: '2025-08-02T09:00:00Z', end: '2025-08-02T12:00:00Z', extendedProps: { type: 'live' } },
+                { title: 'Studio', start: '2025-08-03T04:00:00Z', end: '2025-08-03T06:00:00Z', extendedProps: { type: 'rehearsal' } },
+                // Availability is not an event
+                { title: '○', start: '2025-08-04T04:00:00Z', end: '2025-08-04T06:00:00Z', extendedProps: { type: 'availability' } }
+            ]
+        };
+        
+        const drafts = importer.markIssues([
+            draft('live at o-east', '2025-08-02T09:00:00Z', '2025-08-02T13:00:00Z'),
+            draft('Rehearsal', '2025-08-03T04:00:00Z', '2025-08-03T06:00:00Z'),
+            draft('Rehearsal', '2025-08-04T04:00:00Z', '2025-08-04T06:00:00Z'),
+            draft('Rehearsal', '2025-08-03T05:00:00Z', '2025-08-03T06:00:00Z')
+        ]);
+        
+        expect(drafts.map(item => item.issue)).toEqual(['duplicate', 'duplicate', null, null]);
+    });
+    
+    test('marks duplicates within the file', () => {
+        const drafts = importer.markIssues([
+            draft('Rehearsal', '2025-08-03T04:00:00Z', '2025-08-03T06:00:00Z'),
+            draft('Rehearsal', '2025-08-03T04:00:00Z', '2025-08-03T07:00:00Z'),
+            draft('Other', '2025-08-03T04:00:00Z', '2025-08-03T06:00:00Z')
+        ]);
+        
+        expect(drafts.map(item => item.issue)).toEqual([null, 'duplicate', 'duplicate']);
+    });
+    
+    test('leaves drafts with an issue unselected', () => {
+        const invalid = { ...draft('', null, null), issue: 'invalid' };
+        
+        expect(importer.markIssues([invalid])).toEqual([{ ...invalid, selected: false }]);
+    });
+});
@@ -0,0 +1,156 @@
+// Unit tests for recurrence rules (src/backend/rrule.js)
+
+import {
+    parseRRule, formatRRule, expandOccurrences, isOccurrence, splitRRule
+} from '../../src/backend/rrule.js';
+
+// Saturday rehearsals, 18:00-21:00 on the wall clock
+function series(rrule, extra = {}) {
+    return {
+        start_time: '2025-08-02T18:00:00',
+        end_time: '2025-08-02T21:00:00',
+        rrule,
+        ...extra
+    };
+}
+
+function starts(occurrences) {
+    return occurrences.map(occurrence => occurrence.start_time);
+}
+
+describe('parseRRule / formatRRule', () => {
+    test('round-trips a rule in canonical form', () => {
+        expect(formatRRule(parseRRule('RRULE:FREQ=weekly;INTERVAL=2;BYDAY=TU,TH;COUNT=6')))
+            .toBe('FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH;COUNT=6');
+    });
+    
+    test('writes a date-only UNTIL as the end of that day', () => {
+        expect(formatRRule(parseRRule('FREQ=DAILY;UNTIL=20250805'))).toBe('FREQ=DAILY;UNTIL=20250805T235959');
+    });
+    
+    test('rejects unsupported combinations', () => {
+        expect(() => parseRRule('INTERVAL=2')).toThrow('rrule must include FREQ');
+        expect(() => parseRRule('FREQ=MONTHLY;BYDAY=MO')).toThrow('BYDAY is only supported');
+        expect(() => parseRRule('FREQ=WEEKLY;COUNT=3;UNTIL=20250901')).toThrow('both UNTIL and COUNT');
+        expect(() => parseRRule('FREQ=WEEKLY;BYMONTH=8')).toThrow('Unsupported rrule part: BYMONTH');
+        expect(() => parseRRule('FREQ=HOURLY')).toThrow('FREQ must be one of');
+    });
+});
+
+describe('expandOccurrences', () => {
+    test('repeats weekly on the start weekday', () => {
+        const occurrences = expandOccurrences(series('FREQ=WEEKLY'), '2025-08-01T00:00:00', '2025-08-31T23:59:59');
+        
+        expect(occurrences).toEqual([2, 9, 16, 23, 30].map(day => ({
+            start_time: `2025-08-${String(day).padStart(2, '0')}T18:00:00`,
+            end_time: `2025-08-${String(day).padStart(2, '0')}T21:00:00`
+        })));
+    });
+    
+    test('repeats on the BYDAY weekdays of every INTERVAL-th week', () => {
+        const event = {
+            start_time: '2025-08-05T19:00:00',
+            end_time: '2025-08-05T22:00:00',
+            rrule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH'
+        };
+        
+        expect(starts(expandOccurrences(event, '2025-08-01T00:00:00', '2025-08-31T23:59:59'))).toEqual([
+            '2025-08-05T19:00:00', '2025-08-07T19:00:00',
+            '2025-08-19T19:00:00', '2025-08-21T19:00:00'
+        ]);
+    });
+    
+    test('repeats monthly on the start day', () => {
+        const event = series('FREQ=MONTHLY', { start_time: '2025-08-15T18:00:00', end_time: '2025-08-15T21:00:00' });
+        
+        expect(starts(expandOccurrences(event, '2025-08-01T00:00:00', '2025-11-30T23:59:59'))).toEqual([
+            '2025-08-15T18:00:00', '2025-09-15T18:00:00', '2025-10-15T18:00:00', '2025-11-15T18:00:00'
+        ]);
+    });
+    
+    test('skips months without the start day and does not count them', () => {
+        const event = series('FREQ=MONTHLY;COUNT=4', { start_time: '2025-01-31T10:00:00', end_time: '2025-01-31T12:00:00' });
+        
+        expect(starts(expandOccurrences(event, '2025-01-01T00:00:00', '2025-12-31T23:59:59'))).toEqual([
+            '2025-01-31T10:00:00', '2025-03-31T10:00:00', '2025-05-31T10:00:00', '2025-07-31T10:00:00'
+        ]);
+    });
+    
+    test('stops after COUNT occurrences', () => {
+        expect(starts(expandOccurrences(series('FREQ=WEEKLY;COUNT=3'), '2025-01-01T00:00:00', '2025-12-31T23:59:59')))
+            .toEqual(['2025-08-02T18:00:00', '2025-08-09T18:00:00', '2025-08-16T18:00:00']);
+    });
+    
+    test('includes the whole UNTIL day for a date-only UNTIL', () => {
+        expect(starts(expandOccurrences(series('FREQ=DAILY;UNTIL=20250805'), '2025-08-01T00:00:00', '2025-08-31T23:59:59')))
+            .toEqual(['2025-08-02T18:00:00', '2025-08-03T18:00:00', '2025-08-04T18:00:00', '2025-08-05T18:00:00']);
+    });
+    
+    test('includes an occurrence starting exactly at UNTIL', () => {
+        expect(starts(expandOccurrences(series('FREQ=DAILY;UNTIL=20250804T180000'), '2025-08-01T00:00:00', '2025-08-31T23:59:59')))
+            .toEqual(['2025-08-02T18:00:00', '2025-08-03T18:00:00', '2025-08-04T18:00:00']);
+    });
+    
+    test('leaves out EXDATE occurrences', () => {
+        const event = series('FREQ=WEEKLY', { exdates: ['2025-08-09T18:00:00', '2025-08-23T18:00:00'] });
+        
+        expect(starts(expandOccurrences(event, '2025-08-01T00:00:00', '2025-08-31T23:59:59')))
+            .toEqual(['2025-08-02T18:00:00', '2025-08-16T18:00:00', '2025-08-30T18:00:00']);
+    });
+    
+    test('includes an occurrence that started before the range but overlaps it', () => {
+        expect(starts(expandOccurrences(series('FREQ=WEEKLY'), '2025-08-09T20:00:00', '2025-08-16T12:00:00')))
+            .toEqual(['2025-08-09T18:00:00']);
+    });
+    
+    test('keeps the zone suffix of the start time', () => {
+        const event = { start_time: '2025-08-02T09:00:00Z', end_time: '2025-08-02T12:00:00Z', rrule: 'FREQ=DAILY;COUNT=2' };
+        
+        expect(expandOccurrences(event, '2025-08-01T00:00:00Z', '2025-08-31T00:00:00Z')).toEqual([
+            { start_time: '2025-08-02T09:00:00Z', end_time: '2025-08-02T12:00:00Z' },
+            { start_time: '2025-08-03T09:00:00Z', end_time: '2025-08-03T12:00:00Z' }
+        ]);
+    });
+});
+
+describe('isOccurrence', () => {
+    test('matches occurrence starts only', () => {
+        const event = series('FREQ=WEEKLY;COUNT=3');
+        
+        expect(isOccurrence(event, '2025-08-09T18:00:00')).toBe(true);
+        expect(isOccurrence(event, '2025-08-09T19:00:00')).toBe(false);
+        expect(isOccurrence(event, '2025-08-10T18:00:00')).toBe(false);
+        expect(isOccurrence(event, '2025-08-23T18:00:00')).toBe(false); // past COUNT
+    });
+});
+
+describe('splitRRule', () => {
+    test('ends the series before the occurrence and continues COUNT in the new one', () => {
+        const event = series('FREQ=WEEKLY;COUNT=5');
+        const split = splitRRule(event, '2025-08-16T18:00:00');
+        
+        expect(split).toEqual({
+            before: 'FREQ=WEEKLY;UNTIL=20250816T175959',
+            after: 'FREQ=WEEKLY;COUNT=3',
+            earlier: 2
+        });
+        
+        const before = expandOccurrences({ ...event, rrule: split.before }, '2025-08-01T00:00:00', '2025-12-31T23:59:59');
+        const after = expandOccurrences(
+            { start_time: '2025-08-16T18:00:00', end_time: '2025-08-16T21:00:00', rrule: split.after },
+            '2025-08-01T00:00:00',
+            '2025-12-31T23:59:59'
+        );
+        
+        expect(starts(before)).toEqual(['2025-08-02T18:00:00', '2025-08-09T18:00:00']);
+        expect(starts(after)).toEqual(['2025-08-16T18:00:00', '2025-08-23T18:00:00', '2025-08-30T18:00:00']);
+    });
+    
+    test('keeps UNTIL for the new series', () => {
+        expect(splitRRule(series('FREQ=WEEKLY;UNTIL=20250831'), '2025-08-16T18:00:00')).toEqual({
+            before: 'FREQ=WEEKLY;UNTIL=20250816T175959',
+            after: 'FREQ=WEEKLY;UNTIL=20250831T235959',
+            earlier: 2
+        });
+    });
+});
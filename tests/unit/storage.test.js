@@ -34,7 +34,7 @@ describe('StorageManager', () => {
         
         test('should validate nickname length', () => {
             expect(storageManager.validateNickname('')).toBe(false);
-            expect(storageManager.validateNickname('a'.repeat(21))).toBe(false);
+            expect(storageManager.validateNickname('a'.repeat(51))).toBe(false);
             expect(storageManager.validateNickname('ValidName')).toBe(true);
         });
         
@@ -0,0 +1,92 @@
+// Unit tests for slot recommendations (src/backend/suggest.js)
+
+import { suggestSlots } from '../../src/backend/suggest.js';
+
+function slot(member_name, day, from, to, status) {
+    return {
+        member_name,
+        start_time: `2025-08-0${day}T${from}:00`,
+        end_time: `2025-08-0${day}T${to}:00`,
+        status
+    };
+}
+
+// Saturday: A and B ○. Sunday: A △ and C ○.
+const availability = [
+    slot('A', 2, '18:00', '21:00', 'good'),
+    slot('B', 2, '18:00', '21:00', 'good'),
+    slot('A', 3, '18:00', '21:00', 'ok'),
+    slot('C', 3, '18:00', '21:00', 'good')
+];
+
+function suggest(options = {}) {
+    return suggestSlots({
+        members: ['A', 'B', 'C'],
+        availability,
+        busy: [],
+        start: '2025-08-02T00:00:00',
+        end: '2025-08-04T00:00:00',
+        duration: 180,
+        ...options
+    });
+}
+
+function windows(slots) {
+    return slots.map(entry => [entry.start_time, entry.available, entry.good]);
+}
+
+describe('suggestSlots', () => {
+    test('ranks windows by available members, then by ○', () => {
+        expect(windows(suggest())).toEqual([
+            ['2025-08-02T18:00:00', 2, 2],
+            ['2025-08-03T18:00:00', 2, 1]
+        ]);
+        
+        const [best] = suggest();
+        expect(best.end_time).toBe('2025-08-02T21:00:00');
+        expect(best.members).toEqual([
+            { name: 'A', status: 'good' },
+            { name: 'B', status: 'good' },
+            { name: 'C', status: 'unanswered' }
+        ]);
+    });
+    
+    test('only keeps windows in which the required members are free', () => {
+        expect(windows(suggest({ required: ['C'] }))).toEqual([['2025-08-03T18:00:00', 2, 1]]);
+        expect(suggest({ required: ['B', 'C'] })).toEqual([]);
+    });
+    
+    test('a × anywhere in the window counts against the member', () => {
+        const result = suggest({
+            availability: [...availability, slot('C', 2, '20:00', '22:00', 'bad')],
+            required: ['A'],
+            minMembers: 2
+        });
+        
+        expect(result[0].members.find(entry => entry.name === 'C').status).toBe('bad');
+        expect(windows(result)).toEqual([
+            ['2025-08-02T18:00:00', 2, 2],
+            ['2025-08-03T18:00:00', 2, 1]
+        ]);
+    });
+    
+    test('leaves out windows that clash with events or overlap a better window', () => {
+        // 17:00-20:00 and 18:00-21:00 are equally good; the earlier one is kept
+        const longer = [
+            ...availability,
+            slot('A', 2, '17:00', '18:00', 'good'),
+            slot('B', 2, '17:00', '18:00', 'good')
+        ];
+        
+        expect(windows(suggest({ availability: longer, required: ['A', 'B'] })))
+            .toEqual([['2025-08-02T17:00:00', 2, 2]]);
+        
+        const busy = [{ start_time: '2025-08-02T19:00:00', end_time: '2025-08-02T20:00:00' }];
+        expect(windows(suggest({ busy }))).toEqual([['2025-08-03T18:00:00', 2, 1]]);
+    });
+    
+    test('respects the day bounds', () => {
+        expect(suggest({ dayEnd: '20:00' })).toEqual([]);
+        expect(() => suggest({ dayStart: '9:00' })).toThrow('dayStart must be a time like 18:00');
+    });
+});
@@ -0,0 +1,102 @@
+// Unit tests for time zone conversions (src/backend/timezone.js)
+
+import {
+    validateTimeZone, parseTimestamp, normalizeTimestamp, toWallClock, fromWallClock,
+    expandZonedOccurrences, isZonedOccurrence, splitZonedRRule
+} from '../../src/backend/timezone.js';
+
+// New York: clocks jump from 02:00 to 03:00 on 2025-03-09 and fall back
+// from 02:00 to 01:00 on 2025-11-02
+const NEW_YORK = 'America/New_York';
+
+describe('timestamps', () => {
+    test('normalizes times with an offset to UTC', () => {
+        expect(normalizeTimestamp('2025-08-02T18:00:00+09:00')).toBe('2025-08-02T09:00:00Z');
+        expect(normalizeTimestamp('2025-08-02T18:00-04:00')).toBe('2025-08-02T22:00:00Z');
+        expect(normalizeTimestamp('2025-08-02T09:00:00.250Z')).toBe('2025-08-02T09:00:00Z');
+    });
+    
+    test('rejects times without an offset and impossible dates', () => {
+        expect(() => parseTimestamp('2025-08-02T18:00:00')).toThrow('Invalid date format');
+        expect(() => parseTimestamp('2025-02-30T18:00:00Z')).toThrow('Invalid date');
+        expect(() => parseTimestamp('2025-08-02T18:00:00+15:00')).toThrow('Invalid UTC offset');
+    });
+    
+    test('accepts IANA zone names only', () => {
+        expect(validateTimeZone('Europe/Berlin')).toBe('Europe/Berlin');
+        expect(() => validateTimeZone('Mars/Olympus_Mons')).toThrow('Unknown timezone');
+        expect(() => validateTimeZone('')).toThrow('IANA time zone name');
+    });
+});
+
+describe('wall clock', () => {
+    test('converts between UTC and the wall clock of a zone', () => {
+        expect(toWallClock('2025-08-02T09:00:00Z', 'Asia/Tokyo')).toBe('2025-08-02T18:00:00');
+        expect(fromWallClock('2025-08-02T18:00:00', 'Asia/Tokyo')).toBe('2025-08-02T09:00:00Z');
+        
+        expect(toWallClock('2025-01-15T23:00:00Z', NEW_YORK)).toBe('2025-01-15T18:00:00');
+        expect(toWallClock('2025-07-15T22:00:00Z', NEW_YORK)).toBe('2025-07-15T18:00:00');
+    });
+    
+    test('moves a time in the spring-forward gap forward by the jump', () => {
+        // 02:30 does not exist; it becomes 03:30 EDT
+        expect(fromWallClock('2025-03-09T02:30:00', NEW_YORK)).toBe('2025-03-09T07:30:00Z');
+        expect(toWallClock('2025-03-09T07:30:00Z', NEW_YORK)).toBe('2025-03-09T03:30:00');
+        
+        // Either side of the gap
+        expect(fromWallClock('2025-03-09T01:59:00', NEW_YORK)).toBe('2025-03-09T06:59:00Z');
+        expect(fromWallClock('2025-03-09T03:00:00', NEW_YORK)).toBe('2025-03-09T07:00:00Z');
+    });
+    
+    test('resolves a repeated hour to its first occurrence', () => {
+        // 01:30 happens at 05:30Z (EDT) and again at 06:30Z (EST)
+        expect(fromWallClock('2025-11-02T01:30:00', NEW_YORK)).toBe('2025-11-02T05:30:00Z');
+        expect(toWallClock('2025-11-02T05:30:00Z', NEW_YORK)).toBe('2025-11-02T01:30:00');
+        expect(toWallClock('2025-11-02T06:30:00Z', NEW_YORK)).toBe('2025-11-02T01:30:00');
+        
+        expect(fromWallClock('2025-11-02T02:30:00', NEW_YORK)).toBe('2025-11-02T07:30:00Z');
+    });
+});
+
+describe('zoned series', () => {
+    // Saturdays 18:00-21:00 New York time, across the end of daylight saving
+    const event = {
+        start_time: '2025-10-25T22:00:00Z',
+        end_time: '2025-10-26T01:00:00Z',
+        rrule: 'FREQ=WEEKLY;COUNT=4'
+    };
+    
+    test('repeats at the same wall-clock time across a DST change', () => {
+        expect(expandZonedOccurrences(event, '2025-10-20T00:00:00Z', '2025-12-31T00:00:00Z', NEW_YORK)).toEqual([
+            { start_time: '2025-10-25T22:00:00Z', end_time: '2025-10-26T01:00:00Z' },
+            { start_time: '2025-11-01T22:00:00Z', end_time: '2025-11-02T01:00:00Z' },
+            { start_time: '2025-11-08T23:00:00Z', end_time: '2025-11-09T02:00:00Z' },
+            { start_time: '2025-11-15T23:00:00Z', end_time: '2025-11-16T02:00:00Z' }
+        ]);
+    });
+    
+    test('leaves out EXDATEs given in UTC', () => {
+        const occurrences = expandZonedOccurrences(
+            { ...event, exdates: ['2025-11-08T23:00:00Z'] },
+            '2025-10-20T00:00:00Z',
+            '2025-12-31T00:00:00Z',
+            NEW_YORK
+        );
+        
+        expect(occurrences.map(occurrence => occurrence.start_time))
+            .toEqual(['2025-10-25T22:00:00Z', '2025-11-01T22:00:00Z', '2025-11-15T23:00:00Z']);
+    });
+    
+    test('recognizes occurrences after the DST change', () => {
+        expect(isZonedOccurrence(event, '2025-11-08T23:00:00Z', NEW_YORK)).toBe(true);
+        expect(isZonedOccurrence(event, '2025-11-08T22:00:00Z', NEW_YORK)).toBe(false);
+    });
+    
+    test('splits a "this and future" edit on the wall clock', () => {
+        expect(splitZonedRRule(event, '2025-11-08T23:00:00Z', NEW_YORK)).toEqual({
+            before: 'FREQ=WEEKLY;UNTIL=20251108T175959',
+            after: 'FREQ=WEEKLY;COUNT=2',
+            earlier: 2
+        });
+    });
+});